@@ -1,6 +1,11 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { Send, Sparkles, FileText, Users, CheckCircle, Split, RefreshCw, Download, Upload, Zap, Plus, Trash2, Edit3, Move, GripVertical, Layout, LayoutGrid, Globe, Eye, Loader2, AlertCircle, Wifi, WifiOff } from 'lucide-react';
-import Pusher from 'pusher-js';
+import React, { useState, useEffect, useLayoutEffect, useCallback, useRef } from 'react';
+import { Send, Sparkles, FileText, Users, CheckCircle, Split, RefreshCw, Download, Upload, Zap, Plus, Trash2, Edit3, Move, GripVertical, Layout, LayoutGrid, Globe, Eye, Loader2, AlertCircle, Wifi, WifiOff, History, RotateCcw, X } from 'lucide-react';
+import * as Y from 'yjs';
+import useCollaboration from './hooks/useCollaboration';
+import { STORY_EVENTS } from './services/collaboration';
+import { authHeaders, expireSession, setSessionToken, clearSessionToken, takeSessionFromUrl, SESSION_EXPIRED_EVENT } from './services/session';
+import { getWorkspaceId, setWorkspaceId, workspaceHeaders, can, ROLE_LABELS } from './services/workspace';
+import { ApiError, readApiError, describeError } from './services/api-error';
 import './App.css';
 
 // Context for managing global application state
@@ -15,11 +20,13 @@ class APIService {
   async request(endpoint, options = {}) {
     const url = `${this.baseURL}${endpoint}`;
     const config = {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
+        ...authHeaders(),
+        ...workspaceHeaders(),
         ...options.headers,
       },
-      ...options,
     };
 
     if (config.body && typeof config.body === 'object') {
@@ -27,16 +34,85 @@ class APIService {
     }
 
     const response = await fetch(url, config);
+
+    if (response.status === 401 && !endpoint.startsWith('/auth/')) {
+      expireSession();
+    }
+
+    if (response.status === 204) {
+      return null;
+    }
     
     if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.message || `HTTP ${response.status}: ${response.statusText}`);
+      throw await readApiError(response);
+    }
+
+    // Exports such as Jira CSV come back as text, archives as a Blob
+    const type = response.headers.get('Content-Type') || '';
+    if (type.includes('application/zip')) {
+      return await response.blob();
+    }
+    if (!type.includes('application/json')) {
+      return await response.text();
     }
     
     return await response.json();
   }
 
+  // Authentication
+  async getAuthProviders() {
+    return this.request('/auth/providers');
+  }
+
+  async login(username, password) {
+    return this.request('/auth/login', {
+      method: 'POST',
+      body: { username, password },
+    });
+  }
+
+  async register(account) {
+    return this.request('/auth/register', {
+      method: 'POST',
+      body: account,
+    });
+  }
+
+  // The server keeps the sign-in in progress in a cookie for the callback
+  async startOidcLogin() {
+    return this.request('/auth/oidc/start', {
+      method: 'POST',
+      credentials: 'include',
+    });
+  }
+
+  async getCurrentUser() {
+    return this.request('/auth/me');
+  }
+
+  async logout() {
+    return this.request('/auth/logout', {
+      method: 'POST',
+    });
+  }
+
+  // Workspaces
+  async getWorkspaces() {
+    return this.request('/workspaces');
+  }
+
+  async createWorkspace(name) {
+    return this.request('/workspaces', {
+      method: 'POST',
+      body: { name },
+    });
+  }
+
   // Story management
+  async getStories() {
+    return this.request('/stories');
+  }
+
   async getStory(id) {
     return this.request(`/stories/${id}`);
   }
@@ -55,159 +131,559 @@ class APIService {
     });
   }
 
+  // Collaborative editing
+  async getCollabState(id, stateVector) {
+    const query = stateVector ? `?stateVector=${encodeURIComponent(stateVector)}` : '';
+    return this.request(`/stories/${id}/collab${query}`);
+  }
+
+  async sendCollabUpdate(id, body) {
+    return this.request(`/stories/${id}/collab`, {
+      method: 'POST',
+      body,
+    });
+  }
+
+  async sendCollabCursor(id, body) {
+    return this.request(`/stories/${id}/collab/cursor`, {
+      method: 'POST',
+      body,
+    });
+  }
+
+  // Version history
+  async getStoryVersions(id) {
+    return this.request(`/stories/${id}/versions`);
+  }
+
+  async diffStoryVersions(id, from, to) {
+    const params = new URLSearchParams();
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    return this.request(`/stories/${id}/versions/diff?${params}`);
+  }
+
+  async restoreStoryVersion(id, version, body = {}) {
+    return this.request(`/stories/${id}/versions/${version}/restore`, {
+      method: 'POST',
+      body,
+    });
+  }
+
   async publishStory(id) {
     return this.request(`/stories/${id}/publish`, {
       method: 'POST',
     });
   }
 
-  // AI Agent calls
-  async callAgent(agentType, storyData) {
-    return this.request(`/agents/${agentType}`, {
+  // Epics
+  async getEpics() {
+    return this.request('/epics');
+  }
+
+  async createEpic(epic) {
+    return this.request('/epics', {
       method: 'POST',
-      body: storyData,
+      body: epic,
+    });
+  }
+
+  async updateEpic(id, epic) {
+    return this.request(`/epics/${id}`, {
+      method: 'PUT',
+      body: epic,
     });
   }
-}
 
-// Pusher-based real-time collaboration
-const usePusherCollaboration = (channelName) => {
-  const [pusher, setPusher] = useState(null);
-  const [channel, setChannel] = useState(null);
-  const [isConnected, setIsConnected] = useState(false);
-  const [connectedUsers, setConnectedUsers] = useState([]);
-  const [currentUser, setCurrentUser] = useState(null);
-  const [typingUsers, setTypingUsers] = useState(new Set());
+  // mode: 'refuse' | 'cascade' | 'reparent'; resolves with the trash entry
+  async deleteStory(id, mode = 'refuse') {
+    return this.request(`/stories/${id}?mode=${mode}`, {
+      method: 'DELETE',
+    });
+  }
 
-  useEffect(() => {
-    // Initialize Pusher with auth endpoint
-    const pusherClient = new Pusher('c3f5b6a224f131c7e678', {
-      cluster: 'us2',
-      encrypted: true,
-      authEndpoint: '/api/pusher/auth',
-      auth: {
-        headers: {
-          'Content-Type': 'application/json',
-        }
-      }
+  // mode: 'refuse' | 'cascade' | 'unassign'
+  async deleteEpic(id, mode = 'refuse') {
+    return this.request(`/epics/${id}?mode=${mode}`, {
+      method: 'DELETE',
     });
+  }
 
-    const channelInstance = pusherClient.subscribe(channelName);
+  // Trash
+  async getTrash() {
+    return this.request('/trash');
+  }
 
-    // Connection events
-    pusherClient.connection.bind('connected', () => {
-      setIsConnected(true);
-      console.log('Connected to Pusher');
+  async restoreTrashEntry(id) {
+    return this.request(`/trash/${id}/restore`, {
+      method: 'POST',
     });
+  }
 
-    pusherClient.connection.bind('disconnected', () => {
-      setIsConnected(false);
-      console.log('Disconnected from Pusher');
+  async purgeTrashEntry(id) {
+    return this.request(`/trash/${id}`, {
+      method: 'DELETE',
     });
+  }
 
-    // Channel events
-    channelInstance.bind('user-joined', (data) => {
-      setConnectedUsers(prev => [...prev.filter(u => u.id !== data.user.id), data.user]);
+  // Jira: options are format ('csv' | 'json'), epicId, childIssues
+  // ('subtasks' | 'links') and, for json, projectKey and custom field ids
+  async exportJira(options = {}) {
+    return this.request(`/export/jira?${new URLSearchParams(options)}`);
+  }
+
+  // csv: the text of a Jira CSV export. dryRun reports without saving;
+  // duplicates: 'skip' | 'update'
+  async importJira(csv, { dryRun = false, duplicates = 'skip' } = {}) {
+    return this.request(`/import/jira?dryRun=${dryRun}&duplicates=${duplicates}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/csv' },
+      body: csv,
     });
+  }
 
-    channelInstance.bind('user-left', (data) => {
-      setConnectedUsers(prev => prev.filter(u => u.id !== data.userId));
+  // The whole workspace: epics, stories, agent results and history
+  async exportProject(workspaceId) {
+    return this.request(`/workspaces/${workspaceId}/project`);
+  }
+
+  // file: a parsed project file of any schema version. mode: 'merge' |
+  // 'replace'; conflicts: 'skip' | 'overwrite'; dryRun reports without saving
+  async importProject(workspaceId, file, { dryRun = false, mode = 'merge', conflicts = 'skip' } = {}) {
+    return this.request(`/workspaces/${workspaceId}/project/import?${new URLSearchParams({ dryRun, mode, conflicts })}`, {
+      method: 'POST',
+      body: file,
     });
+  }
 
-    channelInstance.bind('story-updated', (data) => {
-      window.dispatchEvent(new CustomEvent('collaborative-story-update', {
-        detail: data
-      }));
+  // format: 'markdown' | 'gherkin'
+  async exportStory(id, format = 'markdown') {
+    return this.request(`/stories/${id}/export?format=${format}`);
+  }
+
+  // format: 'markdown' | 'zip' (a Blob with Markdown and .feature files)
+  async exportEpic(id, format = 'markdown') {
+    return this.request(`/epics/${id}/export?format=${format}`);
+  }
+
+  // target: 'github' | 'azure-devops'. options: epicId, labels (comma
+  // list) and, for Azure DevOps, organizationUrl, project, areaPath, iterationPath
+  async exportTracker(target, options = {}) {
+    return this.request(`/export/${target}?${new URLSearchParams(options)}`);
+  }
+
+  // Creates the issues in the tracker the server is configured for.
+  // body: { epicId?, labels?, areaPath?, iterationPath? }
+  async publishTracker(target, body = {}) {
+    return this.request(`/export/${target}/publish`, {
+      method: 'POST',
+      body,
     });
+  }
 
-    channelInstance.bind('user-typing', (data) => {
-      setTypingUsers(prev => {
-        const newSet = new Set(prev);
-        if (data.isTyping) {
-          newSet.add(`${data.user.id}-${data.storyId}`);
-        } else {
-          newSet.delete(`${data.user.id}-${data.storyId}`);
-        }
-        return newSet;
-      });
+  // body: { suggestionId, splitIds?, edits? }
+  async acceptSplits(storyId, body) {
+    return this.request(`/stories/${storyId}/accept-splits`, {
+      method: 'POST',
+      body,
     });
+  }
 
-    setPusher(pusherClient);
-    setChannel(channelInstance);
+  // body: { mode: 'archive' | 'delete' }
+  async unsplitStory(storyId, body = {}) {
+    return this.request(`/stories/${storyId}/unsplit`, {
+      method: 'POST',
+      body,
+    });
+  }
 
-    // Set current user (would come from auth in real app)
-    const user = {
-      id: 'user-' + Math.random().toString(36).substr(2, 9),
-      name: 'You',
-      color: '#3B82F6',
-      avatar: '👤'
-    };
-    setCurrentUser(user);
+  // decision is 'apply' or 'reject'
+  async decideSuggestion(storyId, suggestionId, decision, body = {}) {
+    return this.request(`/stories/${storyId}/suggestions/${suggestionId}/${decision}`, {
+      method: 'POST',
+      body,
+    });
+  }
 
-    return () => {
-      channelInstance.unbind_all();
-      channelInstance.unsubscribe();
-      pusherClient.disconnect();
-    };
-  }, [channelName]);
+  // AI Agent calls
+  async callAgent(agentType, storyData) {
+    return this.request(`/agents/${agentType}`, {
+      method: 'POST',
+      body: storyData,
+    });
+  }
 
-  const sendStoryUpdate = useCallback(async (storyId, changes) => {
-    if (!channel || !currentUser) return;
+  // POSTs body and reads the Server-Sent Events response. onEvent(event,
+  // data) is called for every event and an `error` event throws; resolves
+  // with the data of the `result` event, or null without one.
+  async stream(endpoint, body, onEvent, contentType = 'application/json') {
+    const response = await fetch(`${this.baseURL}${endpoint}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': contentType,
+        Accept: 'text/event-stream',
+        ...authHeaders(),
+        ...workspaceHeaders(),
+      },
+      body,
+    });
 
-    try {
-      await fetch('/api/pusher/trigger', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          channel: channelName,
-          event: 'story-updated',
-          data: {
-            storyId,
-            changes,
-            user: currentUser,
-            timestamp: Date.now()
-          }
-        })
-      });
-    } catch (error) {
-      console.error('Failed to send story update:', error);
+    if (response.status === 401) {
+      expireSession();
+    }
+
+    if (!response.ok) {
+      throw await readApiError(response);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result = null;
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const frames = buffer.split('\n\n');
+      buffer = frames.pop();
+
+      for (const frame of frames) {
+        let event = 'message';
+        let data = '';
+        frame.split('\n').forEach(line => {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) data += line.slice(5).trim();
+        });
+        if (!data) continue;
+
+        const payload = JSON.parse(data);
+        if (event === 'error') {
+          throw new ApiError(500, payload);
+        }
+        if (event === 'result') {
+          result = payload;
+        }
+        onEvent(event, payload);
+      }
+    }
+
+    return result;
+  }
+
+  // Streams an agent response. onEvent(event, data) is called for every
+  // start/text/criterion/split/tip/dimension/result event; resolves with the
+  // final response envelope.
+  async streamAgent(agentType, storyData, onEvent) {
+    const result = await this.stream(`/agents/${agentType}/stream`, JSON.stringify(storyData), onEvent);
+    if (!result) {
+      throw new Error('Agent stream ended without a result');
+    }
+    return result;
+  }
+
+  // text: a CSV with a header row (format 'csv') or one story per line
+  // ('text'). onEvent receives `start`, a `row` per row as it is created
+  // and analysed, and the `result`; resolves with the import report.
+  async importBacklog(text, { format = 'csv', onEvent = () => {} } = {}) {
+    const result = await this.stream(`/import/backlog?format=${format}`, text, onEvent,
+      format === 'csv' ? 'text/csv' : 'text/plain');
+    if (!result) {
+      throw new Error('Backlog import ended without a result');
     }
-  }, [channel, currentUser, channelName]);
+    return result;
+  }
+
+  async runPipeline(storyData) {
+    return this.request('/agents/pipeline', {
+      method: 'POST',
+      body: storyData,
+    });
+  }
+}
+
+// Issue trackers the server exports to, by API target
+const TRACKERS = { github: 'GitHub Issues', 'azure-devops': 'Azure DevOps' };
+
+// The Story Analyst's readiness levels, as board cards show them
+const READINESS = {
+  ready: { label: 'Ready', className: 'bg-green-100 text-green-800' },
+  'needs-work': { label: 'Needs work', className: 'bg-yellow-100 text-yellow-800' },
+  'not-ready': { label: 'Not ready', className: 'bg-red-100 text-red-800' }
+};
+
+// File name for a record title, as the server names its exports
+const fileNameOf = (name) =>
+  (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'backlog';
+
+// Offers content as a file download
+const downloadFile = (content, fileName, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+// Lets the user pick a file and hands its text to onText
+const pickFile = (accept, onText) => {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = accept;
+  input.onchange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (loaded) => onText(loaded.target.result, file);
+    reader.readAsText(file);
+  };
+  input.click();
+};
+
+// Records from the server replace local ones with the same id
+const mergeRecords = (records, updates) => [
+  ...records.map(record => updates.find(update => update.id === record.id) || record),
+  ...updates.filter(update => !records.some(record => record.id === update.id))
+];
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+};
+
+const fromBase64 = (encoded) => Uint8Array.from(atob(encoded), char => char.charCodeAt(0));
+
+// Turn a whole-string edit into one Yjs delete + insert around the changed
+// span, so concurrent edits elsewhere in the text are preserved.
+const applyTextChange = (ytext, next) => {
+  const previous = ytext.toString();
+  let start = 0;
+  while (start < previous.length && start < next.length && previous[start] === next[start]) start++;
+  let end = 0;
+  while (
+    end < previous.length - start && end < next.length - start &&
+    previous[previous.length - 1 - end] === next[next.length - 1 - end]
+  ) end++;
+
+  ytext.doc.transact(() => {
+    if (previous.length - start - end > 0) ytext.delete(start, previous.length - start - end);
+    if (next.length - start - end > 0) ytext.insert(start, next.slice(start, next.length - end));
+  });
+};
+
+// Failed collaborative updates are sent again after 2s, then 4s, 8s... up to a minute
+const COLLAB_RETRY_DELAY = 2000;
+const COLLAB_MAX_RETRY_DELAY = 60000;
+
+// Character-level collaborative editing of a story's content and acceptance
+// criteria. The server holds the authoritative Yjs document; local updates
+// are posted to it and remote ones arrive on the story's channel.
+const useCollaborativeStory = (client, storyId, currentUser) => {
+  const apiService = useRef(new APIService()).current;
+  const docRef = useRef(null);
+  const clientIdRef = useRef(null);
+  const outboxRef = useRef([]);
+  const sendingRef = useRef(false);
+  const cursorTimeoutRef = useRef(null);
+  const retryRef = useRef({ timeout: null, delay: COLLAB_RETRY_DELAY });
+  const [isReady, setIsReady] = useState(false);
+  const [content, setContent] = useState('');
+  const [criteria, setCriteria] = useState([]);
+  const [remoteCursors, setRemoteCursors] = useState({});
+  const [error, setError] = useState(null);
 
-  const sendTypingIndicator = useCallback(async (storyId, isTyping) => {
-    if (!channel || !currentUser) return;
+  const flush = useCallback(async () => {
+    if (sendingRef.current || outboxRef.current.length === 0) return;
+    sendingRef.current = true;
 
+    const updates = outboxRef.current.splice(0);
     try {
-      await fetch('/api/pusher/trigger', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          channel: channelName,
-          event: 'user-typing',
-          data: {
-            storyId,
-            isTyping,
-            user: currentUser
-          }
-        })
+      await apiService.sendCollabUpdate(storyId, {
+        update: toBase64(Y.mergeUpdates(updates)),
+        clientId: clientIdRef.current
       });
-    } catch (error) {
-      console.error('Failed to send typing indicator:', error);
+    } catch (sendError) {
+      sendingRef.current = false;
+      // Permission and validation errors will not go away by sending again
+      if (sendError.status >= 400 && sendError.status < 500 && sendError.status !== 429) {
+        console.error('Collaborative update rejected:', sendError);
+        setError(`Your changes were not saved: ${describeError(sendError)}`);
+        return;
+      }
+
+      // Server errors, rate limits and dropped connections back off
+      const retry = retryRef.current;
+      console.error(`Collaborative update failed, retrying in ${retry.delay / 1000}s:`, sendError);
+      setError(`Your changes are not saved yet; retrying in ${Math.round(retry.delay / 1000)}s`);
+      outboxRef.current.unshift(...updates);
+      retry.timeout = setTimeout(flush, retry.delay);
+      retry.delay = Math.min(retry.delay * 2, COLLAB_MAX_RETRY_DELAY);
+      return;
     }
-  }, [channel, currentUser, channelName]);
 
-  return { 
-    sendStoryUpdate,
-    sendTypingIndicator,
-    isConnected, 
-    connectedUsers,
-    currentUser,
-    typingUsers
+    sendingRef.current = false;
+    retryRef.current.delay = COLLAB_RETRY_DELAY;
+    setError(null);
+    if (outboxRef.current.length > 0) flush();
+  }, [apiService, storyId]);
+
+  useEffect(() => {
+    const retry = retryRef.current;
+    return () => clearTimeout(retry.timeout);
+  }, [storyId]);
+
+  const load = useCallback(async () => {
+    const previous = docRef.current;
+    if (previous) previous.destroy();
+
+    const doc = new Y.Doc();
+    docRef.current = doc;
+    clientIdRef.current = `${doc.clientID}`;
+    outboxRef.current = [];
+    clearTimeout(retryRef.current.timeout);
+    retryRef.current.delay = COLLAB_RETRY_DELAY;
+    setError(null);
+
+    const render = () => {
+      setContent(doc.getText('content').toString());
+      setCriteria(doc.getArray('acceptanceCriteria').toArray().map(text => text.toString()));
+    };
+
+    doc.on('update', (update, origin) => {
+      render();
+      if (origin !== 'remote') {
+        outboxRef.current.push(update);
+        flush();
+      }
+    });
+
+    const state = await apiService.getCollabState(storyId);
+    Y.applyUpdate(doc, fromBase64(state.update), 'remote');
+    render();
+    setIsReady(true);
+  }, [apiService, storyId, flush]);
+
+  const resync = useCallback(async () => {
+    const doc = docRef.current;
+    if (!doc) return;
+    const state = await apiService.getCollabState(storyId, toBase64(Y.encodeStateVector(doc)));
+    Y.applyUpdate(doc, fromBase64(state.update), 'remote');
+  }, [apiService, storyId]);
+
+  const reload = useCallback(() => load().catch(error => {
+    console.error('Collaborative editing unavailable:', error);
+    setIsReady(false);
+  }), [load]);
+
+  useEffect(() => {
+    if (currentUser) reload();
+  }, [reload, currentUser]);
+
+  useEffect(() => {
+    if (!client) return;
+
+    const isOwn = (data) => data.clientId === clientIdRef.current;
+
+    return client.subscribeToStory(storyId, {
+      [STORY_EVENTS.collabUpdate]: (data) => {
+        if (!isOwn(data) && docRef.current) {
+          Y.applyUpdate(docRef.current, fromBase64(data.update), 'remote');
+        }
+      },
+      [STORY_EVENTS.collabSync]: (data) => {
+        if (!isOwn(data)) resync().catch(error => console.error('Collaborative sync failed:', error));
+      },
+      // The text was replaced outside the editor (restore, applied suggestion)
+      [STORY_EVENTS.collabReset]: reload,
+      [STORY_EVENTS.collabCursor]: (data) => {
+        if (isOwn(data)) return;
+        setRemoteCursors(prev => ({ ...prev, [data.clientId]: data }));
+      }
+    });
+  }, [client, storyId, reload, resync]);
+
+  const setText = useCallback((next) => {
+    if (docRef.current) applyTextChange(docRef.current.getText('content'), next);
+  }, []);
+
+  const setCriterion = useCallback((index, next) => {
+    const criterion = docRef.current?.getArray('acceptanceCriteria').get(index);
+    if (criterion) applyTextChange(criterion, next);
+  }, []);
+
+  const addCriterion = useCallback(() => {
+    docRef.current?.getArray('acceptanceCriteria').push([new Y.Text()]);
+  }, []);
+
+  const removeCriterion = useCallback((index) => {
+    docRef.current?.getArray('acceptanceCriteria').delete(index, 1);
+  }, []);
+
+  // Relative positions follow the text they point at as others type
+  const toRelative = useCallback((index) =>
+    docRef.current && Y.createRelativePositionFromTypeIndex(docRef.current.getText('content'), index), []);
+
+  const toAbsolute = useCallback((relative) => {
+    if (!docRef.current || !relative) return null;
+    const absolute = Y.createAbsolutePositionFromRelativePosition(relative, docRef.current);
+    return absolute ? absolute.index : null;
+  }, []);
+
+  const updateCursor = useCallback((selectionStart, selectionEnd) => {
+    clearTimeout(cursorTimeoutRef.current);
+    cursorTimeoutRef.current = setTimeout(() => {
+      if (!docRef.current) return;
+      apiService.sendCollabCursor(storyId, {
+        clientId: clientIdRef.current,
+        field: 'content',
+        anchor: toBase64(Y.encodeRelativePosition(toRelative(selectionStart))),
+        head: toBase64(Y.encodeRelativePosition(toRelative(selectionEnd)))
+      }).catch(error => console.error('Failed to send cursor:', error));
+    }, 150);
+  }, [apiService, storyId, toRelative]);
+
+  // Remote cursors resolved against the current text; editors that went
+  // quiet for a minute are dropped
+  const cursors = Object.values(remoteCursors)
+    .filter(cursor => Date.now() - cursor.timestamp < 60000)
+    .map(cursor => ({
+      ...cursor,
+      index: toAbsolute(Y.decodeRelativePosition(fromBase64(cursor.head)))
+    }))
+    .filter(cursor => cursor.index !== null);
+
+  return {
+    isReady,
+    content,
+    criteria,
+    cursors,
+    error,
+    setText,
+    setCriterion,
+    addCriterion,
+    removeCriterion,
+    toRelative,
+    toAbsolute,
+    updateCursor,
+    resync,
+    reload
   };
 };
 
+// A collaborator's avatar: an emoji, or an image when the identity
+// provider gave a picture URL
+const UserAvatar = ({ user, className = '' }) => (
+  /^https:\/\//.test(user?.avatar || '')
+    ? <img src={user.avatar} alt="" className={`inline-block w-5 h-5 rounded-full ${className}`} />
+    : <span className={className}>{user?.avatar || '👤'}</span>
+);
+
 // Story Card Component
-const StoryCard = ({ story, onEdit, onDelete, isDragging }) => {
+const StoryCard = ({ story, onEdit, onDelete, onUnsplit, isDragging }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [editText, setEditText] = useState(story.title);
 
@@ -271,6 +747,15 @@ const StoryCard = ({ story, onEdit, onDelete, isDragging }) => {
             )}
           </div>
           <div className="flex items-center gap-1 ml-2">
+            {story.hasSplits && onUnsplit && (
+              <button
+                onClick={() => onUnsplit(story.id)}
+                title="Undo split"
+                className="p-1 text-gray-400 hover:text-orange-600 transition-colors"
+              >
+                <RefreshCw size={12} />
+              </button>
+            )}
             <button
               onClick={() => setIsEditing(!isEditing)}
               className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
@@ -305,6 +790,14 @@ const StoryCard = ({ story, onEdit, onDelete, isDragging }) => {
               Published
             </span>
           )}
+          {READINESS[story.readiness?.readinessLevel] && story.readiness.storyVersion === story.version && (
+            <span
+              className={`px-2 py-1 text-xs font-medium rounded ${READINESS[story.readiness.readinessLevel].className}`}
+              title={`INVEST score ${story.readiness.overallScore}%`}
+            >
+              {READINESS[story.readiness.readinessLevel].label}
+            </span>
+          )}
         </div>
 
         {story.acceptanceCriteria && story.acceptanceCriteria.length > 0 && (
@@ -320,7 +813,7 @@ const StoryCard = ({ story, onEdit, onDelete, isDragging }) => {
 };
 
 // Epic Card Component
-const EpicCard = ({ epic, onEdit, onDelete, onAddStory }) => {
+const EpicCard = ({ epic, onEdit, onDelete, onAddStory, onExport }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [editText, setEditText] = useState(epic.title);
 
@@ -369,6 +862,20 @@ const EpicCard = ({ epic, onEdit, onDelete, onAddStory }) => {
             >
               <Edit3 size={12} />
             </button>
+            <button
+              onClick={() => onExport(epic, 'markdown')}
+              className="p-1 text-blue-200 hover:text-white transition-colors"
+              title="Download as Markdown"
+            >
+              <FileText size={12} />
+            </button>
+            <button
+              onClick={() => onExport(epic, 'zip')}
+              className="p-1 text-blue-200 hover:text-white transition-colors"
+              title="Download Markdown and Gherkin files (zip)"
+            >
+              <Download size={12} />
+            </button>
             <button
               onClick={() => onDelete(epic.id)}
               className="p-1 text-blue-200 hover:text-white transition-colors"
@@ -386,8 +893,9 @@ const EpicCard = ({ epic, onEdit, onDelete, onAddStory }) => {
 };
 
 // Story Mapping Board Component
-const StoryMappingBoard = ({ stories, epics, onUpdateStory, onDeleteStory, onUpdateEpic, onDeleteEpic, onAddStory, onAddEpic }) => {
+const StoryMappingBoard = ({ stories, epics, onUpdateStory, onDeleteStory, onUnsplitStory, onUpdateEpic, onDeleteEpic, onAddStory, onAddEpic, onLoadTrash, onRestoreTrashEntry, onPurgeTrashEntry, onExportJira, onImportJira, onExportTracker, onPublishTracker, onExportEpic, onImportBacklog, importProgress }) => {
   const [draggedItem, setDraggedItem] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
   const [dragOverColumn, setDragOverColumn] = useState(null);
 
   const storiesByEpic = stories.reduce((acc, story) => {
@@ -431,20 +939,80 @@ const StoryMappingBoard = ({ stories, epics, onUpdateStory, onDeleteStory, onUpd
   };
 
   return (
-    <div className="flex flex-col h-full bg-gray-50">
+    <div className="relative flex flex-col h-full bg-gray-50">
+      {showTrash && (
+        <TrashDrawer
+          onClose={() => setShowTrash(false)}
+          onLoad={onLoadTrash}
+          onRestore={onRestoreTrashEntry}
+          onPurge={onPurgeTrashEntry}
+        />
+      )}
       <div className="p-4 bg-white border-b border-gray-200">
         <div className="flex items-center justify-between">
           <h2 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
             <Layout size={20} />
             Story Mapping Board
           </h2>
-          <button
-            onClick={onAddEpic}
-            className="px-3 py-1.5 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2"
-          >
-            <Plus size={14} />
-            Add Epic
-          </button>
+          <div className="flex items-center gap-2">
+            <select
+              value=""
+              onChange={(e) => {
+                if (e.target.value === 'import') onImportJira();
+                else if (e.target.value) onExportJira(e.target.value);
+              }}
+              className="px-2 py-1.5 text-sm border border-gray-300 rounded-lg bg-white text-gray-700"
+              title="Jira"
+            >
+              <option value="">Jira…</option>
+              <option value="subtasks">Export (split children as sub-tasks)</option>
+              <option value="links">Export (split children as linked stories)</option>
+              {onImportJira && <option value="import">Import Jira CSV</option>}
+            </select>
+            <select
+              value=""
+              onChange={(e) => {
+                const [action, target] = e.target.value.split(':');
+                if (action === 'publish') onPublishTracker(target);
+                else if (action === 'export') onExportTracker(target);
+              }}
+              className="px-2 py-1.5 text-sm border border-gray-300 rounded-lg bg-white text-gray-700"
+              title="GitHub and Azure DevOps"
+            >
+              <option value="">Trackers…</option>
+              {Object.entries(TRACKERS).map(([target, name]) => (
+                <option key={target} value={`export:${target}`}>Export {name} JSON</option>
+              ))}
+              {onPublishTracker && Object.entries(TRACKERS).map(([target, name]) => (
+                <option key={`publish-${target}`} value={`publish:${target}`}>Publish to {name}</option>
+              ))}
+            </select>
+            {onImportBacklog && (
+              <button
+                onClick={onImportBacklog}
+                disabled={!!importProgress}
+                title="Create stories from a CSV or a plain-text list with one story per line"
+                className="px-3 py-1.5 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors flex items-center gap-2 disabled:opacity-60"
+              >
+                {importProgress ? <Loader2 size={14} className="animate-spin" /> : <Upload size={14} />}
+                {importProgress ? `Analysing ${importProgress.done}/${importProgress.total}` : 'Import backlog'}
+              </button>
+            )}
+            <button
+              onClick={() => setShowTrash(!showTrash)}
+              className="px-3 py-1.5 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors flex items-center gap-2"
+            >
+              <Trash2 size={14} />
+              Trash
+            </button>
+            <button
+              onClick={onAddEpic}
+              className="px-3 py-1.5 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2"
+            >
+              <Plus size={14} />
+              Add Epic
+            </button>
+          </div>
         </div>
         <p className="text-sm text-gray-600 mt-1">
           Organize your user stories along the user journey backbone
@@ -460,6 +1028,7 @@ const StoryMappingBoard = ({ stories, epics, onUpdateStory, onDeleteStory, onUpd
                 onEdit={onUpdateEpic}
                 onDelete={onDeleteEpic}
                 onAddStory={onAddStory}
+                onExport={onExportEpic}
               />
             </div>
           ))}
@@ -499,6 +1068,7 @@ const StoryMappingBoard = ({ stories, epics, onUpdateStory, onDeleteStory, onUpd
                       story={story}
                       onEdit={onUpdateStory}
                       onDelete={onDeleteStory}
+                      onUnsplit={onUnsplitStory}
                       isDragging={draggedItem?.id === story.id}
                     />
                   </div>
@@ -540,6 +1110,7 @@ const StoryMappingBoard = ({ stories, epics, onUpdateStory, onDeleteStory, onUpd
                     story={story}
                     onEdit={onUpdateStory}
                     onDelete={onDeleteStory}
+                    onUnsplit={onUnsplitStory}
                     isDragging={draggedItem?.id === story.id}
                   />
                 </div>
@@ -552,69 +1123,525 @@ const StoryMappingBoard = ({ stories, epics, onUpdateStory, onDeleteStory, onUpd
   );
 };
 
-// Story Editor Component
-const StoryEditor = ({ 
-  onStoryChange, 
-  currentStory, 
-  publishedStory,
-  onPublish,
-  connectedUsers = [], 
-  currentUser, 
-  typingUsers = new Set(), 
-  sendTypingIndicator = () => {}, 
-  isPublishing = false 
-}) => {
-  const [story, setStory] = useState(currentStory || '');
-  const [isDirty, setIsDirty] = useState(false);
-  const [lastSavedVersion, setLastSavedVersion] = useState(currentStory || '');
-  const textareaRef = useRef(null);
-  const typingTimeoutRef = useRef(null);
+// Version History Drawer - browse snapshots, diff against current, restore
+const VersionHistoryDrawer = ({ onClose, onLoadVersions, onLoadDiff, onRestore }) => {
+  const [versions, setVersions] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
 
-  useEffect(() => {
-    const handleCollaborativeUpdate = (event) => {
-      const { changes, user } = event.detail;
-      if (user.id !== currentUser?.id) {
+  const loadVersions = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setVersions(await onLoadVersions());
+      setError(null);
+    } catch (loadError) {
+      setError(describeError(loadError));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [onLoadVersions]);
+
+  useEffect(() => {
+    loadVersions();
+  }, [loadVersions]);
+
+  const latestVersion = versions.length > 0 ? versions[versions.length - 1].version : null;
+
+  const handleSelect = async (version) => {
+    setSelected(version);
+    setDiff(null);
+    if (version === latestVersion) return;
+    try {
+      setDiff(await onLoadDiff(version, latestVersion));
+    } catch (diffError) {
+      setError(describeError(diffError));
+    }
+  };
+
+  const handleRestore = async () => {
+    try {
+      await onRestore(selected);
+      setSelected(null);
+      setDiff(null);
+      await loadVersions();
+    } catch (restoreError) {
+      setError(describeError(restoreError));
+    }
+  };
+
+  const formatValue = (value) => Array.isArray(value) ? value.join('; ') : (value ?? '—');
+
+  return (
+    <div className="absolute inset-y-0 right-0 w-80 bg-white border-l border-gray-200 shadow-lg z-10 flex flex-col">
+      <div className="flex items-center justify-between p-4 border-b border-gray-200">
+        <h3 className="text-sm font-semibold text-gray-800 flex items-center gap-2">
+          <History size={16} />
+          Version History
+        </h3>
+        <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600">
+          <X size={14} />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-auto">
+        {isLoading && (
+          <div className="p-4 text-xs text-gray-500 flex items-center gap-2">
+            <Loader2 size={12} className="animate-spin" />
+            Loading versions...
+          </div>
+        )}
+        {error && (
+          <div className="p-3 m-3 text-xs text-red-700 bg-red-50 rounded flex items-center gap-1">
+            <AlertCircle size={12} />
+            {error}
+          </div>
+        )}
+
+        {[...versions].reverse().map(version => (
+          <div key={version.id} className="border-b border-gray-100">
+            <button
+              onClick={() => handleSelect(version.version)}
+              className={`w-full text-left p-3 hover:bg-gray-50 ${selected === version.version ? 'bg-blue-50' : ''}`}
+            >
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-gray-800">
+                  v{version.version}
+                  {version.version === latestVersion && <span className="ml-2 text-xs text-green-600">current</span>}
+                </span>
+                <span className="text-xs text-gray-500">{new Date(version.createdAt).toLocaleString()}</span>
+              </div>
+              <div className="text-xs text-gray-600 mt-1">
+                {version.reason}{version.restoredFrom ? ` from v${version.restoredFrom}` : ''}
+                {version.contributors?.length > 1
+                  ? ` by ${version.contributors.map(contributor => contributor.name).join(', ')}`
+                  : version.author?.name ? ` by ${version.author.name}` : ''}
+              </div>
+            </button>
+
+            {selected === version.version && diff && (
+              <div className="px-3 pb-3 space-y-2">
+                {diff.changes.length === 0 && (
+                  <div className="text-xs text-gray-500">No differences from the current version</div>
+                )}
+                {diff.changes.map(change => (
+                  <div key={change.field} className="text-xs">
+                    <div className="font-medium text-gray-700">{change.field}</div>
+                    <div className="text-red-700 bg-red-50 rounded px-2 py-1 mt-1 line-through">{formatValue(change.from)}</div>
+                    <div className="text-green-700 bg-green-50 rounded px-2 py-1 mt-1">{formatValue(change.to)}</div>
+                  </div>
+                ))}
+                <button
+                  onClick={handleRestore}
+                  className="w-full mt-2 px-3 py-1.5 text-xs font-medium text-white bg-blue-600 rounded hover:bg-blue-700 flex items-center justify-center gap-1"
+                >
+                  <RotateCcw size={12} />
+                  Restore v{version.version}
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Trash Drawer - deleted stories and epics, restorable one delete at a time
+const TrashDrawer = ({ onClose, onLoad, onRestore, onPurge }) => {
+  const [entries, setEntries] = useState([]);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    onLoad()
+      .then(loaded => {
+        setEntries(loaded);
+        setError(null);
+      })
+      .catch(loadError => setError(describeError(loadError)))
+      .finally(() => setIsLoading(false));
+  }, [onLoad]);
+
+  const handleAction = async (action, entryId) => {
+    try {
+      await action(entryId);
+      setEntries(prev => prev.filter(entry => entry.id !== entryId));
+      setError(null);
+    } catch (actionError) {
+      setError(describeError(actionError));
+    }
+  };
+
+  const handlePurge = (entry) => {
+    if (window.confirm(`Delete "${entry.title}" and everything deleted with it for good?`)) {
+      handleAction(onPurge, entry.id);
+    }
+  };
+
+  return (
+    <div className="absolute inset-y-0 right-0 w-80 bg-white border-l border-gray-200 shadow-lg z-10 flex flex-col">
+      <div className="flex items-center justify-between p-4 border-b border-gray-200">
+        <h3 className="text-sm font-semibold text-gray-800 flex items-center gap-2">
+          <Trash2 size={16} />
+          Trash
+        </h3>
+        <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600">
+          <X size={14} />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-auto">
+        {isLoading && (
+          <div className="p-4 text-xs text-gray-500 flex items-center gap-2">
+            <Loader2 size={12} className="animate-spin" />
+            Loading trash...
+          </div>
+        )}
+        {error && (
+          <div className="p-3 m-3 text-xs text-red-700 bg-red-50 rounded flex items-center gap-1">
+            <AlertCircle size={12} />
+            {error}
+          </div>
+        )}
+        {!isLoading && entries.length === 0 && (
+          <div className="p-4 text-xs text-gray-500">The trash is empty</div>
+        )}
+
+        {entries.map(entry => (
+          <div key={entry.id} className="p-3 border-b border-gray-100">
+            <div className="flex items-center justify-between">
+              <span className="text-sm font-medium text-gray-800 truncate">{entry.title || 'Untitled'}</span>
+              <span className="text-xs text-gray-500">{entry.type}</span>
+            </div>
+            <div className="text-xs text-gray-600 mt-1">
+              {new Date(entry.deletedAt).toLocaleString()}
+              {entry.deletedBy?.name ? ` by ${entry.deletedBy.name}` : ''}
+            </div>
+            {entry.items.length > 1 && (
+              <div className="text-xs text-gray-500 mt-1">
+                {entry.items.length} items: {entry.items.map(item => item.title || item.id).join(', ')}
+              </div>
+            )}
+            <div className="flex gap-2 mt-2">
+              <button
+                onClick={() => handleAction(onRestore, entry.id)}
+                className="flex-1 px-2 py-1 text-xs font-medium text-white bg-blue-600 rounded hover:bg-blue-700 flex items-center justify-center gap-1"
+              >
+                <RotateCcw size={12} />
+                Restore
+              </button>
+              {onPurge && (
+                <button
+                  onClick={() => handlePurge(entry)}
+                  className="flex-1 px-2 py-1 text-xs font-medium text-red-700 bg-red-50 rounded hover:bg-red-100"
+                >
+                  Delete forever
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Delete Options Dialog - shown when a story has sub-stories or an epic
+// has stories, so the user decides what happens to them
+const DELETE_OPTIONS = {
+  story: [
+    { mode: 'reparent', label: (count) => `Keep the ${count} sub-stories and move them up a level` },
+    { mode: 'cascade', label: (count) => `Delete the ${count} sub-stories as well` }
+  ],
+  epic: [
+    { mode: 'unassign', label: (count) => `Keep the ${count} stories as unassigned` },
+    { mode: 'cascade', label: (count) => `Delete the ${count} stories and their sub-stories as well` }
+  ]
+};
+
+const DeleteOptionsDialog = ({ target, onConfirm, onCancel }) => {
+  const options = DELETE_OPTIONS[target.type];
+  const [mode, setMode] = useState(options[0].mode);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 z-50 flex items-center justify-center">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-md">
+        <div className="p-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+            <Trash2 size={18} className="text-red-500" />
+            Delete "{target.title}"?
+          </h3>
+          <p className="text-sm text-gray-600 mt-1">
+            Everything deleted goes to the trash and can be restored from there.
+          </p>
+        </div>
+
+        <div className="p-4 space-y-2">
+          {options.map(option => (
+            <label key={option.mode} className="flex items-start gap-2 text-sm text-gray-700 cursor-pointer">
+              <input
+                type="radio"
+                name="delete-mode"
+                checked={mode === option.mode}
+                onChange={() => setMode(option.mode)}
+                className="mt-1"
+              />
+              {option.label(target.count)}
+            </label>
+          ))}
+        </div>
+
+        <div className="p-4 border-t border-gray-200 flex justify-end gap-2">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onConfirm(mode)}
+            className="px-4 py-2 text-sm font-medium text-white bg-red-600 rounded-lg hover:bg-red-700"
+          >
+            Delete
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Merge Conflict Dialog - shown when an auto-save hits a newer server copy
+const MergeConflictDialog = ({ conflict, onResolve, onCancel }) => {
+  const { current, fields = [], localContent } = conflict;
+  const [merged, setMerged] = useState(localContent);
+  const otherChanges = fields.filter(field => field.field !== 'content' && field.changedOnServer);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 z-50 flex items-center justify-center">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] flex flex-col">
+        <div className="p-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+            <AlertCircle size={18} className="text-amber-500" />
+            Someone else changed this story
+          </h3>
+          <p className="text-sm text-gray-600 mt-1">
+            Your edits were based on version {conflict.expectedVersion}, but the story is now at version {conflict.currentVersion}.
+            Choose which text to keep or combine them below.
+          </p>
+        </div>
+
+        <div className="flex-1 overflow-auto p-4 space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <div className="text-xs font-medium text-gray-700 mb-1">Their version</div>
+              <pre className="p-3 text-xs bg-gray-50 border border-gray-200 rounded whitespace-pre-wrap font-mono h-40 overflow-auto">
+                {current.content || ''}
+              </pre>
+            </div>
+            <div>
+              <div className="text-xs font-medium text-gray-700 mb-1">Your version</div>
+              <pre className="p-3 text-xs bg-blue-50 border border-blue-200 rounded whitespace-pre-wrap font-mono h-40 overflow-auto">
+                {localContent}
+              </pre>
+            </div>
+          </div>
+
+          <div>
+            <div className="text-xs font-medium text-gray-700 mb-1">Merged result</div>
+            <textarea
+              value={merged}
+              onChange={(e) => setMerged(e.target.value)}
+              className="w-full h-40 p-3 text-sm border border-gray-300 rounded font-mono focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+
+          {otherChanges.length > 0 && (
+            <div className="text-xs text-gray-600">
+              <div className="font-medium text-gray-700 mb-1">Also changed on the server (kept as is):</div>
+              <ul className="list-disc list-inside">
+                {otherChanges.map(field => (
+                  <li key={field.field}>{field.field}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-gray-200 flex justify-end gap-2">
+          <button
+            onClick={onCancel}
+            className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-800"
+          >
+            Decide later
+          </button>
+          <button
+            onClick={() => onResolve(current.content || '', false)}
+            className="px-3 py-1.5 text-sm font-medium text-gray-700 bg-gray-100 rounded hover:bg-gray-200"
+          >
+            Use theirs
+          </button>
+          <button
+            onClick={() => onResolve(localContent, true)}
+            className="px-3 py-1.5 text-sm font-medium text-gray-700 bg-gray-100 rounded hover:bg-gray-200"
+          >
+            Keep mine
+          </button>
+          <button
+            onClick={() => onResolve(merged, true)}
+            className="px-3 py-1.5 text-sm font-medium text-white bg-blue-600 rounded hover:bg-blue-700"
+          >
+            Save merged
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Remote Cursor Overlay - mirrors the textarea text invisibly and draws a
+// caret for every other editor at their position
+const RemoteCursorOverlay = React.forwardRef(({ text, cursors }, ref) => {
+  const sorted = [...cursors].sort((a, b) => a.index - b.index);
+  const parts = [];
+  let offset = 0;
+
+  sorted.forEach(cursor => {
+    parts.push(text.slice(offset, cursor.index));
+    parts.push(
+      <span
+        key={cursor.clientId}
+        className="relative inline-block"
+        style={{ width: 0, height: '1.25em', verticalAlign: 'text-bottom', borderLeft: `2px solid ${cursor.color}` }}
+      >
+        <span
+          className="absolute -top-4 left-0 px-1 text-[10px] leading-4 text-white rounded whitespace-nowrap"
+          style={{ backgroundColor: cursor.color }}
+        >
+          {cursor.user?.name || 'Someone'}
+        </span>
+      </span>
+    );
+    offset = cursor.index;
+  });
+  parts.push(text.slice(offset));
+
+  return (
+    <div
+      ref={ref}
+      aria-hidden="true"
+      className="absolute inset-4 p-4 border border-transparent overflow-hidden pointer-events-none font-mono text-sm leading-relaxed whitespace-pre-wrap break-words text-transparent"
+    >
+      {parts}
+    </div>
+  );
+});
+
+// Story Editor Component
+const StoryEditor = ({ 
+  storyId,
+  onStoryChange, 
+  currentStory, 
+  publishedStory,
+  onPublish,
+  canEdit = true,
+  canPublish = true,
+  connectedUsers = [], 
+  currentUser, 
+  typingUsers = new Set(), 
+  sendTypingIndicator = () => {}, 
+  isPublishing = false,
+  onLoadVersions,
+  onLoadVersionDiff,
+  onRestoreVersion,
+  onExport,
+  collab
+}) => {
+  const [story, setStory] = useState(currentStory || '');
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [isDirty, setIsDirty] = useState(false);
+  const [lastSavedVersion, setLastSavedVersion] = useState(currentStory || '');
+  const [updatedBy, setUpdatedBy] = useState(null);
+  const textareaRef = useRef(null);
+  const overlayRef = useRef(null);
+  const selectionRef = useRef(null);
+  const typingTimeoutRef = useRef(null);
+
+  // Character-level editing once the shared document has loaded; until then
+  // (or without a server) fall back to debounced whole-text saves.
+  const isCollaborative = Boolean(collab?.isReady);
+  const text = isCollaborative ? collab.content : story;
+
+  // Pick up changes made outside the editor (e.g. an applied AI suggestion)
+  useEffect(() => {
+    setStory(prev => prev === currentStory ? prev : currentStory);
+    setLastSavedVersion(currentStory);
+  }, [currentStory]);
+
+  useEffect(() => {
+    const handleCollaborativeUpdate = (event) => {
+      const { changes, user } = event.detail;
+      if (!isCollaborative && user.id !== currentUser?.id) {
         setStory(changes.content || story);
         setLastSavedVersion(changes.content || story);
-        showCollaborativeUpdate(user, changes);
+        setUpdatedBy(user);
       }
     };
 
     window.addEventListener('collaborative-story-update', handleCollaborativeUpdate);
     return () => window.removeEventListener('collaborative-story-update', handleCollaborativeUpdate);
-  }, [story, currentUser]);
-
-  const showCollaborativeUpdate = (user, changes) => {
-    const notification = document.createElement('div');
-    notification.className = 'fixed top-4 right-4 bg-blue-500 text-white px-4 py-2 rounded-lg shadow-lg z-50 transition-all duration-300';
-    notification.innerHTML = `
-      <div class="flex items-center gap-2">
-        <span>${user.avatar}</span>
-        <span>${user.name} updated the story</span>
-      </div>
-    `;
-    document.body.appendChild(notification);
-    
-    setTimeout(() => {
-      notification.style.opacity = '0';
-      setTimeout(() => document.body.removeChild(notification), 300);
-    }, 3000);
+  }, [story, currentUser, isCollaborative]);
+
+  // Keep the local caret on the same characters when remote edits land
+  useLayoutEffect(() => {
+    const textarea = textareaRef.current;
+    if (!isCollaborative || !selectionRef.current || document.activeElement !== textarea) return;
+
+    const start = collab.toAbsolute(selectionRef.current.start);
+    const end = collab.toAbsolute(selectionRef.current.end);
+    if (start !== null && end !== null && (textarea.selectionStart !== start || textarea.selectionEnd !== end)) {
+      textarea.setSelectionRange(start, end);
+    }
+  }, [collab, isCollaborative, text]);
+
+  const rememberSelection = (textarea) => {
+    if (!isCollaborative) return;
+    selectionRef.current = {
+      start: collab.toRelative(textarea.selectionStart),
+      end: collab.toRelative(textarea.selectionEnd)
+    };
+    collab.updateCursor(textarea.selectionStart, textarea.selectionEnd);
   };
 
+  // Who last changed the story from elsewhere, shown for a few seconds
+  useEffect(() => {
+    if (!updatedBy) return undefined;
+    const timeout = setTimeout(() => setUpdatedBy(null), 3000);
+    return () => clearTimeout(timeout);
+  }, [updatedBy]);
+
   const handleChange = (e) => {
     const newStory = e.target.value;
-    setStory(newStory);
-    setIsDirty(true);
-    
+
     if (typingTimeoutRef.current) {
       clearTimeout(typingTimeoutRef.current);
     }
     
-    sendTypingIndicator('main-story', true);
+    sendTypingIndicator(storyId, true);
     
     typingTimeoutRef.current = setTimeout(() => {
-      sendTypingIndicator('main-story', false);
+      sendTypingIndicator(storyId, false);
     }, 1000);
+
+    if (isCollaborative) {
+      collab.setText(newStory);
+      rememberSelection(e.target);
+      return;
+    }
+
+    setStory(newStory);
+    setIsDirty(true);
     
     clearTimeout(window.storyTimeout);
     window.storyTimeout = setTimeout(() => {
@@ -626,13 +1653,21 @@ const StoryEditor = ({
 
   const currentTypingUsers = connectedUsers.filter(user => 
     user.id !== currentUser?.id && 
-    typingUsers.has(`${user.id}-main-story`)
+    typingUsers.has(`${user.id}-${storyId}`)
   );
 
-  const hasChanges = story !== publishedStory;
+  const hasChanges = text !== publishedStory;
 
   return (
-    <div className="flex flex-col h-full">
+    <div className="flex flex-col h-full relative">
+      {isHistoryOpen && (
+        <VersionHistoryDrawer
+          onClose={() => setIsHistoryOpen(false)}
+          onLoadVersions={onLoadVersions}
+          onLoadDiff={onLoadVersionDiff}
+          onRestore={onRestoreVersion}
+        />
+      )}
       <div className="flex items-center justify-between p-4 border-b border-gray-200 bg-white">
         <div className="flex items-center gap-3">
           <h2 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
@@ -645,7 +1680,7 @@ const StoryEditor = ({
               <div className="flex">
                 {currentTypingUsers.slice(0, 3).map(user => (
                   <span key={user.id} className="text-lg" title={`${user.name} is typing`}>
-                    {user.avatar}
+                    <UserAvatar user={user} />
                   </span>
                 ))}
               </div>
@@ -660,20 +1695,26 @@ const StoryEditor = ({
         </div>
         
         <div className="flex items-center gap-3">
-          {isDirty && (
+          {isCollaborative && (
+            <span className="text-xs text-green-600 flex items-center gap-1" title="Edits merge live with other editors">
+              <Wifi size={12} />
+              Live
+            </span>
+          )}
+          {!isCollaborative && isDirty && (
             <span className="text-xs text-amber-600 flex items-center gap-1">
               <RefreshCw size={12} className="animate-spin" />
               Auto-saving...
             </span>
           )}
-          {!isDirty && lastSavedVersion && (
+          {!isCollaborative && !isDirty && lastSavedVersion && (
             <span className="text-xs text-green-600 flex items-center gap-1">
               <CheckCircle size={12} />
               Saved
             </span>
           )}
           
-          {hasChanges && (
+          {hasChanges && canPublish && (
             <button
               onClick={onPublish}
               disabled={isPublishing || isDirty}
@@ -693,27 +1734,101 @@ const StoryEditor = ({
             </button>
           )}
           
+          {onLoadVersions && (
+            <button
+              onClick={() => setIsHistoryOpen(open => !open)}
+              className="px-2 py-1.5 text-sm text-gray-600 hover:text-gray-800 flex items-center gap-1"
+              title="Version history"
+            >
+              <History size={14} />
+              History
+            </button>
+          )}
+
+          {onExport && (
+            <select
+              value=""
+              onChange={(e) => e.target.value && onExport(e.target.value)}
+              className="px-2 py-1 text-sm text-gray-600 border border-gray-300 rounded-lg bg-white"
+              title="Export"
+            >
+              <option value="">Export…</option>
+              <option value="markdown">Markdown with INVEST scorecard</option>
+              <option value="gherkin">Gherkin feature</option>
+            </select>
+          )}
+
           <span className="text-xs text-gray-500">
-            {story.length} characters
+            {text.length} characters
           </span>
         </div>
       </div>
       
+      {isCollaborative && collab.error && (
+        <div className="mx-4 mt-3 px-3 py-2 text-xs text-red-700 bg-red-50 border border-red-200 rounded-lg">
+          {collab.error}
+        </div>
+      )}
+
       <div className="flex-1 p-4 relative">
+        {isCollaborative && collab.cursors.length > 0 && (
+          <RemoteCursorOverlay ref={overlayRef} text={text} cursors={collab.cursors} />
+        )}
         <textarea
           ref={textareaRef}
-          value={story}
+          value={text}
+          readOnly={!canEdit}
           onChange={handleChange}
+          onSelect={(e) => rememberSelection(e.target)}
+          onScroll={(e) => {
+            if (overlayRef.current) overlayRef.current.scrollTop = e.target.scrollTop;
+          }}
           placeholder="Enter your user story here...
 
 Example:
 As a content manager, I can publish a news story to the corporate website so that our audience stays informed about company updates.
 
 The AI agents will help you analyze, split, and improve this story according to INVEST criteria and agile best practices."
-          className="w-full h-full p-4 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none font-mono text-sm leading-relaxed"
+          className="w-full h-full p-4 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none font-mono text-sm leading-relaxed bg-transparent relative"
         />
       </div>
 
+      {isCollaborative && (
+        <div className="px-4 pb-4">
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-xs font-medium text-gray-700">Acceptance Criteria</span>
+            <button
+              onClick={collab.addCriterion}
+              disabled={!canEdit}
+              className="text-xs text-blue-600 hover:text-blue-700 flex items-center gap-1 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Plus size={12} />
+              Add
+            </button>
+          </div>
+          <div className="space-y-1">
+            {collab.criteria.map((criterion, index) => (
+              <div key={index} className="flex items-center gap-2">
+                <input
+                  value={criterion}
+                  onChange={(e) => collab.setCriterion(index, e.target.value)}
+                  disabled={!canEdit}
+                  placeholder="Given ..., When ..., Then ..."
+                  className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 disabled:bg-gray-50"
+                />
+                <button
+                  onClick={() => collab.removeCriterion(index)}
+                  disabled={!canEdit}
+                  className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Trash2 size={12} />
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       <div className="p-4 border-t border-gray-200 bg-gray-50">
         <div className="text-xs text-gray-600">
           <p className="mb-1"><strong>Tips:</strong></p>
@@ -724,6 +1839,87 @@ The AI agents will help you analyze, split, and improve this story according to
           </ul>
         </div>
       </div>
+
+      {updatedBy && (
+        <div className="fixed top-4 right-4 bg-blue-500 text-white px-4 py-2 rounded-lg shadow-lg z-50">
+          <div className="flex items-center gap-2">
+            <UserAvatar user={updatedBy} />
+            <span>{updatedBy.name} updated the story</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Split Acceptance Component - pick which suggested splits to create
+const SplitAcceptance = ({ splits, status, onAccept }) => {
+  const [selected, setSelected] = useState(() => new Set(splits.map(split => split.id)));
+  const [titles, setTitles] = useState(() =>
+    splits.reduce((acc, split) => ({ ...acc, [split.id]: split.title }), {})
+  );
+
+  const toggle = (splitId) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(splitId)) {
+        next.delete(splitId);
+      } else {
+        next.add(splitId);
+      }
+      return next;
+    });
+  };
+
+  const handleAccept = () => {
+    const splitIds = splits.map(split => split.id).filter(id => selected.has(id));
+    const edits = splitIds.reduce((acc, id) => {
+      const original = splits.find(split => split.id === id);
+      if (titles[id] !== original.title) acc[id] = { title: titles[id] };
+      return acc;
+    }, {});
+    onAccept(splitIds, edits);
+  };
+
+  if (status === 'accepted') {
+    return (
+      <div className="mt-2 text-xs font-medium text-green-600 flex items-center gap-1">
+        <CheckCircle size={12} />
+        Splits added to the board
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-2 space-y-2">
+      {splits.map(split => (
+        <label key={split.id} className="flex items-center gap-2 text-sm">
+          <input
+            type="checkbox"
+            checked={selected.has(split.id)}
+            onChange={() => toggle(split.id)}
+          />
+          <input
+            value={titles[split.id]}
+            onChange={(e) => setTitles(prev => ({ ...prev, [split.id]: e.target.value }))}
+            disabled={!selected.has(split.id)}
+            className="flex-1 px-2 py-1 text-xs border border-gray-300 rounded disabled:bg-gray-100 disabled:text-gray-400"
+          />
+        </label>
+      ))}
+      <div className="flex items-center gap-2">
+        <button
+          onClick={handleAccept}
+          disabled={selected.size === 0 || status === 'pending'}
+          className="px-3 py-1.5 text-xs font-medium text-white bg-green-600 rounded hover:bg-green-700 disabled:opacity-50 flex items-center gap-1"
+        >
+          {status === 'pending' ? <Loader2 size={12} className="animate-spin" /> : <Split size={12} />}
+          Accept {selected.size} of {splits.length} splits
+        </button>
+        {status?.error && (
+          <span className="text-xs text-red-600">{status.error}</span>
+        )}
+      </div>
     </div>
   );
 };
@@ -732,10 +1928,15 @@ The AI agents will help you analyze, split, and improve this story according to
 const AIInsights = ({ 
   messages, 
   onSendMessage, 
+  onRunPipeline,
+  onSuggestionDecision,
+  onAcceptSplits,
   isConnected, 
   connectedUsers = [], 
   currentUser,
+  storyId,
   currentStory,
+  canRunAgents = true,
   stories = [],
   epics = []
 }) => {
@@ -750,6 +1951,25 @@ const AIInsights = ({
     { id: 'review', name: 'Quality Reviewer', icon: CheckCircle, color: 'orange' }
   ];
 
+  const pipelineAgent = { id: 'pipeline', name: 'Agent Pipeline', icon: Zap, color: 'indigo' };
+
+  // Viewers can read insights but not request new ones
+  const agentsLocked = !isConnected || !canRunAgents;
+
+  const buildStoryData = (requestType) => ({
+    story: {
+      id: storyId,
+      content: currentStory,
+      title: currentStory.split('\n')[0] || 'Untitled Story',
+      acceptanceCriteria: []
+    },
+    context: {
+      epics: epics,
+      relatedStories: stories
+    },
+    requestType
+  });
+
   const handleAgentAction = async (agentId) => {
     if (!currentStory.trim()) {
       setError('Please enter a story before requesting AI analysis.');
@@ -761,47 +1981,132 @@ const AIInsights = ({
     setError(null);
     
     try {
-      const storyData = {
-        story: {
-          content: currentStory,
-          title: currentStory.split('\n')[0] || 'Untitled Story',
-          acceptanceCriteria: []
-        },
-        context: {
-          epics: epics,
-          relatedStories: stories
-        },
-        requestType: agentId
-      };
-
-      await onSendMessage(agentId, storyData);
+      await onSendMessage(agentId, buildStoryData(agentId));
     } catch (err) {
-      setError(`AI Agent (${agents.find(a => a.id === agentId)?.name}) temporarily unavailable. Please try again later.`);
+      setError(`AI Agent (${agents.find(a => a.id === agentId)?.name}) failed: ${describeError(err)}`);
     } finally {
       setLoadingAgent(null);
     }
   };
 
-  const renderMessage = (message) => {
-    const agent = agents.find(a => a.name === message.agent) || agents[0];
-    
-    return (
+  const handleRunPipeline = async () => {
+    if (!currentStory.trim()) {
+      setError('Please enter a story before requesting AI analysis.');
+      return;
+    }
+
+    setActiveAgent(pipelineAgent.id);
+    setLoadingAgent(pipelineAgent.id);
+    setError(null);
+
+    try {
+      await onRunPipeline(buildStoryData(pipelineAgent.id));
+    } catch (err) {
+      setError(`Agent pipeline failed: ${describeError(err)}`);
+    } finally {
+      setLoadingAgent(null);
+    }
+  };
+
+  const renderMessage = (message) => {
+    const agent = agents.find(a => a.name === message.agent) ||
+      (message.agent === pipelineAgent.name ? pipelineAgent : agents[0]);
+    
+    return (
       <div key={message.id} className="mb-6 p-4 bg-white rounded-lg border border-gray-200 shadow-sm">
         <div className="flex items-center gap-2 mb-3">
           <div className={`p-2 rounded-full bg-${agent.color}-100`}>
             <agent.icon size={16} className={`text-${agent.color}-600`} />
           </div>
-          <span className="font-medium text-gray-800">{message.agent}</span>
+          <span className="font-medium text-gray-800">{message.agent || 'Thinking...'}</span>
           <span className="text-xs text-gray-500">
             {new Date(message.timestamp).toLocaleTimeString()}
           </span>
+          {message.durationMs !== undefined && (
+            <span className="text-xs text-gray-400">{message.durationMs} ms</span>
+          )}
         </div>
         
         <div className="text-sm text-gray-700 mb-3">
           {message.content}
+          {message.streaming && (
+            <span className="inline-block w-2 h-4 ml-0.5 align-middle bg-gray-400 animate-pulse" />
+          )}
         </div>
 
-        {message.suggestions && (
+        {message.streaming && message.answer && (
+          <pre className="mb-3 p-2 max-h-40 overflow-y-auto bg-gray-50 rounded text-xs text-gray-500 whitespace-pre-wrap">
+            {message.answer}
+          </pre>
+        )}
+
+        {message.timings && (
+          <div className="mb-3">
+            <h4 className="font-medium text-gray-800 mb-2">Pipeline Steps:</h4>
+            <div className="space-y-1 text-sm">
+              {message.timings.map(step => (
+                <div key={step.agentType} className="flex items-center gap-2">
+                  <div className={`w-3 h-3 rounded-full ${
+                    step.status === 'completed' ? 'bg-green-500' :
+                    step.status === 'failed' ? 'bg-red-500' : 'bg-gray-300'
+                  }`} />
+                  <span className="font-medium text-gray-700">{step.agent}</span>
+                  <span className="text-xs text-gray-500">
+                    {step.status === 'completed' ? `${step.durationMs} ms` : step.status}
+                  </span>
+                  {step.reason && (
+                    <span className="text-xs text-gray-400 truncate">{step.reason}</span>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {message.storyId && message.analysis?.improvementSuggestions?.length > 0 ? (
+          <div className="mb-3">
+            <h4 className="font-medium text-gray-800 mb-2">Suggestions:</h4>
+            <div className="space-y-2">
+              {message.analysis.improvementSuggestions.map(suggestion => {
+                const decision = message.suggestionDecisions?.[suggestion.id];
+                return (
+                  <div key={suggestion.id} className="p-2 bg-gray-50 rounded border text-sm">
+                    <div className="text-gray-700">{suggestion.reasoning}</div>
+                    <div className="text-xs text-gray-500 mt-1 font-mono">{suggestion.suggestedValue}</div>
+                    <div className="flex items-center gap-2 mt-2">
+                      {decision === 'applied' || decision === 'rejected' ? (
+                        <span className={`text-xs font-medium ${decision === 'applied' ? 'text-green-600' : 'text-gray-500'}`}>
+                          {decision === 'applied' ? 'Applied' : 'Rejected'}
+                        </span>
+                      ) : (
+                        <>
+                          <button
+                            onClick={() => onSuggestionDecision(message.id, message.storyId, suggestion.id, 'apply')}
+                            disabled={decision === 'pending' || suggestion.type === 'split'}
+                            title={suggestion.type === 'split' ? 'Use the Splitting Expert to split this story' : undefined}
+                            className="px-2 py-1 text-xs font-medium text-white bg-green-600 rounded hover:bg-green-700 disabled:opacity-50"
+                          >
+                            Accept
+                          </button>
+                          <button
+                            onClick={() => onSuggestionDecision(message.id, message.storyId, suggestion.id, 'reject')}
+                            disabled={decision === 'pending'}
+                            className="px-2 py-1 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded hover:bg-gray-100 disabled:opacity-50"
+                          >
+                            Reject
+                          </button>
+                          {decision?.error && (
+                            <span className="text-xs text-red-600">{decision.error}</span>
+                          )}
+                        </>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        ) : message.suggestions && (
           <div className="mb-3">
             <h4 className="font-medium text-gray-800 mb-2">Suggestions:</h4>
             <ul className="list-disc list-inside space-y-1 text-sm text-gray-600">
@@ -819,21 +2124,40 @@ const AIInsights = ({
               {message.splits.map((split, idx) => (
                 <div key={idx} className="p-3 bg-gray-50 rounded border">
                   <div className="font-medium text-gray-800">{split.title}</div>
+                  {split.description && (
+                    <div className="text-xs text-gray-600 mt-1">{split.description}</div>
+                  )}
                   <div className="flex gap-4 mt-1 text-xs">
                     <span className={`px-2 py-1 rounded ${
-                      split.priority === 'High' ? 'bg-red-100 text-red-700' :
-                      split.priority === 'Medium' ? 'bg-yellow-100 text-yellow-700' :
+                      split.priority === 'High' || split.priority === 1 ? 'bg-red-100 text-red-700' :
+                      split.priority === 'Medium' || split.priority === 2 ? 'bg-yellow-100 text-yellow-700' :
                       'bg-green-100 text-green-700'
                     }`}>
-                      {split.priority} Priority
+                      {typeof split.priority === 'number' ? `Step ${split.priority}` : `${split.priority} Priority`}
                     </span>
                     <span className="px-2 py-1 bg-blue-100 text-blue-700 rounded">
-                      {split.effort} Effort
+                      {split.effort ? `${split.effort} Effort` : `Size ${split.estimatedSize}`}
                     </span>
                   </div>
+                  {split.rationale && (
+                    <div className="text-xs text-gray-500 mt-1 italic">{split.rationale}</div>
+                  )}
                 </div>
               ))}
             </div>
+            {message.storyId && message.splitResult?.recommendedApproach?.primarySuggestion && (
+              <SplitAcceptance
+                splits={message.splits}
+                status={message.splitAcceptance}
+                onAccept={(splitIds, edits) => onAcceptSplits(
+                  message.id,
+                  message.storyId,
+                  message.splitResult.recommendedApproach.primarySuggestion,
+                  splitIds,
+                  edits
+                )}
+              />
+            )}
           </div>
         )}
 
@@ -885,7 +2209,7 @@ const AIInsights = ({
                 : 'bg-green-100 text-green-800'
             }`}
           >
-            <span>{user.avatar}</span>
+            <UserAvatar user={user} />
             <span className="font-medium">
               {user.id === currentUser?.id ? 'You' : user.name}
             </span>
@@ -922,12 +2246,12 @@ const AIInsights = ({
             <button
               key={agent.id}
               onClick={() => handleAgentAction(agent.id)}
-              disabled={!isConnected || loadingAgent === agent.id}
+              disabled={agentsLocked || loadingAgent === agent.id}
               className={`p-3 rounded-lg border text-sm font-medium transition-all ${
                 activeAgent === agent.id
                   ? `bg-${agent.color}-50 border-${agent.color}-200 text-${agent.color}-700`
                   : 'bg-white border-gray-200 text-gray-600 hover:bg-gray-50'
-              } ${!isConnected || loadingAgent === agent.id ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
+              } ${agentsLocked || loadingAgent === agent.id ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
             >
               <div className="flex items-center gap-2">
                 {loadingAgent === agent.id ? (
@@ -940,12 +2264,32 @@ const AIInsights = ({
             </button>
           ))}
         </div>
+
+        <button
+          onClick={handleRunPipeline}
+          disabled={agentsLocked || loadingAgent !== null}
+          className={`mt-2 w-full p-3 rounded-lg border text-sm font-medium transition-all flex items-center justify-center gap-2 ${
+            activeAgent === pipelineAgent.id
+              ? 'bg-indigo-50 border-indigo-200 text-indigo-700'
+              : 'bg-white border-gray-200 text-gray-600 hover:bg-gray-50'
+          } ${agentsLocked || loadingAgent !== null ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
+        >
+          {loadingAgent === pipelineAgent.id ? (
+            <Loader2 size={16} className="animate-spin" />
+          ) : (
+            <Zap size={16} />
+          )}
+          <span>Run Full Pipeline</span>
+        </button>
         
         <div className="mt-3 flex items-center gap-2">
           <div className={`w-2 h-2 rounded-full ${isConnected ? 'bg-green-500' : 'bg-red-500'}`} />
           <span className="text-xs text-gray-600">
             {isConnected ? 'Connected to AI agents' : 'Connecting...'}
           </span>
+          {!canRunAgents && (
+            <span className="text-xs text-gray-500">· Viewers cannot run agents</span>
+          )}
         </div>
       </div>
 
@@ -1033,7 +2377,7 @@ const SplitPanel = ({ leftPanel, rightPanel, minLeftWidth = 300, minRightWidth =
 };
 
 // Header component
-const Header = ({ onExport, onImport, viewToggle, isConnected }) => {
+const Header = ({ onExport, onImport, viewToggle, isConnected, currentUser, onSignOut, workspace, workspaces = [], onSwitchWorkspace }) => {
   return (
     <header className="bg-white border-b border-gray-200 px-6 py-4">
       <div className="flex items-center justify-between">
@@ -1055,15 +2399,34 @@ const Header = ({ onExport, onImport, viewToggle, isConnected }) => {
         </div>
         
         <div className="flex items-center gap-4">
+          {workspace && (
+            <div className="flex items-center gap-2">
+              <select
+                value={workspace.id}
+                onChange={(e) => onSwitchWorkspace(e.target.value)}
+                className="px-2 py-1.5 text-sm border border-gray-300 rounded-lg bg-white text-gray-700"
+                title="Workspace"
+              >
+                {workspaces.map(option => (
+                  <option key={option.id} value={option.id}>{option.name}</option>
+                ))}
+              </select>
+              <span className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-600">
+                {ROLE_LABELS[workspace.role]}
+              </span>
+            </div>
+          )}
           {viewToggle}
           <div className="flex items-center gap-3">
-            <button 
-              onClick={onImport}
-              className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors flex items-center gap-2"
-            >
-              <Upload size={16} />
-              Import
-            </button>
+            {onImport && (
+              <button 
+                onClick={onImport}
+                className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors flex items-center gap-2"
+              >
+                <Upload size={16} />
+                Import
+              </button>
+            )}
             <button 
               onClick={onExport}
               className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2"
@@ -1072,241 +2435,741 @@ const Header = ({ onExport, onImport, viewToggle, isConnected }) => {
               Export
             </button>
           </div>
+          {currentUser && (
+            <div className="flex items-center gap-2 pl-4 border-l border-gray-200">
+              <span
+                className="w-7 h-7 rounded-full flex items-center justify-center text-white text-xs font-medium"
+                style={{ backgroundColor: currentUser.color }}
+                title={currentUser.email || currentUser.username || ''}
+              >
+                {currentUser.name.charAt(0).toUpperCase()}
+              </span>
+              <span className="text-sm text-gray-700">{currentUser.name}</span>
+              <button
+                onClick={onSignOut}
+                className="text-sm text-gray-500 hover:text-gray-800"
+              >
+                Sign out
+              </button>
+            </div>
+          )}
         </div>
       </div>
     </header>
   );
 };
 
+// Sign-in screen shown until there is a session
+const LoginScreen = ({ onSignedIn, initialError }) => {
+  const apiService = useRef(new APIService()).current;
+  const [providers, setProviders] = useState(null);
+  const [mode, setMode] = useState('login');
+  const [form, setForm] = useState({ username: '', password: '', name: '' });
+  const [error, setError] = useState(initialError || null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    apiService.getAuthProviders()
+      .then(setProviders)
+      .catch(() => setProviders({ local: { registration: false }, oidc: null }));
+  }, [apiService]);
+
+  const update = (field) => (event) => setForm(prev => ({ ...prev, [field]: event.target.value }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const session = mode === 'register'
+        ? await apiService.register(form)
+        : await apiService.login(form.username, form.password);
+      setSessionToken(session.token);
+      onSignedIn(session.user);
+    } catch (submitError) {
+      setError(submitError.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSingleSignOn = async () => {
+    setError(null);
+    try {
+      const { authorizationUrl } = await apiService.startOidcLogin();
+      window.location.assign(authorizationUrl);
+    } catch (ssoError) {
+      setError(ssoError.message);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="h-screen flex items-center justify-center bg-gray-100">
+      <div className="w-full max-w-sm bg-white rounded-xl shadow-lg p-6">
+        <div className="flex items-center gap-3 mb-6">
+          <div className="w-8 h-8 bg-gradient-to-r from-blue-500 to-purple-600 rounded-lg flex items-center justify-center">
+            <Sparkles size={18} className="text-white" />
+          </div>
+          <h1 className="text-xl font-semibold text-gray-800">Story Splitter AI</h1>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <input className={inputClass} placeholder="Username" autoComplete="username"
+            value={form.username} onChange={update('username')} required />
+          {mode === 'register' && (
+            <input className={inputClass} placeholder="Display name" autoComplete="name"
+              value={form.name} onChange={update('name')} />
+          )}
+          <input className={inputClass} type="password" placeholder="Password"
+            autoComplete={mode === 'register' ? 'new-password' : 'current-password'}
+            value={form.password} onChange={update('password')} required />
+
+          {error && (
+            <p className="text-sm text-red-600 flex items-center gap-1">
+              <AlertCircle size={14} /> {error}
+            </p>
+          )}
+
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="w-full px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center justify-center gap-2"
+          >
+            {isSubmitting && <Loader2 size={16} className="animate-spin" />}
+            {mode === 'register' ? 'Create account' : 'Sign in'}
+          </button>
+        </form>
+
+        {providers?.local?.registration && (
+          <button
+            onClick={() => setMode(mode === 'register' ? 'login' : 'register')}
+            className="w-full mt-3 text-sm text-blue-600 hover:underline"
+          >
+            {mode === 'register' ? 'Already have an account? Sign in' : 'New here? Create an account'}
+          </button>
+        )}
+
+        {providers?.oidc && (
+          <div className="mt-6 pt-4 border-t border-gray-200">
+            <button
+              onClick={handleSingleSignOn}
+              className="w-full px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 flex items-center justify-center gap-2"
+            >
+              <Globe size={16} />
+              Continue with {providers.oidc.name}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
 // Main Application Component
-const StoryEditorApp = () => {
+const StoryEditorApp = ({ currentUser, onSignOut, workspace, workspaces, onSwitchWorkspace }) => {
+  // The workspace's main story is the one the editor works on
+  const storyId = workspace.mainStoryId;
   const [currentStory, setCurrentStory] = useState('');
   const [publishedStory, setPublishedStory] = useState('');
   const [isPublishing, setIsPublishing] = useState(false);
+  const [mergeConflict, setMergeConflict] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const [backlogProgress, setBacklogProgress] = useState(null);
+  // Server version the editor content is based on, sent with every save
+  const storyVersionRef = useRef(null);
   const [activeView, setActiveView] = useState('editor');
   const [messages, setMessages] = useState([]);
   
-  const [stories, setStories] = useState([
-    {
-      id: '1',
-      title: 'User can log into the system',
-      description: 'Basic authentication functionality',
-      content: 'As a user, I can log into the system so that I can access my personal dashboard.',
-      epicId: 'epic1',
-      priority: 'High',
-      effort: 'Small',
-      storyPoints: 3,
-      acceptanceCriteria: ['Valid credentials allow access', 'Invalid credentials show error'],
-      status: 'published'
-    },
-    {
-      id: '2', 
-      title: 'User can view their profile',
-      description: 'Display user information and settings',
-      content: 'As a user, I can view my profile so that I can see my current information and settings.',
-      epicId: 'epic1',
-      priority: 'Medium',
-      effort: 'Medium',
-      storyPoints: 5,
-      acceptanceCriteria: ['Profile shows current information', 'Settings are editable'],
-      status: 'draft'
-    },
-    {
-      id: '3',
-      title: 'User can search for products',
-      description: 'Product search with filters',
-      content: 'As a customer, I can search for products so that I can find items I want to purchase.',
-      epicId: 'epic2',
-      priority: 'High',
-      effort: 'Large',
-      storyPoints: 8,
-      acceptanceCriteria: ['Search returns relevant results', 'Filters work correctly'],
-      status: 'draft'
-    }
-  ]);
-
-  const [epics, setEpics] = useState([
-    {
-      id: 'epic1',
-      title: 'User Management',
-      description: 'All user-related functionality',
-      order: 1
-    },
-    {
-      id: 'epic2', 
-      title: 'Product Discovery',
-      description: 'Search and browse products',
-      order: 2
-    }
-  ]);
+  // The board shows the workspace's stories and epics as stored
+  const [stories, setStories] = useState([]);
+  const [epics, setEpics] = useState([]);
+  const [boardError, setBoardError] = useState(null);
 
-  const apiService = new APIService();
+  const apiService = useRef(new APIService()).current;
   
   const { 
-    sendStoryUpdate,
+    client,
     sendTypingIndicator,
     isConnected, 
     connectedUsers,
-    currentUser,
     typingUsers
-  } = usePusherCollaboration('story-collaboration');
+  } = useCollaboration(storyId, currentUser);
+
+  const collab = useCollaborativeStory(client, storyId, currentUser);
+
+  // Agents and publishing read currentStory; keep it in step with the
+  // shared document while collaborative editing is active.
+  useEffect(() => {
+    if (collab.isReady) setCurrentStory(collab.content);
+  }, [collab.isReady, collab.content]);
+
+  useEffect(() => {
+    Promise.all([apiService.getStories(), apiService.getEpics()])
+      .then(([storedStories, storedEpics]) => {
+        // Children archived by an unsplit stay out of the way
+        setStories(storedStories.filter(story => story.status !== 'archived'));
+        setEpics(storedEpics);
+        setBoardError(null);
+      })
+      .catch(error => setBoardError('Failed to load the board: ' + describeError(error)));
+  }, [apiService, workspace.id]);
+
+  useEffect(() => {
+    apiService.getStory(storyId)
+      .then(story => {
+        storyVersionRef.current = story.version;
+        if (story.content) setCurrentStory(story.content);
+      })
+      .catch(error => console.error('Failed to load story:', error));
+  }, [apiService, storyId]);
+
+  // Saves from collaborators (and merged collaborative edits) move the
+  // server version on; the editor has already taken their content.
+  useEffect(() => {
+    const handleRemoteUpdate = (event) => {
+      const { changes } = event.detail;
+      if (changes?.version > (storyVersionRef.current || 0)) {
+        storyVersionRef.current = changes.version;
+      }
+    };
+
+    const handleRemotePublish = (event) => {
+      const { user } = event.detail;
+      if (user?.id === currentUser?.id) return;
+      apiService.getStory(storyId)
+        .then(story => {
+          storyVersionRef.current = story.version;
+          setPublishedStory(story.content || '');
+        })
+        .catch(error => console.error('Failed to load published story:', error));
+    };
+
+    // Show what collaborators' agents found alongside our own results
+    const handleRemoteAgentResponse = (event) => {
+      const { user, ...response } = event.detail;
+      if (user?.id === currentUser?.id) return;
+      setMessages(prev => [...prev, {
+        id: `remote-${response.timestamp}-${response.agentType}`,
+        timestamp: response.timestamp,
+        agent: `${response.agent} (for ${user?.name || 'a collaborator'})`,
+        content: response.content,
+        storyId: response.storyId
+      }]);
+    };
+
+    window.addEventListener('collaborative-story-update', handleRemoteUpdate);
+    window.addEventListener('collaborative-story-published', handleRemotePublish);
+    window.addEventListener('collaborative-agent-response', handleRemoteAgentResponse);
+    return () => {
+      window.removeEventListener('collaborative-story-update', handleRemoteUpdate);
+      window.removeEventListener('collaborative-story-published', handleRemotePublish);
+      window.removeEventListener('collaborative-agent-response', handleRemoteAgentResponse);
+    };
+  }, [apiService, currentUser, storyId]);
+
+  const saveStoryContent = useCallback(async (content) => {
+    const saved = await apiService.updateStory(storyId, {
+      content,
+      version: storyVersionRef.current
+    });
+    storyVersionRef.current = saved.version;
+    return saved;
+  }, [apiService, storyId]);
 
   const handleStoryChange = useCallback((newStory) => {
     setCurrentStory(newStory);
-    sendStoryUpdate('main-story', { content: newStory });
-  }, [sendStoryUpdate]);
+    saveStoryContent(newStory).catch(error => {
+      if (error.status === 409) {
+        setMergeConflict({ ...error.details, localContent: newStory });
+      } else {
+        console.error('Auto-save failed:', error);
+      }
+    });
+  }, [saveStoryContent]);
+
+  // overwrite=false takes the server copy as is
+  const handleResolveConflict = (content, overwrite) => {
+    const { current } = mergeConflict;
+    setMergeConflict(null);
+    storyVersionRef.current = current.version;
+    setCurrentStory(content);
+
+    if (overwrite) {
+      handleStoryChange(content);
+    }
+  };
+
+  // Stable identity so the history drawer only loads when it opens
+  const handleLoadVersions = useCallback(() => apiService.getStoryVersions(storyId), [apiService, storyId]);
+
+  const handleLoadVersionDiff = (from, to) => apiService.diffStoryVersions(storyId, from, to);
+
+  const handleRestoreVersion = async (version) => {
+    const restored = await apiService.restoreStoryVersion(storyId, version, { version: storyVersionRef.current });
+    storyVersionRef.current = restored.version;
+    setCurrentStory(restored.content || '');
+    // The server reseeds the shared document when text is replaced
+    collab.reload();
+  };
 
   const handlePublish = async () => {
     if (!currentStory.trim()) return;
     
     setIsPublishing(true);
     try {
-      const result = await apiService.publishStory('main-story');
+      const result = await apiService.publishStory(storyId);
+      storyVersionRef.current = result.version;
       setPublishedStory(currentStory);
-      
-      // Update the main story in stories array if it exists
-      const mainStoryId = '1'; // This would be dynamic
-      setStories(prev => prev.map(story => 
-        story.id === mainStoryId 
-          ? { ...story, content: currentStory, status: 'published' }
-          : story
-      ));
-      
-      // Notify other users
-      sendStoryUpdate('main-story', { content: currentStory, status: 'published' });
-      
+      setStories(prev => mergeRecords(prev, [result]));
     } catch (error) {
       console.error('Publish failed:', error);
-      alert('Failed to publish story: ' + error.message);
+      alert('Failed to publish story: ' + describeError(error));
     } finally {
       setIsPublishing(false);
     }
   };
 
+  const toAgentMessage = (agentType, response) => ({
+    id: response.id || 'msg-' + Date.now(),
+    timestamp: response.created ? response.created * 1000 : Date.now(),
+    agent: response.metadata?.agent || {
+      analyze: 'Story Analyst',
+      split: 'Splitting Expert', 
+      coach: 'Coaching Assistant',
+      review: 'Quality Reviewer'
+    }[agentType],
+    content: response.choices?.[0]?.message?.content || 'No response',
+    suggestions: response.metadata?.suggestions,
+    splits: response.metadata?.splits,
+    tips: response.metadata?.tips,
+    criteria: response.metadata?.criteria,
+    score: response.metadata?.score,
+    analysis: response.metadata?.analysis,
+    splitResult: response.metadata?.splitResult
+  });
+
   const handleSendMessage = async (agentType, storyData) => {
+    const messageId = `stream-${Date.now()}`;
+    const updateMessage = (update) => setMessages(prev => prev.map(message =>
+      message.id === messageId ? { ...message, ...update(message) } : message
+    ));
+
+    setMessages(prev => [...prev, {
+      id: messageId,
+      timestamp: Date.now(),
+      agent: null,
+      content: '',
+      streaming: true
+    }]);
+
     try {
-      const response = await apiService.callAgent(agentType, storyData);
-      
-      const message = {
-        id: response.id || 'msg-' + Date.now(),
-        timestamp: response.created || Date.now(),
-        agent: response.metadata?.agent || {
-          analyze: 'Story Analyst',
-          split: 'Splitting Expert', 
-          coach: 'Coaching Assistant',
-          review: 'Quality Reviewer'
-        }[agentType],
-        content: response.choices?.[0]?.message?.content || 'No response',
-        suggestions: response.metadata?.suggestions,
-        splits: response.metadata?.splits,
-        tips: response.metadata?.tips,
-        criteria: response.metadata?.criteria,
-        score: response.metadata?.score
-      };
-
-      setMessages(prev => [...prev, message]);
-      
+      const response = await apiService.streamAgent(agentType, storyData, (event, data) => {
+        if (event === 'start') {
+          updateMessage(() => ({ agent: data.agent }));
+        } else if (event === 'text') {
+          updateMessage(message => ({ answer: `${message.answer || ''}${data.text}` }));
+        } else if (event === 'criterion') {
+          updateMessage(message => ({ criteria: { ...message.criteria, [data.label]: data.passed } }));
+        } else if (event === 'split') {
+          updateMessage(message => ({ splits: [...(message.splits || []), ...data.splits] }));
+        } else if (event === 'tip') {
+          updateMessage(message => ({ tips: [...(message.tips || []), `${data.title}: ${data.practice}`] }));
+        } else if (event === 'dimension') {
+          updateMessage(message => ({ content: `${message.content}${data.name} ${data.score}%. ` }));
+        }
+      });
+
+      updateMessage(() => ({
+        ...toAgentMessage(agentType, response),
+        id: messageId,
+        storyId: storyData.story.id,
+        streaming: false
+      }));
     } catch (error) {
+      setMessages(prev => prev.filter(message => message.id !== messageId));
       throw error;
     }
   };
 
-  // Story management functions
-  const handleUpdateStory = (storyId, updatedStory) => {
-    setStories(prev => prev.map(story => 
-      story.id === storyId ? updatedStory : story
-    ));
-  };
+  const handleRunPipeline = async (storyData) => {
+    const report = await apiService.runPipeline(storyData);
 
-  const handleDeleteStory = (storyId) => {
-    setStories(prev => prev.filter(story => story.id !== storyId));
-  };
+    const stepMessages = report.steps
+      .filter(step => step.status === 'completed')
+      .map((step, index) => ({
+        ...toAgentMessage(step.agentType, step.response),
+        id: `${report.id}-${index}`,
+        storyId: storyData.story.id,
+        durationMs: step.durationMs
+      }));
 
-  const handleAddStory = (epicId) => {
-    const newStory = {
-      id: `story-${Date.now()}`,
-      title: 'New User Story',
-      description: '',
-      content: 'As a user, I can [action] so that [benefit].',
-      epicId: epicId === 'unassigned' ? null : epicId,
-      priority: 'Medium',
-      effort: 'Medium',
-      storyPoints: 0,
-      acceptanceCriteria: [],
-      status: 'draft'
+    const summary = report.summary;
+    const summaryMessage = {
+      id: report.id,
+      timestamp: Date.now(),
+      agent: 'Agent Pipeline',
+      content: summary
+        ? `Pipeline finished in ${report.totalDurationMs} ms. Score ${summary.overallScore}% (${summary.readinessLevel}), size ${summary.estimatedSize}` +
+          `${summary.splitRecommended ? ', splitting recommended' : ''}${summary.reviewVerdict ? `, review: ${summary.reviewVerdict}` : ''}.`
+        : `Pipeline stopped after ${report.totalDurationMs} ms - the analyst could not complete.`,
+      durationMs: report.totalDurationMs,
+      timings: report.steps.map(({ response, ...step }) => step)
     };
-    setStories(prev => [...prev, newStory]);
+
+    setMessages(prev => [...prev, ...stepMessages, summaryMessage]);
   };
 
-  // Epic management functions
-  const handleUpdateEpic = (epicId, updatedEpic) => {
-    setEpics(prev => prev.map(epic =>
-      epic.id === epicId ? updatedEpic : epic
+  const handleSuggestionDecision = async (messageId, storyId, suggestionId, decision) => {
+    const setDecision = (value) => setMessages(prev => prev.map(message =>
+      message.id === messageId
+        ? { ...message, suggestionDecisions: { ...message.suggestionDecisions, [suggestionId]: value } }
+        : message
     ));
+
+    setDecision('pending');
+    try {
+      const result = await apiService.decideSuggestion(storyId, suggestionId, decision);
+      setDecision(decision === 'apply' ? 'applied' : 'rejected');
+      storyVersionRef.current = result.story.version;
+
+      if (decision === 'apply') {
+        if (result.story.content !== undefined) {
+          setCurrentStory(result.story.content);
+        }
+        collab.reload();
+      }
+    } catch (error) {
+      setDecision({ error: describeError(error) });
+    }
   };
 
-  const handleDeleteEpic = (epicId) => {
-    setEpics(prev => prev.filter(epic => epic.id !== epicId));
-    setStories(prev => prev.map(story =>
-      story.epicId === epicId ? { ...story, epicId: null } : story
+  const handleAcceptSplits = async (messageId, storyId, suggestionId, splitIds, edits) => {
+    const setStatus = (value) => setMessages(prev => prev.map(message =>
+      message.id === messageId ? { ...message, splitAcceptance: value } : message
     ));
+
+    setStatus('pending');
+    try {
+      const { parentStory, subStories } = await apiService.acceptSplits(storyId, { suggestionId, splitIds, edits });
+      setStories(prev => [
+        ...prev.map(story => story.id === parentStory.id ? parentStory : story),
+        ...subStories
+      ]);
+      setStatus('accepted');
+    } catch (error) {
+      setStatus({ error: describeError(error) });
+    }
   };
 
-  const handleAddEpic = () => {
-    const newEpic = {
-      id: `epic-${Date.now()}`,
-      title: 'New Epic',
-      description: 'Epic description',
-      order: epics.length + 1
-    };
-    setEpics(prev => [...prev, newEpic]);
+  // Board edits save the fields that changed at the version the card shows.
+  // A newer server copy replaces the card and the edit is reported.
+  const saveBoardRecord = async (type, record, changes) => {
+    const fields = Object.keys(changes)
+      .filter(field => JSON.stringify(changes[field]) !== JSON.stringify(record[field]));
+    if (fields.length === 0) return;
+
+    const setRecords = type === 'story' ? setStories : setEpics;
+    const body = { ...Object.fromEntries(fields.map(field => [field, changes[field]])), version: record.version };
+    try {
+      const saved = type === 'story'
+        ? await apiService.updateStory(record.id, body)
+        : await apiService.updateEpic(record.id, body);
+      setRecords(prev => mergeRecords(prev, [saved]));
+      if (type === 'story' && saved.id === storyId) storyVersionRef.current = saved.version;
+    } catch (error) {
+      if (error.code === 'version_conflict' && error.details?.current) {
+        setRecords(prev => mergeRecords(prev, [error.details.current]));
+      }
+      alert(`Failed to save "${record.title}": ` + describeError(error));
+    }
   };
 
-  const handleExport = () => {
-    const data = {
-      currentStory,
-      publishedStory,
-      stories,
-      epics,
-      insights: messages,
-      timestamp: new Date().toISOString()
-    };
-    
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'story-analysis.json';
-    a.click();
-    URL.revokeObjectURL(url);
+  // Story management functions
+  const handleUpdateStory = (id, updatedStory) => {
+    const story = stories.find(candidate => candidate.id === id);
+    if (story) saveBoardRecord('story', story, { title: updatedStory.title, epicId: updatedStory.epicId });
   };
 
-  const handleImport = () => {
-    const input = document.createElement('input');
-    input.type = 'file';
-    input.accept = '.json';
-    input.onchange = (e) => {
-      const file = e.target.files[0];
-      if (file) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-          try {
-            const data = JSON.parse(e.target.result);
-            if (data.currentStory) setCurrentStory(data.currentStory);
-            if (data.publishedStory) setPublishedStory(data.publishedStory);
-            if (data.stories) setStories(data.stories);
-            if (data.epics) setEpics(data.epics);
-            if (data.insights) setMessages(data.insights);
-          } catch (error) {
-            alert('Invalid file format');
-          }
-        };
-        reader.readAsText(file);
+  // Removes what a delete put in the trash and applies the reparenting or
+  // unassigning it did to the stories left behind
+  const applyTrashEntry = ({ items, moved }) => {
+    const removed = new Set(items.map(item => item.id));
+    setStories(prev => prev
+      .filter(story => !removed.has(story.id))
+      .map(story => moved
+        .filter(move => move.id === story.id)
+        .reduce((updated, move) => ({ ...updated, [move.field]: move.to }), story)));
+    setEpics(prev => prev.filter(epic => !removed.has(epic.id)));
+  };
+
+  const deleteRecord = async (type, id, mode = 'refuse') => {
+    try {
+      const entry = type === 'story'
+        ? await apiService.deleteStory(id, mode)
+        : await apiService.deleteEpic(id, mode);
+      applyTrashEntry(entry);
+      setPendingDelete(null);
+    } catch (error) {
+      if (error.code === 'has_children' || error.code === 'has_stories') {
+        const record = (type === 'story' ? stories : epics).find(item => item.id === id);
+        const affected = error.details.children || error.details.stories;
+        setPendingDelete({ type, id, title: record?.title || '', count: affected.length });
+      } else {
+        setPendingDelete(null);
+        alert('Failed to delete: ' + describeError(error));
       }
-    };
-    input.click();
+    }
+  };
+
+  const handleDeleteStory = (storyId) => deleteRecord('story', storyId);
+
+  const handleLoadTrash = useCallback(() => apiService.getTrash(), [apiService]);
+
+  const handleRestoreTrashEntry = async (entryId) => {
+    const restored = await apiService.restoreTrashEntry(entryId);
+    setStories(prev => mergeRecords(prev, restored.stories));
+    setEpics(prev => mergeRecords(prev, restored.epics));
+  };
+
+  const handleExportJira = async (childIssues) => {
+    try {
+      const csv = await apiService.exportJira({ childIssues });
+      downloadFile(csv, 'jira-issues.csv', 'text/csv');
+    } catch (error) {
+      alert('Jira export failed: ' + describeError(error));
+    }
+  };
+
+  const handleExportStory = async (format) => {
+    const title = stories.find(story => story.id === storyId)?.title;
+    try {
+      const content = await apiService.exportStory(storyId, format);
+      downloadFile(content, `${fileNameOf(title)}.${format === 'gherkin' ? 'feature' : 'md'}`,
+        format === 'gherkin' ? 'text/plain' : 'text/markdown');
+    } catch (error) {
+      alert('Export failed: ' + describeError(error));
+    }
   };
 
+  const handleExportEpic = async (epic, format) => {
+    try {
+      const content = await apiService.exportEpic(epic.id, format);
+      downloadFile(content, `${fileNameOf(epic.title)}.${format === 'zip' ? 'zip' : 'md'}`,
+        format === 'zip' ? 'application/zip' : 'text/markdown');
+    } catch (error) {
+      alert('Epic export failed: ' + describeError(error));
+    }
+  };
+
+  const handleExportTracker = async (target) => {
+    try {
+      const payload = await apiService.exportTracker(target);
+      downloadFile(JSON.stringify(payload, null, 2), `${target}-issues.json`, 'application/json');
+    } catch (error) {
+      alert(`${TRACKERS[target]} export failed: ` + describeError(error));
+    }
+  };
+
+  // Every publish creates new issues, so ask first
+  const handlePublishTracker = async (target) => {
+    const name = TRACKERS[target];
+    if (!window.confirm(`Create an issue in ${name} for every epic, story and split child on the board?`)) return;
+    try {
+      const { created, failed } = await apiService.publishTracker(target);
+      alert([
+        `${created.length} issues created in ${name}.`,
+        ...failed.map(item => `- ${item.ref} failed: ${item.message || item.status}`)
+      ].join('\n'));
+    } catch (error) {
+      const created = error.details?.created || [];
+      alert(`Publishing to ${name} failed: ${describeError(error)}` +
+        (created.length > 0 ? `\n${created.length} issues were created before it stopped.` : ''));
+    }
+  };
+
+  // Previews the import first so duplicates and broken rows can be
+  // reviewed before anything is saved
+  const handleImportJira = () => pickFile('.csv', async (csv) => {
+    try {
+      const preview = await apiService.importJira(csv, { dryRun: true });
+      const { created, skipped, errors } = preview.summary;
+      const problems = preview.rows
+        .filter(row => row.action === 'error' || row.warnings.length > 0)
+        .slice(0, 5)
+        .map(row => `- Row ${row.row}: ${row.message || row.warnings.join('; ')}`);
+      const summary = [
+        `${created} new, ${skipped} already here, ${errors} rows cannot be imported.`,
+        ...problems,
+        'Import?'
+      ].join('\n');
+      if (!window.confirm(summary)) return;
+
+      const duplicates = skipped > 0 &&
+        window.confirm(`Update the ${skipped} stories and epics that are already here with the Jira fields? Cancel leaves them as they are.`)
+        ? 'update'
+        : 'skip';
+      const report = await apiService.importJira(csv, { duplicates });
+      setStories(prev => mergeRecords(prev, report.stories));
+      setEpics(prev => mergeRecords(prev, report.epics));
+    } catch (error) {
+      alert('Jira import failed: ' + describeError(error));
+    }
+  });
+
+  // Rows arrive as they are created and analysed, so the board fills in
+  // while the batch runs; rows that could not be imported are listed after
+  const handleImportBacklog = () => pickFile('.csv,.txt', async (text, file) => {
+    setBacklogProgress({ done: 0, total: 0 });
+    try {
+      const report = await apiService.importBacklog(text, {
+        format: /\.csv$/i.test(file.name) ? 'csv' : 'text',
+        onEvent: (event, data) => {
+          if (event === 'start') {
+            setEpics(prev => mergeRecords(prev, data.epics));
+            setBacklogProgress({ done: 0, total: data.rows });
+          } else if (event === 'row') {
+            if (data.story) setStories(prev => mergeRecords(prev, [data.story]));
+            setBacklogProgress(data.progress);
+          }
+        }
+      });
+      const failed = report.rows.filter(row => row.action === 'error');
+      alert([
+        `${report.summary.created} stories imported, ${report.summary.analyzed} analysed.`,
+        ...failed.slice(0, 10).map(row => `- Row ${row.row}: ${row.message}`),
+        failed.length > 10 && `…and ${failed.length - 10} more rows that could not be imported.`
+      ].filter(Boolean).join('\n'));
+    } catch (error) {
+      alert('Backlog import failed: ' + describeError(error));
+    } finally {
+      setBacklogProgress(null);
+    }
+  });
+
+  const handlePurgeTrashEntry = (entryId) => apiService.purgeTrashEntry(entryId);
+
+  const handleUnsplitStory = async (storyId) => {
+    try {
+      const { parentStory, archivedStories, deletedIds } = await apiService.unsplitStory(storyId);
+      const removed = new Set([...deletedIds, ...archivedStories.map(story => story.id)]);
+      setStories(prev => prev
+        .filter(story => !removed.has(story.id))
+        .map(story => story.id === parentStory.id ? parentStory : story)
+      );
+    } catch (error) {
+      const conflicts = error.details?.conflicts || [];
+      alert(['Failed to undo split: ' + describeError(error), ...conflicts.map(conflict => `- ${conflict.message}`)].join('\n'));
+    }
+  };
+
+  const handleAddStory = async (epicId) => {
+    try {
+      const story = await apiService.createStory({
+        title: 'New User Story',
+        description: '',
+        content: 'As a user, I can [action] so that [benefit].',
+        epicId: epicId === 'unassigned' ? null : epicId,
+        priority: 'Medium',
+        effort: 'Medium',
+        storyPoints: 0,
+        acceptanceCriteria: []
+      });
+      setStories(prev => [...prev, story]);
+    } catch (error) {
+      alert('Failed to add story: ' + describeError(error));
+    }
+  };
+
+  // Epic management functions
+  const handleUpdateEpic = (id, updatedEpic) => {
+    const epic = epics.find(candidate => candidate.id === id);
+    if (epic) saveBoardRecord('epic', epic, { title: updatedEpic.title });
+  };
+
+  const handleDeleteEpic = (epicId) => deleteRecord('epic', epicId);
+
+  const handleAddEpic = async () => {
+    try {
+      const epic = await apiService.createEpic({
+        title: 'New Epic',
+        description: 'Epic description',
+        order: epics.length + 1
+      });
+      setEpics(prev => [...prev, epic]);
+    } catch (error) {
+      alert('Failed to add epic: ' + describeError(error));
+    }
+  };
+
+  // The server's project file plus this session's agent conversation
+  const handleExport = async () => {
+    try {
+      const project = await apiService.exportProject(workspace.id);
+      downloadFile(JSON.stringify({ ...project, insights: messages }, null, 2),
+        `${fileNameOf(workspace.name)}.story-splitter.json`, 'application/json');
+    } catch (error) {
+      alert('Export failed: ' + describeError(error));
+    }
+  };
+
+  // The server validates and migrates the file; the preview shows what
+  // would change and any records edited here since the file was exported
+  const handleImport = () => pickFile('.json', async (text) => {
+    let file;
+    try {
+      file = JSON.parse(text);
+    } catch (error) {
+      alert('This file is not valid JSON: ' + error.message);
+      return;
+    }
+
+    try {
+      const mode = can(workspace.role, 'manage') &&
+        window.confirm('Replace the workspace with this file? Stories and epics it does not have go to the trash. Cancel merges it in instead.')
+        ? 'replace'
+        : 'merge';
+      const preview = await apiService.importProject(workspace.id, file, { dryRun: true, mode });
+      const { created, updated, unchanged, deleted } = preview.summary;
+      // Parent cycles are never imported, so only version conflicts can be overwritten
+      const conflicts = preview.items.filter(item => item.conflict?.currentVersion).length;
+      const problems = preview.items
+        .filter(item => item.conflict || item.warnings.length > 0)
+        .slice(0, 5)
+        .map(item => `- ${item.title || item.id}: ${item.conflict?.parentCycle
+          ? item.warnings.join('; ')
+          : item.conflict
+          ? `changed here since the export (version ${item.conflict.currentVersion}, file has ${item.conflict.fileVersion})`
+          : item.warnings.join('; ')}`);
+      const summary = [
+        `${created} new, ${updated} updated, ${unchanged} unchanged${deleted > 0 ? `, ${deleted} moved to the trash` : ''}.`,
+        ...preview.notes,
+        ...problems,
+        'Import?'
+      ].join('\n');
+      if (!window.confirm(summary)) return;
+
+      const conflictMode = mode === 'merge' && conflicts > 0 &&
+        window.confirm(`Overwrite the ${conflicts} stories and epics changed here since the export? Cancel keeps them as they are.`)
+        ? 'overwrite'
+        : 'skip';
+      const report = await apiService.importProject(workspace.id, file, { mode, conflicts: conflictMode });
+      const removed = new Set((report.trashEntry?.items || []).map(item => item.id));
+      setStories(prev => mergeRecords(prev.filter(story => !removed.has(story.id)), report.stories));
+      setEpics(prev => mergeRecords(prev.filter(epic => !removed.has(epic.id)), report.epics));
+
+      const main = report.stories.find(story => story.id === storyId);
+      if (main) {
+        storyVersionRef.current = main.version;
+        setCurrentStory(main.content || '');
+      }
+      if (Array.isArray(file.insights)) setMessages(file.insights);
+    } catch (error) {
+      alert('Import failed: ' + describeError(error));
+    }
+  });
+
   const ViewToggle = () => (
     <div className="flex items-center gap-1 bg-gray-100 rounded-lg p-1">
       <button
@@ -1337,11 +3200,30 @@ const StoryEditorApp = () => {
   return (
     <StoryContext.Provider value={{ currentStory, publishedStory, messages, stories, epics }}>
       <div className="h-screen flex flex-col bg-gray-100">
+        {mergeConflict && (
+          <MergeConflictDialog
+            conflict={mergeConflict}
+            onResolve={handleResolveConflict}
+            onCancel={() => setMergeConflict(null)}
+          />
+        )}
+        {pendingDelete && (
+          <DeleteOptionsDialog
+            target={pendingDelete}
+            onConfirm={(mode) => deleteRecord(pendingDelete.type, pendingDelete.id, mode)}
+            onCancel={() => setPendingDelete(null)}
+          />
+        )}
         <Header 
           onExport={handleExport} 
-          onImport={handleImport}
+          onImport={can(workspace.role, 'edit') ? handleImport : null}
           viewToggle={<ViewToggle />}
           isConnected={isConnected}
+          currentUser={currentUser}
+          onSignOut={onSignOut}
+          workspace={workspace}
+          workspaces={workspaces}
+          onSwitchWorkspace={onSwitchWorkspace}
         />
         
         <main className="flex-1 min-h-0">
@@ -1349,40 +3231,68 @@ const StoryEditorApp = () => {
             <SplitPanel
               leftPanel={
                 <StoryEditor 
+                  storyId={storyId}
                   onStoryChange={handleStoryChange} 
                   currentStory={currentStory}
                   publishedStory={publishedStory}
                   onPublish={handlePublish}
+                  canEdit={can(workspace.role, 'edit')}
+                  canPublish={can(workspace.role, 'publish')}
                   connectedUsers={connectedUsers}
                   currentUser={currentUser}
                   typingUsers={typingUsers}
                   sendTypingIndicator={sendTypingIndicator}
                   isPublishing={isPublishing}
+                  onLoadVersions={handleLoadVersions}
+                  onLoadVersionDiff={handleLoadVersionDiff}
+                  onRestoreVersion={handleRestoreVersion}
+                  onExport={handleExportStory}
+                  collab={collab}
                 />
               }
               rightPanel={
                 <AIInsights 
                   messages={messages}
                   onSendMessage={handleSendMessage}
+                  onRunPipeline={handleRunPipeline}
+                  onSuggestionDecision={handleSuggestionDecision}
+                  onAcceptSplits={handleAcceptSplits}
                   isConnected={isConnected}
                   connectedUsers={connectedUsers}
                   currentUser={currentUser}
+                  storyId={storyId}
                   currentStory={currentStory}
+                  canRunAgents={can(workspace.role, 'run-agents')}
                   stories={stories}
                   epics={epics}
                 />
               }
             />
+          ) : boardError ? (
+            <div className="m-6 px-4 py-3 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg">
+              {boardError}
+            </div>
           ) : (
             <StoryMappingBoard
               stories={stories}
               epics={epics}
               onUpdateStory={handleUpdateStory}
               onDeleteStory={handleDeleteStory}
+              onUnsplitStory={handleUnsplitStory}
               onUpdateEpic={handleUpdateEpic}
               onDeleteEpic={handleDeleteEpic}
               onAddStory={handleAddStory}
               onAddEpic={handleAddEpic}
+              onLoadTrash={handleLoadTrash}
+              onRestoreTrashEntry={handleRestoreTrashEntry}
+              onPurgeTrashEntry={can(workspace.role, 'manage') ? handlePurgeTrashEntry : null}
+              onExportJira={handleExportJira}
+              onImportJira={can(workspace.role, 'edit') ? handleImportJira : null}
+              onImportBacklog={can(workspace.role, 'edit') ? handleImportBacklog : null}
+              importProgress={backlogProgress}
+              onExportTracker={handleExportTracker}
+              onPublishTracker={can(workspace.role, 'publish') ? handlePublishTracker : null}
+              onExportEpic={handleExportEpic}
             />
           )}
         </main>
@@ -1391,4 +3301,148 @@ const StoryEditorApp = () => {
   );
 };
 
-export default StoryEditorApp;
\ No newline at end of file
+// Shown to signed-in users who are not a member of any workspace yet
+const NoWorkspaceScreen = ({ currentUser, onCreate, onSignOut }) => {
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      await onCreate(name);
+    } catch (err) {
+      setError(describeError(err));
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="h-screen flex items-center justify-center bg-gray-100">
+      <form onSubmit={handleSubmit} className="w-full max-w-sm bg-white rounded-xl shadow p-6 space-y-4">
+        <div>
+          <h1 className="text-lg font-semibold text-gray-800">No workspace yet</h1>
+          <p className="text-sm text-gray-600">
+            Ask a workspace admin to add {currentUser.username || currentUser.name}, or start your own.
+          </p>
+        </div>
+        {error && (
+          <div className="p-2 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg">{error}</div>
+        )}
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Workspace name"
+          className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg"
+        />
+        <button
+          type="submit"
+          disabled={isSubmitting || !name.trim()}
+          className="w-full px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          Create workspace
+        </button>
+        <button type="button" onClick={onSignOut} className="w-full text-sm text-gray-500 hover:text-gray-800">
+          Sign out
+        </button>
+      </form>
+    </div>
+  );
+};
+
+// Restores the session (or picks up one from the OIDC redirect) before
+// showing the app; any 401 from the API returns here.
+const App = () => {
+  const apiService = useRef(new APIService()).current;
+  const [user, setUser] = useState(null);
+  const [isChecking, setIsChecking] = useState(true);
+  const [authError, setAuthError] = useState(null);
+  const [workspaces, setWorkspaces] = useState(null);
+  const [workspaceId, setCurrentWorkspaceId] = useState(null);
+
+  // The stored id is sent with requests, so it is updated before the
+  // editor for that workspace mounts
+  const selectWorkspace = useCallback((id) => {
+    setWorkspaceId(id);
+    setCurrentWorkspaceId(id);
+  }, []);
+
+  useEffect(() => {
+    const { error } = takeSessionFromUrl();
+    if (error) setAuthError(error);
+
+    apiService.getCurrentUser()
+      .then(({ user: sessionUser }) => setUser(sessionUser))
+      .catch(() => setUser(null))
+      .finally(() => setIsChecking(false));
+
+    const handleExpired = () => setUser(null);
+    window.addEventListener(SESSION_EXPIRED_EVENT, handleExpired);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleExpired);
+  }, [apiService]);
+
+  useEffect(() => {
+    setWorkspaces(null);
+    if (!user) return;
+
+    apiService.getWorkspaces()
+      .then(list => {
+        const remembered = list.find(workspace => workspace.id === getWorkspaceId());
+        if (list.length > 0) selectWorkspace((remembered || list[0]).id);
+        setWorkspaces(list);
+      })
+      .catch(error => {
+        console.error('Failed to load workspaces:', error);
+        setWorkspaces([]);
+      });
+  }, [apiService, user, selectWorkspace]);
+
+  const handleCreateWorkspace = async (name) => {
+    const workspace = await apiService.createWorkspace(name);
+    selectWorkspace(workspace.id);
+    setWorkspaces(prev => [...(prev || []), workspace]);
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await apiService.logout();
+    } catch (error) {
+      console.error('Sign out failed:', error);
+    }
+    clearSessionToken();
+    setUser(null);
+  };
+
+  if (isChecking || (user && !workspaces)) {
+    return (
+      <div className="h-screen flex items-center justify-center bg-gray-100">
+        <Loader2 size={24} className="animate-spin text-gray-500" />
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <LoginScreen onSignedIn={setUser} initialError={authError} />;
+  }
+
+  const workspace = workspaces.find(option => option.id === workspaceId);
+  if (!workspace) {
+    return <NoWorkspaceScreen currentUser={user} onCreate={handleCreateWorkspace} onSignOut={handleSignOut} />;
+  }
+
+  // Keyed so switching accounts or workspaces starts from a clean slate
+  return (
+    <StoryEditorApp
+      key={`${user.id}:${workspace.id}`}
+      currentUser={user}
+      onSignOut={handleSignOut}
+      workspace={workspace}
+      workspaces={workspaces}
+      onSwitchWorkspace={selectWorkspace}
+    />
+  );
+};
+
+export default App;
\ No newline at end of file
@@ -0,0 +1,94 @@
+// client/src/hooks/useCollaboration.js
+import { useState, useEffect, useCallback } from 'react';
+import { CollaborationClient, STORY_EVENTS } from '../services/collaboration';
+
+const TYPING_TIMEOUT = 3000;
+
+// Story events are re-dispatched on window so any component can react
+// without prop drilling (the editor, the chat panel, the app shell).
+const WINDOW_EVENTS = {
+  [STORY_EVENTS.updated]: 'collaborative-story-update',
+  [STORY_EVENTS.published]: 'collaborative-story-published',
+  [STORY_EVENTS.agentResponse]: 'collaborative-agent-response'
+};
+
+// Presence, typing and story events for one story, as the signed-in user
+const useCollaboration = (storyId, currentUser) => {
+  const [client, setClient] = useState(null);
+  const [isConnected, setIsConnected] = useState(false);
+  const [connectedUsers, setConnectedUsers] = useState([]);
+  const [typingUsers, setTypingUsers] = useState(new Set());
+
+  useEffect(() => {
+    let cancelled = false;
+    const instance = new CollaborationClient();
+
+    // The server tells us whether to use hosted Pusher or its own ws backend
+    instance.connect()
+      .then(() => {
+        if (cancelled) return;
+        instance.onConnectionChange(setIsConnected);
+        setClient(instance);
+      })
+      .catch(error => console.error('Realtime connection failed:', error));
+
+    return () => {
+      cancelled = true;
+      instance.disconnect();
+      setClient(null);
+      setIsConnected(false);
+    };
+  }, [currentUser]);
+
+  useEffect(() => {
+    if (!client) return;
+
+    const typingTimers = new Map();
+    const setTyping = (key, isTyping) => setTypingUsers(prev => {
+      const next = new Set(prev);
+      if (isTyping) next.add(key); else next.delete(key);
+      return next;
+    });
+
+    const redispatch = Object.fromEntries(Object.entries(WINDOW_EVENTS).map(([event, windowEvent]) => [
+      event,
+      (data) => window.dispatchEvent(new CustomEvent(windowEvent, { detail: data }))
+    ]));
+
+    const unsubscribe = client.subscribeToStory(storyId, {
+      ...redispatch,
+      onMembers: setConnectedUsers,
+      [STORY_EVENTS.typing]: ({ storyId: typingStoryId, isTyping, user }) => {
+        if (!user || user.id === currentUser.id) return;
+        const key = `${user.id}-${typingStoryId}`;
+
+        // A lost "stopped typing" event must not leave the indicator on
+        clearTimeout(typingTimers.get(key));
+        setTyping(key, isTyping);
+        if (isTyping) typingTimers.set(key, setTimeout(() => setTyping(key, false), TYPING_TIMEOUT));
+      }
+    });
+
+    return () => {
+      typingTimers.forEach(timer => clearTimeout(timer));
+      unsubscribe();
+      setConnectedUsers([]);
+      setTypingUsers(new Set());
+    };
+  }, [client, storyId, currentUser]);
+
+  const sendTypingIndicator = useCallback((typingStoryId, isTyping) => {
+    if (client) client.sendTyping(typingStoryId, isTyping);
+  }, [client]);
+
+  return {
+    client,
+    sendTypingIndicator,
+    isConnected,
+    connectedUsers,
+    currentUser,
+    typingUsers
+  };
+};
+
+export default useCollaboration;
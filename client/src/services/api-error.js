@@ -0,0 +1,35 @@
+// client/src/services/api-error.js
+// Errors from the API arrive as { code, message, details, requestId }.
+// ApiError keeps all of them so callers can branch on `code` and show the
+// request id people can quote when reporting a problem.
+export class ApiError extends Error {
+  constructor(status, body = {}) {
+    super(body.message || body.error || `HTTP ${status}`);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = body.code || null;
+    this.details = body.details ?? null;
+    this.requestId = body.requestId || null;
+  }
+}
+
+// Error bodies can be missing or not JSON when a proxy answers instead
+export const readApiError = async (response) => {
+  const body = await response.json().catch(() => ({
+    message: `HTTP ${response.status}: ${response.statusText}`
+  }));
+  return new ApiError(response.status, body);
+};
+
+// One human-readable line: the message, which fields were rejected and
+// the request id for support
+export const describeError = (error) => {
+  const parts = [error.message];
+  if (error.code === 'validation_failed' && Array.isArray(error.details?.errors)) {
+    parts.push(error.details.errors.map(({ field, message }) => `${field || 'request'} ${message}`).join('; '));
+  }
+  if (error.requestId) {
+    parts.push(`Reference ${error.requestId}`);
+  }
+  return parts.join(' — ');
+};
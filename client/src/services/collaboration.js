@@ -0,0 +1,123 @@
+// client/src/services/collaboration.js
+// The one realtime client for the app. Every story has a presence channel,
+// presence-story-<id>, which carries the events the server triggers:
+// saves, publishes, agent results, collaborative edits and typing. The
+// channel is only listened to; everything sent goes through the API.
+import { createRealtimeClient } from './realtime';
+import { authHeaders } from './session';
+
+export const storyChannelName = (storyId) => `presence-story-${storyId}`;
+
+export const STORY_EVENTS = {
+  updated: 'story-updated',
+  published: 'story-published',
+  agentResponse: 'agent-response',
+  typing: 'typing',
+  collabUpdate: 'collab-update',
+  collabSync: 'collab-sync',
+  collabReset: 'collab-reset',
+  collabCursor: 'collab-cursor'
+};
+
+// Receivers drop a typing indicator after a few seconds, so a user who keeps
+// typing is re-announced before that
+const TYPING_REFRESH = 2000;
+
+// One entry per signed-in user, however many tabs they have open
+const membersOf = (channel) => {
+  const users = new Map();
+  channel.members.each(member => {
+    if (member.info?.id) users.set(member.info.id, member.info);
+  });
+  return [...users.values()];
+};
+
+// Connects as the signed-in account; the server describes us to others
+export class CollaborationClient {
+  constructor() {
+    this.pusher = null;
+    this.stories = new Map();
+    this.connectionListeners = new Set();
+    this.typingSent = new Map();
+  }
+
+  async connect() {
+    this.pusher = await createRealtimeClient();
+
+    this.pusher.connection.bind('state_change', ({ current }) => {
+      this.connectionListeners.forEach(listener => listener(current === 'connected'));
+    });
+    return this;
+  }
+
+  get isConnected() {
+    return this.pusher?.connection.state === 'connected';
+  }
+
+  onConnectionChange(listener) {
+    this.connectionListeners.add(listener);
+    return () => this.connectionListeners.delete(listener);
+  }
+
+  /**
+   * Listen on a story's channel. `handlers` maps event names (see
+   * STORY_EVENTS) to callbacks; `onMembers(users, me)` is called whenever
+   * presence changes. Subscriptions to the same story share one channel.
+   * Returns a function that removes exactly these handlers.
+   */
+  subscribeToStory(storyId, { onMembers, ...handlers } = {}) {
+    if (!this.pusher) return () => {};
+
+    const name = storyChannelName(storyId);
+    let entry = this.stories.get(name);
+    if (!entry) {
+      entry = { channel: this.pusher.subscribe(name), count: 0 };
+      this.stories.set(name, entry);
+    }
+    entry.count++;
+
+    const { channel } = entry;
+    const bindings = Object.entries(handlers);
+
+    if (onMembers) {
+      const notify = () => onMembers(membersOf(channel), channel.members.me?.info || null);
+      ['pusher:subscription_succeeded', 'pusher:member_added', 'pusher:member_removed']
+        .forEach(event => bindings.push([event, notify]));
+      if (channel.subscribed) notify();
+    }
+    bindings.forEach(([event, handler]) => channel.bind(event, handler));
+
+    return () => {
+      bindings.forEach(([event, handler]) => channel.unbind(event, handler));
+      entry.count--;
+      if (entry.count === 0 && this.stories.get(name) === entry) {
+        this.stories.delete(name);
+        this.pusher?.unsubscribe(name);
+      }
+    };
+  }
+
+  // Called on every keystroke; only changes (and periodic "still typing")
+  // reach the server
+  sendTyping(storyId, isTyping) {
+    const last = this.typingSent.get(storyId);
+    const now = Date.now();
+    if (last && last.isTyping === isTyping && (!isTyping || now - last.at < TYPING_REFRESH)) return;
+    this.typingSent.set(storyId, { isTyping, at: now });
+
+    fetch(`/api/stories/${encodeURIComponent(storyId)}/typing`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: JSON.stringify({ isTyping })
+    }).catch(error => console.error('Failed to send typing indicator:', error));
+  }
+
+  disconnect() {
+    this.stories.forEach((entry, name) => this.pusher?.unsubscribe(name));
+    this.stories.clear();
+    this.typingSent.clear();
+    this.connectionListeners.clear();
+    if (this.pusher) this.pusher.disconnect();
+    this.pusher = null;
+  }
+}
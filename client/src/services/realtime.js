@@ -0,0 +1,47 @@
+// client/src/services/realtime.js
+import Pusher from 'pusher-js';
+import { authHeaders } from './session';
+
+// Used when the server predates /api/realtime/config
+const FALLBACK_CONFIG = {
+  driver: 'pusher',
+  key: process.env.REACT_APP_PUSHER_KEY || 'c3f5b6a224f131c7e678',
+  cluster: process.env.REACT_APP_PUSHER_CLUSTER || 'us2'
+};
+
+export const fetchRealtimeConfig = async () => {
+  try {
+    const response = await fetch('/api/realtime/config', { headers: authHeaders() });
+    if (!response.ok) return FALLBACK_CONFIG;
+    return await response.json();
+  } catch (error) {
+    return FALLBACK_CONFIG;
+  }
+};
+
+// Builds a pusher-js client for whichever realtime driver the server runs.
+// The built-in `ws` driver speaks the Pusher protocol, so only the
+// connection options differ. Channel auth uses the session; presence
+// members are described by the server from the signed-in account.
+export const createRealtimeClient = async () => {
+  const config = await fetchRealtimeConfig();
+
+  const connection = config.driver === 'ws'
+    ? {
+        cluster: 'local',
+        wsHost: config.wsHost,
+        wsPort: config.wsPort,
+        forceTLS: config.forceTLS,
+        enabledTransports: ['ws'],
+        disableStats: true
+      }
+    : { cluster: config.cluster, forceTLS: true };
+
+  return new Pusher(config.key, {
+    ...connection,
+    authEndpoint: '/api/pusher/auth',
+    auth: {
+      headers: authHeaders()
+    }
+  });
+};
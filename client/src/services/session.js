@@ -0,0 +1,35 @@
+// client/src/services/session.js
+// The signed-in user's session token, sent as a bearer token on every API
+// request and realtime channel authorization.
+const STORAGE_KEY = 'sessionToken';
+
+export const SESSION_EXPIRED_EVENT = 'auth-session-expired';
+
+export const getSessionToken = () => localStorage.getItem(STORAGE_KEY);
+
+export const setSessionToken = (token) => localStorage.setItem(STORAGE_KEY, token);
+
+export const clearSessionToken = () => localStorage.removeItem(STORAGE_KEY);
+
+export const authHeaders = () => {
+  const token = getSessionToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// Called when the server rejects our token; the app returns to sign-in
+export const expireSession = () => {
+  clearSessionToken();
+  window.dispatchEvent(new CustomEvent(SESSION_EXPIRED_EVENT));
+};
+
+// The OIDC callback redirects back with #session=<token> or #authError=...
+export const takeSessionFromUrl = () => {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const token = params.get('session');
+  const error = params.get('authError');
+  if (!token && !error) return {};
+
+  window.history.replaceState(null, '', window.location.pathname + window.location.search);
+  if (token) setSessionToken(token);
+  return { token, error };
+};
@@ -0,0 +1,34 @@
+// client/src/services/workspace.js
+// The workspace the user is working in. Its id goes with every API request
+// as X-Workspace-Id so new stories, epics and agent runs land in it.
+const STORAGE_KEY = 'workspaceId';
+
+export const getWorkspaceId = () => localStorage.getItem(STORAGE_KEY);
+
+export const setWorkspaceId = (id) => localStorage.setItem(STORAGE_KEY, id);
+
+export const workspaceHeaders = () => {
+  const id = getWorkspaceId();
+  return id ? { 'X-Workspace-Id': id } : {};
+};
+
+// Mirrors the server's role ranking; the server still enforces it
+const ROLES = ['viewer', 'editor', 'product_owner', 'admin'];
+
+const PERMISSIONS = {
+  read: 'viewer',
+  edit: 'editor',
+  'run-agents': 'editor',
+  publish: 'product_owner',
+  manage: 'admin'
+};
+
+export const ROLE_LABELS = {
+  viewer: 'Viewer',
+  editor: 'Editor',
+  product_owner: 'Product owner',
+  admin: 'Admin'
+};
+
+export const can = (role, permission) =>
+  ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(PERMISSIONS[permission]);
@@ -0,0 +1,195 @@
+// agents/coaching-assistant.js
+class CoachingAssistantAgent {
+  constructor(llmClient) {
+    this.llmClient = llmClient;
+  }
+
+  // hooks.onTip(tip) is called for each tip in priority order
+  async generateCoaching(input, hooks = {}) {
+    try {
+      const { story, analysisResult } = input;
+
+      const issueTips = analysisResult.qualityIssues.map(issue => this.tipForQualityIssue(story, issue));
+      const criterionTips = Object.entries(analysisResult.investScore)
+        .filter(([, result]) => !result.score)
+        .map(([criterion, result]) => this.tipForCriterion(story, criterion, result));
+
+      const tips = this.prioritizeTips([...issueTips, ...criterionTips].filter(Boolean));
+      if (hooks.onTip) {
+        tips.forEach(tip => hooks.onTip(tip));
+      }
+
+      return {
+        tips,
+        strengths: this.findStrengths(analysisResult),
+        focusAreas: this.findFocusAreas(tips),
+        overallGuidance: this.buildGuidance(analysisResult, tips),
+        metadata: {
+          analysisTime: new Date(),
+          confidence: tips.length > 0 ? 0.8 : 0.9,
+          basedOnScore: analysisResult.overallScore,
+          modelVersion: 'coaching-assistant-v1'
+        }
+      };
+
+    } catch (error) {
+      console.error('Coaching generation failed:', error);
+      return this.fallbackCoaching();
+    }
+  }
+
+  tipForQualityIssue(story, issue) {
+    const library = {
+      'missing-user-role': {
+        title: 'Name the user',
+        explanation: 'Start with "As a [role]" so the team knows whose problem they are solving and can ask that person questions.',
+        practice: 'Pick the most specific role you can - "returning customer" says more than "user".'
+      },
+      'missing-value': {
+        title: 'Say why it matters',
+        explanation: 'A "so that" clause captures the benefit. Without it the team cannot judge trade-offs or know when the story is done.',
+        practice: 'Ask "what changes for this user once this ships?" and write the answer after "so that".'
+      },
+      'vague-language': {
+        title: 'Replace vague words',
+        explanation: `Words like "some", "various" or "etc" hide scope. Found in: "${this.findVagueTerms(story).join('", "')}".`,
+        practice: 'List the concrete cases instead, or move the open question into a conversation with the product owner.'
+      }
+    };
+
+    const entry = library[issue.id] || {
+      title: issue.issue,
+      explanation: `The analyst flagged this as a ${issue.category} issue.`,
+      practice: issue.suggestion
+    };
+
+    return {
+      id: `tip-${issue.id}`,
+      source: { type: 'quality-issue', id: issue.id },
+      category: issue.category,
+      severity: issue.severity,
+      ...entry,
+      example: issue.autoFixable && issue.suggestion ? {
+        before: story.description,
+        after: issue.suggestion
+      } : null
+    };
+  }
+
+  tipForCriterion(story, criterion, result) {
+    const library = {
+      independent: {
+        title: 'Remove hidden dependencies',
+        explanation: 'Words like "after", "before" or "requires" tie this story to others, which forces a delivery order.',
+        practice: 'Describe the behaviour assuming the other work exists, or merge the dependent pieces into one vertical slice.'
+      },
+      negotiable: {
+        title: 'Describe the need, not the solution',
+        explanation: 'Implementation details in the story remove room for the team to find a simpler approach.',
+        practice: 'Move technical constraints into notes and keep the story about the user outcome.'
+      },
+      valuable: {
+        title: 'Make the value explicit',
+        explanation: 'Every story should deliver something a user or stakeholder would notice.',
+        practice: 'Check the story still makes sense to someone outside the team when read aloud.'
+      },
+      estimable: {
+        title: 'Add enough detail to estimate',
+        explanation: 'The team needs a clear scope and acceptance criteria before they can size a story with confidence.',
+        practice: 'Write two or three acceptance criteria covering the main path and one failure case.'
+      },
+      small: {
+        title: 'Slice it thinner',
+        explanation: 'Large stories hide risk and delay feedback. Aim for something the team can finish in a few days.',
+        practice: 'Try splitting by workflow step, by business rule, or into a simple version first. The Splitting Expert can suggest options.'
+      },
+      testable: {
+        title: 'Write criteria a tester can run',
+        explanation: story.acceptanceCriteria.length > 0
+          ? 'Some acceptance criteria do not describe observable behaviour.'
+          : 'There are no acceptance criteria yet, so nobody can tell when the story is done.',
+        practice: 'Use "Given [context], When [action], Then [outcome]" for each criterion.'
+      }
+    };
+
+    const entry = library[criterion];
+    if (!entry) return null;
+
+    const firstSuggestion = result.suggestions?.[0];
+
+    return {
+      id: `tip-invest-${criterion}`,
+      source: { type: 'invest', criterion },
+      category: 'invest',
+      severity: result.severity,
+      ...entry,
+      example: firstSuggestion && firstSuggestion.suggestedValue ? {
+        before: firstSuggestion.currentValue || '',
+        after: firstSuggestion.suggestedValue
+      } : null
+    };
+  }
+
+  prioritizeTips(tips) {
+    const severityOrder = { high: 0, medium: 1, low: 2 };
+
+    // The analyst reports some problems twice (e.g. missing value is both a
+    // quality issue and a failed "valuable" criterion) - keep the first.
+    const seen = new Set();
+    const overlaps = { 'tip-invest-valuable': 'tip-missing-value' };
+
+    return tips
+      .filter(tip => {
+        if (seen.has(tip.id) || seen.has(overlaps[tip.id])) return false;
+        seen.add(tip.id);
+        return true;
+      })
+      .sort((a, b) => (severityOrder[a.severity] ?? 3) - (severityOrder[b.severity] ?? 3))
+      .map((tip, index) => ({ ...tip, priority: index + 1 }));
+  }
+
+  findStrengths(analysisResult) {
+    return Object.entries(analysisResult.investScore)
+      .filter(([, result]) => result.score)
+      .map(([criterion, result]) => ({ criterion, reasoning: result.reasoning }));
+  }
+
+  findFocusAreas(tips) {
+    return [...new Set(tips.slice(0, 3).map(tip => tip.category))];
+  }
+
+  findVagueTerms(story) {
+    const vagueTerms = ['some', 'various', 'multiple', 'etc', 'and so on'];
+    const text = story.description.toLowerCase();
+    return vagueTerms.filter(term => text.includes(term));
+  }
+
+  buildGuidance(analysisResult, tips) {
+    if (tips.length === 0) {
+      return 'This story follows good practice. Review it with the team and confirm the acceptance criteria before planning.';
+    }
+
+    const top = tips[0];
+    if (analysisResult.overallScore < 60) {
+      return `Start with "${top.title.toLowerCase()}" - fixing the high severity items will move this story closest to ready.`;
+    }
+    return `The story is close. Focus on "${top.title.toLowerCase()}" before bringing it to refinement.`;
+  }
+
+  fallbackCoaching() {
+    return {
+      tips: [],
+      strengths: [],
+      focusAreas: [],
+      overallGuidance: 'Coaching unavailable - check the story against the INVEST checklist manually.',
+      metadata: {
+        analysisTime: new Date(),
+        confidence: 0.3,
+        basedOnScore: null,
+        modelVersion: 'fallback'
+      }
+    };
+  }
+}
+
+module.exports = { CoachingAssistantAgent };
@@ -0,0 +1,298 @@
+// agents/quality-reviewer.js
+class QualityReviewerAgent {
+  constructor(llmClient) {
+    this.llmClient = llmClient;
+  }
+
+  // hooks.onDimension(dimension) is called as each dimension is scored
+  async reviewStory(input, hooks = {}) {
+    try {
+      const { story, analysisResult, context = {} } = input;
+      const siblings = this.findSiblings(story, context.relatedStories || []);
+      const siblingComparison = this.compareWithSiblings(story, siblings);
+
+      const dimensions = [
+        () => this.scoreInvest(analysisResult),
+        () => this.scoreCompleteness(story),
+        () => this.scoreClarity(analysisResult),
+        () => this.scoreConsistency(siblingComparison)
+      ].map(score => {
+        const dimension = score();
+        if (hooks.onDimension) {
+          hooks.onDimension(dimension);
+        }
+        return dimension;
+      });
+
+      const overallScore = Math.round(
+        dimensions.reduce((sum, d) => sum + d.score * d.weight, 0) /
+        dimensions.reduce((sum, d) => sum + d.weight, 0)
+      );
+
+      return {
+        scorecard: {
+          overallScore,
+          grade: this.gradeFor(overallScore),
+          dimensions
+        },
+        siblingComparison,
+        verdict: this.verdictFor(overallScore, dimensions),
+        recommendations: this.buildRecommendations(dimensions),
+        metadata: {
+          analysisTime: new Date(),
+          confidence: siblings.length > 0 ? 0.8 : 0.65,
+          siblingsReviewed: siblings.length,
+          modelVersion: 'quality-reviewer-v1'
+        }
+      };
+
+    } catch (error) {
+      console.error('Quality review failed:', error);
+      return this.fallbackReview();
+    }
+  }
+
+  // Siblings are stories sharing the same parent, or failing that the same
+  // epic. With neither we compare against every related story.
+  findSiblings(story, relatedStories) {
+    const others = relatedStories.filter(s => s && (!story.id || s.id !== story.id));
+
+    if (story.parentStoryId) {
+      return others.filter(s => s.parentStoryId === story.parentStoryId);
+    }
+    if (story.epicId) {
+      return others.filter(s => s.epicId === story.epicId);
+    }
+    return others;
+  }
+
+  compareWithSiblings(story, siblings) {
+    const statementOf = (s) => s.content || s.description || '';
+    const metricsFor = (s) => ({
+      acceptanceCriteria: (s.acceptanceCriteria || []).length,
+      storyPoints: s.storyPoints || 0,
+      statementLength: statementOf(s).length,
+      followsTemplate: /as an? /i.test(statementOf(s)) && /so that/i.test(statementOf(s))
+    });
+
+    const storyMetrics = metricsFor(story);
+
+    if (siblings.length === 0) {
+      return {
+        siblingCount: 0,
+        story: storyMetrics,
+        averages: null,
+        deviations: [],
+        similarStories: []
+      };
+    }
+
+    const siblingMetrics = siblings.map(metricsFor);
+    const average = (key) => Math.round(
+      siblingMetrics.reduce((sum, m) => sum + m[key], 0) / siblingMetrics.length * 10
+    ) / 10;
+
+    const averages = {
+      acceptanceCriteria: average('acceptanceCriteria'),
+      storyPoints: average('storyPoints'),
+      statementLength: average('statementLength'),
+      templateAdherence: Math.round(
+        siblingMetrics.filter(m => m.followsTemplate).length / siblingMetrics.length * 100
+      )
+    };
+
+    const deviations = [];
+
+    if (averages.acceptanceCriteria > 0 && storyMetrics.acceptanceCriteria < averages.acceptanceCriteria / 2) {
+      deviations.push({
+        metric: 'acceptanceCriteria',
+        message: `Has ${storyMetrics.acceptanceCriteria} acceptance criteria; sibling stories average ${averages.acceptanceCriteria}`,
+        severity: 'medium'
+      });
+    }
+
+    if (averages.storyPoints > 0 && storyMetrics.storyPoints > averages.storyPoints * 2) {
+      deviations.push({
+        metric: 'storyPoints',
+        message: `Estimated at ${storyMetrics.storyPoints} points, more than double the sibling average of ${averages.storyPoints}`,
+        severity: 'high'
+      });
+    }
+
+    if (averages.templateAdherence >= 50 && !storyMetrics.followsTemplate) {
+      deviations.push({
+        metric: 'template',
+        message: `${averages.templateAdherence}% of sibling stories use "As a ... so that ..." but this one does not`,
+        severity: 'low'
+      });
+    }
+
+    const similarStories = siblings
+      .map(s => ({ id: s.id, title: s.title, similarity: this.similarity(story, s) }))
+      .filter(s => s.similarity >= 0.5)
+      .sort((a, b) => b.similarity - a.similarity);
+
+    similarStories.forEach(similar => {
+      deviations.push({
+        metric: 'duplication',
+        message: `Overlaps ${Math.round(similar.similarity * 100)}% with "${similar.title}" - check for duplicated scope`,
+        severity: similar.similarity >= 0.8 ? 'high' : 'medium'
+      });
+    });
+
+    return {
+      siblingCount: siblings.length,
+      story: storyMetrics,
+      averages,
+      deviations,
+      similarStories
+    };
+  }
+
+  // Jaccard similarity on the significant words of title and statement
+  similarity(a, b) {
+    const stopWords = new Set(['a', 'an', 'the', 'as', 'i', 'can', 'so', 'that', 'to', 'and', 'of', 'my', 'for', 'user']);
+    const words = (s) => new Set(
+      `${s.title || ''} ${s.content || s.description || ''}`
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(w => w.length > 2 && !stopWords.has(w))
+    );
+
+    const wordsA = words(a);
+    const wordsB = words(b);
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+    const intersection = [...wordsA].filter(w => wordsB.has(w)).length;
+    const union = new Set([...wordsA, ...wordsB]).size;
+    return Math.round(intersection / union * 100) / 100;
+  }
+
+  scoreInvest(analysisResult) {
+    const failed = Object.entries(analysisResult.investScore)
+      .filter(([, result]) => !result.score)
+      .map(([criterion, result]) => `${criterion}: ${result.reasoning}`);
+
+    return {
+      id: 'invest',
+      name: 'INVEST',
+      score: analysisResult.overallScore,
+      weight: 3,
+      findings: failed
+    };
+  }
+
+  scoreCompleteness(story) {
+    const findings = [];
+    let score = 100;
+
+    if (!story.title || story.title.length < 6) {
+      score -= 20;
+      findings.push('Title is missing or too short to identify the story on the board');
+    }
+    if ((story.acceptanceCriteria || []).length === 0) {
+      score -= 40;
+      findings.push('No acceptance criteria defined');
+    } else if (story.acceptanceCriteria.length < 2) {
+      score -= 15;
+      findings.push('Only one acceptance criterion - consider failure and edge cases');
+    }
+    if (!story.storyPoints) {
+      score -= 20;
+      findings.push('Story has not been estimated');
+    }
+    if (!story.priority) {
+      score -= 10;
+      findings.push('No priority set');
+    }
+
+    return {
+      id: 'completeness',
+      name: 'Completeness',
+      score: Math.max(score, 0),
+      weight: 2,
+      findings
+    };
+  }
+
+  scoreClarity(analysisResult) {
+    const clarityIssues = analysisResult.qualityIssues.filter(
+      issue => issue.category === 'clarity' || issue.category === 'structure'
+    );
+    const penalty = { high: 35, medium: 20, low: 10 };
+
+    return {
+      id: 'clarity',
+      name: 'Clarity',
+      score: Math.max(100 - clarityIssues.reduce((sum, i) => sum + (penalty[i.severity] || 10), 0), 0),
+      weight: 2,
+      findings: clarityIssues.map(issue => issue.issue)
+    };
+  }
+
+  scoreConsistency(siblingComparison) {
+    const penalty = { high: 30, medium: 20, low: 10 };
+
+    return {
+      id: 'consistency',
+      name: 'Consistency with sibling stories',
+      score: siblingComparison.siblingCount === 0
+        ? 100
+        : Math.max(100 - siblingComparison.deviations.reduce((sum, d) => sum + penalty[d.severity], 0), 0),
+      weight: siblingComparison.siblingCount === 0 ? 0 : 1,
+      findings: siblingComparison.siblingCount === 0
+        ? ['No sibling stories to compare against']
+        : siblingComparison.deviations.map(d => d.message)
+    };
+  }
+
+  gradeFor(score) {
+    if (score >= 90) return 'A';
+    if (score >= 75) return 'B';
+    if (score >= 60) return 'C';
+    if (score >= 40) return 'D';
+    return 'F';
+  }
+
+  verdictFor(overallScore, dimensions) {
+    const blocking = dimensions.some(d => d.weight > 0 && d.score < 40);
+    if (overallScore >= 75 && !blocking) return 'approved';
+    if (overallScore >= 50) return 'needs-revision';
+    return 'rejected';
+  }
+
+  buildRecommendations(dimensions) {
+    return dimensions
+      .filter(d => d.weight > 0 && d.score < 100)
+      .sort((a, b) => a.score - b.score)
+      .flatMap(d => d.findings.map(finding => `${d.name}: ${finding}`))
+      .slice(0, 6);
+  }
+
+  fallbackReview() {
+    return {
+      scorecard: {
+        overallScore: 50,
+        grade: 'D',
+        dimensions: []
+      },
+      siblingComparison: {
+        siblingCount: 0,
+        story: null,
+        averages: null,
+        deviations: [],
+        similarStories: []
+      },
+      verdict: 'needs-revision',
+      recommendations: ['Review unavailable - check the story manually'],
+      metadata: {
+        analysisTime: new Date(),
+        confidence: 0.3,
+        siblingsReviewed: 0,
+        modelVersion: 'fallback'
+      }
+    };
+  }
+}
+
+module.exports = { QualityReviewerAgent };
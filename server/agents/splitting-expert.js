@@ -5,7 +5,9 @@ class SplittingExpertAgent {
     this.patternDetector = new PatternDetector();
   }
 
-  async generateSplitSuggestions(input) {
+  // hooks.onSplit(suggestion) is called as each pattern's suggestion is
+  // ready; hooks.signal stops the work between patterns.
+  async generateSplitSuggestions(input, hooks = {}) {
     try {
       // Detect applicable patterns
       const applicablePatterns = this.patternDetector.detectPatterns(input.story, input.analysisResult);
@@ -15,7 +17,7 @@ class SplittingExpertAgent {
       }
 
       // Generate split suggestions based on patterns
-      const suggestions = await this.createSplitSuggestions(input, applicablePatterns);
+      const suggestions = await this.createSplitSuggestions(input, applicablePatterns, hooks);
       
       // Create interactive suggestions
       const interactiveSuggestions = await this.createInteractiveSuggestions(suggestions, input);
@@ -31,18 +33,23 @@ class SplittingExpertAgent {
       };
 
     } catch (error) {
+      if (hooks.signal?.aborted) throw error;
       console.error('Split suggestion generation failed:', error);
       return this.createFallbackSuggestions(input);
     }
   }
 
-  async createSplitSuggestions(input, patterns) {
+  async createSplitSuggestions(input, patterns, hooks = {}) {
     const suggestions = [];
     
     for (const pattern of patterns) {
+      hooks.signal?.throwIfAborted();
       const suggestion = await this.generateSuggestionForPattern(input, pattern);
       if (suggestion) {
         suggestions.push(suggestion);
+        if (hooks.onSplit) {
+          hooks.onSplit(suggestion);
+        }
       }
     }
     
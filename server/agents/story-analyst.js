@@ -5,18 +5,25 @@ class StoryAnalystAgent {
     this.cache = new Map();
   }
 
-  async analyzeStory(input) {
+  // hooks.onCriterion(criterion, result) is called as each INVEST criterion
+  // is scored so callers can stream partial results, and hooks.onText(delta)
+  // with each piece of the provider's answer. hooks.signal cancels a
+  // provider call that is still running.
+  async analyzeStory(input, hooks = {}) {
     try {
       // Check cache
       const cacheKey = this.generateCacheKey(input);
       const cachedResult = this.cache.get(cacheKey);
       
       if (cachedResult && this.isCacheValid(cachedResult)) {
+        if (hooks.onCriterion) {
+          Object.entries(cachedResult.investScore).forEach(([criterion, result]) => hooks.onCriterion(criterion, result));
+        }
         return cachedResult;
       }
 
       // Perform analysis
-      const analysis = await this.performAnalysis(input);
+      const analysis = await this.performAnalysis(input, hooks);
       
       // Create interactive result
       const interactiveResult = this.createInteractiveAnalysis(analysis, input);
@@ -27,24 +34,36 @@ class StoryAnalystAgent {
       return interactiveResult;
 
     } catch (error) {
+      if (hooks.signal?.aborted) throw error;
       console.error('Story analysis failed:', error);
       return this.fallbackAnalysis(input.story);
     }
   }
 
-  async performAnalysis(input) {
+  async performAnalysis(input, hooks = {}) {
     const { story } = input;
+    const verdicts = await this.requestVerdicts(story, hooks);
     
     // Analyze INVEST criteria
-    const investScore = {
-      independent: this.analyzeIndependence(story),
-      negotiable: this.analyzeNegotiability(story),
-      valuable: this.analyzeValue(story),
-      estimable: this.analyzeEstimability(story),
-      small: this.analyzeSize(story),
-      testable: this.analyzeTestability(story)
+    const criteria = {
+      independent: () => this.analyzeIndependence(story),
+      negotiable: () => this.analyzeNegotiability(story),
+      valuable: () => this.analyzeValue(story),
+      estimable: () => this.analyzeEstimability(story),
+      small: () => this.analyzeSize(story),
+      testable: () => this.analyzeTestability(story)
     };
 
+    const investScore = {};
+    for (const [criterion, analyze] of Object.entries(criteria)) {
+      investScore[criterion] = verdicts?.[criterion]
+        ? this.mergeVerdict(analyze(), verdicts[criterion])
+        : analyze();
+      if (hooks.onCriterion) {
+        hooks.onCriterion(criterion, investScore[criterion]);
+      }
+    }
+
     // Analyze size
     const sizeAssessment = this.assessSize(story);
     
@@ -64,8 +83,54 @@ class StoryAnalystAgent {
         analysisTime: new Date(),
         confidence: 0.85,
         tokensUsed: 250,
-        modelVersion: 'story-analyst-v1'
+        modelVersion: verdicts ? this.llmClient.modelName() : 'story-analyst-v1'
+      }
+    };
+  }
+
+  // INVEST verdicts from the configured provider, or null to use the
+  // heuristics: when no provider is configured, or when the call or its
+  // answer fails.
+  async requestVerdicts(story, { signal, onText } = {}) {
+    if (!this.llmClient?.hasProvider()) return null;
+
+    try {
+      const text = await this.llmClient.analyze({ prompt: this.buildPrompt(story), signal, onText });
+      const json = text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1);
+      const { investScore } = JSON.parse(json);
+      if (!investScore || typeof investScore !== 'object') {
+        throw new Error('The answer has no investScore');
       }
+      return investScore;
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.warn(`LLM analysis failed, using heuristics: ${error.message}`);
+      return null;
+    }
+  }
+
+  buildPrompt(story) {
+    const criteria = (story.acceptanceCriteria || []).map(criterion => `- ${criterion}`).join('\n');
+    return `Assess this user story against the INVEST criteria.\n\n` +
+      `Title: ${story.title}\n` +
+      `Story: "${story.description}"\n` +
+      `Acceptance criteria:\n${criteria || '(none)'}\n\n` +
+      'Answer with JSON only: {"investScore": {"independent": {"score": true, "confidence": 0.8, ' +
+      '"reasoning": "..."}, ...}} with an entry for independent, negotiable, valuable, estimable, ' +
+      'small and testable.';
+  }
+
+  // The provider decides pass or fail; the heuristic result keeps the
+  // structured suggestions the editor can apply.
+  mergeVerdict(heuristic, verdict) {
+    const score = !!verdict.score;
+    return {
+      ...heuristic,
+      score,
+      confidence: typeof verdict.confidence === 'number' ? verdict.confidence : heuristic.confidence,
+      reasoning: typeof verdict.reasoning === 'string' && verdict.reasoning ? verdict.reasoning : heuristic.reasoning,
+      suggestions: score ? [] : heuristic.suggestions,
+      severity: score ? 'low' : heuristic.severity === 'low' ? 'medium' : heuristic.severity
     };
   }
 
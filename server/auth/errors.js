@@ -0,0 +1,10 @@
+// server/auth/errors.js
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+module.exports = { AuthError };
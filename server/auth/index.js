@@ -0,0 +1,59 @@
+// server/auth/index.js
+// Accounts, sessions and the middleware that guards /api. Clients send the
+// session token from /api/auth/login (or the OIDC callback) as
+// `Authorization: Bearer <token>`.
+const { UserDirectory, publicProfile } = require('./users');
+const { SessionStore } = require('./sessions');
+const { createOidcClient } = require('./oidc');
+const { AuthError } = require('./errors');
+const { sendError } = require('../http/errors');
+
+// Reachable without a session: signing in and the health check
+const PUBLIC_PATHS = [
+  '/health',
+  '/auth/providers',
+  '/auth/login',
+  '/auth/register',
+  '/auth/oidc/start',
+  '/auth/oidc/callback'
+];
+
+const bearerToken = (req) => {
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1].trim() : null;
+};
+
+function createAuth({ repository }) {
+  const users = new UserDirectory(repository.collection('users'));
+  const sessions = new SessionStore(repository.collection('sessions'), {
+    ttlHours: parseFloat(process.env.SESSION_TTL_HOURS) || undefined
+  });
+  const oidc = createOidcClient();
+
+  // Mounted on /api, so req.path is relative to it. Sets req.user to the
+  // public profile of the signed-in user and req.session to the session.
+  function requireSession(req, res, next) {
+    if (req.method === 'OPTIONS' || PUBLIC_PATHS.includes(req.path)) return next();
+
+    const session = sessions.resolve(bearerToken(req));
+    const user = session && users.get(session.userId);
+    if (!user) {
+      return sendError(res, 401, 'Sign in required', { code: 'session_required' });
+    }
+
+    req.session = session;
+    req.user = publicProfile(user);
+    next();
+  }
+
+  return {
+    users,
+    sessions,
+    oidc,
+    requireSession,
+    bearerToken,
+    allowRegistration: process.env.AUTH_ALLOW_REGISTRATION !== 'false'
+  };
+}
+
+module.exports = { createAuth, publicProfile, AuthError };
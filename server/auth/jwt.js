@@ -0,0 +1,42 @@
+// server/auth/jwt.js
+// Minimal RS256 JWT support: enough to verify OIDC id_tokens against a
+// provider's JWKS, and for the mock identity provider to issue them.
+const crypto = require('crypto');
+const { AuthError } = require('./errors');
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function signJwt(payload, privateKey, { kid } = {}) {
+  const signingInput = `${encode({ alg: 'RS256', typ: 'JWT', ...(kid && { kid }) })}.${encode(payload)}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(signingInput), privateKey);
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+function decodeJwt(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) throw new AuthError('Malformed id_token');
+
+  try {
+    return {
+      header: JSON.parse(Buffer.from(parts[0], 'base64url').toString()),
+      payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString()),
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], 'base64url')
+    };
+  } catch (error) {
+    throw new AuthError('Malformed id_token');
+  }
+}
+
+// Only RS256 is accepted; "none" and HMAC algorithms are rejected outright
+function verifyJwtSignature(decoded, jwk) {
+  if (decoded.header.alg !== 'RS256') {
+    throw new AuthError(`Unsupported id_token algorithm: ${decoded.header.alg}`);
+  }
+  const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  if (!crypto.verify('RSA-SHA256', Buffer.from(decoded.signingInput), key, decoded.signature)) {
+    throw new AuthError('Invalid id_token signature');
+  }
+}
+
+module.exports = { signJwt, decodeJwt, verifyJwtSignature };
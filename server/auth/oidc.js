@@ -0,0 +1,162 @@
+// server/auth/oidc.js
+// OpenID Connect authorization code flow (confidential client). The
+// provider's endpoints and keys come from its discovery document.
+const crypto = require('crypto');
+const { AuthError } = require('./errors');
+const { decodeJwt, verifyJwtSignature } = require('./jwt');
+
+// How long a user has to finish signing in at the provider
+const PENDING_TTL_MS = 10 * 60 * 1000;
+// Allowed clock difference when checking exp/iat
+const CLOCK_SKEW_SECONDS = 60;
+
+const randomToken = () => crypto.randomBytes(24).toString('base64url');
+
+const sameToken = (a, b) => typeof a === 'string' && typeof b === 'string' && a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// A sign-in in progress is kept by the browser that started it, in an
+// HttpOnly cookie holding "state.nonce.expiresAt", so a callback only
+// completes in that browser (no login CSRF) and any server instance can
+// check it.
+const PENDING_COOKIE = 'oidc_pending';
+
+const encodePending = ({ state, nonce, expiresAt }) => [state, nonce, expiresAt].join('.');
+
+function readPendingCookie(header = '') {
+  const cookie = header.split(';').map(part => part.trim()).find(part => part.startsWith(`${PENDING_COOKIE}=`));
+  const [state, nonce, expiresAt] = (cookie ? cookie.slice(PENDING_COOKIE.length + 1) : '').split('.');
+  return state && nonce ? { state, nonce, expiresAt: Number(expiresAt) || 0 } : null;
+}
+
+class OidcClient {
+  constructor({ issuer, clientId, clientSecret, redirectUri, scope = 'openid profile email', name = 'Single sign-on' }) {
+    this.issuer = issuer.replace(/\/$/, '');
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.redirectUri = redirectUri;
+    this.scope = scope;
+    this.name = name;
+    this.metadata = null;
+    this.jwks = null;
+  }
+
+  async request(url, options) {
+    const response = await fetch(url, options);
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new AuthError(`Identity provider error: ${body.error_description || body.error || response.status}`, 502);
+    }
+    return body;
+  }
+
+  async discover() {
+    if (!this.metadata) {
+      const metadata = await this.request(`${this.issuer}/.well-known/openid-configuration`);
+      if (metadata.issuer.replace(/\/$/, '') !== this.issuer) {
+        throw new AuthError('Identity provider issuer does not match OIDC_ISSUER', 502);
+      }
+      this.metadata = metadata;
+    }
+    return this.metadata;
+  }
+
+  // Keys are refetched once when an unknown kid shows up (key rotation)
+  async signingKey(kid) {
+    const find = () => this.jwks.keys.find(key => !kid || key.kid === kid);
+    if (!this.jwks || !find()) {
+      this.jwks = await this.request((await this.discover()).jwks_uri);
+    }
+    const key = find();
+    if (!key) throw new AuthError('No matching identity provider signing key');
+    return key;
+  }
+
+  // URL to send the browser to, and the pending sign-in for the browser to
+  // keep until the provider redirects back (see PENDING_COOKIE)
+  async authorizationRequest() {
+    const { authorization_endpoint: endpoint } = await this.discover();
+    const state = randomToken();
+    const nonce = randomToken();
+    const pending = { state, nonce, expiresAt: Date.now() + PENDING_TTL_MS };
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      scope: this.scope,
+      state,
+      nonce
+    });
+    return { authorizationUrl: `${endpoint}?${params}`, pending };
+  }
+
+  // Exchange the code from the callback for verified id_token claims.
+  // pending is what the browser kept from authorizationRequest().
+  async handleCallback({ code, state, error }, pending) {
+    if (error) throw new AuthError(`Sign-in was not completed: ${error}`, 400);
+
+    if (!pending || !sameToken(state, pending.state) || pending.expiresAt < Date.now()) {
+      throw new AuthError('Sign-in request expired or was started in another browser; start again', 400);
+    }
+    if (!code) throw new AuthError('Missing authorization code', 400);
+
+    const { token_endpoint: endpoint } = await this.discover();
+    const tokens = await this.request(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: this.redirectUri,
+        client_id: this.clientId,
+        client_secret: this.clientSecret
+      })
+    });
+
+    const claims = await this.verifyIdToken(tokens.id_token, pending.nonce);
+    return { claims };
+  }
+
+  async verifyIdToken(idToken, nonce) {
+    const decoded = decodeJwt(idToken);
+    verifyJwtSignature(decoded, await this.signingKey(decoded.header.kid));
+
+    const claims = decoded.payload;
+    const now = Math.floor(Date.now() / 1000);
+    const audiences = [].concat(claims.aud);
+
+    if (String(claims.iss).replace(/\/$/, '') !== this.issuer) throw new AuthError('id_token issuer mismatch');
+    if (!audiences.includes(this.clientId)) throw new AuthError('id_token audience mismatch');
+    if (!claims.exp || claims.exp < now - CLOCK_SKEW_SECONDS) throw new AuthError('id_token has expired');
+    if (claims.iat && claims.iat > now + CLOCK_SKEW_SECONDS) throw new AuthError('id_token issued in the future');
+    if (claims.nonce !== nonce) throw new AuthError('id_token nonce mismatch');
+    if (!claims.sub) throw new AuthError('id_token has no subject');
+
+    return claims;
+  }
+}
+
+// Configured from OIDC_* variables; null when single sign-on is off
+function createOidcClient() {
+  const { OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET, OIDC_REDIRECT_URI } = process.env;
+  if (!OIDC_ISSUER || !OIDC_CLIENT_ID) return null;
+
+  return new OidcClient({
+    issuer: OIDC_ISSUER,
+    clientId: OIDC_CLIENT_ID,
+    clientSecret: OIDC_CLIENT_SECRET,
+    redirectUri: OIDC_REDIRECT_URI || `http://localhost:${process.env.PORT || 3001}/api/auth/oidc/callback`,
+    scope: process.env.OIDC_SCOPE,
+    name: process.env.OIDC_PROVIDER_NAME
+  });
+}
+
+module.exports = {
+  OidcClient,
+  createOidcClient,
+  PENDING_COOKIE,
+  PENDING_TTL_MS,
+  encodePending,
+  readPendingCookie
+};
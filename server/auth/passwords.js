@@ -0,0 +1,26 @@
+// server/auth/passwords.js
+// scrypt password hashes stored as `scrypt$<salt>$<hash>` (base64).
+const crypto = require('crypto');
+
+const KEY_LENGTH = 64;
+
+const derive = (password, salt) => new Promise((resolve, reject) => {
+  crypto.scrypt(password, salt, KEY_LENGTH, (error, key) => (error ? reject(error) : resolve(key)));
+});
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await derive(password, salt);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await derive(password, Buffer.from(salt, 'base64'));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = { hashPassword, verifyPassword };
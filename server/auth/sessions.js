@@ -0,0 +1,53 @@
+// server/auth/sessions.js
+// Opaque bearer tokens. Only a SHA-256 of each token is stored, so a copy of
+// the data file cannot be replayed as a session.
+const crypto = require('crypto');
+
+const DEFAULT_TTL_HOURS = 24 * 7;
+
+const digest = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class SessionStore {
+  constructor(collection, { ttlHours = DEFAULT_TTL_HOURS } = {}) {
+    this.collection = collection;
+    this.ttlMs = ttlHours * 60 * 60 * 1000;
+  }
+
+  create(user, { method }) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const session = {
+      id: digest(token),
+      userId: user.id,
+      method,
+      createdAt: new Date(now),
+      expiresAt: new Date(now + this.ttlMs)
+    };
+    this.collection.save(session);
+    return { token, expiresAt: session.expiresAt };
+  }
+
+  // The stored session for a token, or null when unknown or expired
+  resolve(token) {
+    if (!token) return null;
+    const session = this.collection.get(digest(token));
+    if (!session) return null;
+
+    if (new Date(session.expiresAt).getTime() <= Date.now()) {
+      this.collection.delete(session.id);
+      return null;
+    }
+    return session;
+  }
+
+  revoke(token) {
+    return token ? this.collection.delete(digest(token)) : false;
+  }
+
+  revokeAllFor(userId) {
+    this.collection.list(session => session.userId === userId)
+      .forEach(session => this.collection.delete(session.id));
+  }
+}
+
+module.exports = { SessionStore };
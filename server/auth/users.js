@@ -0,0 +1,127 @@
+// server/auth/users.js
+// User accounts: local username/password users and users created on first
+// OIDC sign-in (keyed by issuer and subject).
+const { v4: uuidv4 } = require('uuid');
+const { hashPassword, verifyPassword } = require('./passwords');
+const { AuthError } = require('./errors');
+
+const USER_COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#EC4899', '#14B8A6'];
+
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Names and avatars are shown to every collaborator, so they are kept to
+// short plain text and a single emoji or an https image URL
+const MAX_NAME_LENGTH = 60;
+const DEFAULT_AVATAR = '👤';
+const EMOJI_PATTERN = /^\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier}|\u200D\p{Extended_Pictographic}\uFE0F?)*$/u;
+const AVATAR_URL_PATTERN = /^https:\/\/[^\s"'<>]{1,500}$/;
+
+const colorFor = (seed) =>
+  USER_COLORS[[...seed].reduce((sum, char) => sum + char.charCodeAt(0), 0) % USER_COLORS.length];
+
+function profileName(value, fallback) {
+  const name = [...String(value || '').replace(/[\u0000-\u001f\u007f<>]/g, '').replace(/\s+/g, ' ').trim()]
+    .slice(0, MAX_NAME_LENGTH).join('').trim();
+  return name || fallback;
+}
+
+function profileAvatar(value) {
+  const avatar = String(value || '').trim();
+  return EMOJI_PATTERN.test(avatar) || AVATAR_URL_PATTERN.test(avatar) ? avatar : DEFAULT_AVATAR;
+}
+
+// What other users and the client may see; never the password hash.
+// Records stored before the limits existed are cleaned on the way out.
+const publicProfile = (user) => user && {
+  id: user.id,
+  username: user.username || null,
+  name: profileName(user.name, user.username || 'Someone'),
+  email: user.email || null,
+  color: user.color,
+  avatar: profileAvatar(user.avatar),
+  provider: user.provider
+};
+
+class UserDirectory {
+  constructor(collection) {
+    this.collection = collection;
+  }
+
+  get(id) {
+    return this.collection.get(id);
+  }
+
+  findByUsername(username) {
+    const normalized = String(username || '').trim().toLowerCase();
+    return this.collection.list(user => user.username === normalized)[0] || null;
+  }
+
+  async createLocal({ username, password, name, email }) {
+    const normalized = String(username || '').trim().toLowerCase();
+    if (!USERNAME_PATTERN.test(normalized)) {
+      throw new AuthError('Username must be 3-32 characters: letters, digits, ".", "_" or "-"', 400);
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+    }
+    if (this.findByUsername(normalized)) {
+      throw new AuthError('Username is already taken', 409);
+    }
+
+    // Another registration may have taken the name while the password was
+    // hashed; checking again right before the save leaves no gap
+    const passwordHash = await hashPassword(password);
+    if (this.findByUsername(normalized)) {
+      throw new AuthError('Username is already taken', 409);
+    }
+
+    return this.collection.save({
+      id: uuidv4(),
+      provider: 'local',
+      username: normalized,
+      name: profileName(name, normalized),
+      email: email || null,
+      color: colorFor(normalized),
+      avatar: DEFAULT_AVATAR,
+      passwordHash,
+      createdAt: new Date()
+    });
+  }
+
+  // Same error for unknown users and wrong passwords
+  async authenticateLocal(username, password) {
+    const user = this.findByUsername(username);
+    if (!user || !user.passwordHash || !(await verifyPassword(String(password || ''), user.passwordHash))) {
+      throw new AuthError('Invalid username or password', 401);
+    }
+    return user;
+  }
+
+  // Profile fields follow the identity provider on every sign-in
+  findOrCreateFromOidc(issuer, claims) {
+    const subject = `${issuer}|${claims.sub}`;
+    const existing = this.collection.list(user => user.provider === 'oidc' && user.subject === subject)[0];
+    const name = profileName(claims.name || claims.preferred_username || claims.email, profileName(claims.sub, 'Someone'));
+    const avatar = profileAvatar(claims.picture);
+
+    if (existing) {
+      return this.collection.save({ ...existing, name, avatar, email: claims.email || existing.email, lastLoginAt: new Date() });
+    }
+
+    return this.collection.save({
+      id: uuidv4(),
+      provider: 'oidc',
+      subject,
+      username: null,
+      name,
+      email: claims.email || null,
+      color: colorFor(subject),
+      avatar,
+      createdAt: new Date(),
+      lastLoginAt: new Date()
+    });
+  }
+}
+
+module.exports = { UserDirectory, publicProfile, MAX_NAME_LENGTH };
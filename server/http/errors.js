@@ -0,0 +1,71 @@
+// server/http/errors.js
+// Every API error has the same shape:
+//   { code, message, details, requestId }
+// `code` is stable and meant for programs, `message` is meant for people,
+// `details` carries whatever the client needs to recover (validation
+// errors, the current version on a conflict...) and `requestId` matches
+// the X-Request-Id header and the server log.
+const { randomUUID } = require('crypto');
+
+const CODES_BY_STATUS = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  422: 'unprocessable',
+  428: 'precondition_required',
+  429: 'rate_limited',
+  500: 'internal_error',
+  502: 'upstream_error',
+  503: 'unavailable'
+};
+
+const codeFor = (status) => CODES_BY_STATUS[status] || (status >= 500 ? 'internal_error' : 'invalid_request');
+
+function errorBody(req, status, message, { code, details } = {}) {
+  return {
+    code: code || codeFor(status),
+    message,
+    details: details ?? null,
+    requestId: req?.id || null
+  };
+}
+
+function sendError(res, status, message, options) {
+  return res.status(status).json(errorBody(res.req, status, message, options));
+}
+
+// Keeps a caller's X-Request-Id so one id can be followed across services
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+// Errors that reach Express: domain errors with a status (AuthError,
+// SplitError, WorkspaceError), body-parser failures and real bugs. Bugs are
+// logged with the request id and never leak their message.
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) {
+    console.error(`Error [${req.id}]:`, err);
+    return sendError(res, status, 'Internal server error', {
+      details: process.env.NODE_ENV === 'development' ? { stack: err.stack } : null
+    });
+  }
+
+  const code = err.type === 'entity.parse.failed' ? 'invalid_json'
+    : err.type === 'entity.too.large' ? 'payload_too_large'
+    : undefined;
+  sendError(res, status, err.message, { code, details: err.details });
+}
+
+module.exports = { errorBody, sendError, requestId, errorHandler };
@@ -0,0 +1,1387 @@
+// server/http/openapi.js
+// OpenAPI 3.1 description of the REST API, served at /api/openapi.json and
+// browsable at /api/docs. Request bodies are the schemas validateBody()
+// enforces, so the two cannot disagree; response schemas are written here
+// and checked against live responses by `npm run check:openapi`.
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+const { schemas: requestSchemas } = require('./schemas');
+const { ROLES } = require('../services/workspaces');
+const { STORY_DELETE_MODES, EPIC_DELETE_MODES } = require('../services/trash');
+const { JIRA_CHILD_MODES, JIRA_DUPLICATE_MODES } = require('../services/jira');
+const { TRACKER_TARGETS } = require('../services/trackers');
+const { PROJECT_IMPORT_MODES, PROJECT_CONFLICT_MODES } = require('../services/project-file');
+const { BACKLOG_FORMATS, BACKLOG_FIELDS, MAX_BACKLOG_ROWS, MAX_UNSTREAMED_ROWS } = require('../services/backlog-import');
+const { version } = require('../package.json');
+
+const AGENT_TYPES = ['analyze', 'split', 'coach', 'review'];
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+const arrayOf = (items) => ({ type: 'array', items });
+const timestamp = { type: 'string', format: 'date-time' };
+
+const json = (description, schema, headers) => ({
+  description,
+  content: { 'application/json': { schema } },
+  ...(headers && { headers })
+});
+
+const body = (name) => ({
+  required: true,
+  content: { 'application/json': { schema: ref(`${name}Request`) } }
+});
+
+// Shared error responses by status, all with the error envelope
+const ERROR_RESPONSES = {
+  400: ['BadRequest', 'The body failed validation (`validation_failed`) or refers to something it may not'],
+  401: ['Unauthorized', 'No valid session (`session_required`)'],
+  403: ['Forbidden', 'The signed-in user\'s role does not allow this (`insufficient_role`)'],
+  404: ['NotFound', 'Missing, or in a workspace the signed-in user does not belong to'],
+  409: ['Conflict', 'Modified since the version sent (`version_conflict`) or otherwise conflicting'],
+  413: ['PayloadTooLarge', 'The body is larger than the operation accepts (`payload_too_large`)'],
+  415: ['UnsupportedMediaType', 'The body is not in a format the operation accepts (`unsupported_media_type`)'],
+  422: ['Unprocessable', 'Valid, but cannot be done to this record'],
+  428: ['PreconditionRequired', 'The version being edited is missing (`version_required`)'],
+  429: ['TooManyRequests', 'Rate limited (`rate_limited`); see Retry-After'],
+  500: ['InternalError', 'Unexpected failure; quote the request id when reporting it'],
+  502: ['BadGateway', 'A service the server calls failed or could not be reached'],
+  503: ['ServiceUnavailable', 'The feature is not configured on this server']
+};
+
+const errors = (...statuses) => Object.fromEntries(statuses.map(status =>
+  [status, { $ref: `#/components/responses/${ERROR_RESPONSES[status][0]}` }]
+));
+
+const param = (name, description, schema = { type: 'string' }) => ({
+  name, in: 'path', required: true, description, schema
+});
+
+const query = (name, description, schema = { type: 'string' }) => ({
+  name, in: 'query', required: false, description, schema
+});
+
+const PARAMS = {
+  id: (what) => param('id', `${what} id`),
+  userId: param('userId', 'User id'),
+  suggestionId: param('suggestionId', 'Improvement suggestion id from the latest Story Analyst run'),
+  decision: param('decision', 'What to do with the suggestion', { enum: ['apply', 'reject'] }),
+  n: param('n', 'Version number', { type: 'integer', minimum: 1 }),
+  agentType: param('agentType', 'Agent to run', { enum: AGENT_TYPES }),
+  target: param('target', 'Issue tracker', { enum: TRACKER_TARGETS }),
+  workspace: { $ref: '#/components/parameters/WorkspaceId' },
+  ifMatch: { $ref: '#/components/parameters/IfMatch' }
+};
+
+// Everything but sign-in needs a session, so 401 is added to every
+// operation that is not marked public
+function operation(operationId, tag, summary, { public: isPublic, parameters, requestBody, responses, ...rest }) {
+  return {
+    operationId,
+    tags: [tag],
+    summary,
+    ...(isPublic && { security: [] }),
+    ...(parameters && { parameters }),
+    ...(requestBody && { requestBody }),
+    responses: isPublic ? responses : { ...responses, ...errors(401) },
+    ...rest
+  };
+}
+
+const responseSchemas = {
+  Error: {
+    type: 'object',
+    required: ['code', 'message', 'details', 'requestId'],
+    properties: {
+      code: { type: 'string', description: 'Stable, machine-readable error code' },
+      message: { type: 'string' },
+      details: { description: 'What a client needs to recover, or null' },
+      requestId: { type: ['string', 'null'], description: 'Matches the X-Request-Id header and the server log' }
+    }
+  },
+
+  User: {
+    type: 'object',
+    required: ['id', 'name'],
+    properties: {
+      id: { type: 'string' },
+      username: { type: ['string', 'null'] },
+      name: { type: 'string' },
+      email: { type: ['string', 'null'] },
+      color: { type: 'string' },
+      avatar: { type: 'string' },
+      provider: { enum: ['local', 'oidc'] }
+    }
+  },
+
+  Session: {
+    type: 'object',
+    required: ['token', 'expiresAt', 'user'],
+    properties: {
+      token: { type: 'string' },
+      expiresAt: timestamp,
+      user: ref('User')
+    }
+  },
+
+  AuthProviders: {
+    type: 'object',
+    required: ['local', 'oidc'],
+    properties: {
+      local: { type: 'object', properties: { registration: { type: 'boolean' } } },
+      oidc: nullable({ type: 'object', properties: { name: { type: 'string' } } })
+    }
+  },
+
+  Workspace: {
+    type: 'object',
+    required: ['id', 'name', 'mainStoryId'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      mainStoryId: { type: 'string', description: 'Story the editor opens for this workspace' },
+      createdBy: { type: 'string' },
+      createdAt: timestamp,
+      role: { enum: ROLES, description: 'The signed-in user\'s role' }
+    }
+  },
+
+  Member: {
+    type: 'object',
+    required: ['userId', 'role'],
+    properties: {
+      userId: { type: 'string' },
+      role: { enum: ROLES },
+      addedAt: timestamp,
+      user: nullable(ref('User'))
+    }
+  },
+
+  WorkspaceDetails: {
+    allOf: [ref('Workspace')],
+    type: 'object',
+    required: ['members'],
+    properties: { members: arrayOf(ref('Member')) }
+  },
+
+  Story: {
+    type: 'object',
+    required: ['id', 'workspaceId', 'status', 'version'],
+    properties: {
+      id: { type: 'string' },
+      workspaceId: { type: 'string' },
+      title: { type: 'string' },
+      description: { type: 'string' },
+      content: { type: 'string' },
+      parentStoryId: { type: ['string', 'null'] },
+      epicId: { type: ['string', 'null'] },
+      priority: { enum: ['Low', 'Medium', 'High'] },
+      effort: { enum: ['Small', 'Medium', 'Large'] },
+      storyPoints: { type: 'integer' },
+      acceptanceCriteria: arrayOf({ anyOf: [{ type: 'string' }, { type: 'object' }] }),
+      status: { enum: ['draft', 'published', 'split', 'archived'] },
+      version: { type: 'integer', minimum: 1 },
+      createdAt: timestamp,
+      lastModified: timestamp,
+      publishedAt: timestamp,
+      user: nullable(ref('User')),
+      editHistory: arrayOf({ type: 'object' }),
+      splitState: nullable({ type: 'object', description: 'Set on a parent while its split can be undone' }),
+      splitDraftId: { type: 'string', description: 'Split suggestion draft a child was created from' },
+      externalKeys: {
+        type: 'object',
+        description: 'Keys of the issues a record was imported from, by tracker',
+        properties: { jira: { type: 'string' } }
+      },
+      readiness: ref('Readiness')
+    }
+  },
+
+  Readiness: {
+    type: 'object',
+    required: ['overallScore', 'readinessLevel', 'storyVersion'],
+    description: 'The Story Analyst\'s verdict when the story was imported; current while `storyVersion` is the story\'s version',
+    properties: {
+      overallScore: { type: 'number', minimum: 0, maximum: 100 },
+      readinessLevel: { enum: ['ready', 'needs-work', 'not-ready'] },
+      storyVersion: { type: 'integer' },
+      analyzedAt: timestamp
+    }
+  },
+
+  Epic: {
+    type: 'object',
+    required: ['id', 'workspaceId', 'title'],
+    properties: {
+      id: { type: 'string' },
+      workspaceId: { type: 'string' },
+      title: { type: 'string' },
+      description: { type: 'string' },
+      order: { type: 'integer' },
+      version: { type: 'integer', minimum: 1 },
+      createdAt: timestamp,
+      lastModified: timestamp
+    }
+  },
+
+  StoryVersionSummary: {
+    type: 'object',
+    required: ['id', 'storyId', 'version', 'reason'],
+    properties: {
+      id: { type: 'string', description: '<storyId>@<version>' },
+      storyId: { type: 'string' },
+      version: { type: 'integer' },
+      title: { type: 'string' },
+      author: nullable(ref('User')),
+      contributors: { ...arrayOf(ref('User')), description: 'Everyone who typed in a collaborative edit; the author typed last' },
+      reason: { type: 'string', description: 'create, update, publish, split, restore...' },
+      restoredFrom: { type: ['integer', 'null'] },
+      createdAt: timestamp
+    }
+  },
+
+  StoryVersion: {
+    allOf: [ref('StoryVersionSummary')],
+    type: 'object',
+    required: ['story'],
+    properties: { story: ref('Story') }
+  },
+
+  VersionDiff: {
+    type: 'object',
+    required: ['storyId', 'from', 'to', 'changes'],
+    properties: {
+      storyId: { type: 'string' },
+      from: { type: 'integer' },
+      to: { type: 'integer' },
+      changes: arrayOf({
+        type: 'object',
+        required: ['field', 'from', 'to'],
+        properties: {
+          field: { enum: ['title', 'content', 'acceptanceCriteria', 'priority', 'epicId'] },
+          from: {},
+          to: {},
+          added: { type: 'array' },
+          removed: { type: 'array' }
+        }
+      })
+    }
+  },
+
+  CollabDocument: {
+    type: 'object',
+    required: ['content', 'acceptanceCriteria'],
+    properties: {
+      content: { type: 'string' },
+      acceptanceCriteria: arrayOf({ type: 'string' })
+    }
+  },
+
+  CollabState: {
+    allOf: [ref('CollabDocument')],
+    type: 'object',
+    required: ['storyId', 'update', 'stateVector'],
+    properties: {
+      storyId: { type: 'string' },
+      update: { type: 'string', description: 'Base64 Yjs update with what the client is missing' },
+      stateVector: { type: 'string', description: 'Base64 Yjs state vector of the server copy' }
+    }
+  },
+
+  Relayed: {
+    type: 'object',
+    required: ['relayed'],
+    properties: { relayed: { const: true } }
+  },
+
+  AcceptSplitsResult: {
+    type: 'object',
+    required: ['parentStory', 'subStories'],
+    properties: {
+      parentStory: ref('Story'),
+      subStories: arrayOf(ref('Story'))
+    }
+  },
+
+  UnsplitResult: {
+    type: 'object',
+    required: ['parentStory', 'archivedStories', 'deletedIds', 'mergedCriteria', 'trashEntry'],
+    properties: {
+      parentStory: ref('Story'),
+      archivedStories: arrayOf(ref('Story')),
+      deletedIds: arrayOf({ type: 'string', description: 'Children and their sub-stories moved to the trash' }),
+      mergedCriteria: { type: 'array' },
+      trashEntry: nullable(ref('TrashEntry'))
+    }
+  },
+
+  SuggestionDecisionResult: {
+    type: 'object',
+    required: ['story', 'suggestion', 'userState'],
+    properties: {
+      story: ref('Story'),
+      suggestion: { type: 'object' },
+      userState: {
+        type: 'object',
+        properties: {
+          appliedSuggestions: arrayOf({ type: 'string' }),
+          rejectedSuggestions: arrayOf({ type: 'string' }),
+          editHistory: { type: 'array' }
+        }
+      }
+    }
+  },
+
+  // Kept in the chat-completion shape the client already renders
+  AgentResponse: {
+    type: 'object',
+    required: ['id', 'object', 'created', 'choices', 'metadata'],
+    properties: {
+      id: { type: 'string' },
+      object: { const: 'analysis' },
+      created: { type: 'integer', description: 'Unix seconds' },
+      model: { type: 'string' },
+      choices: arrayOf({
+        type: 'object',
+        required: ['index', 'message'],
+        properties: {
+          index: { type: 'integer' },
+          message: {
+            type: 'object',
+            required: ['role', 'content'],
+            properties: { role: { const: 'assistant' }, content: { type: 'string' } }
+          },
+          finish_reason: { type: 'string' }
+        }
+      }),
+      usage: {
+        type: 'object',
+        properties: {
+          prompt_tokens: { type: 'integer' },
+          completion_tokens: { type: 'integer' },
+          total_tokens: { type: 'integer' }
+        }
+      },
+      metadata: {
+        type: 'object',
+        required: ['agent'],
+        description: 'Structured result; which of the optional fields are set depends on the agent',
+        properties: {
+          agent: { enum: ['Story Analyst', 'Splitting Expert', 'Coaching Assistant', 'Quality Reviewer'] },
+          score: { type: 'number' },
+          criteria: { type: 'object', additionalProperties: { type: 'boolean' }, description: 'INVEST label -> passed' },
+          suggestions: { type: 'array' },
+          tips: arrayOf({ type: 'string' }),
+          splits: { type: 'array', description: 'Splits of the recommended suggestion' },
+          analysis: { type: 'object', description: 'Full Story Analyst result' },
+          splitResult: { type: 'object', description: 'All split suggestions (Splitting Expert)' },
+          coaching: { type: 'object' },
+          review: { type: 'object' }
+        }
+      }
+    }
+  },
+
+  PipelineReport: {
+    type: 'object',
+    required: ['id', 'startedAt', 'completedAt', 'totalDurationMs', 'steps', 'summary'],
+    properties: {
+      id: { type: 'string' },
+      startedAt: timestamp,
+      completedAt: timestamp,
+      totalDurationMs: { type: 'number' },
+      steps: arrayOf({
+        type: 'object',
+        required: ['agentType', 'agent', 'status', 'durationMs'],
+        properties: {
+          agentType: { enum: AGENT_TYPES },
+          agent: { type: 'string' },
+          status: { enum: ['completed', 'failed', 'skipped'] },
+          reason: { type: ['string', 'null'] },
+          durationMs: { type: 'number' },
+          error: { type: 'string' },
+          response: nullable(ref('AgentResponse'))
+        }
+      }),
+      summary: nullable({
+        type: 'object',
+        properties: {
+          overallScore: { type: 'number' },
+          readinessLevel: { enum: ['ready', 'needs-work', 'not-ready'] },
+          estimatedSize: { type: 'string' },
+          qualityIssues: { type: 'integer' },
+          splitRecommended: { type: 'boolean' },
+          reviewVerdict: { type: ['string', 'null'] }
+        }
+      })
+    }
+  },
+
+  Health: {
+    type: 'object',
+    required: ['status', 'timestamp'],
+    properties: {
+      status: { const: 'ok' },
+      timestamp: timestamp,
+      pusher: { type: 'boolean' },
+      realtime: { enum: ['pusher', 'ws'] },
+      claude: { type: 'boolean' },
+      mockMode: { type: 'boolean' },
+      storage: { type: 'string' }
+    }
+  },
+
+  RealtimeConfig: {
+    type: 'object',
+    required: ['driver'],
+    properties: {
+      driver: { enum: ['pusher', 'ws'] },
+      key: { type: 'string' },
+      cluster: { type: 'string' },
+      wsHost: { type: 'string' },
+      wsPort: { type: ['integer', 'null'], description: 'null until the WebSocket server is listening' },
+      forceTLS: { type: 'boolean' }
+    }
+  },
+
+  TrashEntry: {
+    type: 'object',
+    required: ['id', 'workspaceId', 'type', 'recordId', 'mode', 'deletedAt', 'items', 'moved'],
+    properties: {
+      id: { type: 'string' },
+      workspaceId: { type: 'string' },
+      type: {
+        enum: ['story', 'epic', 'workspace', 'split'],
+        description: 'What was deleted; `workspace` for a replacing import, `split` for the children of an undone split'
+      },
+      recordId: { type: 'string' },
+      title: { type: 'string' },
+      mode: { enum: [...new Set([...STORY_DELETE_MODES, ...EPIC_DELETE_MODES, 'replace', 'unsplit'])] },
+      deletedAt: timestamp,
+      deletedBy: nullable(ref('User')),
+      items: arrayOf({
+        type: 'object',
+        required: ['type', 'id'],
+        properties: { type: { enum: ['story', 'epic'] }, id: { type: 'string' }, title: { type: 'string' } }
+      }),
+      moved: arrayOf({
+        type: 'object',
+        required: ['id', 'field', 'from', 'to'],
+        description: 'Surviving stories the delete reparented or unassigned; restoring moves them back',
+        properties: {
+          id: { type: 'string' },
+          field: { enum: ['parentStoryId', 'epicId'] },
+          from: { type: ['string', 'null'] },
+          to: { type: ['string', 'null'] }
+        }
+      })
+    }
+  },
+
+  TrashEntryDetails: {
+    type: 'object',
+    required: ['id', 'workspaceId', 'type', 'stories', 'epics', 'moved'],
+    description: 'A trash entry with the deleted records',
+    properties: {
+      id: { type: 'string' },
+      workspaceId: { type: 'string' },
+      type: { enum: ['story', 'epic', 'workspace', 'split'] },
+      recordId: { type: 'string' },
+      stories: arrayOf(ref('Story')),
+      epics: arrayOf(ref('Epic')),
+      moved: { type: 'array' }
+    }
+  },
+
+  JiraPayload: {
+    type: 'object',
+    required: ['projectKey', 'batches', 'issueLinks'],
+    description: 'Send each batch to POST /rest/api/2/issue/bulk in order. Parent and epic keys hold record ids ' +
+      '(`refs` lines up with `issueUpdates`); replace them with the keys Jira returned for earlier batches.',
+    properties: {
+      projectKey: { type: 'string' },
+      batches: arrayOf({
+        type: 'object',
+        required: ['issueType', 'refs', 'issueUpdates'],
+        properties: {
+          issueType: { enum: ['Epic', 'Story', 'Sub-task'] },
+          refs: arrayOf({ type: 'string' }),
+          issueUpdates: arrayOf({
+            type: 'object',
+            required: ['fields'],
+            properties: { fields: { type: 'object' } }
+          })
+        }
+      }),
+      issueLinks: arrayOf({
+        type: 'object',
+        description: 'Split children linked to their parent (childIssues=links)',
+        properties: {
+          type: { type: 'object', properties: { name: { type: 'string' } } },
+          inwardIssue: { type: 'object', properties: { key: { type: 'string' } } },
+          outwardIssue: { type: 'object', properties: { key: { type: 'string' } } }
+        }
+      })
+    }
+  },
+
+  GitHubIssuesPayload: {
+    type: 'object',
+    required: ['issues'],
+    description: 'Create the issues in order: children come before the parents whose task lists name them. ' +
+      'Bodies list children by title; replace the titles with `#number` once they exist.',
+    properties: {
+      issues: arrayOf({
+        type: 'object',
+        required: ['ref', 'level', 'title', 'labels', 'children', 'body'],
+        properties: {
+          ref: { type: 'string', description: 'Record id' },
+          level: { enum: ['epic', 'story', 'child'] },
+          title: { type: 'string' },
+          labels: arrayOf({ type: 'string' }),
+          content: { type: 'string' },
+          description: { type: 'string' },
+          storyPoints: { type: ['integer', 'null'] },
+          criteria: arrayOf({ type: 'string' }),
+          children: arrayOf({
+            type: 'object',
+            properties: { ref: { type: 'string' }, title: { type: 'string' } }
+          }),
+          body: { type: 'string', description: 'Markdown' }
+        }
+      })
+    }
+  },
+
+  AzureDevOpsPayload: {
+    type: 'object',
+    required: ['organizationUrl', 'project', 'workItems'],
+    description: 'JSON Patch documents for Azure Boards (Agile process), parents first. Items refer to each ' +
+      'other by temporary negative ids, so all of them can go in one POST {organizationUrl}/_apis/wit/$batch.',
+    properties: {
+      organizationUrl: { type: 'string' },
+      project: { type: 'string' },
+      workItems: arrayOf({
+        type: 'object',
+        required: ['ref', 'id', 'type', 'document'],
+        properties: {
+          ref: { type: 'string', description: 'Record id' },
+          id: { type: 'integer', description: 'Temporary id' },
+          type: { enum: ['Epic', 'User Story', 'Task'] },
+          document: arrayOf({
+            type: 'object',
+            required: ['op', 'path'],
+            properties: { op: { type: 'string' }, path: { type: 'string' }, value: {} }
+          })
+        }
+      })
+    }
+  },
+
+  PublishResult: {
+    type: 'object',
+    required: ['target', 'created', 'failed'],
+    properties: {
+      target: { enum: TRACKER_TARGETS },
+      created: arrayOf({
+        type: 'object',
+        required: ['ref', 'id', 'url'],
+        properties: {
+          ref: { type: 'string', description: 'Record id' },
+          id: { type: ['integer', 'null'], description: 'Issue number or work item id' },
+          url: { type: ['string', 'null'] }
+        }
+      }),
+      failed: arrayOf({
+        type: 'object',
+        required: ['ref', 'status'],
+        properties: {
+          ref: { type: 'string' },
+          status: { type: 'integer' },
+          message: { type: ['string', 'null'] }
+        }
+      })
+    }
+  },
+
+  ImportReport: {
+    type: 'object',
+    required: ['dryRun', 'summary', 'rows', 'epics', 'stories'],
+    properties: {
+      dryRun: { type: 'boolean', description: 'Nothing was saved' },
+      summary: {
+        type: 'object',
+        required: ['rows', 'created', 'updated', 'skipped', 'errors'],
+        properties: {
+          rows: { type: 'integer' },
+          created: { type: 'integer' },
+          updated: { type: 'integer' },
+          skipped: { type: 'integer' },
+          errors: { type: 'integer' }
+        }
+      },
+      rows: arrayOf({
+        type: 'object',
+        required: ['row', 'type', 'action', 'warnings'],
+        properties: {
+          row: { type: 'integer', description: 'Row in the file; the header is row 1' },
+          key: { type: ['string', 'null'] },
+          type: { enum: ['story', 'epic'] },
+          title: { type: 'string' },
+          action: { enum: ['create', 'update', 'skip', 'error'] },
+          recordId: { type: ['string', 'null'] },
+          duplicateOf: {
+            type: 'object',
+            description: 'The record (id) or earlier row (row) this one duplicates',
+            properties: {
+              id: { type: 'string' },
+              row: { type: 'integer' },
+              reason: { enum: ['jira_key', 'exported_record', 'title', 'in_file'] }
+            }
+          },
+          message: { type: 'string' },
+          warnings: arrayOf({ type: 'string' })
+        }
+      }),
+      epics: arrayOf(ref('Epic')),
+      stories: arrayOf(ref('Story'))
+    }
+  },
+
+  BacklogImportReport: {
+    type: 'object',
+    required: ['dryRun', 'format', 'summary', 'rows', 'epics', 'stories'],
+    properties: {
+      dryRun: { type: 'boolean', description: 'Nothing was saved or analysed' },
+      format: { enum: BACKLOG_FORMATS },
+      summary: {
+        type: 'object',
+        required: ['rows', 'created', 'analyzed', 'errors'],
+        properties: {
+          rows: { type: 'integer' },
+          created: { type: 'integer' },
+          analyzed: { type: 'integer' },
+          errors: { type: 'integer' }
+        }
+      },
+      rows: arrayOf(ref('BacklogImportRow')),
+      epics: arrayOf(ref('Epic')),
+      stories: arrayOf(ref('Story'))
+    }
+  },
+
+  BacklogImportRow: {
+    type: 'object',
+    required: ['row', 'title', 'action', 'recordId', 'epicId', 'warnings'],
+    properties: {
+      row: { type: 'integer', description: 'Row in the CSV (the header is row 1), or line of the text' },
+      title: { type: 'string' },
+      action: { enum: ['create', 'error'] },
+      recordId: { type: ['string', 'null'] },
+      epicId: { type: ['string', 'null'] },
+      message: { type: 'string', description: 'Why the row was not imported' },
+      readiness: nullable(ref('Readiness')),
+      warnings: arrayOf({ type: 'string' })
+    }
+  },
+
+  ProjectImportReport: {
+    type: 'object',
+    required: ['dryRun', 'mode', 'fromVersion', 'notes', 'summary', 'items', 'epics', 'stories', 'trashEntry'],
+    properties: {
+      dryRun: { type: 'boolean', description: 'Nothing was saved' },
+      mode: { enum: PROJECT_IMPORT_MODES },
+      fromVersion: { type: 'integer', description: 'Schema version of the file before migration' },
+      notes: arrayOf({ type: 'string', description: 'What the migration could not carry over' }),
+      summary: {
+        type: 'object',
+        required: ['created', 'updated', 'unchanged', 'conflicts', 'skipped', 'deleted'],
+        properties: {
+          created: { type: 'integer' },
+          updated: { type: 'integer' },
+          unchanged: { type: 'integer' },
+          conflicts: { type: 'integer', description: 'Records changed here since the file was exported' },
+          skipped: { type: 'integer' },
+          deleted: { type: 'integer' }
+        }
+      },
+      items: arrayOf({
+        type: 'object',
+        required: ['type', 'id', 'recordId', 'action', 'changes', 'warnings'],
+        properties: {
+          type: { enum: ['story', 'epic'] },
+          id: { type: 'string', description: 'Id in the file' },
+          recordId: { type: ['string', 'null'], description: 'Id in the workspace' },
+          title: { type: 'string' },
+          action: { enum: ['create', 'update', 'unchanged', 'conflict', 'skip', 'delete'] },
+          changes: arrayOf({ type: 'string', description: 'Fields that differ' }),
+          conflict: {
+            type: 'object',
+            description: 'Versions for a record changed since the export, or the parent cycle a story would close',
+            properties: {
+              fileVersion: { type: 'integer' },
+              currentVersion: { type: 'integer' },
+              parentCycle: arrayOf({ type: 'string', description: 'Record ids around the loop' })
+            }
+          },
+          warnings: arrayOf({ type: 'string' })
+        }
+      }),
+      epics: arrayOf(ref('Epic')),
+      stories: arrayOf(ref('Story')),
+      trashEntry: nullable(ref('TrashEntry'))
+    }
+  },
+
+  RestoreResult: {
+    type: 'object',
+    required: ['entry', 'stories', 'epics', 'detached', 'skipped'],
+    properties: {
+      entry: ref('TrashEntry'),
+      stories: arrayOf(ref('Story')),
+      epics: arrayOf(ref('Epic')),
+      detached: arrayOf({
+        type: 'object',
+        description: 'References cleared because their target no longer exists',
+        properties: { id: { type: 'string' }, field: { type: 'string' }, from: { type: 'string' } }
+      }),
+      skipped: { type: 'array', description: 'Moves not undone because the story changed since' }
+    }
+  },
+
+  ChannelAuth: {
+    type: 'object',
+    required: ['auth'],
+    properties: {
+      auth: { type: 'string' },
+      channel_data: { type: 'string', description: 'Presence member data, for presence- channels' }
+    }
+  }
+};
+
+const versioned = (name) => json(name, ref(name), { ETag: { $ref: '#/components/headers/ETag' } });
+
+const paths = {
+  '/openapi.json': {
+    get: operation('getOpenApi', 'Meta', 'This document', {
+      public: true,
+      responses: { 200: json('OpenAPI 3.1 document', { type: 'object' }) }
+    })
+  },
+  '/health': {
+    get: operation('getHealth', 'Meta', 'Server status and configured backends', {
+      public: true,
+      responses: { 200: json('Status', ref('Health')) }
+    })
+  },
+
+  '/auth/providers': {
+    get: operation('getAuthProviders', 'Auth', 'Sign-in methods offered', {
+      public: true,
+      responses: { 200: json('Providers', ref('AuthProviders')) }
+    })
+  },
+  '/auth/register': {
+    post: operation('register', 'Auth', 'Create a local account and sign in', {
+      public: true,
+      requestBody: body('register'),
+      responses: { 201: json('New session', ref('Session')), ...errors(400, 403, 409) }
+    })
+  },
+  '/auth/login': {
+    post: operation('login', 'Auth', 'Sign in with username and password', {
+      public: true,
+      requestBody: body('login'),
+      responses: { 200: json('New session', ref('Session')), ...errors(400, 401, 429) }
+    })
+  },
+  '/auth/logout': {
+    post: operation('logout', 'Auth', 'Revoke the current session', {
+      responses: { 204: { description: 'Signed out' } }
+    })
+  },
+  '/auth/me': {
+    get: operation('getCurrentUser', 'Auth', 'The signed-in user', {
+      responses: {
+        200: json('Current session', {
+          type: 'object',
+          required: ['user', 'expiresAt'],
+          properties: { user: ref('User'), expiresAt: timestamp }
+        })
+      }
+    })
+  },
+  '/auth/oidc/start': {
+    post: operation('startOidcLogin', 'Auth', 'URL of the identity provider\'s sign-in page', {
+      public: true,
+      description: 'Also sets the HttpOnly `oidc_pending` cookie that the callback requires.',
+      responses: {
+        200: json('Where to send the browser', {
+          type: 'object',
+          required: ['authorizationUrl'],
+          properties: { authorizationUrl: { type: 'string' } }
+        }),
+        ...errors(404)
+      }
+    })
+  },
+  '/auth/oidc/callback': {
+    get: operation('oidcCallback', 'Auth', 'Identity provider redirect target', {
+      public: true,
+      description: 'Needs the `oidc_pending` cookie from oidc/start in the same browser. Redirects to the client with `#session=<token>` on success or `#authError=<message>` on failure.',
+      parameters: [query('code', 'Authorization code'), query('state', 'State from oidc/start')],
+      responses: { 302: { description: 'Back to the client' }, ...errors(404) }
+    })
+  },
+
+  '/workspaces': {
+    get: operation('getWorkspaces', 'Workspaces', 'Workspaces of the signed-in user with their role', {
+      responses: { 200: json('Workspaces', arrayOf(ref('Workspace'))) }
+    }),
+    post: operation('createWorkspace', 'Workspaces', 'Create a workspace with the caller as admin', {
+      requestBody: body('workspaceCreate'),
+      responses: { 201: json('Workspace', ref('Workspace')), ...errors(400) }
+    })
+  },
+  '/workspaces/{id}': {
+    get: operation('getWorkspace', 'Workspaces', 'Workspace details and members', {
+      parameters: [PARAMS.id('Workspace')],
+      responses: { 200: json('Workspace', ref('WorkspaceDetails')), ...errors(404) }
+    }),
+    put: operation('renameWorkspace', 'Workspaces', 'Rename a workspace (admin)', {
+      parameters: [PARAMS.id('Workspace')],
+      requestBody: body('workspaceUpdate'),
+      responses: { 200: json('Workspace', ref('Workspace')), ...errors(400, 403, 404) }
+    })
+  },
+  '/workspaces/{id}/members': {
+    post: operation('addWorkspaceMember', 'Workspaces', 'Add a member or change their role (admin)', {
+      parameters: [PARAMS.id('Workspace')],
+      requestBody: body('memberAdd'),
+      responses: { 201: json('Member', ref('Member')), ...errors(400, 403, 404, 409) }
+    })
+  },
+  '/workspaces/{id}/members/{userId}': {
+    put: operation('updateWorkspaceMember', 'Workspaces', 'Change a member\'s role (admin)', {
+      parameters: [PARAMS.id('Workspace'), PARAMS.userId],
+      requestBody: body('memberUpdate'),
+      responses: { 200: json('Member', ref('Member')), ...errors(400, 403, 404, 409) }
+    }),
+    delete: operation('removeWorkspaceMember', 'Workspaces', 'Remove a member; anyone may remove themselves', {
+      parameters: [PARAMS.id('Workspace'), PARAMS.userId],
+      responses: { 204: { description: 'Removed' }, ...errors(403, 404, 409) }
+    })
+  },
+
+  '/stories': {
+    get: operation('listStories', 'Stories', 'Stories of the caller\'s workspaces', {
+      parameters: [
+        PARAMS.workspace,
+        query('main', 'Only stories without a parent', { enum: ['true', 'false'] }),
+        query('parentId', 'Only children of this story')
+      ],
+      responses: { 200: json('Stories', arrayOf(ref('Story'))), ...errors(404) }
+    }),
+    post: operation('createStory', 'Stories', 'Create a draft story', {
+      description: 'id, status and version are set by the server; other fields are dropped.',
+      parameters: [PARAMS.workspace],
+      requestBody: body('storyCreate'),
+      responses: { 201: json('Story', ref('Story')), ...errors(400, 403, 404) }
+    })
+  },
+  '/stories/main': {
+    get: operation('listMainStories', 'Stories', 'Stories without a parent', {
+      parameters: [PARAMS.workspace],
+      responses: { 200: json('Stories', arrayOf(ref('Story'))), ...errors(404) }
+    })
+  },
+  '/stories/{id}': {
+    get: operation('getStory', 'Stories', 'One story', {
+      parameters: [PARAMS.id('Story')],
+      responses: { 200: versioned('Story'), ...errors(404) }
+    }),
+    put: operation('updateStory', 'Stories', 'Update a story at the version it was edited from', {
+      description: 'Send `version` in the body or the ETag as If-Match. A 409 carries the current story and a per-field conflict list in `details`.',
+      parameters: [PARAMS.id('Story'), PARAMS.ifMatch],
+      requestBody: body('storyUpdate'),
+      responses: { 200: versioned('Story'), ...errors(400, 403, 404, 409, 428, 429) }
+    }),
+    delete: operation('deleteStory', 'Stories', 'Move a story to the trash', {
+      description: 'With sub-stories, `refuse` answers 409 (`has_children`), `cascade` deletes them too and ' +
+        '`reparent` moves them up to the story\'s parent. The main story of a workspace cannot be deleted.',
+      parameters: [PARAMS.id('Story'), query('mode', 'What happens to sub-stories', { enum: STORY_DELETE_MODES, default: 'refuse' })],
+      responses: { 200: json('Trash entry', ref('TrashEntry')), ...errors(400, 403, 404, 409) }
+    })
+  },
+  '/stories/{id}/substories': {
+    get: operation('listSubStories', 'Stories', 'Children of a story', {
+      parameters: [PARAMS.id('Parent story'), query('includeArchived', 'Include children archived by an unsplit', { enum: ['true', 'false'] })],
+      responses: { 200: json('Stories', arrayOf(ref('Story'))), ...errors(404) }
+    })
+  },
+  '/stories/{id}/accept-splits': {
+    post: operation('acceptSplits', 'Splitting', 'Create child stories from a split suggestion or drafts', {
+      parameters: [PARAMS.id('Parent story')],
+      requestBody: body('acceptSplits'),
+      responses: { 201: json('Parent and new children', ref('AcceptSplitsResult')), ...errors(400, 403, 404, 409) }
+    })
+  },
+  '/stories/{id}/unsplit': {
+    post: operation('unsplitStory', 'Splitting', 'Undo an accepted split', {
+      parameters: [PARAMS.id('Parent story')],
+      requestBody: { ...body('unsplit'), required: false },
+      responses: { 200: json('Restored parent', ref('UnsplitResult')), ...errors(400, 403, 404, 409) }
+    })
+  },
+  '/stories/{id}/suggestions/{suggestionId}/{decision}': {
+    post: operation('decideSuggestion', 'Agents', 'Apply or reject a Story Analyst suggestion', {
+      parameters: [PARAMS.id('Story'), PARAMS.suggestionId, PARAMS.decision],
+      requestBody: { ...body('suggestionDecision'), required: false },
+      responses: {
+        200: json('Updated story', ref('SuggestionDecisionResult')),
+        ...errors(400, 403, 404, 409, 422, 500)
+      }
+    })
+  },
+  '/stories/{id}/collab': {
+    get: operation('getCollabState', 'Collaboration', 'Shared editing document', {
+      parameters: [PARAMS.id('Story'), query('stateVector', 'Base64 Yjs state vector; only what it lacks is returned')],
+      responses: { 200: json('Document', ref('CollabState')), ...errors(404) }
+    }),
+    post: operation('sendCollabUpdate', 'Collaboration', 'Merge a Yjs update and relay it to other editors', {
+      parameters: [PARAMS.id('Story')],
+      requestBody: body('collabUpdate'),
+      responses: { 200: json('Merged document', ref('CollabDocument')), ...errors(400, 403, 404, 429) }
+    })
+  },
+  '/stories/{id}/collab/cursor': {
+    post: operation('sendCollabCursor', 'Collaboration', 'Relay the caller\'s cursor', {
+      parameters: [PARAMS.id('Story')],
+      requestBody: body('collabCursor'),
+      responses: { 202: json('Relayed', ref('Relayed')), ...errors(400, 403, 404, 429) }
+    })
+  },
+  '/stories/{id}/typing': {
+    post: operation('sendTyping', 'Collaboration', 'Relay the caller\'s typing indicator', {
+      parameters: [PARAMS.id('Story')],
+      requestBody: body('typing'),
+      responses: { 202: json('Relayed', ref('Relayed')), ...errors(400, 403, 404, 429) }
+    })
+  },
+  '/stories/{id}/versions': {
+    get: operation('getStoryVersions', 'History', 'Versions of a story, oldest first', {
+      parameters: [PARAMS.id('Story')],
+      responses: { 200: json('Versions', arrayOf(ref('StoryVersionSummary'))), ...errors(404) }
+    })
+  },
+  '/stories/{id}/versions/diff': {
+    get: operation('diffStoryVersions', 'History', 'Field-level diff between two versions', {
+      parameters: [
+        PARAMS.id('Story'),
+        query('from', 'Defaults to the version before `to`', { type: 'integer', minimum: 1 }),
+        query('to', 'Defaults to the current version', { type: 'integer', minimum: 1 })
+      ],
+      responses: { 200: json('Diff', ref('VersionDiff')), ...errors(400, 404) }
+    })
+  },
+  '/stories/{id}/versions/{n}': {
+    get: operation('getStoryVersion', 'History', 'One version snapshot', {
+      parameters: [PARAMS.id('Story'), PARAMS.n],
+      responses: { 200: json('Snapshot', ref('StoryVersion')), ...errors(404) }
+    })
+  },
+  '/stories/{id}/versions/{n}/restore': {
+    post: operation('restoreStoryVersion', 'History', 'Save an old version as the newest one', {
+      description: 'Send the current `version` in the body or the ETag as If-Match, as for updates.',
+      parameters: [PARAMS.id('Story'), PARAMS.n, PARAMS.ifMatch],
+      requestBody: { ...body('versionRestore'), required: false },
+      responses: { 200: versioned('Story'), ...errors(400, 403, 404, 409, 428) }
+    })
+  },
+  '/stories/{id}/publish': {
+    post: operation('publishStory', 'Stories', 'Mark a story ready (product owner)', {
+      parameters: [PARAMS.id('Story')],
+      responses: { 200: json('Published story', ref('Story')), ...errors(403, 404) }
+    })
+  },
+
+  '/epics': {
+    get: operation('listEpics', 'Epics', 'Epics of the caller\'s workspaces', {
+      parameters: [PARAMS.workspace],
+      responses: { 200: json('Epics', arrayOf(ref('Epic'))), ...errors(404) }
+    }),
+    post: operation('createEpic', 'Epics', 'Create an epic', {
+      parameters: [PARAMS.workspace],
+      requestBody: body('epicCreate'),
+      responses: { 201: json('Epic', ref('Epic')), ...errors(400, 403, 404) }
+    })
+  },
+  '/epics/{id}': {
+    get: operation('getEpic', 'Epics', 'One epic', {
+      parameters: [PARAMS.id('Epic')],
+      responses: { 200: versioned('Epic'), ...errors(404) }
+    }),
+    put: operation('updateEpic', 'Epics', 'Update an epic at the version it was edited from', {
+      parameters: [PARAMS.id('Epic'), PARAMS.ifMatch],
+      requestBody: body('epicUpdate'),
+      responses: { 200: versioned('Epic'), ...errors(400, 403, 404, 409, 428) }
+    }),
+    delete: operation('deleteEpic', 'Epics', 'Move an epic to the trash', {
+      description: 'With stories in the epic, `refuse` answers 409 (`has_stories`), `cascade` deletes them and ' +
+        'their sub-stories and `unassign` keeps them without an epic.',
+      parameters: [PARAMS.id('Epic'), query('mode', 'What happens to the epic\'s stories', { enum: EPIC_DELETE_MODES, default: 'refuse' })],
+      responses: { 200: json('Trash entry', ref('TrashEntry')), ...errors(400, 403, 404, 409) }
+    })
+  },
+
+  '/trash': {
+    get: operation('listTrash', 'Trash', 'Deleted stories and epics, newest first', {
+      parameters: [PARAMS.workspace],
+      responses: { 200: json('Trash entries', arrayOf(ref('TrashEntry'))), ...errors(404) }
+    })
+  },
+  '/trash/{id}': {
+    get: operation('getTrashEntry', 'Trash', 'A trash entry with its records', {
+      parameters: [PARAMS.id('Trash entry')],
+      responses: { 200: json('Trash entry', ref('TrashEntryDetails')), ...errors(404) }
+    }),
+    delete: operation('purgeTrashEntry', 'Trash', 'Delete the entry\'s records for good (admin)', {
+      parameters: [PARAMS.id('Trash entry')],
+      responses: { 204: { description: 'Purged' }, ...errors(403, 404) }
+    })
+  },
+  '/trash/{id}/restore': {
+    post: operation('restoreTrashEntry', 'Trash', 'Restore everything a delete removed or moved', {
+      description: 'Answers 409 (`restore_conflict`) when a record with one of the ids exists again.',
+      parameters: [PARAMS.id('Trash entry')],
+      responses: { 200: json('Restored records', ref('RestoreResult')), ...errors(403, 404, 409) }
+    })
+  },
+
+  '/stories/{id}/export': {
+    get: operation('exportStory', 'Import and export', 'A story as Markdown or a Gherkin feature', {
+      description: 'Markdown has the statement, details, acceptance criteria, the Story Analyst\'s INVEST scorecard ' +
+        'and the split children. Gherkin turns each acceptance criterion into a scenario: Given/When/Then criteria ' +
+        'keep their steps, free-text criteria become a Then step.',
+      parameters: [PARAMS.id('Story'), query('format', 'Output', { enum: ['markdown', 'gherkin'], default: 'markdown' })],
+      responses: {
+        200: {
+          description: 'The document, as an attachment',
+          content: {
+            'text/markdown': { schema: { type: 'string' } },
+            'text/x-gherkin': { schema: { type: 'string' } }
+          }
+        },
+        ...errors(400, 404, 500)
+      }
+    })
+  },
+  '/epics/{id}/export': {
+    get: operation('exportEpic', 'Import and export', 'An epic as Markdown, or a zip of Markdown and feature files', {
+      description: 'Markdown covers the epic and each top-level story with its scorecard and split tree. The zip holds ' +
+        'that document as README.md plus stories/<story>.md and features/<story>.feature for every story and split child.',
+      parameters: [PARAMS.id('Epic'), query('format', 'Output', { enum: ['markdown', 'zip'], default: 'markdown' })],
+      responses: {
+        200: {
+          description: 'The document or archive, as an attachment',
+          content: {
+            'text/markdown': { schema: { type: 'string' } },
+            'application/zip': { schema: { type: 'string', contentEncoding: 'binary' } }
+          }
+        },
+        ...errors(400, 404, 500)
+      }
+    })
+  },
+  '/export/jira': {
+    get: operation('exportJira', 'Import and export', 'Epics, stories and split children as Jira issues', {
+      description: 'CSV for Jira\'s CSV importer, or `format=json` for the REST API. Split children become ' +
+        'sub-tasks of their top-level story, or with `childIssues=links` stories linked to their parent.',
+      parameters: [
+        PARAMS.workspace,
+        query('format', 'Output', { enum: ['csv', 'json'], default: 'csv' }),
+        query('epicId', 'Export only this epic'),
+        query('childIssues', 'How split children are exported', { enum: JIRA_CHILD_MODES, default: 'subtasks' }),
+        query('projectKey', 'Jira project (json)', { type: 'string', default: 'STORY' }),
+        query('storyPointsField', 'Custom field holding story points (json)', { type: 'string', default: 'customfield_10016' }),
+        query('epicLinkField', 'Epic Link custom field, for projects that do not link epics through parent (json)'),
+        query('epicNameField', 'Epic Name custom field, where epics need one (json)')
+      ],
+      responses: {
+        200: {
+          description: 'Jira issues',
+          content: {
+            'text/csv': { schema: { type: 'string' } },
+            'application/json': { schema: ref('JiraPayload') }
+          }
+        },
+        ...errors(400, 403, 404)
+      }
+    })
+  },
+  '/export/{target}': {
+    get: operation('exportTracker', 'Import and export', 'Epics, stories and split children as GitHub issues or Azure DevOps work items', {
+      description: 'Payloads to send with your own credentials. GitHub issues are labelled by level and priority ' +
+        'and list their children as a task list; Azure DevOps items are Epics, User Stories and Tasks with parent links.',
+      parameters: [
+        PARAMS.target,
+        PARAMS.workspace,
+        query('epicId', 'Export only this epic'),
+        query('labels', 'Comma-separated labels added to every issue (github)'),
+        query('organizationUrl', 'e.g. https://dev.azure.com/contoso; defaults to the server setting (azure-devops)'),
+        query('project', 'Team project; defaults to the server setting (azure-devops)'),
+        query('areaPath', 'Area path of every work item (azure-devops)'),
+        query('iterationPath', 'Iteration path of every work item (azure-devops)')
+      ],
+      responses: {
+        200: json('Issues or work items', { oneOf: [ref('GitHubIssuesPayload'), ref('AzureDevOpsPayload')] }),
+        ...errors(400, 403, 404)
+      }
+    })
+  },
+  '/export/{target}/publish': {
+    post: operation('publishTracker', 'Import and export', 'Create the issues in the tracker configured on the server', {
+      description: 'Needs the product owner role. Every run creates new issues. Azure DevOps reports failed ' +
+        'items in `failed`; a GitHub failure stops the run with 502 and `details.created` lists what was created.',
+      parameters: [PARAMS.target, PARAMS.workspace],
+      requestBody: body('trackerPublish'),
+      responses: { 200: json('What was created', ref('PublishResult')), ...errors(400, 403, 404, 500, 502, 503) }
+    })
+  },
+  '/workspaces/{id}/project': {
+    get: operation('exportProject', 'Import and export', 'The workspace as a project file', {
+      description: 'Epics, stories, agent results and version history, at the current schema version.',
+      parameters: [PARAMS.id('Workspace')],
+      responses: { 200: json('Project file, as an attachment', ref('projectFileRequest')), ...errors(404) }
+    })
+  },
+  '/workspaces/{id}/project/import': {
+    post: operation('importProject', 'Import and export', 'Merge a project file into the workspace, or replace it', {
+      description: 'Older files are migrated first. Records changed here since the file was exported are conflicts: ' +
+        'skipped, or overwritten with `conflicts=overwrite`. `mode=replace` (admin) overwrites them and moves ' +
+        'records the file does not have into one trash entry.',
+      parameters: [
+        PARAMS.id('Workspace'),
+        query('mode', 'Merge into the workspace or replace it', { enum: PROJECT_IMPORT_MODES, default: 'merge' }),
+        query('conflicts', 'What to do with conflicts when merging', { enum: PROJECT_CONFLICT_MODES, default: 'skip' }),
+        query('dryRun', 'Report what would happen without saving', { enum: ['true', 'false'], default: 'false' })
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: { type: 'object', description: 'A project file (`projectFileRequest`) or an earlier version of it' }
+          }
+        }
+      },
+      responses: {
+        200: json('What was (or would be) imported', ref('ProjectImportReport')),
+        ...errors(400, 403, 404, 413, 422)
+      }
+    })
+  },
+  '/import/backlog': {
+    post: operation('importBacklog', 'Import and export', 'Create stories from a CSV or a plain-text list', {
+      description: `CSV needs a header row; title, description, priority and epic columns are found by name or named ` +
+        `with \`columns[<field>]\`. Plain text is one story per line. Epics are matched by title or created. Each story ` +
+        `is run through the Story Analyst and keeps its readiness. At most ${MAX_BACKLOG_ROWS} rows; rows that cannot be ` +
+        `imported are reported, not fatal. More than ${MAX_UNSTREAMED_ROWS} stories must stream (413 \`stream_required\`). ` +
+        'With `Accept: text/event-stream` the progress streams as events: `start` ' +
+        '{ rows, stories, epics }, `row` (a BacklogImportRow with the saved `story` and `progress` { done, total }), ' +
+        '`result` (the BacklogImportReport), `error` (the error envelope) and finally `done`.',
+      parameters: [
+        PARAMS.workspace,
+        query('format', 'Defaults to csv for text/csv and text for text/plain', { enum: BACKLOG_FORMATS }),
+        query('dryRun', 'Report what would happen without saving', { enum: ['true', 'false'], default: 'false' }),
+        {
+          ...query('columns', 'CSV header to read a field from, e.g. `columns[title]=Summary`', {
+            type: 'object',
+            properties: Object.fromEntries(BACKLOG_FIELDS.map(field => [field, { type: 'string' }]))
+          }),
+          style: 'deepObject',
+          explode: true
+        }
+      ],
+      requestBody: {
+        required: true,
+        content: { 'text/csv': { schema: { type: 'string' } }, 'text/plain': { schema: { type: 'string' } } }
+      },
+      responses: {
+        200: {
+          description: 'What was (or would be) imported, per row',
+          content: {
+            'application/json': { schema: ref('BacklogImportReport') },
+            'text/event-stream': { schema: { type: 'string' } }
+          }
+        },
+        ...errors(400, 403, 404, 413, 415, 500)
+      }
+    })
+  },
+  '/import/jira': {
+    post: operation('importJira', 'Import and export', 'Create stories and epics from a Jira CSV export', {
+      description: 'Epic issues become epics; sub-tasks and stories with a parent become split children. ' +
+        'Issues matching a record by Jira key, export label or title are skipped, or updated with `duplicates=update`.',
+      parameters: [
+        PARAMS.workspace,
+        query('dryRun', 'Report what would happen without saving', { enum: ['true', 'false'], default: 'false' }),
+        query('duplicates', 'What to do with issues that match a record', { enum: JIRA_DUPLICATE_MODES, default: 'skip' })
+      ],
+      requestBody: { required: true, content: { 'text/csv': { schema: { type: 'string' } } } },
+      responses: { 200: json('What was (or would be) imported, per row', ref('ImportReport')), ...errors(400, 403, 404, 413, 415) }
+    })
+  },
+
+  '/agents/pipeline': {
+    post: operation('runAgentPipeline', 'Agents', 'Run the analyst and the agents it asks for', {
+      parameters: [PARAMS.workspace],
+      requestBody: body('agentRequest'),
+      responses: { 200: json('Report', ref('PipelineReport')), ...errors(400, 403, 404, 500) }
+    })
+  },
+  '/agents/{agentType}': {
+    post: operation('callAgent', 'Agents', 'Run one agent on a story', {
+      description: 'Stored stories run in their own workspace; unsaved drafts need X-Workspace-Id.',
+      parameters: [PARAMS.agentType, PARAMS.workspace],
+      requestBody: body('agentRequest'),
+      responses: { 200: json('Agent result', ref('AgentResponse')), ...errors(400, 403, 404, 500) }
+    })
+  },
+  '/agents/{agentType}/stream': {
+    post: operation('streamAgent', 'Agents', 'Run one agent, streaming progress as Server-Sent Events', {
+      description: 'Events: `start` { agentType, agent }, `text` { text } (a piece of the provider\'s answer as it ' +
+        'arrives), `criterion` (one INVEST result), `split` (one splitting ' +
+        'approach), `tip` (one coaching tip), `dimension` (one review dimension), `result` (an AgentResponse), ' +
+        '`error` (the error envelope) and finally `done`. Disconnecting stops the agent.',
+      parameters: [PARAMS.agentType, PARAMS.workspace],
+      requestBody: body('agentRequest'),
+      responses: {
+        200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+        ...errors(400, 403, 404)
+      }
+    })
+  },
+
+  '/realtime/config': {
+    get: operation('getRealtimeConfig', 'Realtime', 'Connection settings for pusher-js', {
+      responses: { 200: json('Config', ref('RealtimeConfig')) }
+    })
+  },
+  '/pusher/auth': {
+    post: operation('authorizeChannel', 'Realtime', 'Sign a private or presence channel subscription', {
+      requestBody: {
+        required: true,
+        content: {
+          'application/x-www-form-urlencoded': { schema: ref('channelAuthRequest') },
+          'application/json': { schema: ref('channelAuthRequest') }
+        }
+      },
+      responses: { 200: json('Signature', ref('ChannelAuth')), ...errors(400, 403, 500) }
+    })
+  },
+  '/pusher/trigger': {
+    post: operation('triggerEvent', 'Realtime', 'Send a raw event to a channel', {
+      description: 'Only registered when NODE_ENV=development.',
+      'x-development-only': true,
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['channel', 'event', 'data'],
+              properties: { channel: { type: 'string' }, event: { type: 'string' }, data: {} }
+            }
+          }
+        }
+      },
+      responses: { 200: json('Sent', { type: 'object', properties: { success: { const: true } } }), ...errors(400, 403, 500) }
+    })
+  }
+};
+
+const openApiDocument = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Story Splitter AI API',
+    version,
+    description: 'Stories, epics, workspaces and AI agents. Errors always use the `Error` envelope.'
+  },
+  servers: [{ url: '/api' }],
+  security: [{ bearerAuth: [] }],
+  tags: ['Meta', 'Auth', 'Workspaces', 'Stories', 'Splitting', 'History', 'Collaboration', 'Epics', 'Trash', 'Import and export', 'Agents', 'Realtime']
+    .map(name => ({ name })),
+  paths,
+  components: {
+    securitySchemes: {
+      bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'Session token from /auth/login, /auth/register or the OIDC callback'
+      }
+    },
+    parameters: {
+      WorkspaceId: {
+        name: 'X-Workspace-Id',
+        in: 'header',
+        required: false,
+        description: 'Workspace to list from or create in (also accepted as `workspaceId` in the query or body)',
+        schema: { type: 'string' }
+      },
+      IfMatch: {
+        name: 'If-Match',
+        in: 'header',
+        required: false,
+        description: 'ETag of the version being edited, instead of `version` in the body',
+        schema: { type: 'string' }
+      }
+    },
+    headers: {
+      ETag: { description: 'Quoted record version', schema: { type: 'string' } },
+      RequestId: { description: 'Request id, also in the error body', schema: { type: 'string' } },
+      RetryAfter: { description: 'Seconds until the limit resets', schema: { type: 'integer' } }
+    },
+    responses: Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([status, [name, description]]) => [
+      name,
+      json(description, ref('Error'), {
+        'X-Request-Id': { $ref: '#/components/headers/RequestId' },
+        ...(status === '429' && { 'Retry-After': { $ref: '#/components/headers/RetryAfter' } })
+      })
+    ])),
+    schemas: {
+      ...responseSchemas,
+      ...Object.fromEntries(Object.entries(requestSchemas).map(([name, schema]) => [`${name}Request`, schema]))
+    }
+  }
+};
+
+// Explorer page on Swagger UI, served from the swagger-ui-dist package so
+// it works offline. Mounted ahead of the session guard: the page and the
+// document are public, trying operations out needs a token (Authorize).
+function apiExplorer({ specUrl }) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    const assets = req.baseUrl;
+    res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${openApiDocument.info.title}</title>
+  <link rel="stylesheet" href="${assets}/swagger-ui.css">
+</head>
+<body>
+  <div id="explorer"></div>
+  <script src="${assets}/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({ url: '${specUrl}', dom_id: '#explorer', persistAuthorization: true });
+  </script>
+</body>
+</html>`);
+  });
+  router.use(express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+  return router;
+}
+
+module.exports = { openApiDocument, apiExplorer };
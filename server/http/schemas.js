@@ -0,0 +1,286 @@
+// server/http/schemas.js
+// JSON schemas for request bodies. Properties listed here are the only
+// ones a client can write; validation strips anything else, so ids,
+// versions, status, timestamps and authorship stay under server control.
+const { ROLES } = require('../services/workspaces');
+const { MAX_NAME_LENGTH } = require('../auth/users');
+const { STORY_DELETE_MODES, EPIC_DELETE_MODES } = require('../services/trash');
+const { JIRA_CHILD_MODES, JIRA_DUPLICATE_MODES } = require('../services/jira');
+const { BACKLOG_FORMATS } = require('../services/backlog-import');
+const {
+  PROJECT_FORMAT, PROJECT_SCHEMA_VERSION, PROJECT_IMPORT_MODES, PROJECT_CONFLICT_MODES
+} = require('../services/project-file');
+
+const id = { type: 'string', minLength: 1, maxLength: 200 };
+const nullableId = { type: ['string', 'null'], maxLength: 200 };
+const text = (maxLength) => ({ type: 'string', maxLength });
+const version = { type: 'integer', minimum: 1 };
+// A version number in a query string, where every value is text
+const versionParam = { type: 'string', pattern: '^[1-9][0-9]{0,8}$' };
+const customField = { type: 'string', pattern: '^customfield_[0-9]+$' };
+
+// Criteria are plain strings, stored and read by the agents as they are
+const criteria = {
+  type: 'array',
+  maxItems: 100,
+  items: text(2000)
+};
+
+const storyFields = {
+  title: { ...text(300), minLength: 1 },
+  description: text(5000),
+  content: text(20000),
+  epicId: nullableId,
+  parentStoryId: nullableId,
+  priority: { enum: ['Low', 'Medium', 'High'] },
+  effort: { enum: ['Small', 'Medium', 'Large'] },
+  storyPoints: { type: 'integer', minimum: 0, maximum: 1000 },
+  acceptanceCriteria: criteria
+};
+
+const epicFields = {
+  title: text(300),
+  description: text(5000),
+  order: { type: 'integer', minimum: 0 }
+};
+
+// Hand-written split drafts and per-draft edits of a stored suggestion
+const splitDraftFields = {
+  title: { ...text(300), minLength: 1 },
+  description: text(5000),
+  content: text(20000),
+  acceptanceCriteria: criteria,
+  estimatedSize: { enum: ['XS', 'S', 'M', 'L', 'XL', 'XXL'] },
+  storyPoints: storyFields.storyPoints,
+  effort: storyFields.effort,
+  priority: storyFields.priority,
+  epicId: nullableId,
+  rationale: text(5000)
+};
+
+const objectOf = (properties, extra = {}) => ({
+  type: 'object',
+  properties,
+  additionalProperties: false,
+  ...extra
+});
+
+// Agents read a story without storing it, so drafts may carry extra fields
+const agentStory = {
+  type: 'object',
+  properties: {
+    id: { type: ['string', 'null'], maxLength: 200 },
+    title: text(300),
+    description: text(20000),
+    content: text(20000),
+    acceptanceCriteria: criteria
+  },
+  anyOf: [
+    { required: ['content'], properties: { content: { minLength: 1 } } },
+    { required: ['description'], properties: { description: { minLength: 1 } } },
+    { required: ['title'], properties: { title: { minLength: 1 } } }
+  ]
+};
+
+const schemas = {
+  // Only types here; username and password rules live in auth/users.js
+  register: objectOf({
+    username: text(100),
+    password: text(1000),
+    // Shown to collaborators: short plain text
+    name: { ...text(MAX_NAME_LENGTH), pattern: '^[^<>\\u0000-\\u001f\\u007f]*$' },
+    email: text(320)
+  }, { required: ['username', 'password'] }),
+
+  login: objectOf({
+    username: text(100),
+    password: text(1000)
+  }, { required: ['username', 'password'] }),
+
+  // Sent by pusher-js as a form post
+  channelAuth: objectOf({
+    socket_id: id,
+    channel_name: id
+  }, { required: ['socket_id', 'channel_name'] }),
+
+  storyCreate: objectOf({ ...storyFields, workspaceId: id }, { required: ['title'] }),
+
+  storyUpdate: objectOf({ ...storyFields, workspaceId: id, version }),
+
+  epicCreate: objectOf({ ...epicFields, workspaceId: id }, { required: ['title'] }),
+
+  epicUpdate: objectOf({ ...epicFields, workspaceId: id, version }),
+
+  // Either a stored Splitting Expert suggestion or hand-written drafts
+  acceptSplits: objectOf({
+    suggestionId: id,
+    splitIds: { type: 'array', maxItems: 50, items: id },
+    edits: {
+      type: 'object',
+      maxProperties: 50,
+      additionalProperties: objectOf(splitDraftFields)
+    },
+    splits: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 50,
+      items: objectOf({ id, ...splitDraftFields }, { required: ['title'] })
+    }
+  }, {
+    oneOf: [
+      { required: ['suggestionId'], not: { required: ['splits'] } },
+      { required: ['splits'], not: { required: ['suggestionId'] } }
+    ]
+  }),
+
+  unsplit: objectOf({ mode: { enum: ['archive', 'delete'] } }),
+
+  // The version being replaced, unless sent as If-Match
+  versionRestore: objectOf({ version }),
+
+  // Query string of GET /api/stories/:id/versions/diff
+  versionDiff: objectOf({ from: versionParam, to: versionParam }),
+
+  // Query strings of DELETE /api/stories/:id and /api/epics/:id
+  storyDelete: objectOf({ mode: { enum: STORY_DELETE_MODES } }),
+
+  epicDelete: objectOf({ mode: { enum: EPIC_DELETE_MODES } }),
+
+  // Query strings of the Jira export and import
+  jiraExport: objectOf({
+    workspaceId: id,
+    format: { enum: ['csv', 'json'] },
+    epicId: id,
+    childIssues: { enum: JIRA_CHILD_MODES },
+    projectKey: { type: 'string', pattern: '^[A-Z][A-Z0-9_]{0,9}$' },
+    storyPointsField: customField,
+    epicLinkField: customField,
+    epicNameField: customField
+  }),
+
+  jiraImport: objectOf({
+    workspaceId: id,
+    dryRun: { enum: ['true', 'false'] },
+    duplicates: { enum: JIRA_DUPLICATE_MODES }
+  }),
+
+  // ?columns[title]=Summary names the header a field is read from
+  backlogImport: objectOf({
+    workspaceId: id,
+    format: { enum: BACKLOG_FORMATS },
+    dryRun: { enum: ['true', 'false'] },
+    columns: objectOf({ title: text(100), description: text(100), priority: text(100), epic: text(100) })
+  }),
+
+  // ?labels= is a comma-separated list
+  trackerExport: objectOf({
+    workspaceId: id,
+    epicId: id,
+    labels: text(500),
+    organizationUrl: { type: 'string', pattern: '^https?://[^\\s]+$', maxLength: 500 },
+    project: text(200),
+    areaPath: text(500),
+    iterationPath: text(500)
+  }),
+
+  storyExport: objectOf({ format: { enum: ['markdown', 'gherkin'] } }),
+
+  epicExport: objectOf({ format: { enum: ['markdown', 'zip'] } }),
+
+  trackerPublish: objectOf({
+    workspaceId: id,
+    epicId: id,
+    labels: { type: 'array', maxItems: 20, items: { type: 'string', minLength: 1, maxLength: 50 } },
+    areaPath: text(500),
+    iterationPath: text(500)
+  }),
+
+  projectImport: objectOf({
+    mode: { enum: PROJECT_IMPORT_MODES },
+    conflicts: { enum: PROJECT_CONFLICT_MODES },
+    dryRun: { enum: ['true', 'false'] }
+  }),
+
+  // A project file after migration to the current schema version. Stored
+  // records keep fields this list does not name; agent results and
+  // snapshots only need to say which story they belong to.
+  projectFile: objectOf({
+    format: { const: PROJECT_FORMAT },
+    schemaVersion: { const: PROJECT_SCHEMA_VERSION },
+    exportedAt: { type: ['string', 'null'] },
+    workspace: {
+      type: 'object',
+      properties: { id: nullableId, name: { type: ['string', 'null'], maxLength: 100 }, mainStoryId: nullableId }
+    },
+    epics: {
+      type: 'array',
+      maxItems: 5000,
+      items: { type: 'object', required: ['id'], properties: { id, ...epicFields, version } }
+    },
+    stories: {
+      type: 'array',
+      maxItems: 20000,
+      items: {
+        type: 'object',
+        required: ['id'],
+        properties: { id, ...storyFields, status: text(50), order: epicFields.order, version }
+      }
+    },
+    analyses: { type: 'array', items: { type: 'object', required: ['storyId'], properties: { storyId: id } } },
+    splitResults: { type: 'array', items: { type: 'object', required: ['storyId'], properties: { storyId: id } } },
+    versions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['storyId', 'version', 'story'],
+        properties: { storyId: id, version, story: { type: 'object' } }
+      }
+    },
+    insights: { type: 'array', maxItems: 1000 }
+  }, { required: ['format', 'schemaVersion', 'epics', 'stories'] }),
+
+  suggestionDecision: objectOf({ suggestedValue: {} }),
+
+  agentRequest: objectOf({
+    story: agentStory,
+    context: {
+      type: 'object',
+      properties: {
+        epics: { type: 'array' },
+        relatedStories: { type: 'array' }
+      }
+    },
+    requestType: text(50),
+    workspaceId: id
+  }, { required: ['story'] }),
+
+  collabUpdate: objectOf({
+    update: { type: 'string', minLength: 1, maxLength: 2000000 },
+    clientId: { type: ['string', 'integer'] }
+  }, { required: ['update'] }),
+
+  collabCursor: objectOf({
+    clientId: { type: ['string', 'integer'] },
+    field: { enum: ['content', 'criteria'] },
+    anchor: { type: 'string', maxLength: 1024, pattern: '^[A-Za-z0-9+/]*={0,2}$' },
+    head: { type: 'string', maxLength: 1024, pattern: '^[A-Za-z0-9+/]*={0,2}$' }
+  }, { required: ['clientId', 'field', 'anchor', 'head'] }),
+
+  typing: objectOf({ isTyping: { type: 'boolean' } }, { required: ['isTyping'] }),
+
+  workspaceCreate: objectOf({ name: { ...text(100), minLength: 1 } }, { required: ['name'] }),
+
+  workspaceUpdate: objectOf({ name: { ...text(100), minLength: 1 } }, { required: ['name'] }),
+
+  memberAdd: objectOf({
+    username: id,
+    userId: id,
+    role: { enum: ROLES }
+  }, { required: ['role'], anyOf: [{ required: ['username'] }, { required: ['userId'] }] }),
+
+  memberUpdate: objectOf({
+    role: { enum: ROLES }
+  }, { required: ['role'] })
+};
+
+module.exports = { schemas };
@@ -0,0 +1,47 @@
+// server/http/storage.js
+// syncStorage(repository) makes every request see the stored data and have
+// its changes written before the response goes out: a serverless function
+// can be frozen as soon as it answers, and the file store then writes once
+// per request however many records it saved. A response whose changes
+// could not be written becomes a 503 when it has not started yet. onLoad
+// runs once the data is there, e.g. to seed an empty store.
+const { sendError, errorBody } = require('./errors');
+
+function syncStorage(repository, { onLoad = () => {} } = {}) {
+  let loaded = false;
+
+  return async (req, res, next) => {
+    try {
+      await repository.ready();
+      if (!loaded) {
+        loaded = true;
+        onLoad();
+      }
+      await repository.store.sync();
+    } catch (error) {
+      console.error(`Storage unavailable [${req.id}]:`, error);
+      return sendError(res, 503, 'Storage is unavailable, try again shortly', { code: 'storage_unavailable' });
+    }
+
+    const end = res.end;
+    res.end = function (...args) {
+      repository.store.flush().then(() => end.apply(this, args), error => {
+        console.error(`Saving changes failed [${req.id}]:`, error);
+        if (this.headersSent) return end.apply(this, args);
+
+        const body = JSON.stringify(errorBody(req, 503, 'The changes could not be saved, try again shortly', {
+          code: 'storage_unavailable'
+        }));
+        this.statusCode = 503;
+        this.removeHeader('ETag');
+        this.setHeader('Content-Type', 'application/json; charset=utf-8');
+        this.setHeader('Content-Length', Buffer.byteLength(body));
+        end.call(this, body);
+      });
+      return this;
+    };
+    next();
+  };
+}
+
+module.exports = { syncStorage };
@@ -0,0 +1,80 @@
+// server/http/validation.js
+// validateBody(name) checks req.body against one of the schemas in
+// ./schemas, strips fields that are not writable and answers 400 with
+// code `validation_failed` and one entry per problem in details.errors.
+// validateQuery(name) does the same for the query string.
+const Ajv = require('ajv');
+const { schemas } = require('./schemas');
+const { sendError } = require('./errors');
+
+const ajv = new Ajv({ allErrors: true, removeAdditional: true, strict: false });
+
+const validators = Object.fromEntries(
+  Object.entries(schemas).map(([name, schema]) => [name, ajv.compile(schema)])
+);
+
+const pathOf = (error) => error.instancePath.slice(1).replace(/\//g, '.');
+
+// "/story/title" -> "story.title"; a missing property names itself
+function describeError(error) {
+  const missing = error.params?.missingProperty;
+  return {
+    field: [pathOf(error), missing].filter(Boolean).join('.') || null,
+    message: missing ? 'is required' : error.message,
+    ...(error.params?.allowedValues && { allowed: error.params.allowedValues })
+  };
+}
+
+// oneOf/anyOf report a failure for every alternative; fold those into one
+// entry naming the properties that would have satisfied an alternative
+function describeErrors(errors) {
+  const alternatives = errors.filter(error => error.keyword === 'oneOf' || error.keyword === 'anyOf');
+  const branchOf = (error) => alternatives.find(alternative =>
+    error.schemaPath.startsWith(`${alternative.schemaPath}/`));
+
+  const described = errors
+    .filter(error => !branchOf(error))
+    .map(error => {
+      if (!alternatives.includes(error)) return describeError(error);
+      const options = [...new Set(errors
+        .filter(branchError => branchOf(branchError) === error)
+        .map(branchError => branchError.params.missingProperty)
+        .filter(Boolean))];
+      return {
+        field: pathOf(error) || null,
+        message: options.length > 0 ? `needs one of: ${options.join(', ')}` : error.message
+      };
+    });
+
+  const seen = new Set();
+  return described.filter(entry => {
+    const key = `${entry.field}|${entry.message}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function validate(name, body) {
+  const check = validators[name];
+  if (!check) throw new Error(`Unknown request schema: ${name}`);
+  return check(body) ? null : describeErrors(check.errors);
+}
+
+function validatePart(part, label) {
+  return (name) => (req, res, next) => {
+    if (req[part] === undefined) req[part] = {};
+    const errors = validate(name, req[part]);
+    if (!errors) return next();
+
+    sendError(res, 400, `${label} is invalid`, {
+      code: 'validation_failed',
+      details: { errors }
+    });
+  };
+}
+
+const validateBody = validatePart('body', 'Request body');
+const validateQuery = validatePart('query', 'Query string');
+
+module.exports = { validate, validateBody, validateQuery };
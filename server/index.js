@@ -17,7 +17,38 @@ console.log('Environment check:', {
   USE_MOCK_AI: process.env.USE_MOCK_AI
 });
 
-const pusher = require('./services/pusher');
+const { createRealtime } = require('./realtime');
+const { createAuth, publicProfile, AuthError } = require('./auth');
+const { PENDING_COOKIE, PENDING_TTL_MS, encodePending, readPendingCookie } = require('./auth/oidc');
+const { createRepository } = require('./repositories');
+const { seedRepository } = require('./repositories/seed-data');
+const { LLMClient } = require('./utils/llm-client');
+const { AgentService, formatAgentResponse } = require('./services/agent-service');
+const { StoryVersionHistory, DIFF_FIELDS } = require('./services/version-history');
+const { etagFor, rejectStaleUpdate } = require('./services/concurrency');
+const { CollaborationService } = require('./services/collab-service');
+const { WorkspaceDirectory, WorkspaceError, PERMISSIONS, can } = require('./services/workspaces');
+const { Trash, TrashError } = require('./services/trash');
+const { readBacklog, planBacklogImport, BacklogImportError, MAX_UNSTREAMED_ROWS } = require('./services/backlog-import');
+const { migrateProjectFile, exportProject, planProjectImport, ProjectFileError } = require('./services/project-file');
+const { backlogTree, walkTree } = require('./services/backlog-tree');
+const { toJiraCsv, toJiraRest, parseJiraCsv, planJiraImport, JiraError } = require('./services/jira');
+const { buildExport, publishExport, TrackerError, TRACKER_TARGETS } = require('./services/trackers');
+const { toFeature } = require('./services/gherkin');
+const { storyMarkdown, epicMarkdown } = require('./services/markdown-export');
+const { rateLimit } = require('./utils/rate-limit');
+const { createZip } = require('./utils/zip');
+const { sendError, errorBody, requestId, errorHandler } = require('./http/errors');
+const { validate, validateBody, validateQuery } = require('./http/validation');
+const { openApiDocument, apiExplorer } = require('./http/openapi');
+const { syncStorage } = require('./http/storage');
+const {
+  acceptSplitSuggestion,
+  unsplitStory,
+  suggestionFromDrafts,
+  toStoredSplitResult,
+  SplitError
+} = require('./services/split-service');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -27,79 +58,549 @@ app.use(cors({
   origin: ['http://localhost:3000', 'http://localhost:3001'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match', 'X-Workspace-Id', 'X-Request-Id'],
+  exposedHeaders: ['ETag', 'X-Request-Id', 'Retry-After']
 }));
 
+app.use(requestId);
+// Project files hold a whole workspace
+app.use('/api/workspaces/:id/project/import', express.json({ limit: '20mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// In-memory storage (replace with database in production)
-const stories = new Map();
-const epics = new Map();
-
-// Initialize with sample data - Updated with parentStoryId
-stories.set('1', {
-  id: '1',
-  title: 'User can log into the system',
-  description: 'Basic authentication functionality',
-  content: 'As a user, I can log into the system so that I can access my personal dashboard.',
-  parentStoryId: null, // null means this is a main story
-  epicId: 'epic1',
-  priority: 'High',
-  effort: 'Small',
-  storyPoints: 3,
-  acceptanceCriteria: ['Valid credentials allow access', 'Invalid credentials show error'],
-  status: 'published',
-  version: 1,
-  lastModified: new Date()
-});
-
-stories.set('main-story', {
-  id: 'main-story',
-  title: 'Main Story',
-  description: 'The main story being edited',
-  content: '',
-  parentStoryId: null, // This is a main story
-  epicId: null,
-  priority: 'Medium',
-  effort: 'Medium',
-  storyPoints: 0,
-  acceptanceCriteria: [],
-  status: 'draft',
-  version: 1,
-  lastModified: new Date()
-});
-
-epics.set('epic1', {
-  id: 'epic1',
-  title: 'User Management',
-  description: 'All user-related functionality',
-  order: 1
-});
-
-epics.set('epic2', {
-  id: 'epic2',
-  title: 'Product Discovery',
-  description: 'Search and browse products',
-  order: 2
+// Persistent storage - driver selected via STORAGE_DRIVER (memory | file | redis)
+const repository = createRepository();
+const { stories, epics } = repository;
+// Latest analyst result per story, used to accept or reject its suggestions
+const analyses = repository.collection('analyses');
+// Latest Splitting Expert result per story, used by accept-splits
+const splitResults = repository.collection('splitResults');
+// One immutable snapshot per story version
+const storyVersions = new StoryVersionHistory(repository.collection('storyVersions'));
+
+app.use(syncStorage(repository, {
+  onLoad: () => {
+    if (process.env.STORAGE_SEED !== 'false' && seedRepository(repository)) {
+      console.log('Seeded storage with sample stories and epics');
+    }
+  }
+}));
+
+// The API description and its explorer are public
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+app.use('/api/docs', apiExplorer({ specUrl: '/api/openapi.json' }));
+
+// Accounts and sessions; every /api route except sign-in needs a session
+const auth = createAuth({ repository });
+app.use('/api', auth.requireSession);
+
+// Workspaces own stories and epics; what a member may do depends on their role
+const workspaces = new WorkspaceDirectory({
+  workspaces: repository.collection('workspaces'),
+  memberships: repository.collection('memberships')
 });
 
+// The workspace a request acts in, for routes that are not about one
+// stored story or epic
+const workspaceIdFrom = (req) =>
+  req.get('X-Workspace-Id') || req.query.workspaceId || req.body?.workspaceId || null;
+
+const forbid = (res, role, permission) => sendError(res, 403,
+  `This needs the ${PERMISSIONS[permission]} role in the workspace`,
+  { code: 'insufficient_role', details: { role, required: PERMISSIONS[permission] } });
+
+// Each authorize helper answers with 404 or 403 and returns null when the
+// signed-in user may not do `permission`. Records of workspaces the user
+// does not belong to are reported as missing.
+function authorizeWorkspace(req, res, permission, workspaceId = req.params.id) {
+  const workspace = workspaceId && workspaces.get(workspaceId);
+  const role = workspace && workspaces.roleOf(workspaceId, req.user.id);
+  if (!role) {
+    sendError(res, 404, 'Workspace not found');
+    return null;
+  }
+  if (!can(role, permission)) {
+    forbid(res, role, permission);
+    return null;
+  }
+  return { ...workspace, role };
+}
+
+function authorizeRecord(collection, notFound, req, res, permission, id) {
+  const record = collection.get(id);
+  const role = record && workspaces.roleOf(record.workspaceId, req.user.id);
+  if (!role) {
+    sendError(res, 404, notFound);
+    return null;
+  }
+  if (!can(role, permission)) {
+    forbid(res, role, permission);
+    return null;
+  }
+  return record;
+}
+
+const authorizeStory = (req, res, permission, id = req.params.id, notFound = 'Story not found') =>
+  authorizeRecord(stories, notFound, req, res, permission, id);
+
+const authorizeEpic = (req, res, permission, id = req.params.id) =>
+  authorizeRecord(epics, 'Epic not found', req, res, permission, id);
+
+// Workspaces a listing covers: the one asked for, otherwise all of the user's
+function readableWorkspaceIds(req, res) {
+  const requested = workspaceIdFrom(req);
+  if (!requested) return workspaces.idsFor(req.user.id);
+  return authorizeWorkspace(req, res, 'read', requested) ? [requested] : null;
+}
+
+// Stories may only point at existing epics and parents of their own
+// workspace, and never at themselves or one of their own sub-stories.
+// Answers 400 and returns true when `fields` break that.
+function rejectInvalidReference(res, workspaceId, fields, storyId = null) {
+  const { epicId, parentStoryId } = fields;
+  let problem = null;
+
+  if (epicId && epics.get(epicId)?.workspaceId !== workspaceId) {
+    problem = { field: 'epicId', message: 'epicId must name an existing epic in the same workspace' };
+  } else if (parentStoryId && stories.get(parentStoryId)?.workspaceId !== workspaceId) {
+    problem = { field: 'parentStoryId', message: 'parentStoryId must name an existing story in the same workspace' };
+  } else if (parentStoryId && storyId &&
+    (parentStoryId === storyId || trash.descendantsOf(storyId).some(story => story.id === parentStoryId))) {
+    problem = { field: 'parentStoryId', message: 'A story cannot be moved below itself or one of its sub-stories' };
+  }
+
+  if (!problem) return false;
+  sendError(res, 400, problem.message, {
+    code: 'invalid_reference',
+    details: { field: problem.field, value: fields[problem.field] }
+  });
+  return true;
+}
+
+// Agents run on stored stories and on unsaved drafts; drafts count against
+// the workspace the request names
+function authorizeAgentRun(req, res, story) {
+  if (story.id && stories.has(story.id)) {
+    return !!authorizeStory(req, res, 'run-agents', story.id);
+  }
+  const workspaceId = workspaceIdFrom(req);
+  if (!workspaceId) {
+    sendError(res, 400, 'Name the workspace (X-Workspace-Id) to run agents on an unsaved story', {
+      code: 'workspace_required'
+    });
+    return false;
+  }
+  return !!authorizeWorkspace(req, res, 'run-agents', workspaceId);
+}
+
+// Realtime channels belong to a workspace: presence-/private-story-<id>
+// through the story, presence-/private-workspace-<id> directly
+function channelWorkspaceId(channel) {
+  const match = /^(?:presence|private)-(story|workspace)-(.+)$/.exec(channel);
+  if (!match) return null;
+  return match[1] === 'story' ? stories.get(match[2])?.workspaceId || null : match[2];
+}
+
+const canUseChannel = (user, channel, permission) => {
+  const workspaceId = channelWorkspaceId(channel);
+  return !!workspaceId && can(workspaces.roleOf(workspaceId, user.id), permission);
+};
+
+const agentService = new AgentService(new LLMClient());
+
+// Pusher Channels or the built-in WebSocket server (REALTIME_DRIVER)
+const realtime = createRealtime();
+
+const systemUser = { id: 'system', name: 'System' };
+
+function broadcast(channel, event, data) {
+  Promise.resolve(realtime.trigger(channel, event, data))
+    .catch(error => console.error('Pusher broadcast error:', error));
+}
+
+function broadcastStoryUpdate(story, user) {
+  broadcast(`presence-story-${story.id}`, 'story-updated', {
+    storyId: story.id,
+    changes: story,
+    user: user || systemUser,
+    timestamp: Date.now()
+  });
+}
+
+// Limits on the endpoints that broadcast to a story's channel, per user and
+// story. Generous for people typing, tight for scripts.
+const perUserAndStory = (req) => `${req.user.id}:${req.params.id}`;
+const storyEventLimits = {
+  edit: rateLimit({ name: 'story edit', limit: 30, windowMs: 10000, key: perUserAndStory }),
+  collab: rateLimit({ name: 'collaborative edit', limit: 100, windowMs: 10000, key: perUserAndStory }),
+  cursor: rateLimit({ name: 'cursor', limit: 50, windowMs: 10000, key: perUserAndStory }),
+  typing: rateLimit({ name: 'typing', limit: 20, windowMs: 10000, key: perUserAndStory })
+};
+
+// Password guessing: a few tries per account from one address, and a cap
+// per address across accounts
+const loginAccount = (req) => `${req.ip}:${String(req.body.username).trim().toLowerCase()}`;
+const loginLimits = [
+  rateLimit({ name: 'sign-in', limit: 10, windowMs: 15 * 60 * 1000, key: loginAccount }),
+  rateLimit({ name: 'sign-in', limit: 50, windowMs: 15 * 60 * 1000, key: (req) => req.ip })
+];
+
+const sameText = (a, b) =>
+  (a.content ?? a.description) === (b.content ?? b.description) &&
+  JSON.stringify(a.acceptanceCriteria || []) === JSON.stringify(b.acceptanceCriteria || []);
+
+// Collaborative editing documents; merged text is saved as a new version
+const collab = new CollaborationService({
+  collection: repository.collection('collabDocs'),
+  broadcast: (storyId, event, data) => broadcast(`presence-story-${storyId}`, event, data),
+  onChange: (storyId, text, { user, contributors }) => {
+    const story = stories.get(storyId);
+    if (!story || sameText(story, text)) return;
+
+    const updatedStory = {
+      ...story,
+      ...text,
+      version: (story.version || 0) + 1,
+      lastModified: new Date()
+    };
+    saveStory(updatedStory, { previous: story, user, contributors, reason: 'collab' });
+    broadcastStoryUpdate(updatedStory, user);
+  }
+});
+
+// Save a new version of a story and snapshot it. The version being replaced
+// is snapshotted first so stories that predate history still get a baseline.
+function saveStory(story, { previous, ...meta } = {}) {
+  if (previous) storyVersions.record(previous, { reason: 'baseline' });
+  const saved = stories.save(story);
+  storyVersions.record(saved, meta);
+
+  // Text changed outside the collaborative editor
+  if (previous && meta.reason !== 'collab' && !sameText(previous, saved)) {
+    collab.reset(saved.id);
+  }
+  return saved;
+}
+
+// Deleted stories and epics wait in the trash until an admin empties it.
+// A workspace's main story is what its editor opens, so it stays.
+const trash = new Trash({
+  stories,
+  epics,
+  entries: repository.collection('trash'),
+  saveStory,
+  isProtected: (story) => workspaces.get(story.workspaceId)?.mainStoryId === story.id
+    ? `"${story.title}" is the workspace's main story and cannot be deleted`
+    : null
+});
+
+const sendTrashError = (res, error) => {
+  if (error instanceof TrashError) {
+    return sendError(res, error.status, error.message, { code: error.code, details: error.details });
+  }
+  throw error;
+};
+
+// Everything kept about a story besides the record itself
+function forgetStory(storyId) {
+  storyVersions.forget(storyId);
+  analyses.delete(storyId);
+  splitResults.delete(storyId);
+  collab.reset(storyId);
+}
+
+// Suggestion ids are positions in the analyst's list, so a decision only
+// carries over to a new analysis that makes the same suggestions
+const suggestionKeys = (suggestions = []) => JSON.stringify(suggestions.map(
+  ({ id, field, currentValue, suggestedValue }) => [id, field, currentValue, suggestedValue]
+));
+
+// Remember the analyst's suggestions for stories that exist in storage so
+// they can be applied or rejected later.
+function rememberAnalysis(story, analysis) {
+  if (!story?.id || !analysis || !stories.has(story.id)) return;
+
+  const storyVersion = stories.get(story.id).version;
+  const previous = analyses.get(story.id);
+  const unchanged = previous && previous.storyVersion === storyVersion &&
+    suggestionKeys(previous.improvementSuggestions) === suggestionKeys(analysis.improvementSuggestions);
+
+  analyses.save({
+    id: story.id,
+    storyId: story.id,
+    storyVersion,
+    analyzedAt: new Date(),
+    overallScore: analysis.overallScore,
+    improvementSuggestions: analysis.improvementSuggestions,
+    // Keep earlier decisions while the story itself has not changed
+    userState: unchanged
+      ? previous.userState
+      : { ...analysis.userState, rejectedSuggestions: [] }
+  });
+}
+
+function rememberSplitResult(story, splitResult) {
+  if (!story?.id || !splitResult || !stories.has(story.id)) return;
+  splitResults.save(toStoredSplitResult(stories.get(story.id), splitResult));
+}
+
+// Persist whatever an agent response produced for a stored story
+function rememberAgentResult(story, metadata = {}) {
+  rememberAnalysis(story, metadata.analysis);
+  rememberSplitResult(story, metadata.splitResult);
+}
+
+// Longer agent text is cut so the event stays under Pusher's message limit
+const MAX_BROADCAST_CONTENT = 4000;
+
+// Let everyone on a stored story see agent results, not just the requester
+function broadcastAgentResponse(story, agentType, response, user) {
+  if (!story?.id || !stories.has(story.id)) return;
+
+  const content = response.choices?.[0]?.message?.content || '';
+  broadcast(`presence-story-${story.id}`, 'agent-response', {
+    storyId: story.id,
+    agentType,
+    agent: response.metadata?.agent,
+    content: content.length > MAX_BROADCAST_CONTENT ? `${content.slice(0, MAX_BROADCAST_CONTENT)}…` : content,
+    truncated: content.length > MAX_BROADCAST_CONTENT,
+    user: user || systemUser,
+    timestamp: Date.now()
+  });
+}
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
-    pusher: !!pusher,
+    pusher: realtime.driver === 'pusher',
+    realtime: realtime.driver,
     claude: !!process.env.CLAUDE_API_KEY,
-    mockMode: process.env.USE_MOCK_AI === 'true'
+    mockMode: process.env.USE_MOCK_AI === 'true',
+    storage: repository.store.driver
   });
 });
 
+// Authentication
+const sendAuthError = (res, error) => {
+  if (error instanceof AuthError) {
+    return sendError(res, error.status, error.message);
+  }
+  console.error('Authentication error:', error);
+  sendError(res, 500, 'Authentication failed');
+};
+
+const startSession = (res, user, method) => {
+  const { token, expiresAt } = auth.sessions.create(user, { method });
+  res.json({ token, expiresAt, user: publicProfile(user) });
+};
+
+// Where the client should send people to sign in
+app.get('/api/auth/providers', (req, res) => {
+  res.json({
+    local: { registration: auth.allowRegistration },
+    oidc: auth.oidc ? { name: auth.oidc.name } : null
+  });
+});
+
+app.post('/api/auth/register', validateBody('register'), async (req, res) => {
+  if (!auth.allowRegistration) {
+    return sendError(res, 403, 'Registration is disabled');
+  }
+
+  try {
+    const { username, password, name, email } = req.body;
+    const user = await auth.users.createLocal({ username, password, name, email });
+    workspaces.onboard(user, process.env.DEFAULT_WORKSPACE_ROLE);
+    res.status(201);
+    startSession(res, user, 'password');
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+});
+
+app.post('/api/auth/login', validateBody('login'), loginLimits, async (req, res) => {
+  try {
+    const user = await auth.users.authenticateLocal(req.body.username, req.body.password);
+    startSession(res, user, 'password');
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  auth.sessions.revoke(auth.bearerToken(req));
+  res.status(204).send();
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user, expiresAt: req.session.expiresAt });
+});
+
+// The pending sign-in cookie is only sent back to the callback
+const pendingCookieOptions = (req) => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: req.secure || req.get('X-Forwarded-Proto') === 'https',
+  path: '/api/auth/oidc'
+});
+
+// Returns the provider URL to navigate to. A JSON endpoint rather than a
+// redirect so it also works through the development proxy.
+app.post('/api/auth/oidc/start', async (req, res) => {
+  if (!auth.oidc) {
+    return sendError(res, 404, 'Single sign-on is not configured');
+  }
+
+  try {
+    const { authorizationUrl, pending } = await auth.oidc.authorizationRequest();
+    res.cookie(PENDING_COOKIE, encodePending(pending), { ...pendingCookieOptions(req), maxAge: PENDING_TTL_MS });
+    res.json({ authorizationUrl });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+});
+
+// The provider redirects the browser here; the new session token is handed
+// to the client in the URL fragment, which is never sent to a server.
+app.get('/api/auth/oidc/callback', async (req, res) => {
+  if (!auth.oidc) {
+    return sendError(res, 404, 'Single sign-on is not configured');
+  }
+
+  const clientUrl = process.env.CLIENT_URL || '/';
+  const pending = readPendingCookie(req.get('Cookie'));
+  res.clearCookie(PENDING_COOKIE, pendingCookieOptions(req));
+  try {
+    const { claims } = await auth.oidc.handleCallback(req.query, pending);
+    const user = auth.users.findOrCreateFromOidc(auth.oidc.issuer, claims);
+    workspaces.onboard(user, process.env.DEFAULT_WORKSPACE_ROLE);
+    const { token } = auth.sessions.create(user, { method: 'oidc' });
+    res.redirect(`${clientUrl}#session=${encodeURIComponent(token)}`);
+  } catch (error) {
+    console.error('OIDC sign-in failed:', error.message);
+    res.redirect(`${clientUrl}#authError=${encodeURIComponent(error.message)}`);
+  }
+});
+
+// Workspaces and their members
+const sendWorkspaceError = (res, error) => {
+  if (error instanceof WorkspaceError) {
+    return sendError(res, error.status, error.message);
+  }
+  throw error;
+};
+
+const memberView = (membership) => {
+  const user = auth.users.get(membership.userId);
+  return {
+    userId: membership.userId,
+    role: membership.role,
+    addedAt: membership.addedAt,
+    user: user ? publicProfile(user) : null
+  };
+};
+
+app.get('/api/workspaces', (req, res) => {
+  res.json(workspaces.listFor(req.user.id));
+});
+
+// Every workspace starts with an empty main story for the editor to open
+app.post('/api/workspaces', validateBody('workspaceCreate'), (req, res) => {
+  try {
+    const workspace = workspaces.create({ name: req.body.name, user: req.user });
+    saveStory({
+      id: workspace.mainStoryId,
+      workspaceId: workspace.id,
+      title: 'Main Story',
+      description: 'The main story being edited',
+      content: '',
+      parentStoryId: null,
+      epicId: null,
+      acceptanceCriteria: [],
+      status: 'draft',
+      createdAt: new Date(),
+      lastModified: new Date(),
+      version: 1
+    }, { user: req.user, reason: 'create' });
+    res.status(201).json({ ...workspace, role: 'admin' });
+  } catch (error) {
+    sendWorkspaceError(res, error);
+  }
+});
+
+app.get('/api/workspaces/:id', (req, res) => {
+  const workspace = authorizeWorkspace(req, res, 'read');
+  if (!workspace) return;
+  res.json({ ...workspace, members: workspaces.members(workspace.id).map(memberView) });
+});
+
+app.put('/api/workspaces/:id', validateBody('workspaceUpdate'), (req, res) => {
+  if (!authorizeWorkspace(req, res, 'manage')) return;
+  try {
+    res.json(workspaces.rename(req.params.id, req.body.name));
+  } catch (error) {
+    sendWorkspaceError(res, error);
+  }
+});
+
+// body: { username | userId, role }
+app.post('/api/workspaces/:id/members', validateBody('memberAdd'), (req, res) => {
+  if (!authorizeWorkspace(req, res, 'manage')) return;
+
+  const { username, userId, role } = req.body;
+  const user = userId ? auth.users.get(userId) : auth.users.findByUsername(username);
+  if (!user) {
+    return sendError(res, 404, 'User not found');
+  }
+
+  try {
+    const membership = workspaces.setRole(req.params.id, user.id, role, req.user);
+    res.status(201).json(memberView(membership));
+  } catch (error) {
+    sendWorkspaceError(res, error);
+  }
+});
+
+app.put('/api/workspaces/:id/members/:userId', validateBody('memberUpdate'), (req, res) => {
+  if (!authorizeWorkspace(req, res, 'manage')) return;
+  if (!workspaces.roleOf(req.params.id, req.params.userId)) {
+    return sendError(res, 404, 'Member not found');
+  }
+
+  try {
+    res.json(memberView(workspaces.setRole(req.params.id, req.params.userId, req.body.role, req.user)));
+  } catch (error) {
+    sendWorkspaceError(res, error);
+  }
+});
+
+// Admins remove anyone; every member may leave
+app.delete('/api/workspaces/:id/members/:userId', (req, res) => {
+  const leaving = req.params.userId === req.user.id;
+  if (!authorizeWorkspace(req, res, leaving ? 'read' : 'manage')) return;
+  if (!workspaces.roleOf(req.params.id, req.params.userId)) {
+    return sendError(res, 404, 'Member not found');
+  }
+
+  try {
+    workspaces.removeMember(req.params.id, req.params.userId);
+    res.status(204).send();
+  } catch (error) {
+    sendWorkspaceError(res, error);
+  }
+});
+
 // Story routes - Updated with hierarchy support
 app.get('/api/stories', (req, res) => {
   const { main, parentId } = req.query;
+  const workspaceIds = readableWorkspaceIds(req, res);
+  if (!workspaceIds) return;
   
-  let filteredStories = Array.from(stories.values());
+  let filteredStories = stories.list(story => workspaceIds.includes(story.workspaceId));
   
   if (main === 'true') {
     // Return only main stories
@@ -114,474 +615,1212 @@ app.get('/api/stories', (req, res) => {
 
 // Get all main stories (stories without parents)
 app.get('/api/stories/main', (req, res) => {
-  const mainStories = Array.from(stories.values()).filter(
-    story => story.parentStoryId === null
+  const workspaceIds = readableWorkspaceIds(req, res);
+  if (!workspaceIds) return;
+
+  const mainStories = stories.list(story =>
+    story.parentStoryId === null && workspaceIds.includes(story.workspaceId)
   );
   res.json(mainStories);
 });
 
 app.get('/api/stories/:id', (req, res) => {
-  const story = stories.get(req.params.id);
-  if (!story) {
-    return res.status(404).json({ error: 'Story not found' });
-  }
+  const story = authorizeStory(req, res, 'read');
+  if (!story) return;
+  res.set('ETag', etagFor(story));
   res.json(story);
 });
 
 // Get all sub-stories for a parent story
 app.get('/api/stories/:id/substories', (req, res) => {
   const { id } = req.params;
-  const parentStory = stories.get(id);
-  
-  if (!parentStory) {
-    return res.status(404).json({ error: 'Parent story not found' });
-  }
+  if (!authorizeStory(req, res, 'read', id, 'Parent story not found')) return;
   
-  const subStories = Array.from(stories.values()).filter(
-    story => story.parentStoryId === id
+  // Children archived by an unsplit are hidden unless asked for
+  const includeArchived = req.query.includeArchived === 'true';
+  const subStories = stories.list(story =>
+    story.parentStoryId === id && (includeArchived || story.status !== 'archived')
   );
   
   res.json(subStories);
 });
 
-app.post('/api/stories', (req, res) => {
+// Only the fields in the storyCreate schema are taken from the body; id,
+// status and version are always set here
+app.post('/api/stories', validateBody('storyCreate'), (req, res) => {
+  const fields = req.body;
+  const workspaceId = workspaceIdFrom(req);
+  if (!workspaceId) {
+    return sendError(res, 400, 'workspaceId is required', { code: 'workspace_required' });
+  }
+  if (!authorizeWorkspace(req, res, 'edit', workspaceId)) return;
+
+  if (rejectInvalidReference(res, workspaceId, fields)) return;
+
   const story = {
     id: `story-${Date.now()}`,
     parentStoryId: null, // Default to main story
-    ...req.body,
+    ...fields,
+    workspaceId,
+    status: 'draft',
     createdAt: new Date(),
     lastModified: new Date(),
     version: 1
   };
-  stories.set(story.id, story);
+  saveStory(story, { user: req.user, reason: 'create' });
   res.status(201).json(story);
 });
 
-// Create sub-stories from AI split suggestions
-app.post('/api/stories/:id/accept-splits', (req, res) => {
+// Create sub-stories from AI split suggestions.
+// Body: { suggestionId, splitIds?, edits? } to accept a stored
+// Splitting Expert suggestion (optionally only some of its splits, with
+// per-split edits), or { splits: [...] } to accept hand-written drafts.
+app.post('/api/stories/:id/accept-splits', validateBody('acceptSplits'), (req, res) => {
   const { id } = req.params;
-  const { splits } = req.body; // Array of split suggestions from AI
+  const { suggestionId, splitIds, edits, splits } = req.body;
+  const { user } = req;
   
-  const parentStory = stories.get(id);
-  if (!parentStory) {
-    return res.status(404).json({ error: 'Parent story not found' });
+  const parentStory = authorizeStory(req, res, 'edit', id, 'Parent story not found');
+  if (!parentStory) return;
+
+  if (Object.values(edits || {}).some(edit => rejectInvalidReference(res, parentStory.workspaceId, edit))) return;
+  if ((splits || []).some(draft => rejectInvalidReference(res, parentStory.workspaceId, draft))) return;
+
+  let suggestion;
+  let storedResult = null;
+
+  if (suggestionId) {
+    storedResult = splitResults.get(id);
+    suggestion = storedResult?.suggestions.find(s => s.id === suggestionId);
+
+    if (!suggestion) {
+      return sendError(res, 404, 'Split suggestion not found. Run the Splitting Expert on this story first.', {
+        code: 'suggestion_not_found'
+      });
+    }
+  } else {
+    suggestion = suggestionFromDrafts(parentStory, splits);
+  }
+
+  try {
+    const { parentStory: updatedParent, childStories } = acceptSplitSuggestion({
+      parentStory,
+      suggestion,
+      storyVersion: storedResult?.storyVersion,
+      splitIds,
+      edits,
+      user
+    });
+
+    childStories.forEach(child => saveStory(child, { user, reason: 'split-create' }));
+    saveStory(updatedParent, { previous: parentStory, user, reason: 'split' });
+
+    if (storedResult) {
+      suggestion.userState = {
+        ...suggestion.userState,
+        status: 'accepted',
+        acceptedSplitIds: childStories.map(child => child.splitDraftId),
+        createdStoryIds: childStories.map(child => child.id)
+      };
+      splitResults.save(storedResult);
+    }
+
+    broadcastStoryUpdate(updatedParent, user);
+
+    res.status(201).json({
+      parentStory: updatedParent,
+      subStories: childStories
+    });
+  } catch (error) {
+    if (error instanceof SplitError) {
+      return sendError(res, error.status, error.message, { code: error.code, details: error.details });
+    }
+    throw error;
   }
-  
-  const createdStories = [];
-  
-  splits.forEach((split, index) => {
-    const newStory = {
-      id: `story-${Date.now()}-${index}`,
-      title: split.title,
-      description: split.description || '',
-      content: `As a user, I can ${split.title.toLowerCase()}`,
-      parentStoryId: id, // Link to parent story
-      epicId: parentStory.epicId, // Inherit epic from parent initially
-      priority: split.priority || 'Medium',
-      effort: split.effort || 'Medium',
-      storyPoints: split.storyPoints || 0,
-      acceptanceCriteria: split.acceptanceCriteria || [],
-      status: 'draft',
-      version: 1,
-      createdAt: new Date(),
-      lastModified: new Date(),
-      createdFrom: 'ai-split' // Track that this came from AI
-    };
-    
-    stories.set(newStory.id, newStory);
-    createdStories.push(newStory);
-  });
-  
-  // Update parent story to track it has been split
-  const updatedParent = {
-    ...parentStory,
-    hasSplits: true,
-    lastModified: new Date()
-  };
-  stories.set(id, updatedParent);
-  
-  res.status(201).json({
-    parentStory: updatedParent,
-    subStories: createdStories
-  });
 });
 
-app.put('/api/stories/:id', (req, res) => {
+// Undo an accepted split: archive the AI-created children (or, with
+// { mode: 'delete' }, move them and their own sub-stories to the trash),
+// merge criteria added to them back into the parent and restore its
+// previous status and title. Refuses with 409 and a conflict list when a
+// child was published or moved to another epic.
+app.post('/api/stories/:id/unsplit', validateBody('unsplit'), (req, res) => {
   const { id } = req.params;
-  const story = stories.get(id);
-  
-  if (!story) {
-    return res.status(404).json({ error: 'Story not found' });
+  const { user } = req;
+
+  const parentStory = authorizeStory(req, res, 'edit', id);
+  if (!parentStory) return;
+
+  const storedResult = splitResults.get(id);
+  const suggestionId = parentStory.splitState?.suggestionId;
+  const suggestion = storedResult?.suggestions.find(s => s.id === suggestionId);
+
+  try {
+    const { parentStory: restoredParent, archivedStories, deletedIds, mergedCriteria } = unsplitStory({
+      parentStory,
+      children: stories.list(story => story.parentStoryId === id),
+      suggestion,
+      mode: req.body.mode,
+      user
+    });
+
+    const trashEntry = deletedIds.length > 0
+      ? trash.discardSplit(restoredParent, deletedIds.map(childId => stories.get(childId)), { user })
+      : null;
+    archivedStories.forEach(child => saveStory(child, { user, reason: 'unsplit-archive' }));
+    saveStory(restoredParent, { previous: parentStory, user, reason: 'unsplit' });
+
+    if (suggestion) {
+      suggestion.userState = { ...suggestion.userState, status: 'reverted', revertedAt: new Date() };
+      // The parent has its text from before the split back, so a suggestion
+      // that was current then can be accepted again
+      if (storedResult.storyVersion === parentStory.splitState.previousVersion) {
+        storedResult.storyVersion = restoredParent.version;
+      }
+      splitResults.save(storedResult);
+    }
+
+    broadcastStoryUpdate(restoredParent, user);
+
+    res.json({
+      parentStory: restoredParent,
+      archivedStories,
+      deletedIds: trashEntry ? trashEntry.items.map(item => item.id) : [],
+      mergedCriteria,
+      trashEntry
+    });
+  } catch (error) {
+    if (error instanceof SplitError) {
+      return sendError(res, error.status, error.message, { code: error.code, details: error.details });
+    }
+    sendTrashError(res, error);
+  }
+});
+
+// Requires the version being edited (body `version` or If-Match) so two
+// collaborators cannot silently overwrite each other. Status changes go
+// through publish, split and unsplit, so it is not writable here.
+app.put('/api/stories/:id', storyEventLimits.edit, validateBody('storyUpdate'), (req, res) => {
+  const { id } = req.params;
+  const story = authorizeStory(req, res, 'edit', id);
+  if (!story) return;
+
+  // The editor is whoever holds the session, never a `user` in the body
+  const { version, workspaceId, ...changes } = req.body;
+  const { user } = req;
+
+  if (workspaceId && workspaceId !== story.workspaceId) {
+    return sendError(res, 400, 'Stories cannot move between workspaces', { code: 'invalid_reference' });
   }
+  if (rejectInvalidReference(res, story.workspaceId, changes, id)) return;
+
+  if (rejectStaleUpdate(req, res, {
+    current: story,
+    proposed: changes,
+    entity: 'story',
+    loadBase: (expected) => storyVersions.get(id, expected)?.story
+  })) return;
 
   const updatedStory = {
     ...story,
-    ...req.body,
+    ...changes,
     id, // Ensure ID doesn't change
     lastModified: new Date(),
     version: (story.version || 0) + 1
   };
 
-  stories.set(id, updatedStory);
+  saveStory(updatedStory, { previous: story, user, reason: 'update' });
   
   // Broadcast update via Pusher
-  if (pusher) {
-    pusher.trigger(`presence-story-${id}`, 'story-updated', {
-      storyId: id,
-      changes: updatedStory,
-      user: req.body.user || { id: 'system', name: 'System' },
-      timestamp: Date.now()
+  broadcastStoryUpdate(updatedStory, user);
+
+  res.set('ETag', etagFor(updatedStory));
+  res.json(updatedStory);
+});
+
+// Accept or reject one of the Story Analyst's improvement suggestions
+app.post('/api/stories/:id/suggestions/:suggestionId/:decision(apply|reject)', validateBody('suggestionDecision'), async (req, res) => {
+  const { id, suggestionId, decision } = req.params;
+  const { user } = req;
+  const story = authorizeStory(req, res, 'edit', id);
+  if (!story) return;
+
+  try {
+    if (!analyses.has(id)) {
+      const result = await agentService.analyze({ story });
+      rememberAnalysis(story, result.metadata.analysis);
+    }
+
+    const analysis = analyses.get(id);
+    const suggestion = analysis.improvementSuggestions.find(s => s.id === suggestionId);
+
+    if (!suggestion) {
+      return sendError(res, 404, 'Suggestion not found. Re-run the Story Analyst to refresh suggestions.', {
+        code: 'suggestion_not_found'
+      });
+    }
+
+    const { appliedSuggestions, rejectedSuggestions } = analysis.userState;
+    if (appliedSuggestions.includes(suggestionId) || rejectedSuggestions.includes(suggestionId)) {
+      const outcome = appliedSuggestions.includes(suggestionId) ? 'applied' : 'rejected';
+      return sendError(res, 409, `Suggestion ${suggestionId} has already been ${outcome}`, {
+        code: 'suggestion_decided',
+        details: { outcome }
+      });
+    }
+
+    const historyEntry = {
+      type: decision === 'apply' ? 'suggestion-applied' : 'suggestion-rejected',
+      suggestionId,
+      field: suggestion.field,
+      reasoning: suggestion.reasoning,
+      user,
+      timestamp: new Date()
+    };
+
+    if (decision === 'reject') {
+      const updatedStory = {
+        ...story,
+        version: (story.version || 0) + 1,
+        lastModified: new Date(),
+        editHistory: [...(story.editHistory || []), { ...historyEntry, version: (story.version || 0) + 1 }]
+      };
+      saveStory(updatedStory, { previous: story, user, reason: 'suggestion-rejected' });
+
+      analysis.userState.rejectedSuggestions.push(suggestionId);
+      analysis.userState.editHistory.push(historyEntry);
+      analysis.storyVersion = updatedStory.version;
+      analyses.save(analysis);
+
+      broadcastStoryUpdate(updatedStory, user);
+
+      return res.json({ story: updatedStory, suggestion, userState: analysis.userState });
+    }
+
+    if (suggestion.type === 'split') {
+      return sendError(res, 422, 'Split suggestions cannot be applied directly. Use the Splitting Expert to split this story.');
+    }
+
+    // A suggestion computed against an older text would silently overwrite
+    // edits made since the analysis.
+    const currentValue = agentService.currentSuggestionValue(story, suggestion.field);
+    if (suggestion.type === 'modify' && suggestion.currentValue && suggestion.currentValue !== currentValue) {
+      return sendError(res, 409, 'Story has changed since this suggestion was made', {
+        code: 'suggestion_outdated',
+        details: {
+          field: suggestion.field,
+          expected: suggestion.currentValue,
+          actual: currentValue
+        }
+      });
+    }
+
+    const changed = agentService.applySuggestion(story, suggestion, req.body.suggestedValue);
+    const updatedStory = {
+      ...changed,
+      version: (story.version || 0) + 1,
+      lastModified: new Date(),
+      editHistory: [...(story.editHistory || []), {
+        ...historyEntry,
+        previousValue: currentValue,
+        newValue: agentService.currentSuggestionValue(changed, suggestion.field),
+        version: (story.version || 0) + 1
+      }]
+    };
+    saveStory(updatedStory, { previous: story, user, reason: 'suggestion-applied' });
+
+    analysis.userState.appliedSuggestions.push(suggestionId);
+    analysis.userState.editHistory.push(historyEntry);
+    analysis.storyVersion = updatedStory.version;
+    analyses.save(analysis);
+
+    broadcastStoryUpdate(updatedStory, user);
+
+    res.json({ story: updatedStory, suggestion, userState: analysis.userState });
+  } catch (error) {
+    console.error('Suggestion decision error:', error);
+    sendError(res, 500, 'Failed to update suggestion', { details: { reason: error.message } });
+  }
+});
+
+// Collaborative editing. Clients fetch the document (or what they are
+// missing given ?stateVector=), then post Yjs updates as base64; the server
+// merges them and relays to other editors on presence-story-<id>.
+app.get('/api/stories/:id/collab', (req, res) => {
+  const story = authorizeStory(req, res, 'read');
+  if (!story) return;
+  res.json(collab.getState(story, req.query.stateVector));
+});
+
+// body: { update, clientId } with update as a base64 encoded Yjs update
+app.post('/api/stories/:id/collab', storyEventLimits.collab, validateBody('collabUpdate'), (req, res) => {
+  const story = authorizeStory(req, res, 'edit');
+  if (!story) return;
+
+  const { update, clientId } = req.body;
+  const { user } = req;
+
+  try {
+    res.json(collab.applyUpdate(story, update, { clientId, user }));
+  } catch (error) {
+    sendError(res, 400, 'Invalid collaboration update', {
+      code: 'invalid_collab_update',
+      details: { reason: error.message }
+    });
+  }
+});
+
+// body: { clientId, field, anchor, head } with anchor/head as base64 encoded
+// Yjs relative positions; who and in which colour comes from the session
+app.post('/api/stories/:id/collab/cursor', storyEventLimits.cursor, validateBody('collabCursor'), (req, res) => {
+  if (!authorizeStory(req, res, 'edit')) return;
+
+  const { clientId, field, anchor, head } = req.body;
+  const { user } = req;
+
+  collab.relayCursor(req.params.id, { clientId, user, color: user.color, field, anchor, head });
+  res.status(202).json({ relayed: true });
+});
+
+// Typing indicators go through the server, like every other event on a
+// story channel, so they are checked and attributed to the session user
+app.post('/api/stories/:id/typing', storyEventLimits.typing, validateBody('typing'), (req, res) => {
+  if (!authorizeStory(req, res, 'edit')) return;
+
+  const { isTyping } = req.body;
+
+  broadcast(`presence-story-${req.params.id}`, 'typing', {
+    storyId: req.params.id,
+    isTyping,
+    user: req.user,
+    timestamp: Date.now()
+  });
+  res.status(202).json({ relayed: true });
+});
+
+// Version history
+app.get('/api/stories/:id/versions', (req, res) => {
+  const { id } = req.params;
+  const story = authorizeStory(req, res, 'read', id);
+  if (!story) return;
+
+  res.json(storyVersions.history(story).map(({ story: snapshot, ...summary }) => ({
+    ...summary,
+    title: snapshot.title
+  })));
+});
+
+// Field-level diff between two versions: ?from=<n>&to=<n>. `to` defaults
+// to the current version and `from` to the one before it.
+app.get('/api/stories/:id/versions/diff', validateQuery('versionDiff'), (req, res) => {
+  const { id } = req.params;
+  const story = authorizeStory(req, res, 'read', id);
+  if (!story) return;
+
+  const to = req.query.to ? Number(req.query.to) : story.version;
+  const from = req.query.from ? Number(req.query.from) : to - 1;
+  const fromSnapshot = storyVersions.at(story, from);
+  const toSnapshot = storyVersions.at(story, to);
+
+  if (!fromSnapshot || !toSnapshot) {
+    return sendError(res, 404, 'Version not found', {
+      details: { missing: [[fromSnapshot, from], [toSnapshot, to]].filter(([found]) => !found).map(([, n]) => n) }
     });
   }
 
-  res.json(updatedStory);
+  res.json(storyVersions.diff(fromSnapshot, toSnapshot));
 });
 
-app.post('/api/stories/:id/publish', (req, res) => {
+app.get('/api/stories/:id/versions/:n', (req, res) => {
+  const story = authorizeStory(req, res, 'read');
+  if (!story) return;
+
+  const snapshot = storyVersions.at(story, parseInt(req.params.n, 10));
+  if (!snapshot) {
+    return sendError(res, 404, 'Version not found');
+  }
+  res.json(snapshot);
+});
+
+// Restoring never rewrites history: the old snapshot becomes a new version.
+// Like an update it needs the version being replaced.
+app.post('/api/stories/:id/versions/:n/restore', validateBody('versionRestore'), (req, res) => {
   const { id } = req.params;
-  const story = stories.get(id);
-  
-  if (!story) {
-    return res.status(404).json({ error: 'Story not found' });
+  const { user } = req;
+  const story = authorizeStory(req, res, 'edit', id);
+  if (!story) return;
+
+  const version = parseInt(req.params.n, 10);
+  const snapshot = storyVersions.get(id, version);
+  if (!snapshot) {
+    return sendError(res, 404, 'Version not found');
   }
 
+  const proposed = Object.fromEntries(DIFF_FIELDS
+    .filter(field => snapshot.story[field] !== undefined)
+    .map(field => [field, snapshot.story[field]]));
+  if (rejectStaleUpdate(req, res, {
+    current: story,
+    proposed,
+    entity: 'story',
+    loadBase: (expected) => storyVersions.get(id, expected)?.story
+  })) return;
+
+  // The parent or epic of an old version may have been deleted since
+  const { story: restoredStory } = trash.detachDangling({
+    ...snapshot.story,
+    id,
+    workspaceId: story.workspaceId,
+    createdAt: story.createdAt,
+    editHistory: story.editHistory,
+    version: (story.version || 0) + 1,
+    lastModified: new Date()
+  });
+
+  saveStory(restoredStory, { previous: story, user, reason: 'restore', restoredFrom: version });
+  broadcastStoryUpdate(restoredStory, user);
+
+  res.set('ETag', etagFor(restoredStory));
+  res.json(restoredStory);
+});
+
+// Only product owners and admins decide a story is ready
+app.post('/api/stories/:id/publish', (req, res) => {
+  const { id } = req.params;
+  const story = authorizeStory(req, res, 'publish', id);
+  if (!story) return;
+
   const publishedStory = {
     ...story,
     status: 'published',
     publishedAt: new Date(),
-    lastModified: new Date()
+    lastModified: new Date(),
+    version: (story.version || 0) + 1
   };
 
-  stories.set(id, publishedStory);
+  saveStory(publishedStory, { previous: story, user: req.user, reason: 'publish' });
   
   // Broadcast publish event
-  if (pusher) {
-    pusher.trigger(`presence-story-${id}`, 'story-published', {
-      storyId: id,
-      user: req.body.user || { id: 'system', name: 'System' },
-      timestamp: Date.now()
-    });
-  }
+  broadcast(`presence-story-${id}`, 'story-published', {
+    storyId: id,
+    version: publishedStory.version,
+    user: req.user,
+    timestamp: Date.now()
+  });
 
   res.json(publishedStory);
 });
 
-app.delete('/api/stories/:id', (req, res) => {
-  const { id } = req.params;
-  if (!stories.has(id)) {
-    return res.status(404).json({ error: 'Story not found' });
+// ?mode=refuse (default) answers 409 while the story has sub-stories,
+// cascade deletes them too and reparent moves them up to its parent.
+// Deleted stories go to the trash; the response is the trash entry.
+app.delete('/api/stories/:id', validateQuery('storyDelete'), (req, res) => {
+  const story = authorizeStory(req, res, 'edit');
+  if (!story) return;
+
+  try {
+    res.json(trash.deleteStory(story, { mode: req.query.mode, user: req.user }));
+  } catch (error) {
+    sendTrashError(res, error);
   }
-  
-  stories.delete(id);
-  res.status(204).send();
 });
 
 // Epic routes
 app.get('/api/epics', (req, res) => {
-  res.json(Array.from(epics.values()));
+  const workspaceIds = readableWorkspaceIds(req, res);
+  if (!workspaceIds) return;
+  res.json(epics.list(epic => workspaceIds.includes(epic.workspaceId)));
 });
 
 app.get('/api/epics/:id', (req, res) => {
-  const epic = epics.get(req.params.id);
-  if (!epic) {
-    return res.status(404).json({ error: 'Epic not found' });
-  }
+  const epic = authorizeEpic(req, res, 'read');
+  if (!epic) return;
+  res.set('ETag', etagFor(epic));
   res.json(epic);
 });
 
-app.post('/api/epics', (req, res) => {
+app.post('/api/epics', validateBody('epicCreate'), (req, res) => {
+  const workspaceId = workspaceIdFrom(req);
+  if (!workspaceId) {
+    return sendError(res, 400, 'workspaceId is required', { code: 'workspace_required' });
+  }
+  if (!authorizeWorkspace(req, res, 'edit', workspaceId)) return;
+
   const epic = {
     id: `epic-${Date.now()}`,
     ...req.body,
+    workspaceId,
     createdAt: new Date(),
-    lastModified: new Date()
+    lastModified: new Date(),
+    version: 1
   };
-  epics.set(epic.id, epic);
+  epics.save(epic);
   res.status(201).json(epic);
 });
 
-app.put('/api/epics/:id', (req, res) => {
+app.put('/api/epics/:id', validateBody('epicUpdate'), (req, res) => {
   const { id } = req.params;
-  const epic = epics.get(id);
-  
-  if (!epic) {
-    return res.status(404).json({ error: 'Epic not found' });
+  const epic = authorizeEpic(req, res, 'edit', id);
+  if (!epic) return;
+
+  const { version, workspaceId, ...changes } = req.body;
+  if (workspaceId && workspaceId !== epic.workspaceId) {
+    return sendError(res, 400, 'Epics cannot move between workspaces', { code: 'invalid_reference' });
   }
 
+  // Epics keep no history, so conflicts are reported against the current copy
+  if (rejectStaleUpdate(req, res, { current: epic, proposed: changes, entity: 'epic' })) return;
+
   const updatedEpic = {
     ...epic,
-    ...req.body,
+    ...changes,
     id, // Ensure ID doesn't change
-    lastModified: new Date()
+    lastModified: new Date(),
+    version: (epic.version || 0) + 1
   };
 
-  epics.set(id, updatedEpic);
+  epics.save(updatedEpic);
+  res.set('ETag', etagFor(updatedEpic));
   res.json(updatedEpic);
 });
 
-app.delete('/api/epics/:id', (req, res) => {
-  const { id } = req.params;
-  if (!epics.has(id)) {
-    return res.status(404).json({ error: 'Epic not found' });
+// ?mode=refuse (default) answers 409 while stories belong to the epic,
+// cascade deletes them (and their sub-stories) and unassign keeps them
+// without an epic
+app.delete('/api/epics/:id', validateQuery('epicDelete'), (req, res) => {
+  const epic = authorizeEpic(req, res, 'edit');
+  if (!epic) return;
+
+  try {
+    res.json(trash.deleteEpic(epic, { mode: req.query.mode, user: req.user }));
+  } catch (error) {
+    sendTrashError(res, error);
   }
-  
-  epics.delete(id);
+});
+
+// Trash: one entry per delete, restorable as a whole
+app.get('/api/trash', (req, res) => {
+  const workspaceIds = readableWorkspaceIds(req, res);
+  if (!workspaceIds) return;
+  res.json(trash.list(workspaceIds));
+});
+
+const authorizeTrashEntry = (req, res, permission) =>
+  authorizeRecord(trash.entries, 'Trash entry not found', req, res, permission, req.params.id);
+
+app.get('/api/trash/:id', (req, res) => {
+  const entry = authorizeTrashEntry(req, res, 'read');
+  if (!entry) return;
+  res.json(entry);
+});
+
+// Puts the records back, undoes what the delete did to other stories and
+// clears references to anything deleted since
+app.post('/api/trash/:id/restore', (req, res) => {
+  if (!authorizeTrashEntry(req, res, 'edit')) return;
+
+  try {
+    const restored = trash.restore(req.params.id, { user: req.user });
+    restored.stories.forEach(story => broadcastStoryUpdate(story, req.user));
+    res.json(restored);
+  } catch (error) {
+    sendTrashError(res, error);
+  }
+});
+
+// Emptying an entry is permanent: history, analyses and shared documents
+// of its stories go with it
+app.delete('/api/trash/:id', (req, res) => {
+  if (!authorizeTrashEntry(req, res, 'manage')) return;
+
+  const entry = trash.purge(req.params.id);
+  entry.stories.forEach(story => forgetStory(story.id));
   res.status(204).send();
 });
 
+// Export and import
+const workspaceBacklog = (workspaceId) => ({
+  epics: epics.list(epic => epic.workspaceId === workspaceId),
+  stories: stories.list(story => story.workspaceId === workspaceId)
+});
+
+const fileNameOf = (name) =>
+  (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'backlog';
+
+// The whole workspace with agent results and version history, to back up
+// or move to another workspace or server
+app.get('/api/workspaces/:id/project', (req, res) => {
+  const workspace = authorizeWorkspace(req, res, 'read');
+  if (!workspace) return;
+
+  const backlog = workspaceBacklog(workspace.id);
+  const storyIds = new Set(backlog.stories.map(story => story.id));
+  res.attachment(`${fileNameOf(workspace.name)}.story-splitter.json`);
+  res.json(exportProject({
+    workspace,
+    ...backlog,
+    analyses: analyses.list(analysis => storyIds.has(analysis.storyId)),
+    splitResults: splitResults.list(splitResult => storyIds.has(splitResult.storyId)),
+    versions: backlog.stories.flatMap(story => storyVersions.list(story.id))
+  }));
+});
+
+// Body: a project file of any schema version; older ones are migrated.
+// ?dryRun=true previews what would be created, updated or skipped as a
+// conflict. ?mode=replace also moves everything the file does not have
+// into one trash entry, so it needs manage.
+app.post('/api/workspaces/:id/project/import', validateQuery('projectImport'), (req, res) => {
+  const { mode = 'merge', conflicts = 'skip' } = req.query;
+  const workspace = authorizeWorkspace(req, res, mode === 'replace' ? 'manage' : 'edit');
+  if (!workspace) return;
+
+  let migrated;
+  try {
+    migrated = migrateProjectFile(req.body);
+  } catch (error) {
+    if (!(error instanceof ProjectFileError)) throw error;
+    return sendError(res, error.status, error.message, { code: error.code, details: error.details });
+  }
+  const errors = validate('projectFile', migrated.file);
+  if (errors) {
+    return sendError(res, 422, 'The project file is invalid', {
+      code: 'invalid_project_file',
+      details: { errors: errors.slice(0, 50) }
+    });
+  }
+
+  const plan = planProjectImport(migrated.file, {
+    workspace,
+    ...workspaceBacklog(workspace.id),
+    taken: (type, id) => (type === 'epic' ? epics : stories).has(id),
+    mode,
+    conflicts
+  });
+
+  const dryRun = req.query.dryRun === 'true';
+  let trashEntry = null;
+  if (!dryRun) {
+    plan.epics.forEach(({ record }) => epics.save(record));
+    plan.versions.forEach(snapshot => storyVersions.import(snapshot));
+    plan.stories.forEach(({ record, previous }) => {
+      saveStory(record, { previous, user: req.user, reason: 'import' });
+      if (previous) broadcastStoryUpdate(record, req.user);
+    });
+    plan.analyses.forEach(analysis => analyses.save(analysis));
+    plan.splitResults.forEach(splitResult => splitResults.save(splitResult));
+    if (plan.summary.deleted > 0) {
+      trashEntry = trash.discard(workspace, { ...plan.removed, user: req.user });
+    }
+  }
+
+  res.json({
+    dryRun,
+    mode,
+    fromVersion: migrated.fromVersion,
+    notes: migrated.notes,
+    summary: plan.summary,
+    items: plan.items,
+    epics: plan.epics.map(({ record }) => record),
+    stories: plan.stories.map(({ record }) => record),
+    trashEntry
+  });
+});
+
+// Jira CSV for the CSV importer, or ?format=json for the REST API. One
+// epic with ?epicId=, otherwise the whole workspace.
+app.get('/api/export/jira', validateQuery('jiraExport'), (req, res) => {
+  const { format = 'csv', epicId, childIssues, projectKey, storyPointsField, epicLinkField, epicNameField } = req.query;
+  const workspaceId = workspaceIdFrom(req);
+  if (!workspaceId) {
+    return sendError(res, 400, 'workspaceId is required', { code: 'workspace_required' });
+  }
+  const workspace = authorizeWorkspace(req, res, 'read', workspaceId);
+  if (!workspace) return;
+  if (epicId && epics.get(epicId)?.workspaceId !== workspaceId) {
+    return sendError(res, 404, 'Epic not found');
+  }
+
+  const tree = backlogTree(workspaceBacklog(workspaceId), { epicId });
+  if (format === 'json') {
+    return res.json(toJiraRest(tree, { childIssues, projectKey, storyPointsField, epicLinkField, epicNameField }));
+  }
+
+  res.attachment(`${fileNameOf(epicId ? epics.get(epicId).title : workspace.name)}-jira.csv`);
+  res.send(toJiraCsv(tree, { childIssues }));
+});
+
+// Body: a Jira CSV export. ?dryRun=true reports what would happen without
+// saving; ?duplicates=update overwrites matching records instead of
+// skipping them. Rows that cannot be imported are reported, not fatal.
+app.post('/api/import/jira',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  validateQuery('jiraImport'),
+  (req, res) => {
+    const workspaceId = workspaceIdFrom(req);
+    if (!workspaceId) {
+      return sendError(res, 400, 'workspaceId is required', { code: 'workspace_required' });
+    }
+    if (!authorizeWorkspace(req, res, 'edit', workspaceId)) return;
+    if (typeof req.body !== 'string') {
+      return sendError(res, 415, 'Send the Jira CSV export as the body with Content-Type: text/csv', {
+        code: 'unsupported_media_type'
+      });
+    }
+
+    let plan;
+    try {
+      plan = planJiraImport(parseJiraCsv(req.body), {
+        ...workspaceBacklog(workspaceId),
+        workspaceId,
+        duplicates: req.query.duplicates
+      });
+    } catch (error) {
+      if (!(error instanceof JiraError)) throw error;
+      return sendError(res, error.status, error.message, { code: error.code, details: error.details });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+    if (!dryRun) {
+      plan.epics.forEach(({ record }) => epics.save(record));
+      plan.stories.forEach(({ record, previous }) => {
+        saveStory(record, { previous, user: req.user, reason: 'import' });
+        if (previous) broadcastStoryUpdate(record, req.user);
+      });
+    }
+
+    res.json({
+      dryRun,
+      summary: plan.summary,
+      rows: plan.rows,
+      epics: plan.epics.map(({ record }) => record),
+      stories: plan.stories.map(({ record }) => record)
+    });
+  });
+
+// The Story Analyst's verdict on a new story, kept on the record so the
+// board can show it while the story is unchanged
+async function withReadiness(story, requestId) {
+  try {
+    const { metadata: { analysis } } = await agentService.run('analyze', { story });
+    return {
+      story: {
+        ...story,
+        readiness: {
+          overallScore: analysis.overallScore,
+          readinessLevel: analysis.readinessLevel,
+          storyVersion: story.version,
+          analyzedAt: new Date()
+        }
+      },
+      analysis
+    };
+  } catch (error) {
+    console.error(`Backlog analysis error [${requestId}]:`, error);
+    return { story, analysis: null, error };
+  }
+}
+
+// Body: CSV with a header row, or plain text with one story per line
+// (Content-Type: text/plain or ?format=text). Each story is analysed as it
+// is created; rows that cannot be imported are reported, not fatal. With
+// Accept: text/event-stream every row is sent as a `row` event when done.
+app.post('/api/import/backlog',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+  validateQuery('backlogImport'),
+  async (req, res, next) => {
+    const workspaceId = workspaceIdFrom(req);
+    if (!workspaceId) {
+      return sendError(res, 400, 'workspaceId is required', { code: 'workspace_required' });
+    }
+    if (!authorizeWorkspace(req, res, 'edit', workspaceId)) return;
+    if (typeof req.body !== 'string') {
+      return sendError(res, 415, 'Send the backlog as the body with Content-Type: text/csv or text/plain', {
+        code: 'unsupported_media_type'
+      });
+    }
+
+    const format = req.query.format || (req.is('text/csv') ? 'csv' : 'text');
+    let plan;
+    try {
+      plan = planBacklogImport(readBacklog(req.body, { format, columns: req.query.columns }), {
+        epics: workspaceBacklog(workspaceId).epics,
+        workspaceId
+      });
+    } catch (error) {
+      // Express 4 does not see rejections from async handlers
+      if (!(error instanceof BacklogImportError)) return next(error);
+      return sendError(res, error.status, error.message, { code: error.code, details: error.details });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+    const streaming = req.accepts(['application/json', 'text/event-stream']) === 'text/event-stream';
+    if (!dryRun && !streaming && plan.stories.length > MAX_UNSTREAMED_ROWS) {
+      return sendError(res, 413, `Importing more than ${MAX_UNSTREAMED_ROWS} stories streams the progress; send Accept: text/event-stream`, {
+        code: 'stream_required',
+        details: { stories: plan.stories.length, limit: MAX_UNSTREAMED_ROWS }
+      });
+    }
+    const report = (stories) => ({
+      dryRun,
+      format,
+      summary: {
+        rows: plan.rows.length,
+        created: plan.rows.filter(row => row.action === 'create').length,
+        analyzed: plan.rows.filter(row => row.readiness).length,
+        errors: plan.rows.filter(row => row.action === 'error').length
+      },
+      rows: plan.rows,
+      epics: plan.epics,
+      stories
+    });
+    if (dryRun) {
+      return res.json(report(plan.stories.map(({ record }) => record)));
+    }
+
+    let closed = false;
+    const emit = (event, data) => {
+      if (streaming && !closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    if (streaming) {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      // The batch carries on when the client goes away
+      res.on('close', () => { closed = true; });
+    }
+
+    try {
+      plan.epics.forEach(epic => epics.save(epic));
+      emit('start', { rows: plan.rows.length, stories: plan.stories.length, epics: plan.epics });
+
+      const planned = new Map(plan.stories.map(({ row, record }) => [row, record]));
+      const saved = [];
+      for (const [index, row] of plan.rows.entries()) {
+        // Let other requests in between stories
+        await new Promise(resolve => setImmediate(resolve));
+        let story = null;
+        if (row.action === 'create') {
+          const result = await withReadiness(planned.get(row.row), req.id);
+          story = saveStory(result.story, { user: req.user, reason: 'import' });
+          rememberAnalysis(story, result.analysis);
+          saved.push(story);
+          row.readiness = story.readiness || null;
+          if (result.error) row.warnings.push(`The Story Analyst could not analyse the story: ${result.error.message}`);
+        }
+        emit('row', { ...row, story, progress: { done: index + 1, total: plan.rows.length } });
+      }
+
+      if (streaming) emit('result', report(saved));
+      else res.json(report(saved));
+    } catch (error) {
+      console.error(`Backlog import error [${req.id}]:`, error);
+      const options = { code: 'import_failed', details: { reason: error.message } };
+      if (streaming) emit('error', errorBody(req, 500, 'Backlog import failed', options));
+      else sendError(res, 500, 'Backlog import failed', options);
+    } finally {
+      if (streaming) {
+        emit('done', {});
+        res.end();
+      }
+    }
+  });
+
+const trackerTarget = `:target(${TRACKER_TARGETS.join('|')})`;
+
+// Reads the workspace and epic a tracker export covers; sends the error
+// and returns null when they are missing or out of reach
+function trackerBacklog(req, res, permission, { workspaceId, epicId }) {
+  if (!workspaceId) {
+    sendError(res, 400, 'workspaceId is required', { code: 'workspace_required' });
+    return null;
+  }
+  if (!authorizeWorkspace(req, res, permission, workspaceId)) return null;
+  if (epicId && epics.get(epicId)?.workspaceId !== workspaceId) {
+    sendError(res, 404, 'Epic not found');
+    return null;
+  }
+  return backlogTree(workspaceBacklog(workspaceId), { epicId });
+}
+
+// GitHub issues or Azure DevOps work items, ready to send with your own
+// credentials. ?labels= is a comma-separated list added to every issue.
+app.get(`/api/export/${trackerTarget}`, validateQuery('trackerExport'), (req, res) => {
+  const { epicId, labels = '', organizationUrl, project, areaPath, iterationPath } = req.query;
+  const tree = trackerBacklog(req, res, 'read', { workspaceId: workspaceIdFrom(req), epicId });
+  if (!tree) return;
+
+  res.json(buildExport(req.params.target, tree, {
+    labels: labels.split(',').map(label => label.trim()).filter(Boolean),
+    organizationUrl,
+    project,
+    areaPath,
+    iterationPath
+  }));
+});
+
+// Creates the issues in the tracker configured on the server. Items are
+// not updated on a second publish; each run creates new ones.
+app.post(`/api/export/${trackerTarget}/publish`, validateBody('trackerPublish'), async (req, res) => {
+  const { epicId, labels = [], areaPath, iterationPath } = req.body;
+  const tree = trackerBacklog(req, res, 'publish', { workspaceId: workspaceIdFrom(req), epicId });
+  if (!tree) return;
+
+  try {
+    res.json(await publishExport(req.params.target, tree, { labels, areaPath, iterationPath }));
+  } catch (error) {
+    if (error instanceof TrackerError) {
+      return sendError(res, error.status, error.message, { code: error.code, details: error.details });
+    }
+    console.error(`Publish error [${req.id}]:`, error);
+    sendError(res, 500, 'Publishing failed', { code: 'publish_failed', details: { reason: error.message } });
+  }
+});
+
+// The Story Analyst's INVEST scorecard for every story below `nodes`
+async function scorecardsFor(nodes) {
+  const all = [];
+  walkTree({ epics: [], unassigned: nodes }, ({ story }) => all.push(story));
+  const scorecards = new Map();
+  for (const story of all) {
+    scorecards.set(story.id, await agentService.scorecard(story));
+  }
+  return scorecards;
+}
+
+// One story as a Gherkin feature (?format=gherkin), or as Markdown with
+// its INVEST scorecard and split children
+app.get('/api/stories/:id/export', validateQuery('storyExport'), async (req, res) => {
+  const story = authorizeStory(req, res, 'read');
+  if (!story) return;
+
+  const name = fileNameOf(story.title);
+  if (req.query.format === 'gherkin') {
+    res.attachment(`${name}.feature`);
+    res.type('text/x-gherkin');
+    return res.send(toFeature(story));
+  }
+
+  let node = { story, children: [] };
+  walkTree(backlogTree(workspaceBacklog(story.workspaceId)), (candidate) => {
+    if (candidate.story.id === story.id) node = candidate;
+  });
+  try {
+    const markdown = storyMarkdown(node, {
+      epic: story.epicId ? epics.get(story.epicId) : null,
+      scorecards: new Map([[story.id, await agentService.scorecard(story)]])
+    });
+    res.attachment(`${name}.md`);
+    res.type('text/markdown');
+    res.send(markdown);
+  } catch (error) {
+    console.error(`Export error [${req.id}]:`, error);
+    sendError(res, 500, 'Export failed', { code: 'export_failed', details: { reason: error.message } });
+  }
+});
+
+// An epic as one Markdown document, or ?format=zip for the epic, a
+// Markdown file and a .feature file per story
+app.get('/api/epics/:id/export', validateQuery('epicExport'), async (req, res) => {
+  const epic = authorizeEpic(req, res, 'read');
+  if (!epic) return;
+
+  const [branch] = backlogTree(workspaceBacklog(epic.workspaceId), { epicId: epic.id }).epics;
+  const name = fileNameOf(epic.title);
+  try {
+    const scorecards = await scorecardsFor(branch.stories);
+    if (req.query.format !== 'zip') {
+      res.attachment(`${name}.md`);
+      res.type('text/markdown');
+      return res.send(epicMarkdown(branch, { scorecards }));
+    }
+
+    const files = [{ name: `${name}/README.md`, content: epicMarkdown(branch, { scorecards }) }];
+    const taken = new Set();
+    walkTree({ epics: [branch], unassigned: [] }, (node) => {
+      let fileName = fileNameOf(node.story.title);
+      for (let n = 2; taken.has(fileName); n++) fileName = `${fileNameOf(node.story.title)}-${n}`;
+      taken.add(fileName);
+      files.push(
+        { name: `${name}/stories/${fileName}.md`, content: storyMarkdown(node, { epic, scorecards }) },
+        { name: `${name}/features/${fileName}.feature`, content: toFeature(node.story) }
+      );
+    });
+    res.attachment(`${name}.zip`);
+    res.send(createZip(files));
+  } catch (error) {
+    console.error(`Export error [${req.id}]:`, error);
+    sendError(res, 500, 'Export failed', { code: 'export_failed', details: { reason: error.message } });
+  }
+});
+
 // AI Agent routes
-app.post('/api/agents/:agentType', async (req, res) => {
+// Server-Sent Events variant: streams the provider's text, INVEST criteria,
+// splitting approaches, coaching tips and review dimensions as they are produced, then a final
+// `result` event with the full response envelope. The work stops when the
+// client disconnects.
+app.post('/api/agents/:agentType/stream', validateBody('agentRequest'), async (req, res) => {
   const { agentType } = req.params;
   const { story, context } = req.body;
+  const { user } = req;
 
-  console.log(`AI Agent request: ${agentType}`, { 
-    story: story?.title,
-    hasContent: !!story?.content,
-    contentLength: story?.content?.length 
+  if (!agentService.has(agentType)) {
+    return sendError(res, 404, `Unknown agent type: ${agentType}`, { code: 'unknown_agent' });
+  }
+  if (!authorizeAgentRun(req, res, story)) return;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  const controller = new AbortController();
+  res.on('close', () => {
+    closed = true;
+    controller.abort();
   });
 
+  const emit = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Comment lines keep proxies from timing out long LLM calls
+  const keepAlive = setInterval(() => {
+    if (!closed) res.write(': keep-alive\n\n');
+  }, 15000);
+
   try {
-    // Check if mock mode is enabled
-    const useMockAI = process.env.USE_MOCK_AI === 'true';
-    
-    if (!useMockAI && !process.env.CLAUDE_API_KEY) {
-      console.error('No Claude API key configured and mock mode is disabled');
-      return res.status(503).json({ 
-        error: 'AI service not configured. Please set USE_MOCK_AI=true or provide API keys.' 
-      });
+    const response = await agentService.stream(agentType, { story, context }, emit, { signal: controller.signal });
+    rememberAgentResult(story, response.metadata);
+    broadcastAgentResponse(story, agentType, response, user);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log(`AI Agent stream cancelled [${req.id}]: the client disconnected`);
+      return;
     }
+    console.error(`AI Agent stream error [${req.id}]:`, error);
+    emit('error', errorBody(req, 500, 'AI analysis failed', {
+      code: 'agent_failed',
+      details: { reason: error.message }
+    }));
+  } finally {
+    clearInterval(keepAlive);
+    emit('done', {});
+    res.end();
+  }
+});
 
-    if (useMockAI) {
-      // Mock responses that match the OpenAI/Claude format
-      const mockResponses = {
-        analyze: {
-          id: `msg-${Date.now()}`,
-          object: 'analysis',
-          created: Math.floor(Date.now() / 1000), // Unix timestamp
-          model: 'claude-3-mock',
-          choices: [{
-            index: 0,
-            message: {
-              role: 'assistant',
-              content: `Analysis complete for "${story.title || 'your story'}". This story shows good structure with clear user value. The format follows the "As a [user], I can [action] so that [benefit]" pattern effectively.`,
-              function_call: null
-            },
-            finish_reason: 'stop'
-          }],
-          usage: {
-            prompt_tokens: 100,
-            completion_tokens: 150,
-            total_tokens: 250
-          },
-          metadata: {
-            agent: 'Story Analyst',
-            suggestions: [
-              'Consider adding more specific acceptance criteria',
-              'Break down complex workflows into smaller steps',
-              'Define clear user personas and their needs'
-            ],
-            criteria: {
-              Independent: true,
-              Negotiable: true,
-              Valuable: true,
-              Estimable: false,
-              Small: true,
-              Testable: false
-            },
-            score: 67
-          }
-        },
-        split: {
-          id: `msg-${Date.now()}`,
-          object: 'analysis',
-          created: Math.floor(Date.now() / 1000),
-          model: 'claude-3-mock',
-          choices: [{
-            index: 0,
-            message: {
-              role: 'assistant',
-              content: `I've analyzed your story and identified opportunities to split it into smaller, more manageable pieces.`,
-              function_call: null
-            },
-            finish_reason: 'stop'
-          }],
-          usage: {
-            prompt_tokens: 100,
-            completion_tokens: 150,
-            total_tokens: 250
-          },
-          metadata: {
-            agent: 'Splitting Expert',
-            splits: [
-              { 
-                title: 'Basic functionality', 
-                priority: 'High', 
-                effort: 'Small',
-                description: 'Core feature implementation'
-              },
-              { 
-                title: 'Enhanced features', 
-                priority: 'Medium', 
-                effort: 'Medium',
-                description: 'Additional functionality'
-              },
-              { 
-                title: 'Advanced options', 
-                priority: 'Low', 
-                effort: 'Large',
-                description: 'Power user features'
-              }
-            ]
-          }
-        },
-        coach: {
-          id: `msg-${Date.now()}`,
-          object: 'analysis',
-          created: Math.floor(Date.now() / 1000),
-          model: 'claude-3-mock',
-          choices: [{
-            index: 0,
-            message: {
-              role: 'assistant',
-              content: `Here are some tips to improve your user story writing skills.`,
-              function_call: null
-            },
-            finish_reason: 'stop'
-          }],
-          usage: {
-            prompt_tokens: 100,
-            completion_tokens: 150,
-            total_tokens: 250
-          },
-          metadata: {
-            agent: 'Coaching Assistant',
-            tips: [
-              'Focus on user value in each story',
-              'Keep stories independently deliverable',
-              'Ensure stories can be tested end-to-end',
-              'Write from the user\'s perspective',
-              'Include clear acceptance criteria'
-            ]
-          }
-        },
-        review: {
-          id: `msg-${Date.now()}`,
-          object: 'analysis',
-          created: Math.floor(Date.now() / 1000),
-          model: 'claude-3-mock',
-          choices: [{
-            index: 0,
-            message: {
-              role: 'assistant',
-              content: `Quality review complete. Your story meets most INVEST criteria but could be improved.`,
-              function_call: null
-            },
-            finish_reason: 'stop'
-          }],
-          usage: {
-            prompt_tokens: 100,
-            completion_tokens: 150,
-            total_tokens: 250
-          },
-          metadata: {
-            agent: 'Quality Reviewer',
-            criteria: {
-              Independent: true,
-              Negotiable: true,
-              Valuable: true,
-              Estimable: false,
-              Small: true,
-              Testable: false
-            },
-            score: 67,
-            suggestions: [
-              'Add specific acceptance criteria for better testability',
-              'Include effort estimates for better planning',
-              'Consider edge cases and error scenarios'
-            ]
-          }
-        }
-      };
+// Registered before /api/agents/:agentType so "pipeline" is not treated as an agent type
+app.post('/api/agents/pipeline', validateBody('agentRequest'), async (req, res) => {
+  const { story, context } = req.body;
+  const { user } = req;
 
-      const response = mockResponses[agentType] || mockResponses.analyze;
-      
-      // Add a small delay to simulate API call
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      console.log('Sending mock AI response:', response.metadata.agent);
-      res.json(response);
-    } else {
-      // TODO: Implement real AI agent calls here
-      // This is where you'll call actual Claude/OpenAI APIs
-      
-      // For now, return an error
-      res.status(501).json({ 
-        error: 'Real AI integration not yet implemented',
-        message: 'Please use mock mode (USE_MOCK_AI=true) for now'
+  if (!authorizeAgentRun(req, res, story)) return;
+
+  try {
+    const report = await agentService.runPipeline({ story, context });
+    report.steps
+      .filter(step => step.response)
+      .forEach(step => {
+        rememberAgentResult(story, step.response.metadata);
+        broadcastAgentResponse(story, step.agentType, step.response, user);
       });
-    }
-    
+    console.log('Agent pipeline complete:', report.steps.map(step => `${step.agentType}=${step.status}`).join(', '));
+    res.json(report);
   } catch (error) {
-    console.error('AI Agent error:', error);
-    res.status(500).json({ error: 'AI analysis failed', details: error.message });
+    console.error(`Agent pipeline error [${req.id}]:`, error);
+    sendError(res, 500, 'Agent pipeline failed', { code: 'agent_failed', details: { reason: error.message } });
   }
 });
 
+app.post('/api/agents/:agentType', validateBody('agentRequest'), async (req, res) => {
+  const { agentType } = req.params;
+  const { story, context } = req.body;
+  const { user } = req;
+
+  console.log(`AI Agent request: ${agentType}`, { 
+    story: story?.title,
+    hasContent: !!story?.content,
+    contentLength: story?.content?.length 
+  });
+
+  if (!agentService.has(agentType)) {
+    return sendError(res, 404, `Unknown agent type: ${agentType}`, { code: 'unknown_agent' });
+  }
+  if (!authorizeAgentRun(req, res, story)) return;
+
+  try {
+    const result = await agentService.run(agentType, { story, context });
+    rememberAgentResult(story, result.metadata);
+    const response = formatAgentResponse(result);
+    broadcastAgentResponse(story, agentType, response, user);
+    console.log('Sending agent response:', result.agent);
+    res.json(response);
+  } catch (error) {
+    console.error(`AI Agent error [${req.id}]:`, error);
+    sendError(res, 500, 'AI analysis failed', { code: 'agent_failed', details: { reason: error.message } });
+  }
+});
+
+// Connection settings for pusher-js, which talks to either backend
+app.get('/api/realtime/config', (req, res) => {
+  res.json(realtime.clientConfig(req));
+});
+
 // Pusher authentication endpoint
-app.post('/api/pusher/auth', (req, res) => {
-  console.log('Pusher auth request headers:', req.headers);
-  console.log('Pusher auth request body:', req.body);
-  
+app.post('/api/pusher/auth', validateBody('channelAuth'), (req, res) => {
+  console.log('Pusher auth request for', req.user.id, req.body.channel_name);
+
   try {
     // Check if Pusher credentials are loaded
-    if (!process.env.PUSHER_SECRET) {
+    if (!realtime.isConfigured) {
       console.error('PUSHER_SECRET not found in environment variables');
-      return res.status(500).json({ 
-        error: 'Server configuration error: Pusher secret not configured' 
+      return sendError(res, 500, 'Server configuration error: Pusher secret not configured', {
+        code: 'realtime_not_configured'
       });
     }
 
     // Pusher sends socketId as socket_id and channel as channel_name
     const socketId = req.body.socket_id;
     const channel = req.body.channel_name;
-    
-    console.log('Parsed data:', { socketId, channel });
-    
-    if (!socketId || !channel) {
-      console.error('Missing required fields:', { socketId, channel });
-      return res.status(400).json({ 
-        error: 'Missing required fields',
-        received: req.body 
-      });
-    }
 
-    // Check if pusher is properly initialized
-    if (!pusher) {
-      console.error('Pusher not initialized');
-      return res.status(500).json({ error: 'Pusher service not available' });
+    // Private and presence channels are only for members of the workspace
+    // they belong to
+    const isProtected = channel.startsWith('presence-') || channel.startsWith('private-');
+    if (isProtected && !canUseChannel(req.user, channel, 'read')) {
+      return sendError(res, 403, 'Not a member of this channel\'s workspace', { code: 'insufficient_role' });
     }
 
     // Different handling for different channel types
     if (channel.startsWith('presence-')) {
-      // Presence channel - requires user data
+      // Presence channel - members are the signed-in users, so several
+      // tabs of one user count once
       const presenceData = {
-        user_id: socketId,
+        user_id: req.user.id,
         user_info: {
-          id: req.body.user_id || `user-${socketId.substring(0, 8)}`,
-          name: req.body.user_name || `User ${Math.floor(Math.random() * 1000)}`,
-          color: req.body.user_color || '#' + Math.floor(Math.random()*16777215).toString(16),
-          avatar: req.body.user_avatar || '👤',
+          id: req.user.id,
+          name: req.user.name,
+          color: req.user.color,
+          avatar: req.user.avatar,
           isOnline: true
         }
       };
 
-      const auth = pusher.authenticate(socketId, channel, presenceData);
+      const auth = realtime.authenticate(socketId, channel, presenceData);
       console.log('Presence auth successful for channel:', channel);
       res.json(auth);
       
     } else if (channel.startsWith('private-')) {
       // Private channel - no user data needed
-      const auth = pusher.authenticate(socketId, channel);
+      const auth = realtime.authenticate(socketId, channel);
       console.log('Private auth successful for channel:', channel);
       res.json(auth);
       
@@ -594,49 +1833,62 @@ app.post('/api/pusher/auth', (req, res) => {
   } catch (error) {
     console.error('Pusher auth error:', error);
     console.error('Error stack:', error.stack);
-    res.status(500).json({ 
-      error: 'Authentication failed',
-      message: error.message 
-    });
+    sendError(res, 500, 'Authentication failed', { code: 'realtime_auth_failed', details: { reason: error.message } });
   }
 });
 
-// Trigger Pusher event (for testing)
-app.post('/api/pusher/trigger', async (req, res) => {
-  const { channel, event, data } = req.body;
+// Raw event trigger for trying out the realtime setup. Development only:
+// the app itself uses the typed story event endpoints above.
+if (process.env.NODE_ENV === 'development') {
+  app.post('/api/pusher/trigger', async (req, res) => {
+    const { channel, event, data } = req.body;
 
-  if (!channel || !event || !data) {
-    return res.status(400).json({ error: 'Missing required fields' });
-  }
+    if (!channel || !event || !data) {
+      return sendError(res, 400, 'Missing required fields');
+    }
+    if (!canUseChannel(req.user, channel, 'edit')) {
+      return sendError(res, 403, 'Events can only be sent to channels of workspaces you edit', {
+        code: 'insufficient_role'
+      });
+    }
 
-  try {
-    await pusher.trigger(channel, event, data);
-    res.json({ success: true });
-  } catch (error) {
-    console.error('Pusher trigger error:', error);
-    res.status(500).json({ error: 'Failed to trigger event' });
-  }
-});
+    try {
+      await realtime.trigger(channel, event, data);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Pusher trigger error:', error);
+      sendError(res, 500, 'Failed to trigger event', { code: 'realtime_trigger_failed' });
+    }
+  });
+}
 
 // Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(err.status || 500).json({
-    error: err.message || 'Internal server error',
-    ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
-  });
-});
+app.use(errorHandler);
 
 // 404 handler
 app.use((req, res) => {
   console.log('404 - Route not found:', req.method, req.path);
-  res.status(404).json({ error: 'Route not found' });
+  sendError(res, 404, 'Route not found', { code: 'route_not_found' });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log('Pusher configured:', !!pusher);
-  console.log('Claude API key detected:', !!process.env.CLAUDE_API_KEY);
-  console.log('Mock AI mode:', process.env.USE_MOCK_AI === 'true');
-});
\ No newline at end of file
+// Start server when run directly (api/index.js imports the app for Vercel)
+if (require.main === module) {
+  const server = app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log('Realtime driver:', realtime.driver);
+    console.log('Claude API key detected:', !!process.env.CLAUDE_API_KEY);
+    console.log('Mock AI mode:', process.env.USE_MOCK_AI === 'true');
+    console.log('Storage driver:', repository.store.driver);
+  });
+  realtime.attach(server);
+
+  // Write changes that are still waiting before the process stops
+  ['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, () => {
+    repository.store.flush()
+      .catch(error => console.error('Saving changes on shutdown failed:', error))
+      .finally(() => process.exit(0));
+  }));
+}
+
+module.exports = app;
+module.exports.realtime = realtime;
\ No newline at end of file
@@ -0,0 +1,28 @@
+// server/realtime/auth.js
+// Channel authorization signatures, compatible with Pusher Channels: the
+// client sends `<key>:<hmac-sha256(socket_id:channel[:channel_data])>`.
+const crypto = require('crypto');
+
+function sign(secret, socketId, channel, channelData) {
+  const value = channelData ? `${socketId}:${channel}:${channelData}` : `${socketId}:${channel}`;
+  return crypto.createHmac('sha256', secret).update(value).digest('hex');
+}
+
+function authenticateChannel({ key, secret, socketId, channel, presenceData }) {
+  const channelData = presenceData ? JSON.stringify(presenceData) : undefined;
+  const auth = { auth: `${key}:${sign(secret, socketId, channel, channelData)}` };
+  if (channelData) auth.channel_data = channelData;
+  return auth;
+}
+
+function verifyChannelAuth({ key, secret, socketId, channel, auth, channelData }) {
+  if (typeof auth !== 'string') return false;
+  const [authKey, signature = ''] = auth.split(':');
+  if (authKey !== key) return false;
+
+  const expected = Buffer.from(sign(secret, socketId, channel, channelData));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = { authenticateChannel, verifyChannelAuth };
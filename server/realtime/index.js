@@ -0,0 +1,30 @@
+// server/realtime/index.js
+// Realtime transport selected via REALTIME_DRIVER:
+//   pusher - hosted Pusher Channels (default when PUSHER_APP_ID is set)
+//   ws     - built-in WebSocket server speaking the Pusher protocol, for
+//            running fully offline (default otherwise)
+const crypto = require('crypto');
+const { PusherTransport } = require('./pusher-transport');
+const { WebSocketTransport } = require('./ws-transport');
+
+function createRealtime(options = {}) {
+  const driver = options.driver ||
+    process.env.REALTIME_DRIVER ||
+    (process.env.PUSHER_APP_ID ? 'pusher' : 'ws');
+
+  switch (driver) {
+    case 'pusher':
+      return new PusherTransport();
+    case 'ws':
+      return new WebSocketTransport({
+        key: options.key || process.env.REALTIME_KEY || 'story-splitter-local',
+        // Signatures are issued and checked by this process, so a per-process
+        // secret is fine unless several servers share connections
+        secret: options.secret || process.env.REALTIME_SECRET || crypto.randomBytes(32).toString('hex')
+      });
+    default:
+      throw new Error(`Unknown realtime driver: ${driver}`);
+  }
+}
+
+module.exports = { createRealtime };
@@ -0,0 +1,38 @@
+// server/realtime/pusher-transport.js
+// Hosted Pusher Channels. Requires PUSHER_APP_ID, PUSHER_KEY,
+// PUSHER_SECRET and PUSHER_CLUSTER.
+class PusherTransport {
+  constructor() {
+    this.driver = 'pusher';
+    this.pusher = require('../services/pusher');
+  }
+
+  get isConfigured() {
+    return Boolean(process.env.PUSHER_SECRET);
+  }
+
+  trigger(channels, event, data) {
+    return this.pusher.trigger(channels, event, data);
+  }
+
+  authenticate(socketId, channel, presenceData) {
+    return this.pusher.authenticate(socketId, channel, presenceData);
+  }
+
+  // Hosted service - nothing to attach to our HTTP server
+  attach() {}
+
+  close() {
+    return Promise.resolve();
+  }
+
+  clientConfig() {
+    return {
+      driver: this.driver,
+      key: process.env.PUSHER_KEY,
+      cluster: process.env.PUSHER_CLUSTER
+    };
+  }
+}
+
+module.exports = { PusherTransport };
@@ -0,0 +1,270 @@
+// server/realtime/ws-transport.js
+// Self-hosted realtime backend speaking the Pusher Channels wire protocol
+// (v7) over `ws`, so the unmodified pusher-js client can connect to it with
+// wsHost/wsPort. Supports public, private and presence channels, client
+// events and member_added/member_removed. Single process only: channel
+// state lives in memory.
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const { authenticateChannel, verifyChannelAuth } = require('./auth');
+
+const PROTOCOL_ERRORS = {
+  appKey: { code: 4001, message: 'App key not recognised' },
+  unauthorized: { code: 4009, message: 'Connection not authorized' },
+  invalidMessage: { code: 4200, message: 'Invalid message' }
+};
+
+const isPrivate = (channel) => channel.startsWith('private-');
+const isPresence = (channel) => channel.startsWith('presence-');
+
+const newSocketId = () => `${crypto.randomInt(1e9)}.${crypto.randomInt(1e9)}`;
+
+class WebSocketTransport {
+  constructor({ key, secret, activityTimeout = 120 } = {}) {
+    this.driver = 'ws';
+    this.key = key;
+    this.secret = secret;
+    this.activityTimeout = activityTimeout;
+    this.port = null;
+    this.wss = null;
+    this.connections = new Map();
+    this.channels = new Map();
+  }
+
+  get isConfigured() {
+    return true;
+  }
+
+  // Listen for pusher-js connections on /app/<key> of an HTTP server
+  attach(server) {
+    this.wss = new WebSocketServer({ noServer: true });
+    this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+
+    server.on('upgrade', (req, socket, head) => {
+      if (!req.url.startsWith('/app/')) return;
+      this.wss.handleUpgrade(req, socket, head, ws => this.wss.emit('connection', ws, req));
+    });
+    server.on('listening', () => {
+      this.port = server.address().port;
+    });
+    if (server.listening) this.port = server.address().port;
+  }
+
+  close() {
+    this.connections.forEach(({ ws }) => ws.terminate());
+    this.connections.clear();
+    this.channels.clear();
+    return new Promise(resolve => (this.wss ? this.wss.close(() => resolve()) : resolve()));
+  }
+
+  clientConfig(req) {
+    return {
+      driver: this.driver,
+      key: this.key,
+      wsHost: process.env.REALTIME_WS_HOST || req?.hostname || 'localhost',
+      wsPort: parseInt(process.env.REALTIME_WS_PORT, 10) || this.port,
+      forceTLS: false
+    };
+  }
+
+  authenticate(socketId, channel, presenceData) {
+    return authenticateChannel({ key: this.key, secret: this.secret, socketId, channel, presenceData });
+  }
+
+  // Same signature as Pusher#trigger; params.socket_id excludes a sender
+  trigger(channels, event, data, params = {}) {
+    [].concat(channels).forEach(channel => {
+      this.broadcast(channel, { event, channel, data: JSON.stringify(data) }, params.socket_id);
+    });
+    return Promise.resolve({});
+  }
+
+  handleConnection(ws, req) {
+    const appKey = req.url.slice('/app/'.length).split('?')[0];
+    if (appKey !== this.key) {
+      this.send(ws, { event: 'pusher:error', data: PROTOCOL_ERRORS.appKey });
+      ws.close(PROTOCOL_ERRORS.appKey.code, PROTOCOL_ERRORS.appKey.message);
+      return;
+    }
+
+    const socketId = newSocketId();
+    const connection = { ws, socketId, channels: new Set() };
+    this.connections.set(socketId, connection);
+
+    ws.on('message', raw => this.handleMessage(connection, raw));
+    ws.on('close', () => {
+      connection.channels.forEach(channel => this.unsubscribe(connection, channel));
+      this.connections.delete(socketId);
+    });
+
+    this.send(ws, {
+      event: 'pusher:connection_established',
+      data: JSON.stringify({ socket_id: socketId, activity_timeout: this.activityTimeout })
+    });
+  }
+
+  handleMessage(connection, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      return this.sendError(connection, PROTOCOL_ERRORS.invalidMessage);
+    }
+
+    const data = typeof message.data === 'string' ? this.parseData(message.data) : (message.data || {});
+
+    switch (message.event) {
+      case 'pusher:ping':
+        return this.send(connection.ws, { event: 'pusher:pong', data: '{}' });
+      case 'pusher:subscribe':
+        return this.subscribe(connection, data);
+      case 'pusher:unsubscribe':
+        return this.unsubscribe(connection, data.channel);
+      default:
+        if (typeof message.event === 'string' && message.event.startsWith('client-')) {
+          return this.relayClientEvent(connection, message);
+        }
+    }
+  }
+
+  subscribe(connection, { channel, auth, channel_data: channelData }) {
+    if (typeof channel !== 'string' || channel.length === 0) {
+      return this.sendError(connection, PROTOCOL_ERRORS.invalidMessage);
+    }
+
+    if (isPrivate(channel) || isPresence(channel)) {
+      const valid = verifyChannelAuth({
+        key: this.key,
+        secret: this.secret,
+        socketId: connection.socketId,
+        channel,
+        auth,
+        channelData: isPresence(channel) ? channelData : undefined
+      });
+      if (!valid) {
+        return this.sendError(connection, PROTOCOL_ERRORS.unauthorized, channel);
+      }
+    }
+
+    const state = this.channelState(channel);
+    connection.channels.add(channel);
+
+    if (!isPresence(channel)) {
+      state.subscribers.set(connection.socketId, null);
+      return this.send(connection.ws, { event: 'pusher_internal:subscription_succeeded', channel, data: '{}' });
+    }
+
+    const member = this.parseData(channelData);
+    if (!member.user_id) {
+      return this.sendError(connection, PROTOCOL_ERRORS.invalidMessage, channel);
+    }
+    const userId = String(member.user_id);
+    state.subscribers.set(connection.socketId, userId);
+
+    // A user with several tabs open is one member
+    const isNewMember = !state.members.has(userId);
+    if (isNewMember) {
+      state.members.set(userId, { info: member.user_info || {}, sockets: new Set() });
+    }
+    state.members.get(userId).sockets.add(connection.socketId);
+
+    const hash = {};
+    state.members.forEach((value, id) => { hash[id] = value.info; });
+    this.send(connection.ws, {
+      event: 'pusher_internal:subscription_succeeded',
+      channel,
+      data: JSON.stringify({ presence: { ids: Object.keys(hash), hash, count: state.members.size } })
+    });
+
+    if (isNewMember) {
+      this.broadcast(channel, {
+        event: 'pusher_internal:member_added',
+        channel,
+        data: JSON.stringify({ user_id: userId, user_info: member.user_info || {} })
+      }, connection.socketId);
+    }
+  }
+
+  unsubscribe(connection, channel) {
+    const state = this.channels.get(channel);
+    connection.channels.delete(channel);
+    if (!state || !state.subscribers.has(connection.socketId)) return;
+
+    const userId = state.subscribers.get(connection.socketId);
+    state.subscribers.delete(connection.socketId);
+
+    if (userId !== null) {
+      const member = state.members.get(userId);
+      member.sockets.delete(connection.socketId);
+      if (member.sockets.size === 0) {
+        state.members.delete(userId);
+        this.broadcast(channel, {
+          event: 'pusher_internal:member_removed',
+          channel,
+          data: JSON.stringify({ user_id: userId })
+        });
+      }
+    }
+
+    if (state.subscribers.size === 0) this.channels.delete(channel);
+  }
+
+  // Client events are only allowed on authenticated channels the sender
+  // has joined, and are never echoed back to it.
+  relayClientEvent(connection, message) {
+    const { channel, event } = message;
+    if (!channel || !(isPrivate(channel) || isPresence(channel)) || !connection.channels.has(channel)) {
+      return this.sendError(connection, PROTOCOL_ERRORS.unauthorized);
+    }
+
+    const outgoing = {
+      event,
+      channel,
+      data: typeof message.data === 'string' ? message.data : JSON.stringify(message.data)
+    };
+    if (isPresence(channel)) {
+      outgoing.user_id = this.channels.get(channel).subscribers.get(connection.socketId);
+    }
+    this.broadcast(channel, outgoing, connection.socketId);
+  }
+
+  channelState(channel) {
+    if (!this.channels.has(channel)) {
+      this.channels.set(channel, { subscribers: new Map(), members: new Map() });
+    }
+    return this.channels.get(channel);
+  }
+
+  broadcast(channel, message, excludeSocketId) {
+    const state = this.channels.get(channel);
+    if (!state) return;
+
+    state.subscribers.forEach((userId, socketId) => {
+      if (socketId === excludeSocketId) return;
+      const connection = this.connections.get(socketId);
+      if (connection) this.send(connection.ws, message);
+    });
+  }
+
+  send(ws, message) {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+  }
+
+  sendError(connection, error, channel) {
+    this.send(connection.ws, {
+      event: channel ? 'pusher:subscription_error' : 'pusher:error',
+      ...(channel && { channel }),
+      data: channel ? { type: 'AuthError', error: error.message, status: 401 } : error
+    });
+  }
+
+  parseData(value) {
+    try {
+      return JSON.parse(value || '{}');
+    } catch (error) {
+      return {};
+    }
+  }
+}
+
+module.exports = { WebSocketTransport };
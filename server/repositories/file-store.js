@@ -0,0 +1,69 @@
+// server/repositories/file-store.js
+const fs = require('fs');
+const path = require('path');
+const { MemoryStore } = require('./memory-store');
+
+// Changes that come in together, such as the rows of an import, are
+// written once
+const WRITE_DELAY_MS = 200;
+
+// Stores with changes not written yet, written before the process exits
+const unwritten = new Set();
+process.on('exit', () => unwritten.forEach(store => store.write()));
+
+// JSON file-backed store. The whole dataset is held in memory and written
+// back atomically (temp file + rename) once changes settle, or at once on
+// flush().
+class FileStore extends MemoryStore {
+  constructor(filePath, { writeDelay = WRITE_DELAY_MS } = {}) {
+    super();
+    this.driver = 'file';
+    this.filePath = path.resolve(filePath);
+    this.writeDelay = writeDelay;
+    this.timer = null;
+  }
+
+  load() {
+    if (fs.existsSync(this.filePath)) {
+      const raw = fs.readFileSync(this.filePath, 'utf8');
+      this.data = raw.trim() ? JSON.parse(raw) : { schemaVersion: 0, collections: {} };
+    }
+    const applied = super.load();
+    if (applied.length > 0) {
+      this.write();
+    }
+    return applied;
+  }
+
+  persist() {
+    if (this.timer) return;
+    unwritten.add(this);
+    this.timer = setTimeout(() => {
+      try {
+        this.write();
+      } catch (error) {
+        console.error(`Writing ${this.filePath} failed; retrying on the next change:`, error);
+      }
+    }, this.writeDelay);
+    this.timer.unref();
+  }
+
+  async flush() {
+    if (unwritten.has(this)) {
+      this.write();
+    }
+  }
+
+  write() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+    unwritten.delete(this);
+  }
+}
+
+module.exports = { FileStore };
@@ -0,0 +1,149 @@
+// server/repositories/index.js
+const path = require('path');
+const { MemoryStore } = require('./memory-store');
+const { FileStore } = require('./file-store');
+const { RedisStore } = require('./redis-store');
+
+// Records are deep-copied on the way in and out so callers can never mutate
+// stored state without going through save().
+const clone = (record) => record === undefined ? undefined : JSON.parse(JSON.stringify(record));
+
+class Collection {
+  constructor(store, name) {
+    this.store = store;
+    this.name = name;
+  }
+
+  get records() {
+    return this.store.collection(this.name);
+  }
+
+  // The predicate sees the stored records, so it must not change them; only
+  // the matches are copied
+  list(predicate) {
+    const all = Object.values(this.records);
+    return (predicate ? all.filter(predicate) : all).map(clone);
+  }
+
+  get(id) {
+    return clone(this.records[id]);
+  }
+
+  has(id) {
+    return Object.prototype.hasOwnProperty.call(this.records, id);
+  }
+
+  count() {
+    return Object.keys(this.records).length;
+  }
+
+  save(record) {
+    if (!record || !record.id) {
+      throw new Error(`Cannot save ${this.name} record without an id`);
+    }
+    this.records[record.id] = clone(record);
+    this.store.persist(this.name, record.id);
+    return clone(record);
+  }
+
+  delete(id) {
+    if (!this.has(id)) return false;
+    delete this.records[id];
+    this.store.persist(this.name, id);
+    return true;
+  }
+}
+
+class Repository {
+  constructor(store) {
+    this.store = store;
+    this.collections = new Map();
+    this.stories = this.collection('stories');
+    this.epics = this.collection('epics');
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Collection(this.store, name));
+    }
+    return this.collections.get(name);
+  }
+
+  // Resolves once the store holds its data. Stores kept outside the process
+  // load on the first call; a failed load is tried again on the next one.
+  async ready() {
+    if (!this.store.remote) return this;
+    if (!this.loading) {
+      this.loading = this.store.load().then(
+        applied => reportMigrations(this.store, applied),
+        error => {
+          this.loading = null;
+          throw error;
+        }
+      );
+    }
+    await this.loading;
+    return this;
+  }
+}
+
+function reportMigrations(store, applied) {
+  if (applied.length > 0) {
+    console.log(`Storage migrations applied (${store.driver}):`, applied);
+  }
+}
+
+// The Upstash REST API, as set up by Vercel KV or the Upstash integration
+const redisConfig = (options = {}) => ({
+  url: options.url || process.env.REDIS_REST_URL || process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL,
+  token: options.token || process.env.REDIS_REST_TOKEN || process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN,
+  prefix: options.prefix || process.env.STORAGE_PREFIX
+});
+
+// Data persists by default. Vercel functions cannot write next to the code
+// and every instance has its own memory, so deployments there need Redis;
+// only an explicit STORAGE_DRIVER=memory runs without it.
+function defaultDriver() {
+  if (!process.env.VERCEL) return 'file';
+  if (redisConfig().url) return 'redis';
+  throw new Error('No durable storage on Vercel: connect a KV/Upstash Redis store (KV_REST_API_URL and ' +
+    'KV_REST_API_TOKEN) or set STORAGE_DRIVER=memory to accept losing data between requests');
+}
+
+function createStore(options = {}) {
+  const driver = options.driver || process.env.STORAGE_DRIVER || defaultDriver();
+
+  switch (driver) {
+    case 'memory':
+      if (process.env.VERCEL) {
+        console.warn('STORAGE_DRIVER=memory on Vercel: data is lost whenever a function instance is recycled');
+      }
+      return new MemoryStore();
+    case 'redis': {
+      const config = redisConfig(options);
+      if (!config.url || !config.token) {
+        throw new Error('The redis storage driver needs REDIS_REST_URL and REDIS_REST_TOKEN (or KV_REST_API_URL and KV_REST_API_TOKEN)');
+      }
+      return new RedisStore(config);
+    }
+    case 'file':
+      return new FileStore(
+        options.filePath ||
+        process.env.STORAGE_FILE ||
+        path.join(__dirname, '..', 'data', 'story-splitter.json')
+      );
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+// Local stores are loaded here; remote ones on repository.ready()
+function createRepository(options = {}) {
+  const store = createStore(options);
+  if (!store.remote) {
+    reportMigrations(store, store.load());
+  }
+  return new Repository(store);
+}
+
+module.exports = { createRepository, Repository, Collection };
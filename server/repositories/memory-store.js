@@ -0,0 +1,40 @@
+// server/repositories/memory-store.js
+const { runMigrations } = require('./migrations');
+
+// Keeps all collections in process memory. Used for tests and local
+// development; everything is lost on restart.
+class MemoryStore {
+  constructor() {
+    this.driver = 'memory';
+    this.data = { schemaVersion: 0, collections: {} };
+  }
+
+  load() {
+    const applied = runMigrations(this.data);
+    if (applied.length > 0) {
+      this.persist();
+    }
+    return applied;
+  }
+
+  collection(name) {
+    if (!this.data.collections[name]) {
+      this.data.collections[name] = {};
+    }
+    return this.data.collections[name];
+  }
+
+  // Called after every change with the collection and record id; without
+  // them everything changed
+  persist() {
+    // Nothing to flush for the in-memory store
+  }
+
+  // Writes what persist() was told about and has not been written yet
+  async flush() {}
+
+  // Catches up with changes made outside this process
+  async sync() {}
+}
+
+module.exports = { MemoryStore };
@@ -0,0 +1,126 @@
+// server/repositories/migrations.js
+// Ordered schema migrations. Each migration receives the raw store data
+// ({ schemaVersion, collections }) and upgrades it in place.
+const migrations = [
+  {
+    version: 1,
+    description: 'Create stories and epics collections',
+    up(data) {
+      data.collections.stories = data.collections.stories || {};
+      data.collections.epics = data.collections.epics || {};
+    }
+  },
+  {
+    version: 2,
+    description: 'Normalize story hierarchy, criteria, version and status fields',
+    up(data) {
+      Object.values(data.collections.stories).forEach(story => {
+        if (story.parentStoryId === undefined) story.parentStoryId = null;
+        if (story.epicId === undefined) story.epicId = null;
+
+        if (typeof story.acceptanceCriteria === 'string') {
+          story.acceptanceCriteria = story.acceptanceCriteria
+            .split('\n')
+            .map(criterion => criterion.trim())
+            .filter(Boolean);
+        } else if (!Array.isArray(story.acceptanceCriteria)) {
+          story.acceptanceCriteria = [];
+        }
+
+        if (!Number.isInteger(story.version) || story.version < 1) story.version = 1;
+        if (!story.status) story.status = 'draft';
+      });
+    }
+  },
+  {
+    version: 3,
+    description: 'Version epics for optimistic concurrency',
+    up(data) {
+      Object.values(data.collections.epics).forEach(epic => {
+        if (!Number.isInteger(epic.version) || epic.version < 1) epic.version = 1;
+      });
+    }
+  },
+  {
+    version: 4,
+    description: 'Create users and sessions collections',
+    up(data) {
+      data.collections.users = data.collections.users || {};
+      data.collections.sessions = data.collections.sessions || {};
+    }
+  },
+  {
+    version: 5,
+    description: 'Move existing stories and epics into a default workspace',
+    up(data) {
+      const { collections } = data;
+      collections.workspaces = collections.workspaces || {};
+      collections.memberships = collections.memberships || {};
+
+      const now = new Date().toISOString();
+      if (!collections.workspaces.default) {
+        collections.workspaces.default = {
+          id: 'default',
+          name: 'Default workspace',
+          mainStoryId: 'main-story',
+          createdAt: now
+        };
+      }
+
+      [...Object.values(collections.stories), ...Object.values(collections.epics)].forEach(record => {
+        if (!record.workspaceId) record.workspaceId = 'default';
+      });
+
+      // Everyone who could already edit keeps doing so; the oldest account
+      // becomes the admin who can hand out other roles
+      Object.values(collections.users)
+        .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+        .forEach((user, index) => {
+          const id = `default:${user.id}`;
+          collections.memberships[id] = collections.memberships[id] || {
+            id,
+            workspaceId: 'default',
+            userId: user.id,
+            role: index === 0 ? 'admin' : 'editor',
+            addedBy: null,
+            addedAt: now
+          };
+        });
+    }
+  },
+  {
+    version: 6,
+    description: 'Create the trash and detach stories from deleted parents and epics',
+    up(data) {
+      const { collections } = data;
+      collections.trash = collections.trash || {};
+
+      // Deletes used to leave these behind
+      Object.values(collections.stories).forEach(story => {
+        if (story.parentStoryId && !collections.stories[story.parentStoryId]) story.parentStoryId = null;
+        if (story.epicId && !collections.epics[story.epicId]) story.epicId = null;
+      });
+    }
+  }
+];
+
+const LATEST_SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+function runMigrations(data) {
+  const applied = [];
+
+  data.schemaVersion = data.schemaVersion || 0;
+  data.collections = data.collections || {};
+
+  migrations
+    .filter(migration => migration.version > data.schemaVersion)
+    .forEach(migration => {
+      migration.up(data);
+      data.schemaVersion = migration.version;
+      applied.push(migration.version);
+    });
+
+  return applied;
+}
+
+module.exports = { migrations, runMigrations, LATEST_SCHEMA_VERSION };
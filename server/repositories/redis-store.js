@@ -0,0 +1,171 @@
+// server/repositories/redis-store.js
+const { MemoryStore } = require('./memory-store');
+const { runMigrations } = require('./migrations');
+
+const WRITE_DELAY_MS = 200;
+
+// Redis over the Upstash REST API (Vercel KV and the Upstash integration
+// both provide one), so data survives cold starts and is shared by every
+// function instance. Each collection is a hash of JSON records.
+//
+// Like the file store, each process works on an in-memory copy: sync()
+// reloads it when another process has written since (the revision counter
+// moved), and flush() sends the records changed since the last flush in
+// one transaction.
+class RedisStore extends MemoryStore {
+  constructor({ url, token, prefix = 'story-splitter', writeDelay = WRITE_DELAY_MS }) {
+    super();
+    this.driver = 'redis';
+    this.remote = true;
+    this.url = url.replace(/\/$/, '');
+    this.token = token;
+    this.prefix = prefix;
+    this.writeDelay = writeDelay;
+    this.revision = null;
+    this.changed = new Map();
+    this.everything = false;
+    this.timer = null;
+    // Loads and writes run one at a time
+    this.queue = Promise.resolve();
+  }
+
+  key(...parts) {
+    return [this.prefix, ...parts].join(':');
+  }
+
+  // Runs commands in one request, as a transaction when asked
+  async send(commands, { transaction = false } = {}) {
+    const response = await fetch(`${this.url}/${transaction ? 'multi-exec' : 'pipeline'}`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${this.token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(commands)
+    });
+    const results = await response.json().catch(() => null);
+    if (!response.ok || !Array.isArray(results)) {
+      throw new Error(`Redis request failed with ${response.status}: ${results?.error || response.statusText}`);
+    }
+    const failed = results.find(result => result.error);
+    if (failed) {
+      throw new Error(`Redis command failed: ${failed.error}`);
+    }
+    return results.map(result => result.result);
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async load() {
+    await this.enqueue(() => this.read());
+    const applied = runMigrations(this.data);
+    if (applied.length > 0) {
+      this.persist();
+      await this.flush();
+    }
+    return applied;
+  }
+
+  // The revision is read first, so a write that lands while the records
+  // are read makes the next sync() read them again
+  async read() {
+    const [revision, schemaVersion, names] = await this.send([
+      ['GET', this.key('revision')],
+      ['GET', this.key('schemaVersion')],
+      ['SMEMBERS', this.key('collections')]
+    ]);
+    const hashes = names.length > 0
+      ? await this.send(names.map(name => ['HGETALL', this.key('collection', name)]))
+      : [];
+
+    const records = (pairs) => {
+      const collection = {};
+      for (let index = 0; index < pairs.length; index += 2) {
+        collection[pairs[index]] = JSON.parse(pairs[index + 1]);
+      }
+      return collection;
+    };
+    this.data = {
+      schemaVersion: Number(schemaVersion) || 0,
+      collections: Object.fromEntries(names.map((name, index) => [name, records(hashes[index] || [])]))
+    };
+    this.revision = Number(revision) || 0;
+  }
+
+  sync() {
+    return this.enqueue(async () => {
+      // Changes not written yet would be lost by a reload
+      if (this.everything || this.changed.size > 0) return;
+      const [revision] = await this.send([['GET', this.key('revision')]]);
+      if ((Number(revision) || 0) !== this.revision) {
+        await this.read();
+      }
+    });
+  }
+
+  persist(name, id) {
+    if (name === undefined) {
+      this.everything = true;
+    } else {
+      if (!this.changed.has(name)) this.changed.set(name, new Set());
+      this.changed.get(name).add(id);
+    }
+
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.flush().catch(error => console.error('Writing to Redis failed; retrying on the next change:', error));
+    }, this.writeDelay);
+    this.timer.unref();
+  }
+
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    return this.enqueue(() => this.write());
+  }
+
+  async write() {
+    if (!this.everything && this.changed.size === 0) return;
+
+    const everything = this.everything;
+    const changed = everything
+      ? new Map(Object.entries(this.data.collections).map(([name, records]) => [name, new Set(Object.keys(records))]))
+      : this.changed;
+    this.everything = false;
+    this.changed = new Map();
+
+    const commands = [];
+    for (const [name, ids] of changed) {
+      const key = this.key('collection', name);
+      const records = this.collection(name);
+      const saved = [...ids].filter(id => records[id] !== undefined);
+      const deleted = [...ids].filter(id => records[id] === undefined);
+      if (everything) commands.push(['DEL', key]);
+      commands.push(['SADD', this.key('collections'), name]);
+      if (saved.length > 0) commands.push(['HSET', key, ...saved.flatMap(id => [id, JSON.stringify(records[id])])]);
+      if (deleted.length > 0) commands.push(['HDEL', key, ...deleted]);
+    }
+    commands.push(['SET', this.key('schemaVersion'), String(this.data.schemaVersion)]);
+    commands.push(['INCR', this.key('revision')]);
+
+    let results;
+    try {
+      results = await this.send(commands, { transaction: true });
+    } catch (error) {
+      // Keep the changes for the next flush
+      this.everything = this.everything || everything;
+      for (const [name, ids] of changed) {
+        if (!this.changed.has(name)) this.changed.set(name, new Set());
+        ids.forEach(id => this.changed.get(name).add(id));
+      }
+      throw error;
+    }
+
+    // Another process wrote in between: read everything on the next sync()
+    const revision = results[results.length - 1];
+    this.revision = revision === this.revision + 1 ? revision : null;
+  }
+}
+
+module.exports = { RedisStore };
@@ -0,0 +1,66 @@
+// server/repositories/seed-data.js
+// Sample backlog loaded into an empty store so a fresh install has
+// something to show on the board.
+const sampleStories = [
+  {
+    id: '1',
+    title: 'User can log into the system',
+    description: 'Basic authentication functionality',
+    content: 'As a user, I can log into the system so that I can access my personal dashboard.',
+    parentStoryId: null, // null means this is a main story
+    epicId: 'epic1',
+    priority: 'High',
+    effort: 'Small',
+    storyPoints: 3,
+    acceptanceCriteria: ['Valid credentials allow access', 'Invalid credentials show error'],
+    status: 'published',
+    workspaceId: 'default',
+    version: 1
+  },
+  {
+    id: 'main-story',
+    title: 'Main Story',
+    description: 'The main story being edited',
+    content: '',
+    parentStoryId: null, // This is a main story
+    epicId: null,
+    priority: 'Medium',
+    effort: 'Medium',
+    storyPoints: 0,
+    acceptanceCriteria: [],
+    status: 'draft',
+    workspaceId: 'default',
+    version: 1
+  }
+];
+
+const sampleEpics = [
+  {
+    id: 'epic1',
+    title: 'User Management',
+    description: 'All user-related functionality',
+    order: 1,
+    workspaceId: 'default',
+    version: 1
+  },
+  {
+    id: 'epic2',
+    title: 'Product Discovery',
+    description: 'Search and browse products',
+    order: 2,
+    workspaceId: 'default',
+    version: 1
+  }
+];
+
+function seedRepository(repository) {
+  if (repository.stories.count() > 0 || repository.epics.count() > 0) {
+    return false;
+  }
+
+  sampleStories.forEach(story => repository.stories.save({ ...story, lastModified: new Date() }));
+  sampleEpics.forEach(epic => repository.epics.save(epic));
+  return true;
+}
+
+module.exports = { seedRepository };
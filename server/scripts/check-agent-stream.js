@@ -0,0 +1,205 @@
+// server/scripts/check-agent-stream.js
+// The agent routes against an in-process server that scores stories through
+// the offline LLM stub: the event sequence of every streamed agent, with the
+// provider's text as it arrives, the `error` event, a client disconnect
+// cancelling the provider call, and the pipeline running, skipping and
+// reporting failed steps.
+//
+// Usage: npm run check:agent-stream
+const assert = require('assert');
+const { createLLMStubServer } = require('../utils/llm-stub-server');
+const { CoachingAssistantAgent } = require('../agents/coaching-assistant');
+const { QualityReviewerAgent } = require('../agents/quality-reviewer');
+const { useCheckEnvironment, startServer, runCheck } = require('./harness');
+
+// Real provider calls, answered by the stub
+useCheckEnvironment({
+  CLAUDE_API_KEY: 'stub-key',
+  LLM_TIMEOUT_MS: '1000',
+  LLM_MAX_RETRIES: '1'
+});
+delete process.env.USE_MOCK_AI;
+delete process.env.OPENAI_API_KEY;
+
+const INVEST = ['independent', 'negotiable', 'valuable', 'estimable', 'small', 'testable'];
+
+const READY = {
+  title: 'Pay by card',
+  content: 'As a shopper I can pay by card so that I can check out without cash',
+  acceptanceCriteria: ['Given a valid card the order is confirmed', 'Given a declined card an error is shown']
+};
+
+const LARGE = {
+  title: 'Manage saved cards',
+  content: 'As a shopper I can manage my saved cards so that checkout is faster. ' +
+    'First I add a card with its number, expiry date and billing address, and the card is verified with the bank. ' +
+    'Then I can view the list of saved cards, edit the billing address of a card or update its expiry date. ' +
+    'Next I can delete a card I no longer use and choose which remaining card is the default for new orders. ' +
+    'Finally every change is confirmed by email and recorded in the account activity log for support staff.',
+  acceptanceCriteria: ['Given a new card it is verified', 'Given an expired card it cannot be used']
+};
+
+const VAGUE = { title: 'Faster', content: 'Make it fast', acceptanceCriteria: [] };
+
+// Event name and data of every frame in a Server-Sent Events body
+const readEvents = (text) => text.split('\n\n').filter(frame => frame.startsWith('event:')).map(frame => ({
+  event: /^event: (.*)$/m.exec(frame)[1],
+  data: JSON.parse(/^data: (.*)$/m.exec(frame)[1])
+}));
+
+async function main() {
+  const stub = createLLMStubServer({ apiKey: 'stub-key' });
+  const { claudeBaseURL } = await stub.listen();
+  process.env.CLAUDE_BASE_URL = claudeBaseURL;
+
+  // Provider calls the server gave up on before the stub answered
+  let cancelledCalls = 0;
+  stub.server.on('request', (req, res) => {
+    res.on('close', () => {
+      if (!res.writableFinished) cancelledCalls++;
+    });
+  });
+
+  const { base, call, register, close } = await startServer({ workspace: 'default' });
+  const token = await register('analyst');
+
+  const stream = async (agentType, story) => {
+    const response = await call(`/agents/${agentType}/stream`, {
+      token,
+      method: 'POST',
+      accept: 'text/event-stream',
+      body: { story }
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.type, 'text/event-stream');
+    return readEvents(response.body);
+  };
+  const sequence = (events) => events.map(({ event }) => event)
+    .filter((event, index, all) => event !== all[index - 1]);
+
+  try {
+    const analyzed = await stream('analyze', { ...READY, id: 'unsaved-analyze' });
+    assert.deepStrictEqual(sequence(analyzed), ['start', 'text', 'criterion', 'result', 'done']);
+    const answer = analyzed.filter(e => e.event === 'text').map(e => e.data.text);
+    assert.ok(answer.length > 1, 'the provider answer arrives in pieces');
+    assert.ok(JSON.parse(answer.join('')).investScore, 'the pieces make up the provider answer');
+    assert.strictEqual(stub.requests[stub.requests.length - 1].payload.stream, true);
+    assert.deepStrictEqual(analyzed[0].data, { agentType: 'analyze', agent: 'Story Analyst' });
+    assert.deepStrictEqual(analyzed.filter(e => e.event === 'criterion').map(e => e.data.criterion), INVEST);
+    const analysis = analyzed.find(e => e.event === 'result').data;
+    assert.strictEqual(analysis.model, 'claude-3-5-sonnet-20241022');
+    assert.deepStrictEqual(
+      analyzed.filter(e => e.event === 'criterion').map(e => e.data.passed),
+      INVEST.map(criterion => analysis.metadata.analysis.investScore[criterion].score)
+    );
+    assert.ok(!analyzed.some(e => e.event === 'delta'), 'the summary is not replayed as text chunks');
+    console.log('✓ analyze streams start, the provider text as it arrives, each INVEST criterion, result and done');
+
+    const split = await stream('split', { ...LARGE, id: 'unsaved-split' });
+    assert.deepStrictEqual(sequence(split), ['start', 'text', 'criterion', 'split', 'result', 'done']);
+    const approaches = split.filter(e => e.event === 'split').map(e => e.data);
+    const splitResult = split.find(e => e.event === 'result').data.metadata.splitResult;
+    assert.ok(approaches.length >= 2);
+    assert.deepStrictEqual(approaches.map(a => a.id), splitResult.suggestions.map(s => s.id));
+    assert.ok(approaches.every(a => a.pattern && a.splits.length > 0));
+    console.log(`✓ split streams each of ${approaches.length} splitting approaches as it is made`);
+
+    const coached = await stream('coach', { ...VAGUE, id: 'unsaved-coach' });
+    assert.deepStrictEqual(sequence(coached), ['start', 'text', 'criterion', 'tip', 'result', 'done']);
+    const coaching = coached.find(e => e.event === 'result').data.metadata.coaching;
+    assert.deepStrictEqual(coached.filter(e => e.event === 'tip').map(e => e.data.id), coaching.tips.map(tip => tip.id));
+    console.log('✓ coach streams its tips in priority order');
+
+    const reviewed = await stream('review', { ...READY, id: 'unsaved-review' });
+    assert.deepStrictEqual(sequence(reviewed), ['start', 'text', 'criterion', 'dimension', 'result', 'done']);
+    assert.deepStrictEqual(reviewed.filter(e => e.event === 'dimension').map(e => e.data.id),
+      ['invest', 'completeness', 'clarity', 'consistency']);
+    console.log('✓ review streams each scorecard dimension');
+
+    const reviewStory = QualityReviewerAgent.prototype.reviewStory;
+    QualityReviewerAgent.prototype.reviewStory = async () => {
+      throw new Error('Reviewer unavailable');
+    };
+    let failed;
+    try {
+      failed = await stream('review', { ...READY, id: 'unsaved-failed' });
+    } finally {
+      QualityReviewerAgent.prototype.reviewStory = reviewStory;
+    }
+    assert.deepStrictEqual(sequence(failed), ['start', 'text', 'criterion', 'error', 'done']);
+    const { data: error } = failed.find(e => e.event === 'error');
+    assert.strictEqual(error.code, 'agent_failed');
+    assert.strictEqual(error.details.reason, 'Reviewer unavailable');
+    assert.ok(error.requestId);
+    console.log('✓ a failing agent ends the stream with an error event and done');
+
+    // The provider takes longer than the timeout; without the disconnect
+    // the server would time out and retry
+    stub.failNext({ delay: 1500 });
+    const before = stub.requests.length;
+    const controller = new AbortController();
+    const response = await fetch(`${base}/api/agents/analyze/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+        'X-Workspace-Id': 'default',
+        Accept: 'text/event-stream'
+      },
+      body: JSON.stringify({ story: { ...READY, id: 'unsaved-disconnect' } }),
+      signal: controller.signal
+    });
+    const reader = response.body.getReader();
+    const { value } = await reader.read();
+    assert.ok(Buffer.from(value).toString().includes('event: start'));
+    await new Promise(resolve => setTimeout(resolve, 100));
+    controller.abort();
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    assert.strictEqual(stub.requests.length - before, 1, 'the provider call is not retried after a disconnect');
+    assert.strictEqual(cancelledCalls, 1, 'the provider call in flight is cancelled');
+    console.log('✓ a client disconnect cancels the provider call and stops the agent');
+
+    const pipeline = async (story) => {
+      const result = await call('/agents/pipeline', { token, method: 'POST', body: { story } });
+      assert.strictEqual(result.status, 200);
+      return result.body;
+    };
+    const steps = (report) => Object.fromEntries(report.steps.map(step => [step.agentType, step.status]));
+
+    const ready = await pipeline({ ...READY, id: 'unsaved-pipeline-ready' });
+    assert.deepStrictEqual(steps(ready), { analyze: 'completed', split: 'skipped', coach: 'skipped', review: 'completed' });
+    assert.ok(ready.steps.find(step => step.agentType === 'split').reason.includes('does not need splitting'));
+    assert.strictEqual(ready.summary.splitRecommended, false);
+    assert.strictEqual(ready.summary.reviewVerdict, ready.steps[3].response.metadata.review.verdict);
+    console.log('✓ the pipeline skips the agents a ready story does not need');
+
+    const large = await pipeline({ ...LARGE, id: 'unsaved-pipeline-large' });
+    assert.strictEqual(steps(large).split, 'completed');
+    assert.strictEqual(large.summary.splitRecommended, true);
+    assert.strictEqual(large.steps.find(step => step.agentType === 'split').reason, 'Story failed the Small criterion');
+    console.log('✓ the pipeline splits a large story');
+
+    const generateCoaching = CoachingAssistantAgent.prototype.generateCoaching;
+    CoachingAssistantAgent.prototype.generateCoaching = async () => {
+      throw new Error('Coach unavailable');
+    };
+    let vague;
+    try {
+      vague = await pipeline({ ...VAGUE, id: 'unsaved-pipeline-vague' });
+    } finally {
+      CoachingAssistantAgent.prototype.generateCoaching = generateCoaching;
+    }
+    const coachStep = vague.steps.find(step => step.agentType === 'coach');
+    assert.strictEqual(coachStep.status, 'failed');
+    assert.strictEqual(coachStep.error, 'Coach unavailable');
+    assert.strictEqual(coachStep.response, null);
+    assert.strictEqual(steps(vague).review, 'completed');
+    assert.ok(vague.summary, 'a failed downstream step still reports the analysis');
+    console.log('✓ a failing pipeline step is reported and the others complete');
+  } finally {
+    await close();
+    await stub.close();
+  }
+}
+
+runCheck(main, 'Agent stream');
@@ -0,0 +1,170 @@
+// server/scripts/check-agents.js
+// POST /api/agents/:agentType against an in-process server: every agent
+// returns its structured output for the story it was given (the reviewer
+// also compares it with its siblings), the pipeline chains the agents the
+// analysis calls for, and agent runs are limited to workspace members who
+// may run agents.
+//
+// Usage: npm run check:agents
+const assert = require('assert');
+const { useCheckEnvironment, startServer, runCheck } = require('./harness');
+
+useCheckEnvironment();
+
+const INVEST = ['Independent', 'Negotiable', 'Valuable', 'Estimable', 'Small', 'Testable'];
+
+const LARGE = {
+  title: 'Manage saved cards',
+  content: 'As a shopper I can manage my saved cards so that checkout is faster. ' +
+    'First I add a card with its number, expiry date and billing address, and the card is verified with the bank. ' +
+    'Then I can view the list of saved cards, edit the billing address of a card or update its expiry date. ' +
+    'Next I can delete a card I no longer use and choose which remaining card is the default for new orders. ' +
+    'Finally every change is confirmed by email and recorded in the account activity log for support staff.',
+  acceptanceCriteria: ['Given a new card it is verified', 'Given an expired card it cannot be used']
+};
+
+async function main() {
+  const { call, register, close } = await startServer();
+  const admin = await register('admin');
+  const viewer = await register('viewer');
+  const outsider = await register('outsider');
+
+  const shop = (await call('/workspaces', { token: admin, method: 'POST', body: { name: 'Shop' } })).body;
+  await call(`/workspaces/${shop.id}/members`, { token: admin, method: 'POST', body: { username: 'viewer', role: 'viewer' } });
+  const create = async (story) => (await call('/stories', { token: admin, method: 'POST', body: story, workspace: shop.id })).body;
+  const run = (agentType, story, { token = admin, workspace = shop.id, context } = {}) =>
+    call(`/agents/${agentType}`, { token, method: 'POST', body: { story, ...(context && { context }) }, workspace });
+
+  try {
+    const pay = await create({
+      title: 'Pay',
+      content: 'Pay with card. The system must use Stripe.',
+      acceptanceCriteria: []
+    });
+    const large = await create(LARGE);
+
+    const analyzed = await run('analyze', pay);
+    assert.strictEqual(analyzed.status, 200);
+    assert.strictEqual(analyzed.body.object, 'analysis');
+    assert.strictEqual(analyzed.body.metadata.agent, 'Story Analyst');
+    const { analysis } = analyzed.body.metadata;
+    assert.deepStrictEqual(Object.keys(analyzed.body.metadata.criteria), INVEST);
+    assert.strictEqual(analysis.investScore.valuable.score, false, 'no role and no value statement');
+    assert.strictEqual(analysis.investScore.negotiable.score, false, '"must use" is an implementation detail');
+    assert.ok(analysis.qualityIssues.length > 0);
+    assert.ok(analysis.improvementSuggestions.length > 0);
+    assert.strictEqual(analyzed.body.metadata.score, analysis.overallScore);
+    assert.ok(analyzed.body.choices[0].message.content.includes(`INVEST score ${analysis.overallScore}%`));
+    console.log('✓ analyze returns the Story Analyst\'s INVEST verdicts, quality issues and suggestions');
+
+    const split = await run('split', large);
+    assert.strictEqual(split.status, 200);
+    const { splitResult, splits } = split.body.metadata;
+    const patterns = splitResult.metadata.patternsConsidered;
+    assert.ok(patterns.includes('workflow-steps') && patterns.includes('crud-operations'), patterns.join(', '));
+    assert.strictEqual(patterns.includes('simple-complex'),
+      ['XL', 'XXL'].includes(split.body.metadata.analysis.sizeAssessment.estimatedSize),
+      'the analysis decides whether the size pattern applies');
+    const primary = splitResult.suggestions.find(s => s.id === splitResult.recommendedApproach.primarySuggestion);
+    assert.deepStrictEqual(splits, primary.suggestedSplits);
+    assert.ok(splits.every(draft => draft.title && draft.estimatedSize && Array.isArray(draft.acceptanceCriteria)));
+    const [parentChange, ...added] = primary.preview.storyBoardImpact;
+    assert.deepStrictEqual(parentChange, {
+      type: 'modify',
+      storyId: large.id,
+      changes: { status: 'split', title: `${large.title} (SPLIT)` }
+    });
+    assert.deepStrictEqual(added.map(change => change.storyId), splits.map(draft => draft.id));
+    console.log(`✓ split returns ${splitResult.suggestions.length} approaches with drafts and their board impact`);
+
+    const small = await run('split', { title: 'Log out', content: 'As a user I can log out so that nobody uses my account' });
+    assert.strictEqual(small.status, 200);
+    assert.deepStrictEqual(small.body.metadata.splits, []);
+    assert.strictEqual(small.body.choices[0].message.content, 'Story is already appropriately sized');
+    console.log('✓ split says when a story needs no splitting');
+
+    const coached = await run('coach', pay);
+    assert.strictEqual(coached.status, 200);
+    const { coaching } = coached.body.metadata;
+    const tipIds = coaching.tips.map(tip => tip.id);
+    ['tip-missing-user-role', 'tip-missing-value', 'tip-invest-negotiable', 'tip-invest-testable']
+      .forEach(id => assert.ok(tipIds.includes(id), `${id} in ${tipIds.join(', ')}`));
+    assert.ok(!tipIds.includes('tip-invest-valuable'), 'a missing value statement is coached once');
+    assert.deepStrictEqual(coaching.tips.map(tip => tip.priority), tipIds.map((id, index) => index + 1));
+    const severities = coaching.tips.map(tip => ['high', 'medium', 'low'].indexOf(tip.severity));
+    assert.deepStrictEqual(severities, [...severities].sort((a, b) => a - b), 'the most severe tips come first');
+    assert.deepStrictEqual(coached.body.metadata.tips, coaching.tips.map(tip => `${tip.title}: ${tip.practice}`));
+    console.log(`✓ coach returns ${tipIds.length} tips tied to the story's issues, most severe first`);
+
+    const epic = (await call('/epics', { token: admin, method: 'POST', body: { title: 'Payments' }, workspace: shop.id })).body;
+    const sibling = (title) => ({
+      id: `sibling-${title}`,
+      title,
+      epicId: epic.id,
+      content: `As a shopper I can ${title} so that I can finish my order`,
+      acceptanceCriteria: ['Given a card', 'Given an expired card', 'Given a declined card'],
+      storyPoints: 3
+    });
+    const refund = await create({
+      title: 'Refund an order',
+      content: 'Refund the order to the card',
+      epicId: epic.id,
+      storyPoints: 13,
+      acceptanceCriteria: ['The money is returned']
+    });
+    const related = [sibling('pay by card'), sibling('save a card'), { ...sibling('elsewhere'), epicId: 'other-epic' }, refund];
+    const reviewed = await run('review', refund, { context: { relatedStories: related } });
+    assert.strictEqual(reviewed.status, 200);
+    const { review } = reviewed.body.metadata;
+    assert.strictEqual(review.siblingComparison.siblingCount, 2, 'siblings share the epic, the story itself is left out');
+    assert.deepStrictEqual(review.siblingComparison.deviations.map(d => d.metric), ['acceptanceCriteria', 'storyPoints', 'template']);
+    assert.deepStrictEqual(review.scorecard.dimensions.map(d => d.id), ['invest', 'completeness', 'clarity', 'consistency']);
+    assert.strictEqual(review.scorecard.dimensions[3].weight, 1);
+    assert.ok(['approved', 'needs-revision', 'rejected'].includes(review.verdict));
+    assert.strictEqual(reviewed.body.metadata.score, review.scorecard.overallScore);
+    assert.ok(reviewed.body.choices[0].message.content.includes('Compared against 2 sibling stories with 3 deviations'));
+
+    const alone = (await run('review', refund)).body.metadata.review;
+    assert.strictEqual(alone.siblingComparison.siblingCount, 0);
+    assert.strictEqual(alone.scorecard.dimensions[3].weight, 0, 'consistency does not count without siblings');
+    console.log('✓ review scores the story and compares it with the sibling stories in its epic');
+
+    const pipeline = await run('pipeline', large);
+    assert.strictEqual(pipeline.status, 200);
+    const report = pipeline.body;
+    assert.deepStrictEqual(report.steps.map(step => [step.agentType, step.status]),
+      [['analyze', 'completed'], ['split', 'completed'], ['coach', 'skipped'], ['review', 'completed']]);
+    assert.ok(report.steps.every(step => Number.isInteger(step.durationMs) && step.reason));
+    assert.ok(report.totalDurationMs >= Math.max(...report.steps.map(step => step.durationMs)));
+    assert.strictEqual(report.summary.splitRecommended, true);
+    assert.strictEqual(report.steps[2].response, null);
+    console.log('✓ the pipeline runs the analyst, then the agents its analysis calls for, with timings');
+
+    // The pipeline's split result is stored like a split run's
+    const { splitResult: piped } = report.steps[1].response.metadata;
+    const accepted = await call(`/stories/${large.id}/accept-splits`, {
+      token: admin,
+      method: 'POST',
+      body: { suggestionId: piped.recommendedApproach.primarySuggestion },
+      workspace: shop.id
+    });
+    assert.strictEqual(accepted.status, 201);
+    assert.strictEqual(accepted.body.subStories.length, report.steps[1].response.metadata.splits.length);
+
+    const vague = await run('pipeline', { title: 'Faster', content: 'Make it fast' });
+    assert.deepStrictEqual(vague.body.steps.map(step => step.status), ['completed', 'skipped', 'completed', 'completed']);
+    assert.ok(vague.body.steps[2].reason.includes('below 60%'));
+    assert.strictEqual((await run('pipeline', pay, { token: viewer })).status, 403);
+    console.log('✓ the pipeline coaches weak stories, keeps its split results and needs the run-agents role');
+
+    assert.strictEqual((await run('estimate', pay)).body.code, 'unknown_agent');
+    assert.strictEqual((await run('analyze', { title: 'Unsaved' }, { workspace: null })).body.code, 'workspace_required');
+    assert.strictEqual((await run('analyze', pay, { token: viewer })).status, 403);
+    assert.strictEqual((await run('analyze', pay, { token: outsider })).status, 404);
+    console.log('✓ unknown agents, unsaved stories without a workspace, viewers and outsiders are refused');
+  } finally {
+    await close();
+  }
+}
+
+runCheck(main, 'Agent');
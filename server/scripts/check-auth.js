@@ -0,0 +1,162 @@
+// server/scripts/check-auth.js
+// Signs in end to end against an in-process server: local accounts, the
+// session guard on /api, identities in presence auth and story history,
+// the OIDC code flow against the mock identity provider, and names and
+// avatars kept to plain text whichever way they arrive.
+//
+// Usage: npm run check:auth
+const assert = require('assert');
+const { createOidcMockServer } = require('../utils/oidc-mock-server');
+const { useCheckEnvironment, startServer, runCheck } = require('./harness');
+
+async function main() {
+  const provider = createOidcMockServer({
+    users: [
+      { sub: 'mock-alice', preferred_username: 'alice', name: 'Alice Example', email: 'alice@example.test' },
+      { sub: 'mock-mallory', preferred_username: 'mallory', name: '<img src=x onerror=alert(1)>Mallory', picture: 'javascript:alert(1)' }
+    ]
+  });
+  const { issuer, clientId, clientSecret } = await provider.listen(0);
+
+  // Only the query of the provider's redirect is replayed, so the callback
+  // host is never contacted
+  useCheckEnvironment({
+    OIDC_ISSUER: issuer,
+    OIDC_CLIENT_ID: clientId,
+    OIDC_CLIENT_SECRET: clientSecret,
+    OIDC_REDIRECT_URI: 'http://app.invalid/api/auth/oidc/callback',
+    CLIENT_URL: 'http://client.invalid/'
+  });
+  const { call, close } = await startServer();
+
+  assert.strictEqual((await call('/health')).status, 200, 'health stays public');
+  assert.strictEqual((await call('/stories')).status, 401, 'stories need a session');
+  assert.strictEqual((await call('/stories', { token: 'forged' })).status, 401, 'unknown tokens are rejected');
+  console.log('✓ /api requires a session');
+
+  const registered = await call('/auth/register', {
+    method: 'POST',
+    body: { username: 'Carol', password: 'correct horse', name: 'Carol Local' }
+  });
+  assert.strictEqual(registered.status, 201);
+  assert.strictEqual(registered.body.user.username, 'carol');
+  assert.ok(!('passwordHash' in registered.body.user), 'password hash is never returned');
+
+  const duplicate = await call('/auth/register', { method: 'POST', body: { username: 'carol', password: 'another pass' } });
+  assert.strictEqual(duplicate.status, 409);
+
+  const wrong = await call('/auth/login', { method: 'POST', body: { username: 'carol', password: 'wrong password' } });
+  assert.strictEqual(wrong.status, 401);
+
+  const login = await call('/auth/login', { method: 'POST', body: { username: 'CAROL', password: 'correct horse' } });
+  assert.strictEqual(login.status, 200);
+  const token = login.body.token;
+
+  const me = await call('/auth/me', { token });
+  assert.strictEqual(me.body.user.name, 'Carol Local');
+  console.log('✓ local registration and login');
+
+  const racing = await Promise.all([1, 2].map(() =>
+    call('/auth/register', { method: 'POST', body: { username: 'erin', password: 'correct horse' } })));
+  assert.deepStrictEqual(racing.map(response => response.status).sort(), [201, 409], 'one of two racing registrations wins');
+  console.log('✓ a username is only registered once, even concurrently');
+
+  const guesses = [];
+  for (let attempt = 0; attempt < 11; attempt++) {
+    guesses.push(await call('/auth/login', { method: 'POST', body: { username: 'erin', password: `guess ${attempt}` } }));
+  }
+  assert.ok(guesses.slice(0, 10).every(response => response.status === 401));
+  assert.strictEqual(guesses[10].status, 429, 'password guessing is cut off');
+  assert.strictEqual(guesses[10].body.code, 'rate_limited');
+  assert.ok(Number(guesses[10].headers.get('retry-after')) > 0);
+  const otherAccount = await call('/auth/login', { method: 'POST', body: { username: 'carol', password: 'correct horse' } });
+  assert.strictEqual(otherAccount.status, 200, 'other accounts can still sign in');
+  console.log('✓ sign-in attempts are rate limited per account');
+
+  const presence = await call('/pusher/auth', {
+    token,
+    method: 'POST',
+    body: { socket_id: '123.456', channel_name: 'presence-story-main-story', user_id: 'spoofed', user_name: 'Mallory' }
+  });
+  const member = JSON.parse(presence.body.channel_data);
+  assert.strictEqual(member.user_id, me.body.user.id);
+  assert.strictEqual(member.user_info.name, 'Carol Local', 'presence ignores client-supplied names');
+  console.log('✓ presence data comes from the session');
+
+  const story = (await call('/stories/main-story', { token })).body;
+  const updated = await call('/stories/main-story', {
+    token,
+    method: 'PUT',
+    body: { content: `${story.content} (edited)`, version: story.version, user: { id: 'spoofed', name: 'Mallory' } }
+  });
+  assert.strictEqual(updated.status, 200);
+  const versions = (await call('/stories/main-story/versions', { token })).body;
+  const latest = versions[versions.length - 1];
+  assert.strictEqual(latest.author.id, me.body.user.id, 'history records the signed-in editor');
+  console.log('✓ edits are attributed to the session user');
+
+  // Starts a sign-in as the given provider user; the cookie is what the
+  // browser would send back to the callback
+  const approve = async (loginHint) => {
+    const start = await call('/auth/oidc/start', { method: 'POST' });
+    const setCookie = start.headers.get('set-cookie') || '';
+    assert.match(setCookie, /HttpOnly/i, 'the pending sign-in cookie is HttpOnly');
+    assert.match(setCookie, /SameSite=Lax/i, 'the pending sign-in cookie is SameSite');
+    const authorizationUrl = new URL(start.body.authorizationUrl);
+    authorizationUrl.searchParams.set('login_hint', loginHint);
+    const approved = await fetch(authorizationUrl, { redirect: 'manual' });
+    return { callback: new URL(approved.headers.get('location')), cookie: setCookie.split(';')[0] };
+  };
+  const fragmentOf = (response) => new URLSearchParams(new URL(response.headers.get('location')).hash.slice(1));
+
+  const { callback, cookie } = await approve('alice');
+  const finished = await call(`/auth/oidc/callback${callback.search}`, { headers: { Cookie: cookie } });
+  assert.strictEqual(finished.status, 302);
+  const fragment = fragmentOf(finished);
+  assert.ok(fragment.get('session'), 'callback hands a session to the client');
+
+  const oidcMe = await call('/auth/me', { token: fragment.get('session') });
+  assert.strictEqual(oidcMe.body.user.name, 'Alice Example');
+  assert.strictEqual(oidcMe.body.user.provider, 'oidc');
+
+  assert.match(finished.headers.get('set-cookie') || '', /oidc_pending=;/, 'the callback clears the pending sign-in');
+  const replay = await call(`/auth/oidc/callback${callback.search}`);
+  assert.ok(fragmentOf(replay).get('authError'), 'state cannot be replayed');
+  console.log('✓ OIDC sign-in against the mock provider');
+
+  // Login CSRF: a callback link for the attacker's account must not sign
+  // in a browser that did not start that sign-in
+  const attacker = await approve('mallory');
+  const victim = await approve('alice');
+  const forced = await call(`/auth/oidc/callback${attacker.callback.search}`, { headers: { Cookie: victim.cookie } });
+  assert.ok(fragmentOf(forced).get('authError'), 'another sign-in\'s cookie is refused');
+  assert.ok(!fragmentOf(forced).get('session'));
+  const cookieless = await call(`/auth/oidc/callback${attacker.callback.search}`);
+  assert.ok(fragmentOf(cookieless).get('authError'), 'a callback without the cookie is refused');
+  console.log('✓ the OIDC callback only completes in the browser that started it');
+
+  const markup = await call('/auth/register', {
+    method: 'POST',
+    body: { username: 'mallory', password: 'correct horse', name: '<img src=x onerror=alert(1)>' }
+  });
+  assert.strictEqual(markup.status, 400);
+  const tooLong = await call('/auth/register', { method: 'POST', body: { username: 'mallory', password: 'correct horse', name: 'M'.repeat(61) } });
+  assert.strictEqual(tooLong.status, 400);
+
+  const malloryFlow = await approve('mallory');
+  const malloryFinished = await call(`/auth/oidc/callback${malloryFlow.callback.search}`, { headers: { Cookie: malloryFlow.cookie } });
+  const mallorySession = fragmentOf(malloryFinished).get('session');
+  const mallory = (await call('/auth/me', { token: mallorySession })).body.user;
+  assert.strictEqual(mallory.name, 'img src=x onerror=alert(1)Mallory');
+  assert.strictEqual(mallory.avatar, '👤', 'only an emoji or an https URL is kept as the avatar');
+  console.log('✓ names are short plain text and avatars an emoji or an https URL');
+
+  assert.strictEqual((await call('/auth/logout', { token, method: 'POST' })).status, 204);
+  assert.strictEqual((await call('/stories', { token })).status, 401, 'logged out tokens stop working');
+  console.log('✓ logout revokes the session');
+
+  await close();
+  await provider.close();
+}
+
+runCheck(main, 'Authentication');
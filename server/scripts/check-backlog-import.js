@@ -0,0 +1,123 @@
+// server/scripts/check-backlog-import.js
+// Bulk backlog import against an in-process server: CSV columns are found
+// by name or mapped explicitly, plain-text lists work too, every story comes
+// back analysed with its readiness, progress streams per row and broken
+// rows are reported without stopping the batch.
+//
+// Usage: npm run check:backlog-import
+const assert = require('assert');
+const { readBacklog, planBacklogImport } = require('../services/backlog-import');
+const { useCheckEnvironment, startServer, runCheck } = require('./harness');
+
+useCheckEnvironment();
+
+// Event name and data of every frame in a Server-Sent Events body
+const readEvents = (text) => text.split('\n\n').filter(Boolean).map(frame => {
+  const event = /^event: (.*)$/m.exec(frame)[1];
+  const data = /^data: (.*)$/m.exec(frame)[1];
+  return { event, data: JSON.parse(data) };
+});
+
+async function main() {
+  const { call, register, close } = await startServer({ workspace: 'default' });
+  const admin = await register('admin');
+  const outsider = await register('outsider');
+
+  const team = (await call('/workspaces', { token: admin, method: 'POST', body: { name: 'Shop' } })).body;
+  const checkout = (await call('/epics', { token: admin, method: 'POST', body: { title: 'Checkout' }, workspace: team.id })).body;
+  const upload = (body, { query = '', type = 'text/csv', accept, token = admin } = {}) =>
+    call(`/import/backlog${query}`, { token, method: 'POST', body, type, accept, workspace: team.id });
+
+  const csv = [
+    'Summary,Details,Priority,Epic',
+    'Pay by card,"As a shopper, I can pay by card so that I can check out quickly.\nGiven a valid card, then the order is confirmed",High,checkout',
+    'Save the cart,As a shopper I want my cart kept,Sometime,Carts',
+    ',A row somebody forgot to name,Low,',
+    'Share the cart,,p1,Carts',
+    `${'Very long title '.repeat(30).trim()},,,`
+  ].join('\r\n');
+
+  const preview = await upload(csv, { query: '?dryRun=true' });
+  assert.strictEqual(preview.status, 200);
+  assert.deepStrictEqual(preview.body.summary, { rows: 5, created: 4, analyzed: 0, errors: 1 });
+  assert.strictEqual((await call('/stories', { token: admin, workspace: team.id })).body.length, 1, 'a dry run saves nothing');
+
+  const imported = await upload(csv);
+  assert.strictEqual(imported.status, 200);
+  const { rows, stories, epics } = imported.body;
+  assert.deepStrictEqual(imported.body.summary, { rows: 5, created: 4, analyzed: 4, errors: 1 });
+  assert.deepStrictEqual(rows.map(row => [row.row, row.action]), [[2, 'create'], [3, 'create'], [4, 'error'], [5, 'create'], [6, 'create']]);
+  assert.strictEqual(rows[2].message, 'The row has no title');
+  assert.strictEqual(rows[0].epicId, checkout.id, 'epics are matched by title');
+  assert.strictEqual(epics.length, 1, 'a new epic is created once');
+  assert.strictEqual(rows[1].epicId, epics[0].id);
+  assert.strictEqual(rows[3].epicId, epics[0].id);
+  assert.match(rows[1].warnings.join(' '), /Priority "Sometime" is not Low, Medium or High/);
+  assert.deepStrictEqual(stories.map(story => story.priority), ['High', 'Medium', 'High', 'Medium']);
+  assert.strictEqual(stories[0].content, 'As a shopper, I can pay by card so that I can check out quickly.\nGiven a valid card, then the order is confirmed');
+  assert.ok(stories[3].title.length <= 121 && stories[3].title.endsWith('…'));
+  assert.match(stories[3].content, /^Very long title/);
+  console.log('✓ CSV rows become stories, epics are matched or created and broken rows are reported');
+
+  stories.forEach(story => {
+    assert.strictEqual(story.version, 1);
+    assert.strictEqual(story.readiness.storyVersion, 1);
+    assert.ok(['ready', 'needs-work', 'not-ready'].includes(story.readiness.readinessLevel));
+  });
+  const stored = (await call(`/stories/${stories[0].id}`, { token: admin, workspace: team.id })).body;
+  assert.deepStrictEqual(stored.readiness.overallScore, stories[0].readiness.overallScore);
+  const project = (await call(`/workspaces/${team.id}/project`, { token: admin })).body;
+  assert.strictEqual(project.analyses.filter(analysis => stories.some(story => story.id === analysis.storyId)).length, 4,
+    'the analyst\'s suggestions are kept for review');
+  console.log('✓ every imported story is analysed and keeps its readiness');
+
+  const list = ['Backlog from the workshop:', '', '- As a buyer, I can track my parcel', '* [ ] Refund an order', '3. Export invoices'].join('\n');
+  const streamed = await upload(list, { type: 'text/plain', accept: 'text/event-stream' });
+  assert.strictEqual(streamed.status, 200);
+  const events = readEvents(streamed.body);
+  assert.deepStrictEqual(events.map(({ event }) => event), ['start', 'row', 'row', 'row', 'row', 'result', 'done']);
+  assert.deepStrictEqual(events[0].data.rows, 4);
+  const streamedRows = events.filter(({ event }) => event === 'row').map(({ data }) => data);
+  assert.deepStrictEqual(streamedRows.map(row => row.title),
+    ['Backlog from the workshop:', 'As a buyer, I can track my parcel', 'Refund an order', 'Export invoices']);
+  assert.deepStrictEqual(streamedRows.map(row => row.row), [1, 3, 4, 5]);
+  assert.deepStrictEqual(streamedRows.map(row => row.progress.done), [1, 2, 3, 4]);
+  assert.ok(streamedRows.every(row => row.story.readiness));
+  assert.strictEqual(events[5].data.summary.analyzed, 4);
+  console.log('✓ a plain-text list streams progress per row');
+
+  const mapped = await upload('Ask,Team\nPrint receipts,Checkout\n', { query: '?columns[title]=Ask&columns[epic]=team' });
+  assert.strictEqual(mapped.status, 200);
+  assert.strictEqual(mapped.body.stories[0].title, 'Print receipts');
+  assert.strictEqual(mapped.body.stories[0].epicId, checkout.id);
+  const unknown = await upload('Ask\nPrint receipts\n', { query: '?columns[epic]=Team' });
+  assert.strictEqual(unknown.body.code, 'unknown_column');
+  const unnamed = await upload('Ask,Team\nPrint receipts,Checkout\n');
+  assert.strictEqual(unnamed.status, 400);
+  assert.strictEqual(unnamed.body.code, 'unrecognized_columns');
+  console.log('✓ columns can be named when the headers are not recognised');
+
+  const tooMany = await upload(Array.from({ length: 501 }, (_, index) => `Story ${index}`).join('\n'), { type: 'text/plain' });
+  assert.strictEqual(tooMany.status, 413);
+  assert.strictEqual(tooMany.body.code, 'too_many_rows');
+  const fiftyOne = Array.from({ length: 51 }, (_, index) => `Story ${index}`).join('\n');
+  const unstreamed = await upload(fiftyOne, { type: 'text/plain' });
+  assert.strictEqual(unstreamed.status, 413);
+  assert.strictEqual(unstreamed.body.code, 'stream_required');
+  assert.strictEqual((await upload(fiftyOne, { type: 'text/plain', query: '?dryRun=true' })).status, 200);
+  assert.strictEqual((await upload('Title\n')).body.code, 'empty_backlog');
+  assert.strictEqual((await upload('Title\n"Never closed\n')).body.code, 'invalid_csv');
+  assert.strictEqual((await upload({ title: 'JSON' }, { type: 'application/json' })).status, 415);
+  assert.strictEqual((await upload(csv, { token: outsider })).status, 404);
+  console.log('✓ oversized, empty, malformed and misaddressed uploads are turned away');
+
+  // Ids are global, so two imports planned in the same millisecond must not collide
+  const rowsOf = readBacklog('Pay by card', { format: 'text' });
+  const [first, second] = [0, 1].map(() => planBacklogImport(rowsOf, { epics: [], workspaceId: team.id }));
+  assert.notStrictEqual(first.stories[0].record.id, second.stories[0].record.id);
+  console.log('✓ imported records get unique ids');
+
+  await close();
+}
+
+runCheck(main, 'Backlog import');
@@ -0,0 +1,200 @@
+// server/scripts/check-collab-convergence.js
+// Simulates several editors typing into the same story concurrently, with
+// updates delivered late, out of order and duplicated, and checks that every
+// replica and the server end up with identical text. Then checks that a
+// burst of keystrokes stores the document once, when the edits settle, credits
+// everyone who typed and unloads the document afterwards.
+//
+// Usage: npm run check:collab [-- <rounds>]
+const Y = require('yjs');
+const { createRepository } = require('../repositories');
+const { CollaborationService } = require('../services/collab-service');
+
+const ROUNDS = parseInt(process.argv[2], 10) || 50;
+const EDITORS = 3;
+const collabDocs = createRepository({ driver: 'memory' }).collection('collabDocs');
+
+// Small deterministic PRNG so failures can be replayed by round number
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+const toBase64 = (update) => Buffer.from(update).toString('base64');
+
+// Same strategy the client editor uses: one delete and one insert covering
+// the span between the common prefix and suffix of old and new text.
+function applyTextChange(ytext, next) {
+  const previous = ytext.toString();
+  let start = 0;
+  while (start < previous.length && start < next.length && previous[start] === next[start]) start++;
+  let end = 0;
+  while (
+    end < previous.length - start && end < next.length - start &&
+    previous[previous.length - 1 - end] === next[next.length - 1 - end]
+  ) end++;
+
+  ytext.doc.transact(() => {
+    if (previous.length - start - end > 0) ytext.delete(start, previous.length - start - end);
+    if (next.length - start - end > 0) ytext.insert(start, next.slice(start, next.length - end));
+  });
+}
+
+function randomEdit(text, rand) {
+  const position = Math.floor(rand() * (text.length + 1));
+  if (text.length > 0 && rand() < 0.35) {
+    const length = 1 + Math.floor(rand() * Math.min(5, text.length - position));
+    return text.slice(0, position) + text.slice(position + length);
+  }
+  const words = ['user', 'can ', 'so that ', 'x', 'ü', '\n', 'Given ', 'Then '];
+  return text.slice(0, position) + words[Math.floor(rand() * words.length)] + text.slice(position);
+}
+
+function runRound(round) {
+  const rand = random(round + 1);
+  const service = new CollaborationService({
+    collection: collabDocs,
+    onChange: () => {},
+    broadcast: () => {},
+    flushDelay: 0
+  });
+  const story = {
+    id: `story-${round}`,
+    content: 'As a shopper I can pay by card so that I can check out',
+    acceptanceCriteria: ['Card is charged', 'Receipt is emailed']
+  };
+
+  const initial = Buffer.from(service.getState(story).update, 'base64');
+  const editors = Array.from({ length: EDITORS }, () => {
+    const doc = new Y.Doc();
+    Y.applyUpdate(doc, initial);
+    const outbox = [];
+    doc.on('update', (update, origin) => {
+      if (origin !== 'remote') outbox.push(update);
+    });
+    return { doc, outbox, inbox: [] };
+  });
+
+  for (let step = 0; step < 40; step++) {
+    const editor = editors[Math.floor(rand() * EDITORS)];
+    if (rand() < 0.8) {
+      const field = rand() < 0.7
+        ? editor.doc.getText('content')
+        : editor.doc.getArray('acceptanceCriteria').get(Math.floor(rand() * 2));
+      applyTextChange(field, randomEdit(field.toString(), rand));
+    }
+
+    // Deliver a random subset of queued updates, possibly twice
+    editors.forEach(sender => {
+      while (sender.outbox.length > 0 && rand() < 0.5) {
+        const update = sender.outbox.shift();
+        service.applyUpdate(story, toBase64(update), {});
+        editors.filter(other => other !== sender).forEach(other => {
+          other.inbox.splice(Math.floor(rand() * (other.inbox.length + 1)), 0, update);
+          if (rand() < 0.1) other.inbox.push(update);
+        });
+      }
+    });
+    editors.forEach(editor => {
+      while (editor.inbox.length > 0 && rand() < 0.5) {
+        Y.applyUpdate(editor.doc, editor.inbox.shift(), 'remote');
+      }
+    });
+  }
+
+  // Flush everything that is still in flight
+  editors.forEach(sender => {
+    sender.outbox.splice(0).forEach(update => {
+      service.applyUpdate(story, toBase64(update), {});
+      editors.filter(other => other !== sender).forEach(other => other.inbox.push(update));
+    });
+  });
+  editors.forEach(editor => {
+    editor.inbox.splice(0).forEach(update => Y.applyUpdate(editor.doc, update, 'remote'));
+  });
+
+  const expected = JSON.stringify(service.getState(story).content) +
+    JSON.stringify(service.getState(story).acceptanceCriteria);
+  const replicas = editors.map(editor =>
+    JSON.stringify(editor.doc.getText('content').toString()) +
+    JSON.stringify(editor.doc.getArray('acceptanceCriteria').toArray().map(t => t.toString()).filter(c => c.trim()))
+  );
+
+  clearTimeout(service.pending.get(story.id));
+  return replicas.every(replica => replica === expected) ? null : { round, expected, replicas };
+}
+
+const failures = [];
+for (let round = 0; round < ROUNDS; round++) {
+  const failure = runRound(round);
+  if (failure) failures.push(failure);
+}
+
+if (failures.length > 0) {
+  console.error(`Replicas diverged in ${failures.length} of ${ROUNDS} rounds`);
+  failures.slice(0, 3).forEach(failure => console.error(JSON.stringify(failure, null, 2)));
+  process.exit(1);
+}
+
+console.log(`All ${EDITORS} editors converged with the server in ${ROUNDS} rounds`);
+
+// Every save rewrites the whole data file with the file driver
+async function checkDebouncedPersist() {
+  const saves = [];
+  const collection = {
+    get: (id) => collabDocs.get(id),
+    delete: (id) => collabDocs.delete(id),
+    save: (record) => {
+      saves.push(record.id);
+      return collabDocs.save(record);
+    }
+  };
+  const flushed = [];
+  const service = new CollaborationService({
+    collection,
+    onChange: (storyId, text, { contributors }) => flushed.push({ ...text, contributors }),
+    broadcast: () => {},
+    flushDelay: 20
+  });
+  const story = { id: 'story-typing', content: '', acceptanceCriteria: [] };
+
+  const editor = new Y.Doc();
+  Y.applyUpdate(editor, Buffer.from(service.getState(story).update, 'base64'));
+  const typists = [{ id: 'ana', name: 'Ana' }, { id: 'ben', name: 'Ben' }];
+  let typist = typists[0];
+  editor.on('update', (update) => service.applyUpdate(story, toBase64(update), { user: typist }));
+  'As a shopper'.split('').forEach((letter, index) => {
+    typist = typists[index % 2];
+    const content = editor.getText('content');
+    content.insert(content.length, letter);
+  });
+
+  if (saves.length !== 1) throw new Error(`Keystrokes stored the document ${saves.length - 1} times before the flush`);
+  await new Promise(resolve => setTimeout(resolve, 60));
+  if (saves.length !== 2 || flushed.length !== 1) {
+    throw new Error(`Expected one store and one flush after typing, got ${saves.length - 1} and ${flushed.length}`);
+  }
+  const stored = new Y.Doc();
+  Y.applyUpdate(stored, Buffer.from(collabDocs.get(story.id).state, 'base64'));
+  if (stored.getText('content').toString() !== 'As a shopper') {
+    throw new Error('The stored document is missing keystrokes');
+  }
+  if (flushed[0].contributors.map(user => user.id).join() !== 'ana,ben') {
+    throw new Error(`Expected both typists as contributors, got ${JSON.stringify(flushed[0].contributors)}`);
+  }
+  if (service.docs.size > 0) {
+    throw new Error('The document stayed in memory after its final flush');
+  }
+  if (service.getState(story).content !== 'As a shopper' || service.docs.size > 0) {
+    throw new Error('An unloaded document did not read back from storage');
+  }
+  console.log('Keystrokes were stored once, when the edits settled, with everyone who typed, and the document was unloaded');
+}
+
+checkDebouncedPersist().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
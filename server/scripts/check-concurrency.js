@@ -0,0 +1,102 @@
+// server/scripts/check-concurrency.js
+// Version-checked updates against an in-process server: story and epic
+// updates and version restores without a version are refused with 428, a
+// stale version gets 409 with the current copy and what changed on each
+// side field by field, and the version can be sent as If-Match with the
+// ETag of an earlier response.
+//
+// Usage: npm run check:concurrency
+const assert = require('assert');
+const { useCheckEnvironment, startServer, runCheck } = require('./harness');
+
+useCheckEnvironment();
+
+async function main() {
+  const { call, register, close } = await startServer();
+  const alice = await register('alice');
+  const bob = await register('bob');
+
+  const shop = (await call('/workspaces', { token: alice, method: 'POST', body: { name: 'Shop' } })).body;
+  await call(`/workspaces/${shop.id}/members`, { token: alice, method: 'POST', body: { username: 'bob', role: 'editor' } });
+  const as = (token) => (path, options = {}) => call(path, { token, workspace: shop.id, ...options });
+  const asAlice = as(alice);
+  const asBob = as(bob);
+  const byField = (fields) => Object.fromEntries(fields.map(({ field, ...rest }) => [field, rest]));
+
+  try {
+    const created = (await asAlice('/stories', {
+      method: 'POST',
+      body: { title: 'Pay', content: 'Pay with card', priority: 'Medium' }
+    })).body;
+    const opened = await asBob(`/stories/${created.id}`);
+    assert.strictEqual(opened.etag, '"1"');
+
+    const unversioned = await asBob(`/stories/${created.id}`, { method: 'PUT', body: { title: 'Pay by card' } });
+    assert.strictEqual(unversioned.status, 428);
+    assert.deepStrictEqual([unversioned.body.code, unversioned.body.details], ['version_required', { currentVersion: 1 }]);
+    console.log('✓ a story update without a version is refused with 428');
+
+    const first = await asAlice(`/stories/${created.id}`, {
+      method: 'PUT',
+      body: { title: 'Pay by card', content: 'As a shopper I can pay by card' },
+      ifMatch: opened.etag
+    });
+    assert.deepStrictEqual([first.status, first.body.version, first.etag], [200, 2, '"2"']);
+    console.log('✓ If-Match with the ETag of an earlier response is accepted and a new ETag returned');
+
+    // Bob still edits version 1: both renamed the story, only Bob changed the priority
+    const stale = await asBob(`/stories/${created.id}`, {
+      method: 'PUT',
+      body: { title: 'Card payments', priority: 'High', version: 1 }
+    });
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual(stale.body.code, 'version_conflict');
+    assert.strictEqual(stale.etag, '"2"');
+    const { expectedVersion, currentVersion, current, fields } = stale.body.details;
+    assert.deepStrictEqual([expectedVersion, currentVersion, current.title], [1, 2, 'Pay by card']);
+    assert.deepStrictEqual(byField(fields), {
+      title: { base: 'Pay', current: 'Pay by card', proposed: 'Card payments', changedOnServer: true, conflicting: true },
+      priority: { base: 'Medium', current: 'Medium', proposed: 'High', changedOnServer: false, conflicting: false },
+      content: { base: 'Pay with card', current: 'As a shopper I can pay by card', changedOnServer: true, conflicting: false }
+    });
+    assert.strictEqual((await asBob(`/stories/${created.id}`)).body.version, 2, 'a refused update saves nothing');
+    console.log('✓ a stale story update gets 409 with the current copy and what changed on each side');
+
+    const agreed = await asBob(`/stories/${created.id}`, { method: 'PUT', body: { title: 'Pay by card', version: 1 } });
+    assert.strictEqual(agreed.status, 409);
+    assert.strictEqual(byField(agreed.body.details.fields).title.conflicting, false, 'both sides made the same change');
+
+    const weak = await asBob(`/stories/${created.id}`, { method: 'PUT', body: { priority: 'High' }, ifMatch: 'W/"2"' });
+    assert.deepStrictEqual([weak.status, weak.body.version], [200, 3]);
+    const overridden = await asBob(`/stories/${created.id}`, { method: 'PUT', body: { priority: 'Low', version: 3 }, ifMatch: '"2"' });
+    assert.strictEqual(overridden.status, 409, 'If-Match wins over the body');
+    console.log('✓ matching changes are not conflicts, weak ETags work and If-Match wins over the body');
+
+    const restoreUnversioned = await asBob(`/stories/${created.id}/versions/1/restore`, { method: 'POST', body: {} });
+    assert.deepStrictEqual([restoreUnversioned.status, restoreUnversioned.body.code], [428, 'version_required']);
+    const restoreStale = await asBob(`/stories/${created.id}/versions/1/restore`, { method: 'POST', body: { version: 2 } });
+    assert.deepStrictEqual([restoreStale.status, restoreStale.body.code], [409, 'version_conflict']);
+    assert.deepStrictEqual(byField(restoreStale.body.details.fields).title,
+      { base: 'Pay by card', current: 'Pay by card', proposed: 'Pay', changedOnServer: false, conflicting: false });
+    const restored = await asBob(`/stories/${created.id}/versions/1/restore`, { method: 'POST', ifMatch: weak.etag });
+    assert.deepStrictEqual([restored.status, restored.body.version, restored.body.title, restored.etag], [200, 4, 'Pay', '"4"']);
+    console.log('✓ restoring a version needs the current version like an update');
+
+    const epic = (await asAlice('/epics', { method: 'POST', body: { title: 'Checkout' } })).body;
+    const epicUnversioned = await asBob(`/epics/${epic.id}`, { method: 'PUT', body: { title: 'Payments' } });
+    assert.deepStrictEqual([epicUnversioned.status, epicUnversioned.body.code], [428, 'version_required']);
+    const renamed = await asAlice(`/epics/${epic.id}`, { method: 'PUT', body: { title: 'Check out' }, ifMatch: '"1"' });
+    assert.deepStrictEqual([renamed.status, renamed.etag], [200, '"2"']);
+    const epicStale = await asBob(`/epics/${epic.id}`, { method: 'PUT', body: { title: 'Payments', version: 1 } });
+    assert.deepStrictEqual([epicStale.status, epicStale.body.code], [409, 'version_conflict']);
+    assert.strictEqual(epicStale.body.details.current.title, 'Check out');
+    assert.deepStrictEqual(byField(epicStale.body.details.fields), {
+      title: { current: 'Check out', proposed: 'Payments', changedOnServer: true, conflicting: true }
+    }, 'without history every differing change is a conflict');
+    console.log('✓ epic updates need a version too and report conflicts against the current copy');
+  } finally {
+    await close();
+  }
+}
+
+runCheck(main, 'Concurrency');
@@ -0,0 +1,161 @@
+// server/scripts/check-jira.js
+// Jira export and import against an in-process server: the hierarchy,
+// points, priorities and criteria survive a round trip, a Jira Cloud CSV
+// export imports with its parents and epics, and importing twice finds the
+// duplicates instead of creating them again.
+//
+// Usage: npm run check:jira
+const assert = require('assert');
+const { parseCsv } = require('../utils/csv');
+const { useCheckEnvironment, startServer, runCheck } = require('./harness');
+
+useCheckEnvironment();
+
+// As Jira Cloud exports it: custom fields, repeated Labels columns, keys
+// and a wiki markup description
+const JIRA_EXPORT = [
+  'Summary,Issue key,Issue id,Issue Type,Priority,Description,Custom field (Story Points),Custom field (Epic Name),Custom field (Epic Link),Parent,Labels,Labels',
+  'Payments,PAY-1,10001,Epic,Medium,Everything about paying,,Payments,,,,',
+  'Pay by card,PAY-2,10002,Story,Highest,"As a shopper, I can pay by card so that checkout is quick',
+  '',
+  'Cards are the most used method.',
+  '',
+  'h3. Acceptance Criteria',
+  '* Visa and Mastercard are accepted',
+  '* A declined card shows the reason",8.0,,PAY-1,,checkout,mobile',
+  'Handle 3-D Secure,PAY-3,10003,Sub-task,Low,,2,,,10002,,',
+  'Refund a payment,PAY-4,10004,Bug,Lowest,Refunds fail for partial amounts,,,,,,',
+  ',PAY-5,10005,Story,Medium,No summary here,,,,,,',
+  'Apple Pay,PAY-6,10006,Story,Medium,,3,,PAY-99,,,'
+].join('\r\n');
+
+async function main() {
+  const { call, register, close } = await startServer({ workspace: 'default' });
+  const admin = await register('admin');
+  const viewer = await register('viewer');
+  await call('/workspaces/default/members', { token: admin, method: 'POST', body: { username: 'viewer', role: 'viewer' } });
+
+  const post = (path, body, workspace) => call(path, { token: admin, method: 'POST', body, workspace });
+  const importCsv = (csv, { query = '', workspace = 'default', token = admin } = {}) =>
+    call(`/import/jira${query}`, { token, method: 'POST', body: csv, workspace, type: 'text/csv' });
+
+  // Checkout > Pay > (Card > 3DS, Wallet)
+  const epic = (await post('/epics', { title: 'Checkout' })).body;
+  const pay = (await post('/stories', {
+    title: 'Pay for an order',
+    content: 'As a shopper, I can pay for my order so that it ships',
+    epicId: epic.id,
+    priority: 'High',
+    storyPoints: 13,
+    acceptanceCriteria: ['Payment is confirmed', 'Receipt is e-mailed']
+  })).body;
+  const card = (await post('/stories', { title: 'Pay by card', parentStoryId: pay.id, epicId: epic.id, storyPoints: 5 })).body;
+  const secure = (await post('/stories', { title: 'Handle 3-D Secure', parentStoryId: card.id, epicId: epic.id })).body;
+  await post('/stories', { title: 'Pay with a wallet', parentStoryId: pay.id, epicId: epic.id, priority: 'Low' });
+
+  const exported = await call(`/export/jira?epicId=${epic.id}`, { token: viewer });
+  assert.strictEqual(exported.status, 200);
+  assert.match(exported.headers.get('Content-Type'), /^text\/csv/);
+  assert.match(exported.headers.get('Content-Disposition'), /checkout-jira\.csv/);
+  const [header, ...rows] = parseCsv(exported.body);
+  const column = (row, name) => row[header.indexOf(name)];
+  const rowOf = (title) => rows.find(row => column(row, 'Summary') === title);
+  assert.deepStrictEqual(rows.map(row => column(row, 'Issue Type')), ['Epic', 'Story', 'Sub-task', 'Sub-task', 'Sub-task']);
+  assert.strictEqual(column(rowOf('Pay for an order'), 'Epic Link'), 'Checkout');
+  assert.strictEqual(column(rowOf('Pay for an order'), 'Story Points'), '13');
+  assert.strictEqual(column(rowOf('Pay for an order'), 'Acceptance Criteria'), 'Payment is confirmed\nReceipt is e-mailed');
+  assert.match(column(rowOf('Pay for an order'), 'Description'), /h3\. Acceptance Criteria\n\* Payment is confirmed/);
+  assert.strictEqual(column(rowOf('Handle 3-D Secure'), 'Parent Id'), column(rowOf('Pay for an order'), 'Issue Id'),
+    'grandchildren become sub-tasks of the top-level story');
+  assert.ok(!rows.some(row => column(row, 'Summary') === 'User can log into the system'), 'only the epic asked for');
+  console.log('✓ CSV export maps epics, stories with Epic Link and split children to sub-tasks');
+
+  const linked = await call(`/export/jira?epicId=${epic.id}&childIssues=links`, { token: viewer });
+  const [linkHeader, ...linkRows] = parseCsv(linked.body);
+  const linkColumn = linkHeader.indexOf('Inward issue link (Relates)');
+  const issueId = (title) => linkRows.find(row => row[3] === title)[0];
+  assert.ok(linkColumn > 0);
+  assert.strictEqual(linkRows.find(row => row[3] === 'Handle 3-D Secure')[linkColumn], issueId('Pay by card'));
+  assert.ok(linkRows.slice(1).every(row => row[2] === 'Story'));
+  console.log('✓ childIssues=links keeps split children as stories linked to their parent');
+
+  const rest = (await call(`/export/jira?format=json&projectKey=PAY&epicNameField=customfield_10011&workspaceId=default&epicId=${epic.id}`, { token: viewer })).body;
+  assert.deepStrictEqual(rest.batches.map(batch => batch.issueType), ['Epic', 'Story', 'Sub-task']);
+  const [epics, storyBatch, subtasks] = rest.batches;
+  assert.strictEqual(epics.issueUpdates[0].fields.customfield_10011, 'Checkout');
+  assert.deepStrictEqual(storyBatch.issueUpdates[0].fields.parent, { key: epic.id });
+  assert.strictEqual(storyBatch.issueUpdates[0].fields.customfield_10016, 13);
+  assert.deepStrictEqual(subtasks.issueUpdates[subtasks.refs.indexOf(secure.id)].fields.parent, { key: pay.id });
+  assert.strictEqual(storyBatch.issueUpdates[0].fields.project.key, 'PAY');
+  assert.strictEqual((await call('/export/jira?projectKey=lower', { token: viewer })).status, 400);
+  assert.strictEqual((await call('/export/jira?epicId=epic-missing', { token: viewer })).status, 404);
+  console.log('✓ REST payloads come in creation order with parents referenced by record id');
+
+  // A Jira Cloud export into a fresh workspace
+  const team = (await post('/workspaces', { name: 'Payments' })).body;
+  const preview = await importCsv(JIRA_EXPORT, { query: '?dryRun=true', workspace: team.id });
+  assert.strictEqual(preview.status, 200);
+  assert.deepStrictEqual(preview.body.summary, { rows: 6, created: 5, updated: 0, skipped: 0, errors: 1 });
+  assert.strictEqual((await call('/stories', { token: admin, workspace: team.id })).body.length, 1, 'a dry run saves nothing');
+
+  const report = (await importCsv(JIRA_EXPORT, { workspace: team.id })).body;
+  const imported = (title) => report.stories.find(story => story.title === title);
+  const [payments] = report.epics;
+  assert.strictEqual(payments.title, 'Payments');
+  assert.strictEqual(imported('Pay by card').epicId, payments.id);
+  assert.strictEqual(imported('Pay by card').priority, 'High');
+  assert.strictEqual(imported('Pay by card').storyPoints, 8);
+  assert.strictEqual(imported('Pay by card').content, 'As a shopper, I can pay by card so that checkout is quick');
+  assert.strictEqual(imported('Pay by card').description, 'Cards are the most used method.');
+  assert.deepStrictEqual(imported('Pay by card').acceptanceCriteria, ['Visa and Mastercard are accepted', 'A declined card shows the reason']);
+  assert.deepStrictEqual(imported('Pay by card').externalKeys, { jira: 'PAY-2' });
+  assert.strictEqual(imported('Handle 3-D Secure').parentStoryId, imported('Pay by card').id);
+  assert.strictEqual(imported('Handle 3-D Secure').epicId, payments.id, 'sub-tasks take their parent\'s epic');
+  assert.strictEqual(imported('Refund a payment').priority, 'Low');
+  const rowOfReport = (number) => report.rows.find(row => row.row === number);
+  assert.strictEqual(rowOfReport(6).action, 'error');
+  assert.match(rowOfReport(7).warnings[0], /PAY-99/);
+  assert.strictEqual(imported('Apple Pay').epicId, null);
+  const stored = (await call(`/stories/${imported('Pay by card').id}`, { token: admin })).body;
+  assert.strictEqual(stored.workspaceId, team.id);
+  console.log('✓ Jira CSV exports import with epics, parents, points, priorities and criteria');
+
+  const again = (await importCsv(JIRA_EXPORT, { workspace: team.id })).body;
+  assert.deepStrictEqual(again.summary, { rows: 6, created: 0, updated: 0, skipped: 5, errors: 1 });
+  assert.ok(again.rows.filter(row => row.action === 'skip').every(row => row.duplicateOf.reason === 'jira_key'));
+
+  const changed = JIRA_EXPORT.replace('Pay by card,PAY-2,10002,Story,Highest', 'Pay by card or voucher,PAY-2,10002,Story,Medium');
+  const updated = (await importCsv(changed, { query: '?duplicates=update', workspace: team.id })).body;
+  assert.strictEqual(updated.summary.updated, 5);
+  const card2 = updated.stories.find(story => story.externalKeys.jira === 'PAY-2');
+  assert.strictEqual(card2.id, imported('Pay by card').id);
+  assert.strictEqual(card2.title, 'Pay by card or voucher');
+  assert.strictEqual(card2.version, 2);
+  assert.strictEqual((await call(`/stories/${card2.id}/versions`, { token: admin })).body.pop().reason, 'import');
+  console.log('✓ importing again skips duplicates, or updates them with duplicates=update');
+
+  // Exported issues carry their record id, so they are found again
+  const roundTrip = (await importCsv(exported.body)).body;
+  assert.strictEqual(roundTrip.summary.created, 0);
+  assert.ok(roundTrip.rows.every(row => row.duplicateOf.reason === 'exported_record'));
+  const copy = (await importCsv(exported.body, { workspace: team.id })).body;
+  const copied = (title) => copy.stories.find(story => story.title === title);
+  assert.strictEqual(copy.summary.created, 5);
+  assert.strictEqual(copied('Handle 3-D Secure').parentStoryId, copied('Pay for an order').id);
+  assert.strictEqual(copied('Pay for an order').epicId, copy.epics[0].id);
+  assert.deepStrictEqual(copied('Pay for an order').acceptanceCriteria, pay.acceptanceCriteria);
+  console.log('✓ an exported backlog round-trips into another workspace');
+
+  const duplicatesInFile = `${JIRA_EXPORT}\r\nApple Pay,PAY-6,10006,Story,Medium,,3,,,,,`;
+  const inFile = (await importCsv(duplicatesInFile, { query: '?dryRun=true', workspace: 'default' })).body;
+  assert.deepStrictEqual(inFile.rows.pop().duplicateOf, { row: 7, reason: 'in_file' });
+  assert.strictEqual((await importCsv('Summary\r\n"never closed')).body.code, 'invalid_csv');
+  assert.strictEqual((await importCsv('Title,Points\r\nA,1')).body.code, 'unrecognized_columns');
+  assert.strictEqual((await call('/import/jira', { token: admin, method: 'POST', body: { csv: 'x' } })).status, 415);
+  assert.strictEqual((await importCsv(JIRA_EXPORT, { token: viewer })).status, 403);
+  console.log('✓ duplicates within a file, broken files and viewers are turned away');
+
+  await close();
+}
+
+runCheck(main, 'Jira');
@@ -0,0 +1,164 @@
+// server/scripts/check-llm-client.js
+// Runs LLMClient against the offline stub: a streamed answer from each
+// provider, a rejected key, retries on 429 and 5xx, timeouts and the total
+// budget. Then checks that the Story Analyst uses the provider's verdicts
+// and falls back to its heuristics when the provider fails.
+//
+// Usage: npm run check:llm
+const assert = require('assert');
+const { createLLMStubServer } = require('../utils/llm-stub-server');
+const {
+  LLMClient,
+  LLMAuthenticationError,
+  LLMRateLimitError,
+  LLMResponseError,
+  LLMTimeoutError
+} = require('../utils/llm-client');
+const { StoryAnalystAgent } = require('../agents/story-analyst');
+
+const API_KEY = 'stub-key';
+const PROMPT = 'Story: "As a shopper I can pay by card so that I can check out quickly today"';
+
+async function expectError(promise, ErrorClass) {
+  try {
+    await promise;
+  } catch (error) {
+    assert.ok(error instanceof ErrorClass, `Expected ${ErrorClass.name}, got ${error.name}: ${error.message}`);
+    return error;
+  }
+  throw new Error(`Expected ${ErrorClass.name}, but the call succeeded`);
+}
+
+async function main() {
+  const stub = createLLMStubServer({ apiKey: API_KEY });
+  const { claudeBaseURL, openaiBaseURL } = await stub.listen();
+  const client = (options = {}) => new LLMClient({
+    provider: 'claude',
+    claude: { apiKey: API_KEY, baseURL: claudeBaseURL },
+    openai: { apiKey: API_KEY, baseURL: openaiBaseURL },
+    timeout: 200,
+    maxRetries: 1,
+    retryDelay: 10,
+    ...options
+  });
+  const sent = async (run) => {
+    const before = stub.requests.length;
+    const outcome = await run();
+    return { outcome, requests: stub.requests.length - before };
+  };
+
+  try {
+    const defaults = new LLMClient({ provider: 'claude' });
+    const worstCase = defaults.timeout * (defaults.maxRetries + 1) + defaults.retryDelay * (Math.pow(2, defaults.maxRetries) - 1);
+    assert.ok(defaults.budget < 30000 && worstCase < 30000, `The defaults can take ${Math.min(defaults.budget, worstCase)}ms`);
+    console.log(`✓ default worst case ${Math.min(defaults.budget, worstCase)}ms is under the 30 s function limit`);
+
+    const claudeDeltas = [];
+    const claude = await sent(() => client().analyze({ prompt: PROMPT, onText: delta => claudeDeltas.push(delta) }));
+    assert.strictEqual(claude.requests, 1);
+    assert.strictEqual(JSON.parse(claude.outcome).investScore.valuable.score, true);
+    assert.strictEqual(stub.requests[stub.requests.length - 1].headers['x-api-key'], API_KEY);
+    assert.strictEqual(stub.requests[stub.requests.length - 1].payload.stream, true);
+    assert.ok(claudeDeltas.length > 1);
+    assert.strictEqual(claudeDeltas.join(''), claude.outcome);
+    console.log(`✓ Claude streams its answer through /v1/messages in ${claudeDeltas.length} pieces`);
+
+    const openaiDeltas = [];
+    const openai = await sent(() => client({ provider: 'openai' }).analyze({ prompt: PROMPT, onText: delta => openaiDeltas.push(delta) }));
+    assert.strictEqual(openai.requests, 1);
+    assert.ok(JSON.parse(openai.outcome).investScore);
+    assert.strictEqual(stub.requests[stub.requests.length - 1].headers.authorization, `Bearer ${API_KEY}`);
+    assert.strictEqual(stub.requests[stub.requests.length - 1].payload.stream, true);
+    assert.ok(openaiDeltas.length > 1);
+    assert.strictEqual(openaiDeltas.join(''), openai.outcome);
+    console.log(`✓ OpenAI streams its answer through /v1/chat/completions in ${openaiDeltas.length} pieces`);
+
+    const rejected = await sent(() => expectError(
+      client({ claude: { apiKey: 'wrong-key', baseURL: claudeBaseURL } }).analyze({ prompt: PROMPT }),
+      LLMAuthenticationError
+    ));
+    assert.strictEqual(rejected.outcome.status, 401);
+    assert.strictEqual(rejected.requests, 1, 'A rejected key is not retried');
+    console.log('✓ 401 raises LLMAuthenticationError without a retry');
+
+    stub.failNext({ status: 429 });
+    const limited = await sent(() => client().analyze({ prompt: PROMPT }));
+    assert.strictEqual(limited.requests, 2);
+    console.log('✓ 429 is retried and the retry succeeds');
+
+    stub.failNext({ status: 429, headers: { 'Retry-After': '5' } });
+    const tooLate = await sent(() => expectError(client({ budget: 1000 }).analyze({ prompt: PROMPT }), LLMRateLimitError));
+    assert.strictEqual(tooLate.outcome.retryAfter, 5);
+    assert.strictEqual(tooLate.requests, 1, 'A Retry-After past the budget is not waited for');
+    console.log('✓ 429 with a Retry-After past the budget fails at once');
+
+    stub.failNext({ status: 503 }).failNext({ status: 503 });
+    const unavailable = await sent(() => expectError(client().analyze({ prompt: PROMPT }), LLMResponseError));
+    assert.strictEqual(unavailable.outcome.status, 503);
+    assert.strictEqual(unavailable.requests, 2, 'maxRetries 1 makes two attempts');
+    console.log('✓ 5xx is retried once, then raises LLMResponseError');
+
+    stub.failNext({ status: 400, body: { error: { type: 'invalid_request_error', message: 'Bad prompt' } } });
+    const invalid = await sent(() => expectError(client().analyze({ prompt: PROMPT }), LLMResponseError));
+    assert.strictEqual(invalid.requests, 1, 'A 400 is not retried');
+    console.log('✓ 4xx raises LLMResponseError without a retry');
+
+    stub.failNext({ delay: 400 });
+    const recovered = await sent(() => client().analyze({ prompt: PROMPT }));
+    assert.strictEqual(recovered.requests, 2);
+    console.log('✓ a timed out request is retried and the retry succeeds');
+
+    stub.failNext({ delay: 400 }).failNext({ delay: 400 });
+    await expectError(client().analyze({ prompt: PROMPT }), LLMTimeoutError);
+    console.log('✓ a request that keeps timing out raises LLMTimeoutError');
+
+    // 200ms, a 10ms pause, then the 90ms that are left
+    stub.failNext({ delay: 400 }).failNext({ delay: 400 });
+    const started = Date.now();
+    const budgeted = await sent(() => expectError(client({ maxRetries: 5, budget: 300 }).analyze({ prompt: PROMPT }), LLMTimeoutError));
+    const elapsed = Date.now() - started;
+    assert.strictEqual(budgeted.requests, 2);
+    assert.ok(elapsed < 380, `Retries ran ${elapsed}ms past a 300ms budget`);
+    console.log(`✓ retries stop at the total budget (${elapsed}ms of 300ms)`);
+    // Let the stub finish the responses the client gave up on
+    await new Promise(resolve => setTimeout(resolve, 450));
+
+    const story = {
+      id: 'story-llm',
+      version: 1,
+      title: 'Pay by card',
+      description: 'As a shopper I can pay by card so that I can check out quickly today',
+      acceptanceCriteria: ['Card is charged']
+    };
+    const analystText = [];
+    const analyzed = await new StoryAnalystAgent(client()).analyzeStory({ story }, { onText: delta => analystText.push(delta) });
+    assert.strictEqual(analyzed.analysisMetadata.modelVersion, 'claude-3-5-sonnet-20241022');
+    assert.ok(JSON.parse(analystText.join('')).investScore, 'the analyst passes the provider text on');
+    assert.strictEqual(analyzed.investScore.independent.reasoning, 'Analyzed for dependency indicators');
+    assert.ok(Array.isArray(analyzed.improvementSuggestions));
+    console.log('✓ the Story Analyst scores INVEST with the provider verdicts');
+
+    stub.failNext({ status: 500 }).failNext({ status: 500 });
+    const fallback = await new StoryAnalystAgent(client()).analyzeStory({ story: { ...story, id: 'story-fallback' } });
+    assert.strictEqual(fallback.analysisMetadata.modelVersion, 'story-analyst-v1');
+    assert.strictEqual(fallback.investScore.independent.reasoning, 'Story appears to be independent of other stories');
+    console.log('✓ the Story Analyst falls back to its heuristics when the provider fails');
+
+    const mock = await sent(() => new StoryAnalystAgent(client({ provider: 'mock' })).analyzeStory({ story: { ...story, id: 'story-mock' } }));
+    assert.strictEqual(mock.requests, 0);
+    assert.strictEqual(mock.outcome.analysisMetadata.modelVersion, 'story-analyst-v1');
+    console.log('✓ without a provider the Story Analyst uses its heuristics');
+  } finally {
+    await stub.close();
+  }
+}
+
+main()
+  .then(() => {
+    console.log('LLM client checks passed');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
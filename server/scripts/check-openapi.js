@@ -0,0 +1,271 @@
+// server/scripts/check-openapi.js
+// Keeps /api/openapi.json honest. Fails when
+//   - an Express route is missing from the document, or the document lists
+//     an operation the server does not have
+//   - the client's APIService (and other fetch calls) uses an endpoint the
+//     document does not describe
+//   - a live response does not match the documented schema
+//
+// Usage: npm run check:openapi
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const Ajv2020 = require('ajv/dist/2020');
+const { useCheckEnvironment, startServer, runCheck } = require('./harness');
+
+useCheckEnvironment({
+  // Publishing answers 503 until a tracker is configured
+  GITHUB_TOKEN: '',
+  AZURE_DEVOPS_TOKEN: ''
+});
+delete process.env.NODE_ENV;
+
+const CLIENT_SRC = path.join(__dirname, '../../client/src');
+const METHODS = ['get', 'post', 'put', 'delete', 'patch'];
+
+// "/stories/{id}/versions/{n}" -> segments where params match anything
+const segmentsOf = (template) => template.split('/').filter(Boolean);
+const isParam = (segment) => /^\{\w+\}$/.test(segment);
+
+function documentedOperations(document, { includeDevelopmentOnly = false } = {}) {
+  return Object.entries(document.paths).flatMap(([template, item]) => METHODS
+    .filter(method => item[method])
+    .filter(method => includeDevelopmentOnly || !item[method]['x-development-only'])
+    .map(method => ({ method: method.toUpperCase(), template, operation: item[method] })));
+}
+
+function findOperation(operations, method, concretePath) {
+  const segments = segmentsOf(concretePath);
+  // Literal segments win over params, as in Express route order
+  const candidates = operations.filter(op => {
+    const template = segmentsOf(op.template);
+    return op.method === method && template.length === segments.length &&
+      template.every((segment, i) => isParam(segment) || segment === segments[i]);
+  });
+  return candidates.sort((a, b) =>
+    segmentsOf(b.template).filter(s => !isParam(s)).length - segmentsOf(a.template).filter(s => !isParam(s)).length
+  )[0] || null;
+}
+
+// Express "/api/stories/:id/suggestions/:suggestionId/:decision(apply|reject)"
+// -> "/stories/{id}/suggestions/{suggestionId}/{decision}"
+const templateOfRoute = (routePath) => routePath
+  .replace(/^\/api/, '')
+  .replace(/:(\w+)(\([^)]*\))?/g, '{$1}');
+
+function expressOperations(app) {
+  return app._router.stack
+    .filter(layer => layer.route && layer.route.path.startsWith('/api/'))
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+      method: method.toUpperCase(),
+      template: templateOfRoute(layer.route.path)
+    })));
+}
+
+// Endpoints the client calls: APIService#request('/path', { method }) and
+// #stream('/path') (always POST) in App.js and fetch('/api/...') anywhere in
+// client/src. Template literal
+// placeholders that fill a whole segment become params; query strings and
+// placeholders appended to a segment (`collab${query}`) are dropped.
+function clientCalls() {
+  const files = [];
+  const walk = (dir) => fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) walk(full);
+    else if (/\.jsx?$/.test(entry.name)) files.push(full);
+  });
+  walk(CLIENT_SRC);
+
+  const calls = [];
+  const CALL = /(this\.request|this\.stream|fetch)\(\s*(`[^`]*`|'[^']*')/g;
+  files.forEach(file => {
+    const source = fs.readFileSync(file, 'utf8');
+    let match;
+    while ((match = CALL.exec(source))) {
+      const [, callee, literal] = match;
+      let url = literal.slice(1, -1).replace('${this.baseURL}', '/api');
+      if (callee !== 'fetch') url = `/api${url}`;
+      if (!url.startsWith('/api/')) continue;
+
+      const options = source.slice(CALL.lastIndex, CALL.lastIndex + 300).split(/\n\s*\n|async \w+\(/)[0];
+      const method = callee === 'this.stream' ? 'POST' : (/method:\s*'(\w+)'/.exec(options) || [, 'GET'])[1].toUpperCase();
+      const template = url
+        .replace(/\?.*$/, '')
+        .replace(/^\/api/, '')
+        .split('/')
+        .map(segment => (/^\$\{[^}]+\}$/.test(segment) ? '{param}' : segment.replace(/\$\{[^}]*\}/g, '')))
+        .join('/');
+      const line = source.slice(0, match.index).split('\n').length;
+      calls.push({ method, template, where: `${path.relative(CLIENT_SRC, file)}:${line}` });
+    }
+  });
+  return calls;
+}
+
+async function main() {
+  const app = require('../index');
+  const { openApiDocument: document } = require('../http/openapi');
+
+  // 1. The document and the routes describe the same operations
+  const documented = documentedOperations(document);
+  const key = (op) => `${op.method} ${op.template}`;
+  const routes = expressOperations(app);
+  const undocumented = routes.filter(route => !documented.some(op => key(op) === key(route)));
+  const stale = documented.filter(op => !routes.some(route => key(route) === key(op)));
+  assert.deepStrictEqual(undocumented.map(key), [], 'routes missing from the OpenAPI document');
+  assert.deepStrictEqual(stale.map(key), [], 'documented operations the server does not have');
+
+  const operationIds = documentedOperations(document, { includeDevelopmentOnly: true })
+    .map(op => op.operation.operationId);
+  assert.strictEqual(new Set(operationIds).size, operationIds.length, 'operationIds are unique');
+  console.log(`✓ ${routes.length} routes match the document`);
+
+  // 2. Every endpoint the client calls is documented
+  const calls = clientCalls();
+  assert.ok(calls.length > 20, `found only ${calls.length} client calls`);
+  const unknown = calls.filter(call => !findOperation(documented, call.method, call.template));
+  assert.deepStrictEqual(unknown.map(call => `${call.method} ${call.template} (${call.where})`), [],
+    'client calls endpoints the document does not describe');
+  console.log(`✓ ${calls.length} client calls match the document`);
+
+  // 3. Live responses match the documented schemas
+  // Ajv only follows refs through schema keywords, so components move to $defs
+  const ajv = new Ajv2020({ strict: false, validateFormats: false, allErrors: true });
+  const toAjv = (schema) => JSON.parse(JSON.stringify(schema)
+    .replace(/"#\/components\/schemas\//g, '"openapi#/$defs/'));
+  ajv.addSchema({ $id: 'openapi', $defs: toAjv(document.components.schemas) });
+  const validators = new Map();
+  const schemaFor = (schema) => {
+    const id = JSON.stringify(schema);
+    if (!validators.has(id)) validators.set(id, ajv.compile(toAjv(schema)));
+    return validators.get(id);
+  };
+  // Every $ref in the document resolves
+  Object.keys(document.components.schemas).forEach(name =>
+    schemaFor({ $ref: `#/components/schemas/${name}` }));
+
+  const api = await startServer();
+  let token = null;
+  let checked = 0;
+
+  // Bodies that are strings are sent as they are, with `contentType`
+  const call = async (method, concretePath, { body, workspace, status, contentType } = {}) => {
+    const response = await api.call(concretePath, { token, method, body, workspace, type: contentType });
+    const { type, body: payload } = response;
+    const label = `${method} ${concretePath} -> ${response.status}`;
+    if (status) assert.strictEqual(response.status, status, `${label}: ${JSON.stringify(payload)}`);
+
+    const op = findOperation(documented, method, concretePath.replace(/\?.*$/, ''));
+    assert.ok(op, `${label} is not documented`);
+    let documentedResponse = op.operation.responses[response.status];
+    assert.ok(documentedResponse, `${label} is not a documented status`);
+    if (documentedResponse.$ref) {
+      documentedResponse = document.components.responses[documentedResponse.$ref.split('/').pop()];
+    }
+    if (payload !== null && documentedResponse.content) {
+      assert.ok(documentedResponse.content[type], `${label} answered ${type}, which is not documented`);
+    }
+    const schema = documentedResponse.content?.[type]?.schema;
+    if (schema) {
+      const validate = schemaFor(schema);
+      assert.ok(validate(payload), `${label} does not match the document: ${ajv.errorsText(validate.errors)}`);
+    }
+    checked++;
+    return payload;
+  };
+
+  await call('GET', '/openapi.json', { status: 200 });
+  await call('GET', '/health', { status: 200 });
+  await call('GET', '/auth/providers', { status: 200 });
+  await call('GET', '/stories', { status: 401 });
+  token = (await call('POST', '/auth/register', {
+    body: { username: 'documenter', password: 'documenter-password', name: 'Documenter' },
+    status: 201
+  })).token;
+  const me = await call('GET', '/auth/me', { status: 200 });
+  await call('GET', '/realtime/config', { status: 200 });
+
+  const [workspace] = await call('GET', '/workspaces', { status: 200 });
+  await call('GET', `/workspaces/${workspace.id}`, { status: 200 });
+  const team = await call('POST', '/workspaces', { body: { name: 'Docs team' }, status: 201 });
+  await call('PUT', `/workspaces/${team.id}`, { body: { name: 'Docs' }, status: 200 });
+  await call('PUT', `/workspaces/${team.id}/members/${me.user.id}`, { body: { role: 'editor' }, status: 409 });
+
+  await call('GET', '/stories', { status: 200 });
+  await call('GET', '/stories/main', { status: 200 });
+  const story = await call('POST', '/stories', {
+    workspace: workspace.id,
+    body: { title: 'Documented', content: 'As a reader I want the API documented so that I can use it', acceptanceCriteria: ['Listed'] },
+    status: 201
+  });
+  const updated = await call('PUT', `/stories/${story.id}`, {
+    body: { title: 'Documented story', version: story.version },
+    status: 200
+  });
+  await call('PUT', `/stories/${story.id}`, { body: { title: 'Stale', version: story.version }, status: 409 });
+  await call('PUT', `/stories/${story.id}`, { body: { title: 42, version: updated.version }, status: 400 });
+  await call('GET', `/stories/${story.id}`, { status: 200 });
+  await call('GET', `/stories/${story.id}/substories`, { status: 200 });
+  await call('GET', `/stories/${story.id}/versions`, { status: 200 });
+  await call('GET', `/stories/${story.id}/versions/diff`, { status: 200 });
+  await call('GET', `/stories/${story.id}/versions/1`, { status: 200 });
+  await call('POST', `/stories/${story.id}/versions/1/restore`, { status: 428 });
+  await call('POST', `/stories/${story.id}/versions/1/restore`, { body: { version: story.version }, status: 409 });
+  await call('POST', `/stories/${story.id}/versions/1/restore`, { body: { version: updated.version }, status: 200 });
+  await call('GET', `/stories/${story.id}/collab`, { status: 200 });
+  await call('POST', `/stories/${story.id}/typing`, { body: { isTyping: true }, status: 202 });
+  await call('POST', `/stories/${story.id}/publish`, { status: 200 });
+  await call('GET', '/stories/missing-story', { status: 404 });
+
+  const epic = await call('POST', '/epics', { workspace: workspace.id, body: { title: 'Docs' }, status: 201 });
+  await call('GET', '/epics', { status: 200 });
+  await call('PUT', `/epics/${epic.id}`, { body: { description: 'Everything documented' }, status: 428 });
+  await call('PUT', `/epics/${epic.id}`, { body: { description: 'Everything documented', version: 1 }, status: 200 });
+  await call('GET', `/epics/${epic.id}`, { status: 200 });
+
+  const current = await call('GET', `/stories/${story.id}`, { status: 200 });
+  for (const agentType of ['analyze', 'split', 'coach', 'review']) {
+    await call('POST', `/agents/${agentType}`, { body: { story: current }, status: 200 });
+  }
+  await call('POST', '/agents/pipeline', { body: { story: current }, status: 200 });
+  const split = await call('POST', `/stories/${story.id}/accept-splits`, {
+    body: { splits: [{ title: 'Read the docs' }, { title: 'Try an operation' }] },
+    status: 201
+  });
+  assert.strictEqual(split.subStories.length, 2);
+  await call('GET', `/stories/${story.id}/export`, { status: 200 });
+  await call('GET', `/stories/${story.id}/export?format=gherkin`, { status: 200 });
+  await call('GET', `/stories/${story.id}/export?format=pdf`, { status: 400 });
+  await call('GET', `/epics/${epic.id}/export`, { status: 200 });
+  await call('GET', `/epics/${epic.id}/export?format=zip`, { status: 200 });
+  await call('POST', `/stories/${story.id}/unsplit`, { body: { mode: 'delete' }, status: 200 });
+  const csv = await call('GET', `/export/jira?workspaceId=${workspace.id}`, { status: 200 });
+  await call('GET', `/export/jira?format=json&childIssues=links&workspaceId=${workspace.id}`, { status: 200 });
+  await call('GET', `/export/jira?format=xml&workspaceId=${workspace.id}`, { status: 400 });
+  await call('POST', '/import/jira?dryRun=true', { workspace: workspace.id, body: csv, contentType: 'text/csv', status: 200 });
+  await call('POST', '/import/jira', { workspace: workspace.id, body: { csv }, status: 415 });
+  await call('POST', '/import/backlog', { workspace: workspace.id, body: 'Title,Epic\nPrint receipts,Reports\n', contentType: 'text/csv', status: 200 });
+  await call('POST', '/import/backlog?dryRun=true', { workspace: workspace.id, body: '- One\n- Two\n', contentType: 'text/plain', status: 200 });
+  await call('POST', '/import/backlog', { workspace: workspace.id, body: 'Name\n', contentType: 'text/csv', status: 400 });
+  await call('GET', `/export/github?labels=docs,api&workspaceId=${workspace.id}`, { status: 200 });
+  await call('GET', `/export/azure-devops?areaPath=Docs&workspaceId=${workspace.id}`, { status: 200 });
+  await call('GET', `/export/azure-devops?organizationUrl=contoso&workspaceId=${workspace.id}`, { status: 400 });
+  await call('POST', '/export/github/publish', { workspace: workspace.id, body: { labels: ['docs'] }, status: 503 });
+  const project = await call('GET', `/workspaces/${workspace.id}/project`, { status: 200 });
+  await call('POST', `/workspaces/${workspace.id}/project/import`, { body: project, status: 200 });
+  await call('POST', `/workspaces/${workspace.id}/project/import?mode=replace&dryRun=true`, { body: project, status: 200 });
+  await call('POST', `/workspaces/${workspace.id}/project/import`, { body: { ...project, schemaVersion: 99 }, status: 422 });
+  const deleted = await call('DELETE', `/epics/${epic.id}`, { status: 200 });
+  await call('GET', '/trash', { status: 200 });
+  await call('GET', `/trash/${deleted.id}`, { status: 200 });
+  await call('POST', `/trash/${deleted.id}/restore`, { status: 200 });
+  await call('DELETE', `/epics/${epic.id}?mode=sideways`, { status: 400 });
+  await call('DELETE', `/stories/${story.id}`, { status: 200 });
+  await call('DELETE', `/trash/${deleted.id}`, { status: 404 });
+  await call('POST', '/auth/logout', { status: 204 });
+  console.log(`✓ ${checked} live responses match their documented schemas`);
+
+  await api.close();
+}
+
+runCheck(main, 'OpenAPI');
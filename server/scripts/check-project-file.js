@@ -0,0 +1,158 @@
+// server/scripts/check-project-file.js
+// Project files against an in-process server: a workspace round-trips into
+// another one under fresh ids, re-importing changes nothing, records edited
+// since the export are conflicts, the editor's old file format is migrated,
+// replacing a workspace puts what it drops into a restorable trash entry and
+// parent cycles are refused.
+//
+// Usage: npm run check:project-file
+const assert = require('assert');
+const { useCheckEnvironment, startServer, runCheck } = require('./harness');
+
+useCheckEnvironment();
+
+async function main() {
+  const { call, register, close } = await startServer({ workspace: 'default' });
+  const admin = await register('admin');
+  const editor = await register('editor');
+  const outsider = await register('outsider');
+
+  const shop = (await call('/workspaces', { token: admin, method: 'POST', body: { name: 'Shop' } })).body;
+  const copy = (await call('/workspaces', { token: admin, method: 'POST', body: { name: 'Shop copy' } })).body;
+  await call(`/workspaces/${copy.id}/members`, { token: admin, method: 'POST', body: { username: 'editor', role: 'editor' } });
+  const post = (path, body, workspace = shop.id) => call(path, { token: admin, method: 'POST', body, workspace });
+  const importInto = (workspace, file, query = '', token = admin) =>
+    call(`/workspaces/${workspace.id}/project/import${query}`, { token, method: 'POST', body: file });
+
+  const epic = (await post('/epics', { title: 'Checkout' })).body;
+  const pay = (await post('/stories', {
+    title: 'Pay for an order',
+    content: 'As a shopper, I can pay for my order so that it ships',
+    epicId: epic.id,
+    acceptanceCriteria: ['The order is confirmed']
+  })).body;
+  const card = (await post('/stories', { title: 'Pay by card', parentStoryId: pay.id, epicId: epic.id })).body;
+  await call(`/stories/${pay.id}`, { token: admin, method: 'PUT', body: { priority: 'High', version: pay.version } });
+  await post('/agents/analyze', { story: { id: pay.id, title: pay.title, content: pay.content } });
+
+  const exported = await call(`/workspaces/${shop.id}/project`, { token: admin });
+  assert.strictEqual(exported.status, 200);
+  assert.strictEqual(exported.fileName, 'shop.story-splitter.json');
+  const file = exported.body;
+  assert.strictEqual(file.format, 'story-splitter-project');
+  assert.strictEqual(file.schemaVersion, 2);
+  assert.strictEqual(file.workspace.mainStoryId, shop.mainStoryId);
+  assert.strictEqual(file.stories.length, 3);
+  assert.ok(file.stories.every(story => story.workspaceId === undefined));
+  assert.deepStrictEqual(file.versions.filter(snapshot => snapshot.storyId === pay.id).map(snapshot => snapshot.version), [1, 2]);
+  assert.strictEqual(file.analyses.length, 1);
+  console.log('✓ a workspace exports with its agent results and version history');
+
+  const preview = await importInto(copy, file, '?dryRun=true');
+  assert.strictEqual(preview.status, 200);
+  assert.deepStrictEqual(preview.body.summary, { created: 3, updated: 0, unchanged: 1, conflicts: 0, skipped: 0, deleted: 0 });
+  assert.strictEqual((await call('/stories', { token: admin, workspace: copy.id })).body.length, 1, 'a dry run saves nothing');
+
+  const imported = await importInto(copy, file);
+  const recordIdOf = (id) => imported.body.items.find(item => item.id === id).recordId;
+  assert.strictEqual(recordIdOf(shop.mainStoryId), copy.mainStoryId);
+  assert.strictEqual(recordIdOf(pay.id), `${pay.id}-2`, 'ids another workspace uses are suffixed');
+  const copiedCard = (await call(`/stories/${recordIdOf(card.id)}`, { token: admin, workspace: copy.id })).body;
+  assert.strictEqual(copiedCard.parentStoryId, recordIdOf(pay.id));
+  assert.strictEqual(copiedCard.epicId, recordIdOf(epic.id));
+  assert.strictEqual(copiedCard.workspaceId, copy.id);
+  const history = (await call(`/stories/${recordIdOf(pay.id)}/versions`, { token: admin, workspace: copy.id })).body;
+  assert.deepStrictEqual(history.map(snapshot => snapshot.version), [1, 2]);
+  const again = await importInto(copy, file);
+  assert.deepStrictEqual(again.body.summary, { created: 0, updated: 0, unchanged: 4, conflicts: 0, skipped: 0, deleted: 0 });
+  console.log('✓ importing into another workspace remaps ids and references; importing again changes nothing');
+
+  const copiedPay = (await call(`/stories/${recordIdOf(pay.id)}`, { token: admin, workspace: copy.id })).body;
+  await call(`/stories/${copiedPay.id}`, { token: admin, method: 'PUT', body: { title: 'Checkout payment', version: copiedPay.version } });
+  const conflicted = await importInto(copy, file);
+  assert.strictEqual(conflicted.body.summary.conflicts, 1);
+  assert.strictEqual(conflicted.body.items.find(item => item.id === pay.id).action, 'conflict');
+  assert.deepStrictEqual(conflicted.body.items.find(item => item.id === pay.id).changes, ['title']);
+  assert.strictEqual((await call(`/stories/${copiedPay.id}`, { token: admin, workspace: copy.id })).body.title, 'Checkout payment');
+  const overwritten = await importInto(copy, file, '?conflicts=overwrite');
+  assert.strictEqual(overwritten.body.items.find(item => item.id === pay.id).action, 'update');
+  const restoredPay = (await call(`/stories/${copiedPay.id}`, { token: admin, workspace: copy.id })).body;
+  assert.strictEqual(restoredPay.title, 'Pay for an order');
+  assert.strictEqual(restoredPay.version, copiedPay.version + 2);
+  console.log('✓ records edited since the export are skipped as conflicts unless overwritten');
+
+  const legacy = {
+    currentStory: 'As a shopper, I can save my cart',
+    publishedStory: 'As a shopper, I can save my cart',
+    stories: [
+      { id: 'legacy-1', title: 'Save the cart', acceptanceCriteria: 'It survives a reload\nIt expires after a week', epicId: 'legacy-epic' },
+      { id: 'legacy-2', title: 'Share the cart', parentStoryId: 'legacy-1', epicId: 'gone' }
+    ],
+    epics: [{ id: 'legacy-epic', title: 'Carts' }],
+    insights: [{ role: 'assistant', content: 'Looks good' }],
+    timestamp: '2024-01-01T00:00:00.000Z'
+  };
+  const migrated = await importInto(copy, legacy);
+  assert.strictEqual(migrated.status, 200);
+  assert.strictEqual(migrated.body.fromVersion, 1);
+  assert.strictEqual(migrated.body.notes.length, 1);
+  assert.deepStrictEqual(migrated.body.summary, { created: 3, updated: 1, unchanged: 0, conflicts: 0, skipped: 0, deleted: 0 });
+  assert.match(migrated.body.items.find(item => item.id === 'legacy-2').warnings[0], /epicId gone/);
+  const main = (await call(`/stories/${copy.mainStoryId}`, { token: admin, workspace: copy.id })).body;
+  assert.strictEqual(main.content, legacy.currentStory);
+  const saved = (await call('/stories/legacy-1', { token: admin, workspace: copy.id })).body;
+  assert.deepStrictEqual(saved.acceptanceCriteria, ['It survives a reload', 'It expires after a week']);
+  console.log('✓ the editor\'s old export format is migrated');
+
+  assert.strictEqual((await importInto(copy, file, '?mode=replace', editor)).status, 403);
+  assert.strictEqual((await importInto(copy, { ...file, stories: [] }, '?mode=merge', editor)).status, 200);
+  const replaced = await importInto(copy, file, '?mode=replace');
+  assert.strictEqual(replaced.status, 200);
+  assert.deepStrictEqual(replaced.body.items.filter(item => item.action === 'delete').map(item => item.id).sort(),
+    ['legacy-1', 'legacy-2', 'legacy-epic']);
+  assert.strictEqual(replaced.body.trashEntry.type, 'workspace');
+  assert.strictEqual((await call('/stories', { token: admin, workspace: copy.id })).body.length, 3);
+  const restored = await call(`/trash/${replaced.body.trashEntry.id}/restore`, { token: admin, method: 'POST' });
+  assert.strictEqual(restored.status, 200);
+  assert.strictEqual((await call('/stories', { token: admin, workspace: copy.id })).body.length, 5);
+  console.log('✓ replacing moves what the file lacks into one restorable trash entry (admins only)');
+
+  const looped = await importInto(copy, {
+    ...file,
+    stories: [
+      ...file.stories.map(story => (story.id === pay.id ? { ...story, parentStoryId: card.id } : story)),
+      { id: 'loop-a', title: 'Loop A', parentStoryId: 'loop-b' },
+      { id: 'loop-b', title: 'Loop B', parentStoryId: 'loop-a' },
+      { id: 'loop-child', title: 'Under loop A', parentStoryId: 'loop-a' }
+    ]
+  }, '?conflicts=overwrite');
+  assert.strictEqual(looped.status, 200);
+  const loopItem = (id) => looped.body.items.find(item => item.id === id);
+  assert.deepStrictEqual([pay.id, 'loop-a', 'loop-b'].map(id => loopItem(id).action), ['conflict', 'conflict', 'conflict']);
+  assert.deepStrictEqual(loopItem(pay.id).conflict.parentCycle, [recordIdOf(pay.id), recordIdOf(card.id)]);
+  assert.deepStrictEqual(loopItem('loop-a').conflict.parentCycle, ['loop-a', 'loop-b']);
+  assert.strictEqual(looped.body.summary.conflicts, 3);
+  assert.strictEqual(loopItem('loop-child').action, 'create');
+  assert.match(loopItem('loop-child').warnings[0], /loop-a was not imported and was cleared/);
+  const storyIn = (id) => call(`/stories/${id}`, { token: admin, workspace: copy.id });
+  assert.strictEqual((await storyIn(recordIdOf(pay.id))).body.parentStoryId, null);
+  assert.strictEqual((await storyIn('loop-a')).status, 404);
+  assert.strictEqual((await storyIn('loop-child')).body.parentStoryId, null);
+  console.log('✓ stories whose parent would close a cycle are reported as conflicts and not imported');
+
+  const rejected = async (body, status, code) => {
+    const response = await importInto(copy, body);
+    assert.strictEqual(response.status, status);
+    assert.strictEqual(response.body.code, code);
+  };
+  await rejected({ ...file, schemaVersion: 3 }, 422, 'unsupported_version');
+  await rejected({ hello: 'world' }, 400, 'unrecognized_file');
+  await rejected({ ...file, stories: [{ title: 'No id' }] }, 422, 'invalid_project_file');
+  assert.strictEqual((await call(`/workspaces/${shop.id}/project`, { token: outsider })).status, 404);
+  assert.strictEqual((await importInto(shop, file, '', outsider)).status, 404);
+  console.log('✓ newer, unrecognised and invalid files and other workspaces are turned away');
+
+  await close();
+}
+
+runCheck(main, 'Project file');
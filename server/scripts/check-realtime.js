@@ -0,0 +1,134 @@
+// server/scripts/check-realtime.js
+// Exercises the built-in WebSocket realtime backend end to end without
+// Pusher: signed-in presence subscriptions through /api/pusher/auth,
+// member_added and member_removed, client events, the typed story event
+// endpoints (validation, attribution, rate limits) and rejected auth. Both accounts join the default workspace, which owns
+// the seeded main story.
+//
+// Usage: npm run check:realtime
+const assert = require('assert');
+const WebSocket = require('ws');
+const { useCheckEnvironment, startServer, runCheck } = require('./harness');
+
+useCheckEnvironment({ DEFAULT_WORKSPACE_ROLE: 'editor', NODE_ENV: 'production' });
+
+const CHANNEL = 'presence-story-main-story';
+
+function connect(port, key) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/app/${key}?protocol=7`);
+    const client = { ws, received: [], waiters: [] };
+
+    ws.on('message', raw => {
+      const message = JSON.parse(raw.toString());
+      if (typeof message.data === 'string') {
+        try { message.data = JSON.parse(message.data); } catch (error) { /* plain string payload */ }
+      }
+      client.received.push(message);
+      client.waiters = client.waiters.filter(waiter => !waiter(message));
+
+      if (message.event === 'pusher:connection_established') {
+        client.socketId = message.data.socket_id;
+        resolve(client);
+      }
+    });
+    ws.on('error', reject);
+  });
+}
+
+// Resolves with the first message (already received or future) matching
+function waitFor(client, predicate, timeout = 2000) {
+  const existing = client.received.find(predicate);
+  if (existing) return Promise.resolve(existing);
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Timed out waiting for message')), timeout);
+    client.waiters.push(message => {
+      if (!predicate(message)) return false;
+      clearTimeout(timer);
+      resolve(message);
+      return true;
+    });
+  });
+}
+
+// Channel auth needs a session; presence data comes from the account
+async function subscribe(call, client, channel, session) {
+  const { body: auth } = await call('/pusher/auth', {
+    token: session.token,
+    method: 'POST',
+    body: { socket_id: client.socketId, channel_name: channel }
+  });
+  client.ws.send(JSON.stringify({ event: 'pusher:subscribe', data: { channel, ...auth } }));
+}
+
+async function main() {
+  const { server, call, signUp, close } = await startServer();
+  const { port } = server.address();
+  const send = (path, body, token) => call(path, { token, method: 'POST', body });
+  const aliceSession = await signUp('alice', { name: 'alice' });
+  const bobSession = await signUp('bob', { name: 'bob' });
+  const { key } = (await call('/realtime/config', { token: aliceSession.token })).body;
+
+  const alice = await connect(port, key);
+  const bob = await connect(port, key);
+
+  await subscribe(call, alice, CHANNEL, aliceSession);
+  const aliceJoined = await waitFor(alice, m => m.event === 'pusher_internal:subscription_succeeded');
+  assert.strictEqual(aliceJoined.data.presence.count, 1);
+
+  await subscribe(call, bob, CHANNEL, bobSession);
+  const bobJoined = await waitFor(bob, m => m.event === 'pusher_internal:subscription_succeeded');
+  assert.strictEqual(bobJoined.data.presence.count, 2);
+
+  const added = await waitFor(alice, m => m.event === 'pusher_internal:member_added');
+  assert.strictEqual(added.data.user_info.name, 'bob', 'member info comes from the account');
+  console.log('✓ presence subscriptions and member_added');
+
+  bob.ws.send(JSON.stringify({ event: 'client-typing', channel: CHANNEL, data: { isTyping: true } }));
+  const typing = await waitFor(alice, m => m.event === 'client-typing');
+  assert.strictEqual(typing.user_id, bobSession.user.id);
+  assert.ok(!bob.received.some(m => m.event === 'client-typing'), 'client events are not echoed');
+  console.log('✓ client events');
+
+  const typingPath = '/stories/main-story/typing';
+  const rejected = await send(typingPath, { isTyping: 'yes', user: { id: 'spoofed' } }, aliceSession.token);
+  assert.strictEqual(rejected.status, 400, 'event payloads are validated');
+  assert.strictEqual((await send(typingPath, { isTyping: true, user: { id: 'spoofed' } }, aliceSession.token)).status, 202);
+  const relayed = await waitFor(bob, m => m.event === 'typing');
+  assert.strictEqual(relayed.data.user.id, aliceSession.user.id, 'events carry the session user');
+  await waitFor(alice, m => m.event === 'typing');
+  console.log('✓ server-triggered events');
+
+  const statuses = [];
+  for (let i = 0; i < 25; i++) {
+    statuses.push((await send(typingPath, { isTyping: i % 2 === 0 }, bobSession.token)).status);
+  }
+  assert.ok(statuses.includes(202) && statuses[statuses.length - 1] === 429, 'story events are rate limited');
+
+  const trigger = await send('/pusher/trigger', { channel: CHANNEL, event: 'story-updated', data: {} }, aliceSession.token);
+  assert.strictEqual(trigger.status, 404, 'the raw trigger is development only');
+  console.log('✓ rate limits and no raw trigger outside development');
+
+  alice.ws.send(JSON.stringify({
+    event: 'pusher:subscribe',
+    data: { channel: 'private-locked', auth: `${key}:not-a-signature` }
+  }));
+  await waitFor(alice, m => m.event === 'pusher:subscription_error' && m.channel === 'private-locked');
+
+  const outside = await send('/pusher/auth', {
+    socket_id: alice.socketId,
+    channel_name: 'presence-story-not-in-any-workspace'
+  }, aliceSession.token);
+  assert.strictEqual(outside.status, 403, 'channels outside your workspaces are refused');
+  console.log('✓ invalid channel auth is rejected');
+
+  bob.ws.close();
+  await waitFor(alice, m => m.event === 'pusher_internal:member_removed');
+  console.log('✓ member_removed on disconnect');
+
+  alice.ws.close();
+  await close();
+}
+
+runCheck(main, 'Realtime backend');
@@ -0,0 +1,206 @@
+// server/scripts/check-splits.js
+// Accepting a Splitting Expert suggestion against an in-process server:
+// the chosen drafts become child stories in the splitter's order with the
+// reviewer's edits, the parent is marked split with what is needed to undo
+// it, and a second acceptance, unknown drafts and unknown suggestions are
+// refused. Then undoing splits: criteria added to the children move to the
+// parent, the children are archived or moved to the trash with their own
+// sub-stories, and children that were published or moved to another epic
+// block the undo.
+//
+// Usage: npm run check:splits
+const assert = require('assert');
+const { useCheckEnvironment, startServer, runCheck } = require('./harness');
+
+useCheckEnvironment();
+
+const LARGE = {
+  title: 'Manage saved cards',
+  content: 'As a shopper I can manage my saved cards so that checkout is faster. ' +
+    'First I add a card with its number, expiry date and billing address, and the card is verified with the bank. ' +
+    'Then I can view the list of saved cards, edit the billing address of a card or update its expiry date. ' +
+    'Next I can delete a card I no longer use and choose which remaining card is the default for new orders. ' +
+    'Finally every change is confirmed by email and recorded in the account activity log for support staff.',
+  acceptanceCriteria: ['Given a new card it is verified', 'Given an expired card it cannot be used']
+};
+
+async function main() {
+  const { call, register, close } = await startServer();
+  const admin = await register('admin');
+  const viewer = await register('viewer');
+
+  const shop = (await call('/workspaces', { token: admin, method: 'POST', body: { name: 'Shop' } })).body;
+  await call(`/workspaces/${shop.id}/members`, { token: admin, method: 'POST', body: { username: 'viewer', role: 'viewer' } });
+  const post = (path, body, token = admin) => call(path, { token, method: 'POST', body, workspace: shop.id });
+  const get = (path) => call(path, { token: admin, workspace: shop.id });
+  const splitStory = async (story) => (await post('/agents/split', { story })).body.metadata.splitResult;
+
+  try {
+    const epic = (await post('/epics', { title: 'Wallet' })).body;
+    const large = (await post('/stories', { ...LARGE, epicId: epic.id })).body;
+    const splitResult = await splitStory(large);
+    const suggestion = splitResult.suggestions.find(s => s.id === splitResult.recommendedApproach.primarySuggestion);
+    const drafts = suggestion.suggestedSplits;
+    assert.ok(drafts.length >= 3, `${drafts.length} drafts`);
+
+    // Two drafts, named against the splitter's order, one of them edited
+    const [first, second] = suggestion.implementationOrder;
+    const chosen = [second, first];
+    const edits = { [second]: { title: 'Edit a saved card', storyPoints: 3 } };
+
+    assert.strictEqual((await post(`/stories/${large.id}/accept-splits`, { suggestionId: suggestion.id }, viewer)).status, 403);
+    const unknown = await post(`/stories/${large.id}/accept-splits`, { suggestionId: suggestion.id, splitIds: [first, 'split-99'] });
+    assert.strictEqual(unknown.status, 400);
+    assert.deepStrictEqual(unknown.body.details, { unknownIds: ['split-99'] });
+    const missing = await post(`/stories/${large.id}/accept-splits`, { suggestionId: 'split-suggestion-99' });
+    assert.deepStrictEqual([missing.status, missing.body.code], [404, 'suggestion_not_found']);
+    assert.strictEqual((await get(`/stories/${large.id}`)).body.version, 1, 'a refused acceptance changes nothing');
+    console.log('✓ viewers, unknown drafts and unknown suggestions are refused');
+
+    const accepted = await post(`/stories/${large.id}/accept-splits`, { suggestionId: suggestion.id, splitIds: chosen, edits });
+    assert.strictEqual(accepted.status, 201);
+    const { parentStory, subStories } = accepted.body;
+    assert.deepStrictEqual(subStories.map(child => child.splitDraftId), [first, second], 'children follow the implementation order');
+    assert.deepStrictEqual(subStories.map(child => child.implementationOrder), [1, 2]);
+    assert.strictEqual(new Set(subStories.map(child => child.id)).size, 2);
+
+    const draft = drafts.find(d => d.id === first);
+    const [child, edited] = subStories;
+    assert.deepStrictEqual(
+      { title: child.title, acceptanceCriteria: child.acceptanceCriteria, estimatedSize: child.estimatedSize, rationale: child.rationale },
+      { title: draft.title, acceptanceCriteria: draft.acceptanceCriteria, estimatedSize: draft.estimatedSize, rationale: draft.rationale || null }
+    );
+    assert.ok(subStories.every(story =>
+      story.parentStoryId === large.id && story.epicId === epic.id && story.workspaceId === shop.id &&
+      story.splitSuggestionId === suggestion.id && story.createdFrom === 'ai-split' && story.status === 'draft' && story.version === 1
+    ));
+    assert.deepStrictEqual([edited.title, edited.storyPoints], ['Edit a saved card', 3]);
+    console.log('✓ the chosen drafts become child stories in the splitter\'s order, with the edits applied');
+
+    assert.strictEqual(parentStory.status, 'split');
+    assert.strictEqual(parentStory.title, `${LARGE.title} (SPLIT)`);
+    assert.strictEqual(parentStory.version, 2);
+    assert.strictEqual(parentStory.hasSplits, true);
+    assert.deepStrictEqual(
+      { ...parentStory.splitState, acceptedAt: undefined, acceptedBy: undefined },
+      {
+        suggestionId: suggestion.id,
+        pattern: suggestion.pattern.type,
+        childIds: subStories.map(story => story.id),
+        previousStatus: large.status,
+        previousTitle: LARGE.title,
+        previousVersion: 1,
+        acceptedAt: undefined,
+        acceptedBy: undefined
+      }
+    );
+    assert.deepStrictEqual((await get(`/stories/${large.id}`)).body, parentStory);
+    assert.deepStrictEqual((await get(`/stories/${large.id}/versions`)).body.map(v => [v.version, v.reason]),
+      [[1, 'create'], [2, 'split']]);
+    console.log('✓ the parent is marked split, renamed and remembers what the split changed');
+
+    const twice = await post(`/stories/${large.id}/accept-splits`, { suggestionId: suggestion.id, splitIds: [suggestion.implementationOrder[2]] });
+    assert.deepStrictEqual([twice.status, twice.body.message], [409, 'Story has already been split']);
+    assert.strictEqual((await get(`/stories/${large.id}`)).body.version, 2);
+    console.log('✓ a story that has been split cannot be split again');
+
+    const manual = (await post('/stories', { title: 'Export orders', content: 'As an admin I can export orders as CSV and PDF' })).body;
+    const split = await post(`/stories/${manual.id}/accept-splits`, {
+      splits: [
+        { title: 'Export orders as CSV', description: 'As an admin I can export orders as CSV', acceptanceCriteria: ['A CSV file is downloaded'] },
+        { title: 'Export orders as PDF', description: 'As an admin I can export orders as PDF', priority: 'Low' }
+      ]
+    });
+    assert.strictEqual(split.status, 201);
+    assert.deepStrictEqual(split.body.subStories.map(story => [story.title, story.priority, story.splitPattern]),
+      [['Export orders as CSV', 'Medium', 'manual'], ['Export orders as PDF', 'Low', 'manual']]);
+    assert.deepStrictEqual(split.body.subStories[0].acceptanceCriteria, ['A CSV file is downloaded']);
+    assert.strictEqual(split.body.parentStory.title, 'Export orders (SPLIT)');
+    console.log('✓ drafts written by hand are accepted without a suggestion');
+
+    const unsplit = (story, body = {}, token = admin) => post(`/stories/${story.id}/unsplit`, body, token);
+    const update = (story, changes) => call(`/stories/${story.id}`, {
+      token: admin,
+      method: 'PUT',
+      body: { ...changes, version: story.version },
+      workspace: shop.id
+    });
+
+    const stale = (await post('/stories', { ...LARGE, title: 'Manage gift cards' })).body;
+    const staleResult = await splitStory(stale);
+    const changed = (await update(stale, { content: `${LARGE.content} Gift cards can be topped up.` })).body;
+    const outdated = await post(`/stories/${stale.id}/accept-splits`, { suggestionId: staleResult.recommendedApproach.primarySuggestion });
+    assert.deepStrictEqual([outdated.status, outdated.body.code], [409, 'suggestion_outdated']);
+    assert.deepStrictEqual(outdated.body.details, { suggestedForVersion: 1, currentVersion: 2 });
+    assert.strictEqual((await get(`/stories/${stale.id}`)).body.status, stale.status, 'an outdated suggestion changes nothing');
+    const fresh = await splitStory(changed);
+    const refreshed = await post(`/stories/${stale.id}/accept-splits`, { suggestionId: fresh.recommendedApproach.primarySuggestion });
+    assert.strictEqual(refreshed.status, 201, 'splits suggested for the current text are accepted');
+    console.log('✓ splits suggested before the story was edited are refused');
+
+    const [csv, pdf] = split.body.subStories;
+    const other = (await post('/epics', { title: 'Reports' })).body;
+    assert.strictEqual((await post(`/stories/${csv.id}/publish`, {})).status, 200);
+    assert.strictEqual((await update(pdf, { epicId: other.id })).status, 200);
+    const blocked = await unsplit(split.body.parentStory);
+    assert.deepStrictEqual([blocked.status, blocked.body.message], [409, 'Split cannot be undone']);
+    assert.deepStrictEqual(blocked.body.details.conflicts.map(c => [c.storyId, c.reason, c.epicId]),
+      [[csv.id, 'published', undefined], [pdf.id, 'moved-epic', other.id]]);
+    assert.strictEqual((await get(`/stories/${manual.id}`)).body.status, 'split', 'a blocked undo changes nothing');
+    console.log('✓ children that were published or moved to another epic block the undo');
+
+    assert.strictEqual((await unsplit(parentStory, {}, viewer)).status, 403);
+    assert.strictEqual((await unsplit(parentStory, { mode: 'shred' })).status, 400);
+    const plain = (await post('/stories', { title: 'Log out', content: 'As a user I can log out' })).body;
+    const never = await unsplit(plain);
+    assert.deepStrictEqual([never.status, never.body.message], [409, 'Story has not been split']);
+    console.log('✓ viewers, unknown modes and stories that were not split are refused');
+
+    const added = 'Given a card used by an open order it cannot be removed';
+    const grown = await update(edited, { acceptanceCriteria: [...edited.acceptanceCriteria, added] });
+    assert.strictEqual(grown.status, 200);
+    const undone = await unsplit(parentStory);
+    assert.strictEqual(undone.status, 200);
+    assert.deepStrictEqual(undone.body.mergedCriteria, [added]);
+    assert.deepStrictEqual(undone.body.deletedIds, []);
+    const restored = undone.body.parentStory;
+    assert.deepStrictEqual(
+      [restored.title, restored.status, restored.version, restored.hasSplits, restored.splitState],
+      [LARGE.title, large.status, 3, false, null]
+    );
+    assert.deepStrictEqual(restored.acceptanceCriteria, [...LARGE.acceptanceCriteria, added]);
+    const [entry] = restored.editHistory.slice(-1);
+    assert.deepStrictEqual([entry.type, entry.restoredVersion, entry.mode, entry.removedStoryIds],
+      ['unsplit', 1, 'archive', subStories.map(story => story.id)]);
+    assert.deepStrictEqual(undone.body.archivedStories.map(story => [story.id, story.status]),
+      subStories.map(story => [story.id, 'archived']));
+    assert.strictEqual((await get(`/stories/${child.id}`)).body.status, 'archived');
+    assert.deepStrictEqual((await get(`/stories/${large.id}`)).body, restored);
+    console.log('✓ undoing a split restores the parent, keeps criteria added to the children and archives them');
+
+    const again = await post(`/stories/${large.id}/accept-splits`, { suggestionId: suggestion.id });
+    assert.strictEqual(again.status, 201, 'an undone split can be accepted again');
+    const [firstChild] = again.body.subStories;
+    const task = (await post('/stories', { title: 'Check the card number', parentStoryId: firstChild.id })).body;
+    const deleted = await unsplit(again.body.parentStory, { mode: 'delete' });
+    assert.strictEqual(deleted.status, 200);
+    assert.deepStrictEqual(deleted.body.deletedIds.sort(),
+      [...again.body.subStories.map(story => story.id), task.id].sort(), 'sub-stories of the children go too');
+    assert.deepStrictEqual(deleted.body.archivedStories, []);
+    assert.deepStrictEqual([deleted.body.trashEntry.type, deleted.body.trashEntry.recordId], ['split', large.id]);
+    assert.strictEqual((await get(`/stories/${firstChild.id}`)).status, 404);
+    assert.strictEqual((await get(`/stories/${task.id}`)).status, 404);
+    assert.strictEqual((await get(`/stories/${child.id}`)).body.status, 'archived', 'children of the earlier split stay archived');
+    console.log('✓ undoing a split with mode delete moves the children and their sub-stories to the trash');
+
+    const recovered = await post(`/trash/${deleted.body.trashEntry.id}/restore`, {});
+    assert.strictEqual(recovered.status, 200);
+    assert.strictEqual((await get(`/stories/${task.id}`)).body.parentStoryId, firstChild.id);
+    assert.strictEqual((await get(`/stories/${firstChild.id}`)).body.parentStoryId, large.id);
+    console.log('✓ children deleted by an undo can be restored from the trash');
+  } finally {
+    await close();
+  }
+}
+
+runCheck(main, 'Split');
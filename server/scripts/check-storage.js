@@ -0,0 +1,198 @@
+// server/scripts/check-storage.js
+// The repository layer with the file driver in a temporary directory: a data
+// file from before the migrations is upgraded and written back, records
+// survive a reload, stored state can only change through save() and
+// delete(), changes are written in batches, and the API reads and writes the
+// same file. The redis driver runs against the offline Upstash stub, and
+// Vercel refuses to start without durable storage.
+//
+// Usage: npm run check:storage
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRepository } = require('../repositories');
+const { FileStore } = require('../repositories/file-store');
+const { LATEST_SCHEMA_VERSION } = require('../repositories/migrations');
+const { createRedisStubServer } = require('../utils/redis-stub-server');
+const { useCheckEnvironment, startServer, runCheck } = require('./harness');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'story-splitter-'));
+const readFile = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+function checkMigration() {
+  const filePath = path.join(directory, 'legacy.json');
+  fs.writeFileSync(filePath, JSON.stringify({
+    collections: {
+      stories: {
+        login: { id: 'login', title: 'Log in', acceptanceCriteria: 'Valid password works\n\n  Wrong password fails  ', parentStoryId: 'gone' },
+        logout: { id: 'logout', title: 'Log out', epicId: 'accounts', version: 0 }
+      },
+      epics: { accounts: { id: 'accounts', title: 'Accounts' } },
+      users: { ada: { id: 'ada', username: 'ada', createdAt: '2024-01-01T00:00:00.000Z' } }
+    }
+  }));
+
+  const repository = createRepository({ driver: 'file', filePath });
+  const login = repository.stories.get('login');
+  assert.deepStrictEqual(login.acceptanceCriteria, ['Valid password works', 'Wrong password fails']);
+  assert.strictEqual(login.version, 1);
+  assert.strictEqual(login.status, 'draft');
+  assert.strictEqual(login.parentStoryId, null, 'a parent that no longer exists is detached');
+  assert.strictEqual(login.workspaceId, 'default');
+  assert.strictEqual(repository.stories.get('logout').epicId, 'accounts');
+  assert.strictEqual(repository.epics.get('accounts').version, 1);
+  assert.strictEqual(repository.collection('memberships').get('default:ada').role, 'admin');
+
+  const stored = readFile(filePath);
+  assert.strictEqual(stored.schemaVersion, LATEST_SCHEMA_VERSION, 'the migrated data is written back');
+  assert.deepStrictEqual(stored.collections.stories.login, login);
+  assert.deepStrictEqual(new FileStore(filePath).load(), [], 'a migrated file is not migrated again');
+  console.log(`✓ a file from before the migrations is upgraded to schema ${LATEST_SCHEMA_VERSION} and written back`);
+}
+
+async function checkRoundTrip() {
+  const filePath = path.join(directory, 'nested', 'round-trip.json');
+  const first = createRepository({ driver: 'file', filePath });
+  const saved = first.stories.save({ id: 'cart', title: 'Keep the cart', acceptanceCriteria: ['Items stay'], version: 1 });
+  first.epics.save({ id: 'shop', title: 'Shop', version: 1 });
+  first.collection('notes').save({ id: 'n1', text: 'Any collection persists' });
+  first.epics.delete('shop');
+
+  saved.title = 'Changed outside save()';
+  first.stories.get('cart').acceptanceCriteria.push('Not saved');
+  first.stories.list(story => story.id === 'cart')[0].title = 'Listed and changed';
+  assert.strictEqual(first.stories.get('cart').title, 'Keep the cart');
+  assert.deepStrictEqual(first.stories.get('cart').acceptanceCriteria, ['Items stay']);
+  console.log('✓ records are copied in and out, so only save() changes them');
+
+  assert.strictEqual(readFile(filePath).collections.stories?.cart, undefined, 'changes wait to be written together');
+  await first.store.flush();
+
+  const second = createRepository({ driver: 'file', filePath });
+  assert.deepStrictEqual(second.stories.get('cart'), { id: 'cart', title: 'Keep the cart', acceptanceCriteria: ['Items stay'], version: 1 });
+  assert.strictEqual(second.epics.has('shop'), false);
+  assert.strictEqual(second.collection('notes').get('n1').text, 'Any collection persists');
+  assert.ok(!fs.existsSync(`${filePath}.tmp`), 'writes go through a temporary file that is renamed');
+  console.log('✓ saves and deletes are written in one go and survive a reload, in a directory that did not exist');
+
+  first.stories.save({ id: 'later', title: 'Written on its own' });
+  await new Promise(resolve => setTimeout(resolve, 300));
+  assert.strictEqual(createRepository({ driver: 'file', filePath }).stories.get('later').title, 'Written on its own');
+  console.log('✓ changes made outside a request are written once they settle');
+
+  const memory = createRepository({ driver: 'memory' });
+  memory.stories.save({ id: 'cart', title: 'Memory only' });
+  assert.strictEqual(createRepository({ driver: 'memory' }).stories.has('cart'), false);
+  assert.throws(() => createRepository({ driver: 'sqlite' }), /Unknown storage driver: sqlite/);
+  console.log('✓ the memory driver keeps nothing and unknown drivers are refused');
+
+  process.env.VERCEL = '1';
+  try {
+    assert.throws(() => createRepository(), /No durable storage on Vercel/);
+    assert.strictEqual(createRepository({ driver: 'memory' }).store.driver, 'memory');
+    assert.throws(() => createRepository({ driver: 'redis' }), /needs REDIS_REST_URL/);
+    process.env.KV_REST_API_URL = 'http://127.0.0.1:1';
+    process.env.KV_REST_API_TOKEN = 'token';
+    assert.strictEqual(createRepository().store.driver, 'redis');
+  } finally {
+    ['VERCEL', 'KV_REST_API_URL', 'KV_REST_API_TOKEN'].forEach(name => delete process.env[name]);
+  }
+  console.log('✓ Vercel uses Redis when it is connected and refuses to start with nothing durable');
+}
+
+async function checkRedis() {
+  const stub = createRedisStubServer({ token: 'stub-token' });
+  const { url } = await stub.listen();
+  const open = async () => createRepository({ driver: 'redis', url, token: 'stub-token', prefix: 'check' }).ready();
+  const sent = (from) => stub.requests.slice(from).flatMap(request => request.commands.map(([name]) => name));
+
+  try {
+    const first = await open();
+    assert.ok(sent(0).includes('SET'), 'the migrated empty store is written back');
+    const second = await open();
+    assert.strictEqual(second.store.data.schemaVersion, LATEST_SCHEMA_VERSION);
+
+    first.stories.save({ id: 'cart', title: 'Keep the cart', version: 1 });
+    first.epics.save({ id: 'shop', title: 'Shop', version: 1 });
+    const before = stub.requests.length;
+    await first.store.flush();
+    assert.deepStrictEqual(stub.requests.slice(before).map(request => request.path), ['/multi-exec']);
+    assert.strictEqual(first.store.revision, second.store.revision + 1);
+
+    await second.store.sync();
+    assert.strictEqual(second.stories.get('cart').title, 'Keep the cart');
+    assert.strictEqual(second.epics.get('shop').title, 'Shop');
+    console.log('✓ redis: the changes of a request go out in one transaction and other instances pick them up');
+
+    second.stories.delete('cart');
+    await second.store.flush();
+    await first.store.sync();
+    assert.strictEqual(first.stories.has('cart'), false);
+    const idle = stub.requests.length;
+    await first.store.sync();
+    assert.deepStrictEqual(sent(idle), ['GET'], 'nothing is read again when nothing changed');
+    assert.strictEqual((await open()).stories.has('cart'), false);
+    console.log('✓ redis: deletes reach the other instances and an unchanged store is not read again');
+
+    stub.failNext({ status: 500 });
+    first.stories.save({ id: 'retry', title: 'Saved on the second try' });
+    await assert.rejects(first.store.flush(), /Redis request failed with 500/);
+    await first.store.flush();
+    assert.strictEqual((await open()).stories.get('retry').title, 'Saved on the second try');
+    console.log('✓ redis: changes that fail to go out are kept for the next flush');
+
+    const rejected = createRepository({ driver: 'redis', url, token: 'wrong-token' });
+    await assert.rejects(rejected.ready(), /Redis request failed with 401/);
+    rejected.store.token = 'stub-token';
+    await rejected.ready();
+    assert.strictEqual(rejected.store.data.schemaVersion, LATEST_SCHEMA_VERSION);
+    console.log('✓ redis: a failed load is tried again');
+  } finally {
+    await stub.close();
+  }
+}
+
+async function checkApi() {
+  const filePath = path.join(directory, 'api.json');
+  useCheckEnvironment({ STORAGE_DRIVER: 'file', STORAGE_FILE: filePath });
+  const { call, register, close } = await startServer();
+
+  try {
+    const token = await register('owner');
+    const shop = (await call('/workspaces', { token, method: 'POST', body: { name: 'Shop' } })).body;
+    const epic = (await call('/epics', { token, method: 'POST', body: { title: 'Checkout' }, workspace: shop.id })).body;
+    const created = await call('/stories', {
+      token,
+      method: 'POST',
+      body: { title: 'Pay by card', content: 'As a shopper I can pay by card', epicId: epic.id },
+      workspace: shop.id
+    });
+    assert.strictEqual(created.status, 201);
+
+    const reloaded = createRepository({ driver: 'file', filePath });
+    assert.strictEqual(reloaded.stories.get(created.body.id).title, 'Pay by card');
+    assert.strictEqual(reloaded.epics.get(epic.id).workspaceId, shop.id);
+    assert.ok(reloaded.stories.has('main-story'), 'the sample backlog was seeded into the file');
+
+    const removed = await call(`/stories/${created.body.id}`, { token, method: 'DELETE', workspace: shop.id });
+    assert.ok(removed.status < 300);
+    assert.strictEqual(createRepository({ driver: 'file', filePath }).stories.has(created.body.id), false);
+    console.log('✓ the API creates and deletes stories in the data file');
+  } finally {
+    await close();
+  }
+}
+
+async function main() {
+  try {
+    checkMigration();
+    await checkRoundTrip();
+    await checkRedis();
+    await checkApi();
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+runCheck(main, 'Storage');
@@ -0,0 +1,123 @@
+// server/scripts/check-story-export.js
+// Markdown and Gherkin exports against an in-process server: criteria in
+// any Given/When/Then spelling become well-formed scenarios, Markdown
+// carries the INVEST scorecard and split tree, and an epic's zip holds a
+// document and a feature per story.
+//
+// Usage: npm run check:story-export
+const assert = require('assert');
+const { readZip } = require('../utils/zip');
+const { useCheckEnvironment, startServer, runCheck } = require('./harness');
+
+useCheckEnvironment();
+
+async function main() {
+  const { call, register, close } = await startServer({ workspace: 'default' });
+  const admin = await register('admin');
+  const outsider = await register('outsider');
+
+  const team = (await call('/workspaces', { token: admin, method: 'POST', body: { name: 'Shop' } })).body;
+  const post = (path, body) => call(path, { token: admin, method: 'POST', body, workspace: team.id });
+
+  const epic = (await post('/epics', { title: 'Checkout', description: 'Paying for orders' })).body;
+  const pay = (await post('/stories', {
+    title: 'Pay for an order',
+    content: 'As a shopper, I can pay for my order so that it ships',
+    epicId: epic.id,
+    priority: 'High',
+    storyPoints: 8,
+    acceptanceCriteria: [
+      'given a cart with items, when I pay by card, then the order is confirmed.',
+      'Given a declined card\nWhen I pay\nThen I see why\nthen I can try again',
+      'If payment times out, the cart is kept',
+      'A receipt is e-mailed',
+      'A receipt is e-mailed'
+    ]
+  })).body;
+  const card = (await post('/stories', { title: 'Pay by card', parentStoryId: pay.id, epicId: epic.id, storyPoints: 5 })).body;
+  await post('/stories', { title: 'Handle 3-D Secure', parentStoryId: card.id, epicId: epic.id });
+  await post('/stories', { title: 'Pay by card', parentStoryId: pay.id, epicId: epic.id, storyPoints: 3 });
+
+  const feature = await call(`/stories/${pay.id}/export?format=gherkin`, { token: admin });
+  assert.strictEqual(feature.status, 200);
+  assert.strictEqual(feature.type, 'text/x-gherkin');
+  assert.strictEqual(feature.fileName, 'pay-for-an-order.feature');
+  assert.strictEqual(feature.body, [
+    `@story-splitter:${pay.id} @priority-high`,
+    'Feature: Pay for an order',
+    '  As a shopper, I can pay for my order so that it ships',
+    '',
+    '  Scenario: The order is confirmed',
+    '    Given a cart with items',
+    '    When I pay by card',
+    '    Then the order is confirmed',
+    '',
+    '  Scenario: I see why',
+    '    Given a declined card',
+    '    When I pay',
+    '    Then I see why',
+    '    And I can try again',
+    '',
+    '  Scenario: If payment times out, the cart is kept',
+    '    When payment times out',
+    '    Then the cart is kept',
+    '',
+    '  Scenario: A receipt is e-mailed',
+    '    Then a receipt is e-mailed',
+    '',
+    '  Scenario: A receipt is e-mailed (2)',
+    '    Then a receipt is e-mailed',
+    ''
+  ].join('\n'));
+  const empty = await call(`/stories/${card.id}/export?format=gherkin`, { token: admin });
+  assert.match(empty.body, /# No acceptance criteria yet/);
+  console.log('✓ acceptance criteria become Gherkin scenarios with normalised steps');
+
+  const markdown = await call(`/stories/${pay.id}/export`, { token: admin });
+  assert.strictEqual(markdown.type, 'text/markdown');
+  assert.strictEqual(markdown.fileName, 'pay-for-an-order.md');
+  assert.match(markdown.body, /^# Pay for an order\n\nAs a shopper/);
+  assert.match(markdown.body, /\*\*Epic:\*\* Checkout · \*\*Priority:\*\* High · \*\*Story points:\*\* 8/);
+  assert.match(markdown.body, /## Acceptance criteria\n\n- \[ \] given a cart with items/);
+  assert.match(markdown.body, /## INVEST scorecard\n\n\*\*\d+%\*\* · (ready|needs work|not ready)/);
+  ['Independent', 'Negotiable', 'Valuable', 'Estimable', 'Small', 'Testable'].forEach(criterion =>
+    assert.match(markdown.body, new RegExp(`\\| ${criterion} \\| (✅ Pass|❌ Fail) \\|`)));
+  assert.match(markdown.body, /## Split into\n\n- Pay by card · 5 pts\n {2}- Handle 3-D Secure\n- Pay by card · 3 pts/);
+  console.log('✓ a story exports as Markdown with its INVEST scorecard and split tree');
+
+  const epicDocument = await call(`/epics/${epic.id}/export`, { token: admin });
+  assert.strictEqual(epicDocument.fileName, 'checkout.md');
+  assert.match(epicDocument.body, /^# Checkout\n\nPaying for orders\n\n1 story · 3 split children · 8 story points/);
+  assert.match(epicDocument.body, /\| Pay for an order \| High \| 8 \| \d+% \|/);
+  assert.match(epicDocument.body, /\n## Pay for an order\n/);
+  assert.match(epicDocument.body, /\n### INVEST scorecard\n/);
+
+  const archive = await call(`/epics/${epic.id}/export?format=zip`, { token: admin, binary: true });
+  assert.strictEqual(archive.type, 'application/zip');
+  assert.strictEqual(archive.fileName, 'checkout.zip');
+  const files = new Map(readZip(archive.body).map(file => [file.name, file.content.toString('utf8')]));
+  assert.deepStrictEqual([...files.keys()], [
+    'checkout/README.md',
+    'checkout/stories/pay-for-an-order.md',
+    'checkout/features/pay-for-an-order.feature',
+    'checkout/stories/pay-by-card.md',
+    'checkout/features/pay-by-card.feature',
+    'checkout/stories/handle-3-d-secure.md',
+    'checkout/features/handle-3-d-secure.feature',
+    'checkout/stories/pay-by-card-2.md',
+    'checkout/features/pay-by-card-2.feature'
+  ]);
+  assert.strictEqual(files.get('checkout/README.md'), epicDocument.body);
+  assert.strictEqual(files.get('checkout/features/pay-for-an-order.feature'), feature.body);
+  assert.match(files.get('checkout/stories/pay-by-card.md'), /## INVEST scorecard/);
+  console.log('✓ an epic exports as Markdown, or as a zip with a document and a feature per story');
+
+  assert.strictEqual((await call(`/stories/${pay.id}/export?format=pdf`, { token: admin })).status, 400);
+  assert.strictEqual((await call(`/stories/${pay.id}/export`, { token: outsider })).status, 404);
+  assert.strictEqual((await call(`/epics/${epic.id}/export?format=zip`, { token: outsider })).status, 404);
+  console.log('✓ unknown formats and other workspaces are turned away');
+
+  await close();
+}
+
+runCheck(main, 'Story export');
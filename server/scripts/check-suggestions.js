@@ -0,0 +1,105 @@
+// server/scripts/check-suggestions.js
+// Accepting and rejecting Story Analyst suggestions against an in-process
+// server: both decisions bump the version, record the decision in the
+// edit history and the version history, and are made once; outdated
+// suggestions and other roles are refused.
+//
+// Usage: npm run check:suggestions
+const assert = require('assert');
+const { useCheckEnvironment, startServer, runCheck } = require('./harness');
+
+useCheckEnvironment();
+
+async function main() {
+  const { call, register, close } = await startServer();
+  const admin = await register('admin');
+  const viewer = await register('viewer');
+
+  const shop = (await call('/workspaces', { token: admin, method: 'POST', body: { name: 'Shop' } })).body;
+  await call(`/workspaces/${shop.id}/members`, { token: admin, method: 'POST', body: { username: 'viewer', role: 'viewer' } });
+  const post = (path, body, token = admin) => call(path, { token, method: 'POST', body, workspace: shop.id });
+  const get = (path) => call(path, { token: admin, workspace: shop.id });
+  const analyze = async (story) => (await post('/agents/analyze', { story })).body.metadata.analysis.improvementSuggestions;
+  const decide = (story, suggestion, decision, body = {}, token = admin) =>
+    post(`/stories/${story.id}/suggestions/${suggestion.id}/${decision}`, body, token);
+
+  try {
+    const story = (await post('/stories', {
+      title: 'Pay',
+      content: 'Pay with card after checkout. The system must use Stripe.',
+      acceptanceCriteria: []
+    })).body;
+    const suggestions = await analyze(story);
+    const [rewrite, other] = suggestions.filter(s => s.type === 'modify' && s.field === 'description');
+    assert.ok(rewrite && other, `two statement rewrites in ${JSON.stringify(suggestions.map(s => s.id))}`);
+    assert.strictEqual(rewrite.currentValue, story.content);
+
+    assert.strictEqual((await decide(story, rewrite, 'apply', {}, viewer)).status, 403);
+    assert.strictEqual((await decide(story, { id: 'suggestion-99' }, 'apply')).body.code, 'suggestion_not_found');
+    console.log('✓ viewers and unknown suggestions are refused');
+
+    const applied = await decide(story, rewrite, 'apply');
+    assert.strictEqual(applied.status, 200);
+    assert.strictEqual(applied.body.story.version, 2);
+    assert.strictEqual(applied.body.story.content, rewrite.suggestedValue);
+    const [appliedEntry] = applied.body.story.editHistory.slice(-1);
+    assert.deepStrictEqual(
+      { type: appliedEntry.type, suggestionId: appliedEntry.suggestionId, version: appliedEntry.version, previousValue: appliedEntry.previousValue, newValue: appliedEntry.newValue },
+      { type: 'suggestion-applied', suggestionId: rewrite.id, version: 2, previousValue: story.content, newValue: rewrite.suggestedValue }
+    );
+    assert.strictEqual(appliedEntry.user.username, 'admin');
+    assert.deepStrictEqual(applied.body.userState.appliedSuggestions, [rewrite.id]);
+    assert.strictEqual((await get(`/stories/${story.id}`)).body.content, rewrite.suggestedValue);
+    console.log('✓ applying a suggestion changes the statement, bumps the version and records the decision');
+
+    const again = await decide(story, rewrite, 'reject');
+    assert.strictEqual(again.status, 409);
+    assert.deepStrictEqual([again.body.code, again.body.details.outcome], ['suggestion_decided', 'applied']);
+    console.log('✓ a suggestion is decided once');
+
+    const outdated = await decide(story, other, 'apply');
+    assert.strictEqual(outdated.status, 409);
+    assert.strictEqual(outdated.body.code, 'suggestion_outdated');
+    assert.deepStrictEqual(outdated.body.details, { field: 'description', expected: story.content, actual: rewrite.suggestedValue });
+    console.log('✓ a suggestion made for text that has since changed is refused');
+
+    const rejected = await decide(story, other, 'reject');
+    assert.strictEqual(rejected.status, 200);
+    assert.strictEqual(rejected.body.story.version, 3);
+    assert.strictEqual(rejected.body.story.content, rewrite.suggestedValue, 'rejecting changes nothing else');
+    assert.strictEqual(rejected.body.story.editHistory.slice(-1)[0].type, 'suggestion-rejected');
+    assert.deepStrictEqual(rejected.body.userState.rejectedSuggestions, [other.id]);
+    console.log('✓ rejecting a suggestion bumps the version and records the decision');
+
+    const versions = (await get(`/stories/${story.id}/versions`)).body;
+    assert.deepStrictEqual(versions.map(v => [v.version, v.reason]),
+      [[1, 'create'], [2, 'suggestion-applied'], [3, 'suggestion-rejected']]);
+    assert.ok(versions.slice(1).every(v => v.author.username === 'admin'));
+    console.log('✓ both decisions are saved as versions in the story history');
+
+    // The statement changed, so the new suggestions start undecided
+    const fresh = await analyze(rejected.body.story);
+    const chosen = fresh.find(s => s.type === 'modify' && s.field === 'description');
+    const dismissed = fresh.find(s => s !== chosen);
+    const dismissal = await decide(rejected.body.story, dismissed, 'reject');
+    assert.strictEqual(dismissal.status, 200);
+    assert.deepStrictEqual(dismissal.body.userState.appliedSuggestions, []);
+    assert.deepStrictEqual(dismissal.body.userState.rejectedSuggestions, [dismissed.id]);
+
+    // Rejecting left the statement alone, so the same suggestions keep it
+    assert.deepStrictEqual(await analyze(dismissal.body.story), fresh);
+    const repeated = await decide(dismissal.body.story, dismissed, 'apply');
+    assert.deepStrictEqual([repeated.status, repeated.body.details?.outcome], [409, 'rejected']);
+    console.log('✓ decisions carry over to a new analysis only while it makes the same suggestions');
+
+    const edited = await decide(dismissal.body.story, chosen, 'apply', { suggestedValue: 'As a shopper I can pay by card so that I can check out' });
+    assert.strictEqual(edited.status, 200);
+    assert.strictEqual(edited.body.story.version, 5);
+    assert.strictEqual(edited.body.story.content, 'As a shopper I can pay by card so that I can check out');
+    console.log('✓ a suggestion can be applied with an edited value');
+  } finally {
+    await close();
+  }
+}
+
+runCheck(main, 'Suggestion');
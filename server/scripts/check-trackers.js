@@ -0,0 +1,148 @@
+// server/scripts/check-trackers.js
+// GitHub Issues and Azure DevOps exports against an in-process server and
+// the tracker mock: the hierarchy, labels, priorities and criteria end up
+// in the payloads, publishing links children to the ids the tracker
+// assigned, and failures report what had already been created.
+//
+// Usage: npm run check:trackers
+const assert = require('assert');
+const { createTrackerMockServer } = require('../utils/tracker-mock-server');
+const { useCheckEnvironment, startServer, runCheck } = require('./harness');
+
+useCheckEnvironment();
+
+async function main() {
+  const mock = createTrackerMockServer();
+  const { gitHubApiUrl, azureOrganizationUrl } = await mock.listen(0);
+  Object.assign(process.env, {
+    GITHUB_API_URL: gitHubApiUrl,
+    GITHUB_REPOSITORY: 'acme/shop',
+    GITHUB_TOKEN: mock.token,
+    AZURE_DEVOPS_ORG_URL: azureOrganizationUrl,
+    AZURE_DEVOPS_PROJECT: 'Shop',
+    AZURE_DEVOPS_TOKEN: mock.token
+  });
+
+  const { call, register, close } = await startServer({ workspace: 'default' });
+  const admin = await register('admin');
+  const editor = await register('editor');
+
+  const team = (await call('/workspaces', { token: admin, method: 'POST', body: { name: 'Shop' } })).body;
+  await call(`/workspaces/${team.id}/members`, { token: admin, method: 'POST', body: { username: 'editor', role: 'editor' } });
+  const post = (path, body) => call(path, { token: admin, method: 'POST', body, workspace: team.id });
+
+  // Checkout > Pay > (Card > 3DS, Wallet); "Wishlist" and the workspace's
+  // main story have no epic
+  const epic = (await post('/epics', { title: 'Checkout', description: 'Paying for orders' })).body;
+  const pay = (await post('/stories', {
+    title: 'Pay for an order',
+    content: 'As a shopper, I can pay for my order so that it ships',
+    epicId: epic.id,
+    priority: 'High',
+    storyPoints: 13,
+    acceptanceCriteria: ['Payment is confirmed', 'Receipt is <e-mailed>']
+  })).body;
+  const card = (await post('/stories', {
+    title: 'Pay by card',
+    parentStoryId: pay.id,
+    epicId: epic.id,
+    priority: 'Low',
+    acceptanceCriteria: ['Visa is accepted']
+  })).body;
+  const secure = (await post('/stories', { title: 'Handle 3-D Secure', parentStoryId: card.id, epicId: epic.id })).body;
+  const wallet = (await post('/stories', { title: 'Pay with a wallet', parentStoryId: pay.id, epicId: epic.id })).body;
+  const wishlist = (await post('/stories', { title: 'Keep a wishlist', storyPoints: 3 })).body;
+
+  const github = (await call(`/export/github?labels=shop, release-2`, { token: editor, workspace: team.id })).body;
+  const issue = (ref) => github.issues.find(item => item.ref === ref);
+  const position = (ref) => github.issues.findIndex(item => item.ref === ref);
+  assert.strictEqual(github.issues.length, 7);
+  assert.ok(position(secure.id) < position(card.id) && position(card.id) < position(pay.id) && position(pay.id) < position(epic.id),
+    'children come before their parents');
+  assert.deepStrictEqual(issue(epic.id).labels, ['epic', 'shop', 'release-2']);
+  assert.deepStrictEqual(issue(pay.id).labels, ['user story', 'priority: high', 'shop', 'release-2']);
+  assert.deepStrictEqual(issue(card.id).labels, ['split', 'priority: low', 'shop', 'release-2']);
+  assert.strictEqual(issue(wishlist.id).level, 'story');
+  assert.match(issue(pay.id).body, /\*\*Story points:\*\* 13/);
+  assert.match(issue(pay.id).body, /### Acceptance criteria\n- Payment is confirmed\n- Receipt is <e-mailed>/);
+  assert.match(issue(pay.id).body, /### Split into\n- \[ \] Pay by card\n- \[ \] Pay with a wallet/);
+  assert.match(issue(pay.id).body, new RegExp(`<!-- story-splitter:${pay.id} -->$`));
+  console.log('✓ GitHub issues are labelled by level and priority and list their children');
+
+  const azure = (await call('/export/azure-devops?areaPath=Shop\\Web&iterationPath=Shop\\Sprint 4', {
+    token: editor,
+    workspace: team.id
+  })).body;
+  const workItem = (ref) => azure.workItems.find(item => item.ref === ref);
+  const field = (ref, name) => workItem(ref).document.find(op => op.path === `/fields/${name}`)?.value;
+  const parentUrl = (ref) => workItem(ref).document.find(op => op.path === '/relations/-')?.value.url;
+  assert.strictEqual(azure.project, 'Shop');
+  assert.strictEqual(azure.organizationUrl, azureOrganizationUrl);
+  assert.deepStrictEqual(azure.workItems.map(item => item.type), ['Epic', 'User Story', 'Task', 'Task', 'Task', 'User Story', 'User Story']);
+  assert.deepStrictEqual(azure.workItems.map(item => item.id), [-1, -2, -3, -4, -5, -6, -7]);
+  assert.strictEqual(parentUrl(pay.id), `${azureOrganizationUrl}/_apis/wit/workItems/-1`);
+  assert.strictEqual(parentUrl(secure.id), `${azureOrganizationUrl}/_apis/wit/workItems/${workItem(card.id).id}`);
+  assert.strictEqual(parentUrl(wishlist.id), undefined);
+  assert.strictEqual(field(pay.id, 'Microsoft.VSTS.Common.Priority'), 1);
+  assert.strictEqual(field(pay.id, 'Microsoft.VSTS.Scheduling.StoryPoints'), 13);
+  assert.strictEqual(field(pay.id, 'Microsoft.VSTS.Common.AcceptanceCriteria'),
+    '<ul><li>Payment is confirmed</li><li>Receipt is &#60;e-mailed&#62;</li></ul>');
+  assert.match(field(card.id, 'System.Description'), /<h3>Acceptance Criteria<\/h3><ul><li>Visa is accepted<\/li><\/ul>/);
+  assert.strictEqual(field(card.id, 'System.IterationPath'), 'Shop\\Sprint 4');
+  assert.strictEqual(field(wallet.id, 'System.Tags'), `story-splitter:${wallet.id}`);
+  const onlyEpic = (await call(`/export/azure-devops?epicId=${epic.id}`, { token: editor, workspace: team.id })).body;
+  assert.strictEqual(onlyEpic.workItems.length, 5);
+  console.log('✓ Azure DevOps work items are Epics, User Stories and Tasks with parent links');
+
+  const published = await call('/export/github/publish', { token: admin, method: 'POST', body: { labels: ['shop'] }, workspace: team.id });
+  assert.strictEqual(published.status, 200);
+  assert.strictEqual(published.body.created.length, 7);
+  assert.ok(mock.requests.every(request => request.path === '/repos/acme/shop/issues'));
+  const numberOf = (ref) => published.body.created.find(item => item.ref === ref).id;
+  const payIssue = mock.issues.find(item => item.number === numberOf(pay.id));
+  assert.match(payIssue.body, new RegExp(`- \\[ \\] #${numberOf(card.id)}\\n- \\[ \\] #${numberOf(wallet.id)}`));
+  assert.deepStrictEqual(payIssue.labels.map(label => label.name), ['user story', 'priority: high', 'shop']);
+  assert.strictEqual(published.body.created[0].url, `${gitHubApiUrl}/acme/shop/issues/1`);
+  console.log('✓ publishing to GitHub links parents to the issue numbers of their children');
+
+  const batch = await call('/export/azure-devops/publish', { token: admin, method: 'POST', body: { epicId: epic.id }, workspace: team.id });
+  assert.strictEqual(batch.status, 200);
+  assert.deepStrictEqual(batch.body.failed, []);
+  const idOf = (ref) => batch.body.created.find(item => item.ref === ref).id;
+  const stored = (ref) => mock.workItems.find(item => item.id === idOf(ref));
+  assert.strictEqual(stored(epic.id).fields['System.WorkItemType'], 'Epic');
+  assert.strictEqual(stored(pay.id).fields['System.TeamProject'], 'Shop');
+  assert.strictEqual(stored(secure.id).relations[0].url, `${azureOrganizationUrl}/_apis/wit/workItems/${idOf(card.id)}`);
+  console.log('✓ publishing to Azure DevOps sends one batch and resolves the temporary ids');
+
+  mock.failNext({ status: 500 });
+  const failed = await call('/export/github/publish', { token: admin, method: 'POST', body: { epicId: epic.id }, workspace: team.id });
+  assert.strictEqual(failed.status, 502);
+  assert.strictEqual(failed.body.code, 'tracker_rejected');
+  assert.strictEqual(failed.body.details.status, 500);
+  assert.deepStrictEqual(failed.body.details.created, []);
+
+  const before = mock.issues.length;
+  process.env.GITHUB_TOKEN = 'revoked';
+  const rejected = await call('/export/github/publish', { token: admin, method: 'POST', body: {}, workspace: team.id });
+  assert.strictEqual(rejected.body.details.status, 401);
+  assert.strictEqual(mock.issues.length, before);
+
+  process.env.GITHUB_TOKEN = '';
+  const unconfigured = await call('/export/github/publish', { token: admin, method: 'POST', body: {}, workspace: team.id });
+  assert.strictEqual(unconfigured.status, 503);
+  assert.strictEqual(unconfigured.body.code, 'tracker_not_configured');
+  console.log('✓ tracker failures and missing settings are reported');
+
+  const editorPublish = await call('/export/azure-devops/publish', { token: editor, method: 'POST', body: {}, workspace: team.id });
+  assert.strictEqual(editorPublish.status, 403);
+  assert.strictEqual((await call('/export/azure-devops?epicId=missing', { token: editor, workspace: team.id })).status, 404);
+  assert.strictEqual((await call('/export/trello', { token: editor, workspace: team.id })).status, 404);
+  assert.strictEqual((await call('/export/azure-devops?organizationUrl=file:///etc', { token: editor, workspace: team.id })).status, 400);
+  console.log('✓ editors may export but not publish');
+
+  await close();
+  await mock.close();
+}
+
+runCheck(main, 'Tracker');
@@ -0,0 +1,124 @@
+// server/scripts/check-trash.js
+// Delete modes, the trash and referential integrity against an in-process
+// server: children and epic stories are never left pointing at something
+// that is gone, and every delete can be restored.
+//
+// Usage: npm run check:trash
+const assert = require('assert');
+const { runMigrations } = require('../repositories/migrations');
+const { useCheckEnvironment, startServer, runCheck } = require('./harness');
+
+useCheckEnvironment();
+
+async function main() {
+  const { call, register, close } = await startServer({ workspace: 'default' });
+  const admin = await register('admin');
+  const editor = await register('editor');
+  await call('/workspaces/default/members', { token: admin, method: 'POST', body: { username: 'editor', role: 'editor' } });
+
+  const as = (token) => ({
+    create: async (fields) => (await call('/stories', { token, method: 'POST', body: fields })).body,
+    get: (path) => call(path, { token }),
+    put: (path, body) => call(path, { token, method: 'PUT', body }),
+    post: (path, body) => call(path, { token, method: 'POST', body }),
+    delete: (path) => call(path, { token, method: 'DELETE' })
+  });
+  const api = as(editor);
+  const current = async (id) => (await api.get(`/stories/${id}`)).body;
+
+  // root > middle > leaf
+  const epic = (await api.post('/epics', { title: 'Checkout' })).body;
+  const root = await api.create({ title: 'Root', epicId: epic.id });
+  const middle = await api.create({ title: 'Middle', parentStoryId: root.id, epicId: epic.id });
+  const leaf = await api.create({ title: 'Leaf', parentStoryId: middle.id });
+
+  const refused = await api.delete(`/stories/${middle.id}`);
+  assert.strictEqual(refused.status, 409);
+  assert.strictEqual(refused.body.code, 'has_children');
+  assert.deepStrictEqual(refused.body.details.children.map(child => child.id), [leaf.id]);
+  console.log('✓ stories with sub-stories are not deleted by default');
+
+  const reparented = await api.delete(`/stories/${middle.id}?mode=reparent`);
+  assert.strictEqual(reparented.status, 200);
+  assert.strictEqual((await current(leaf.id)).parentStoryId, root.id, 'moved up to the grandparent');
+  assert.strictEqual((await api.get(`/stories/${middle.id}`)).status, 404);
+  const restoredMiddle = await api.post(`/trash/${reparented.body.id}/restore`);
+  assert.strictEqual(restoredMiddle.status, 200);
+  assert.strictEqual((await current(middle.id)).parentStoryId, root.id);
+  assert.strictEqual((await current(leaf.id)).parentStoryId, middle.id, 'restore moves children back');
+  console.log('✓ reparent moves sub-stories up and restore moves them back');
+
+  const cascaded = await api.delete(`/stories/${root.id}?mode=cascade`);
+  assert.deepStrictEqual(cascaded.body.items.map(item => item.id).sort(), [root.id, middle.id, leaf.id].sort());
+  assert.strictEqual((await api.get(`/stories/${leaf.id}`)).status, 404);
+  const trashList = (await api.get('/trash')).body;
+  assert.strictEqual(trashList[0].id, cascaded.body.id, 'newest entry first');
+  assert.strictEqual((await api.get(`/trash/${cascaded.body.id}`)).body.stories.length, 3);
+  await api.post(`/trash/${cascaded.body.id}/restore`);
+  assert.strictEqual((await current(leaf.id)).parentStoryId, middle.id);
+  console.log('✓ cascade deletes the whole subtree and restores it');
+
+  const epicRefused = await api.delete(`/epics/${epic.id}`);
+  assert.strictEqual(epicRefused.status, 409);
+  assert.strictEqual(epicRefused.body.code, 'has_stories');
+  const unassigned = await api.delete(`/epics/${epic.id}?mode=unassign`);
+  assert.strictEqual(unassigned.status, 200);
+  assert.strictEqual((await current(root.id)).epicId, null);
+  assert.strictEqual((await current(middle.id)).epicId, null);
+  await api.post(`/trash/${unassigned.body.id}/restore`);
+  assert.strictEqual((await current(root.id)).epicId, epic.id, 'restore reassigns the stories');
+  console.log('✓ deleting an epic unassigns its stories, restoring reassigns them');
+
+  // A story restored after its epic is gone loses the reference
+  const loner = await api.create({ title: 'Loner', epicId: epic.id });
+  const lonerEntry = (await api.delete(`/stories/${loner.id}`)).body;
+  const epicCascade = await api.delete(`/epics/${epic.id}?mode=cascade`);
+  assert.strictEqual(epicCascade.body.items.length, 4, 'epic, root, middle and leaf');
+  const lonerRestored = (await api.post(`/trash/${lonerEntry.id}/restore`)).body;
+  assert.deepStrictEqual(lonerRestored.detached.map(({ field }) => field), ['epicId']);
+  assert.strictEqual((await current(loner.id)).epicId, null);
+  console.log('✓ restored stories never point at deleted records');
+
+  const mainStory = await api.delete('/stories/main-story?mode=cascade');
+  assert.strictEqual(mainStory.status, 409);
+  assert.strictEqual(mainStory.body.code, 'protected_story');
+  assert.strictEqual((await api.delete(`/stories/${loner.id}?mode=everything`)).status, 400);
+  console.log('✓ the main story is protected and unknown modes are rejected');
+
+  const parent = await api.create({ title: 'Parent' });
+  const child = await api.create({ title: 'Child', parentStoryId: parent.id });
+  const badReference = (body) => api.put(`/stories/${parent.id}`, { ...body, version: parent.version });
+  assert.strictEqual((await badReference({ parentStoryId: child.id })).body.code, 'invalid_reference', 'no cycles');
+  assert.strictEqual((await badReference({ parentStoryId: parent.id })).body.code, 'invalid_reference');
+  assert.strictEqual((await badReference({ epicId: epic.id })).body.details.field, 'epicId', 'deleted epic');
+  assert.strictEqual((await badReference({ parentStoryId: 'story-missing' })).status, 400);
+  assert.strictEqual((await api.post('/stories', { title: 'Orphan', parentStoryId: root.id })).status, 400);
+  console.log('✓ creates and updates cannot reference missing records or form cycles');
+
+  const purgeable = (await api.delete(`/stories/${child.id}`)).body;
+  assert.strictEqual((await api.delete(`/trash/${purgeable.id}`)).status, 403, 'only admins empty the trash');
+  assert.strictEqual((await as(admin).delete(`/trash/${purgeable.id}`)).status, 204);
+  assert.strictEqual((await api.get(`/trash/${purgeable.id}`)).status, 404);
+  assert.strictEqual((await api.get(`/stories/${child.id}/versions`)).status, 404);
+  console.log('✓ admins purge entries for good');
+
+  const data = {
+    schemaVersion: 5,
+    collections: {
+      stories: {
+        a: { id: 'a', parentStoryId: 'gone', epicId: 'e1' },
+        b: { id: 'b', parentStoryId: 'a', epicId: 'gone' }
+      },
+      epics: { e1: { id: 'e1' } }
+    }
+  };
+  runMigrations(data);
+  assert.deepStrictEqual(data.collections.stories.a, { id: 'a', parentStoryId: null, epicId: 'e1' });
+  assert.deepStrictEqual(data.collections.stories.b, { id: 'b', parentStoryId: 'a', epicId: null });
+  assert.deepStrictEqual(data.collections.trash, {});
+  console.log('✓ migration detaches orphans left by earlier deletes');
+
+  await close();
+}
+
+runCheck(main, 'Trash');
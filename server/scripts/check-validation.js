@@ -0,0 +1,96 @@
+// server/scripts/check-validation.js
+// Request validation and the error envelope against an in-process server:
+// malformed bodies get a 400 naming the fields, server-owned fields are
+// stripped and every error carries a code and the request id.
+//
+// Usage: npm run check:validation
+const assert = require('assert');
+const { useCheckEnvironment, startServer, runCheck } = require('./harness');
+
+useCheckEnvironment();
+
+async function main() {
+  const api = await startServer();
+
+  let token = null;
+  const call = (path, options = {}) => api.call(path, { token, ...options });
+
+  const assertEnvelope = (response, status, code) => {
+    assert.strictEqual(response.status, status, JSON.stringify(response.body));
+    assert.deepStrictEqual(Object.keys(response.body).sort(), ['code', 'details', 'message', 'requestId']);
+    assert.strictEqual(response.body.code, code);
+    assert.strictEqual(response.body.requestId, response.headers.get('x-request-id'));
+  };
+
+  assertEnvelope(await call('/stories'), 401, 'session_required');
+  token = await api.register('checker', { name: 'Checker' });
+
+  const traced = await call('/nowhere', { headers: { 'X-Request-Id': 'trace-123' } });
+  assertEnvelope(traced, 404, 'route_not_found');
+  assert.strictEqual(traced.body.requestId, 'trace-123', 'incoming request ids are kept');
+  assertEnvelope(await call('/stories', { method: 'POST', body: '{"title":' }), 400, 'invalid_json');
+  console.log('✓ errors share one envelope with the request id');
+
+  const created = await call('/stories', {
+    method: 'POST',
+    headers: { 'X-Workspace-Id': 'default' },
+    body: { id: 'chosen-id', title: 'Validated', status: 'published', version: 7, user: { id: 'someone-else' } }
+  });
+  assert.strictEqual(created.status, 201);
+  assert.notStrictEqual(created.body.id, 'chosen-id');
+  assert.strictEqual(created.body.status, 'draft');
+  assert.strictEqual(created.body.version, 1);
+  assert.notStrictEqual(created.body.user?.id, 'someone-else');
+  console.log('✓ server-owned fields are stripped on create');
+
+  const invalid = await call(`/stories/${created.body.id}`, {
+    method: 'PUT',
+    body: { title: 42, priority: 'Urgent', version: 1 }
+  });
+  assertEnvelope(invalid, 400, 'validation_failed');
+  const fields = invalid.body.details.errors.map(error => error.field).sort();
+  assert.deepStrictEqual(fields, ['priority', 'title']);
+  assert.deepStrictEqual(invalid.body.details.errors.find(error => error.field === 'priority').allowed,
+    ['Low', 'Medium', 'High']);
+  assertEnvelope(await call(`/stories/${created.body.id}`, { method: 'PUT', body: { title: 'No version' } }),
+    428, 'version_required');
+  assertEnvelope(await call(`/stories/${created.body.id}`, { method: 'PUT', body: { title: 'Stale', version: 5 } }),
+    409, 'version_conflict');
+  console.log('✓ invalid updates name every rejected field');
+
+  const noSplits = await call('/stories/main-story/accept-splits', { method: 'POST' });
+  assertEnvelope(noSplits, 400, 'validation_failed');
+  assert.match(noSplits.body.details.errors[0].message, /needs one of: suggestionId, splits/);
+  assertEnvelope(await call('/stories/main-story/accept-splits', {
+    method: 'POST',
+    body: { splits: [{ description: 'No title' }] }
+  }), 400, 'validation_failed');
+  assertEnvelope(await call('/epics', { method: 'POST', body: { description: 'Untitled' } }),
+    400, 'validation_failed');
+  for (const body of [{ content: 'Untitled' }, { title: '' }]) {
+    const untitled = await call('/stories', { method: 'POST', headers: { 'X-Workspace-Id': 'default' }, body });
+    assertEnvelope(untitled, 400, 'validation_failed');
+    assert.deepStrictEqual(untitled.body.details.errors.map(error => error.field), ['title']);
+  }
+  const objectCriterion = await call('/stories', {
+    method: 'POST',
+    headers: { 'X-Workspace-Id': 'default' },
+    body: { title: 'Criteria', acceptanceCriteria: ['Given a card', {}] }
+  });
+  assertEnvelope(objectCriterion, 400, 'validation_failed');
+  assert.deepStrictEqual(objectCriterion.body.details.errors.map(error => error.field), ['acceptanceCriteria.1']);
+  console.log('✓ missing bodies, untitled stories and criteria that are not text are rejected before reaching the handlers');
+
+  assertEnvelope(await call('/agents/analyze', { method: 'POST', body: { context: {} } }), 400, 'validation_failed');
+  assertEnvelope(await call('/agents/analyze', { method: 'POST', body: { story: {} } }), 400, 'validation_failed');
+  assertEnvelope(await call('/agents/unknown', {
+    method: 'POST',
+    headers: { 'X-Workspace-Id': 'default' },
+    body: { story: { content: 'As a user...' } }
+  }), 404, 'unknown_agent');
+  console.log('✓ agent requests need a story with some text');
+
+  await api.close();
+}
+
+runCheck(main, 'Validation');
@@ -0,0 +1,119 @@
+// server/scripts/check-versions.js
+// Story version history against an in-process server with the file driver
+// in a temporary directory: every save stores a snapshot, the history of a
+// seeded story lists its current version without storing it, versions can
+// be read and compared field by field, and restoring saves an old snapshot
+// as a new version.
+//
+// Usage: npm run check:versions
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useCheckEnvironment, startServer, runCheck } = require('./harness');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'story-splitter-'));
+const filePath = path.join(directory, 'versions.json');
+
+useCheckEnvironment({ STORAGE_DRIVER: 'file', STORAGE_FILE: filePath });
+
+// Snapshot ids stored in the data file
+const storedSnapshots = () =>
+  Object.keys(JSON.parse(fs.readFileSync(filePath, 'utf8')).collections.storyVersions || {}).sort();
+
+async function main() {
+  const { call, register, close } = await startServer({ workspace: 'default' });
+  const token = await register('editor');
+  const get = (route) => call(route, { token });
+  const put = (story, changes) => call(`/stories/${story.id}`, { token, method: 'PUT', body: { ...changes, version: story.version } });
+
+  try {
+    const seeded = (await get('/stories/1')).body;
+    const before = storedSnapshots();
+    const listed = (await get('/stories/1/versions')).body;
+    assert.deepStrictEqual(listed.map(v => [v.version, v.reason, v.title]), [[1, 'baseline', seeded.title]]);
+    assert.strictEqual((await get('/stories/1/versions/1')).body.story.content, seeded.content);
+    const noPrevious = await get('/stories/1/versions/diff');
+    assert.deepStrictEqual([noPrevious.status, noPrevious.body.details], [404, { missing: [0] }]);
+    await get('/stories/1/versions');
+    assert.deepStrictEqual(storedSnapshots(), before, 'reading the history stores nothing');
+    assert.ok(!before.includes('1@1'));
+    console.log('✓ the history of a story saved before snapshots lists its current version without storing it');
+
+    const created = (await call('/stories', {
+      token,
+      method: 'POST',
+      body: { title: 'Pay', content: 'Pay with card', acceptanceCriteria: ['Card is charged'], priority: 'High' }
+    })).body;
+    const edited = (await put(created, {
+      title: 'Pay by card',
+      content: 'As a shopper I can pay by card',
+      acceptanceCriteria: ['Card is charged', 'Declined cards show an error']
+    })).body;
+    const reprioritized = (await put(edited, { priority: 'Low', acceptanceCriteria: ['Declined cards show an error'] })).body;
+    assert.strictEqual(reprioritized.version, 3);
+
+    const versions = (await get(`/stories/${created.id}/versions`)).body;
+    assert.deepStrictEqual(versions.map(v => [v.version, v.reason, v.title]),
+      [[1, 'create', 'Pay'], [2, 'update', 'Pay by card'], [3, 'update', 'Pay by card']]);
+    assert.ok(versions.every(v => v.author.username === 'editor' && v.createdAt));
+    assert.ok(versions.every(v => v.story === undefined), 'the list leaves out the snapshots');
+    const first = (await get(`/stories/${created.id}/versions/1`)).body;
+    assert.deepStrictEqual([first.story.title, first.story.content, first.story.editHistory], ['Pay', 'Pay with card', undefined]);
+    assert.strictEqual((await get(`/stories/${created.id}/versions/9`)).status, 404);
+    console.log('✓ every save stores a snapshot with its author, reason and the story as it was');
+
+    const diff = (await get(`/stories/${created.id}/versions/diff?from=1&to=2`)).body;
+    assert.deepStrictEqual(diff, {
+      storyId: created.id,
+      from: 1,
+      to: 2,
+      changes: [
+        { field: 'title', from: 'Pay', to: 'Pay by card' },
+        { field: 'content', from: 'Pay with card', to: 'As a shopper I can pay by card' },
+        {
+          field: 'acceptanceCriteria',
+          from: ['Card is charged'],
+          to: ['Card is charged', 'Declined cards show an error'],
+          added: ['Declined cards show an error'],
+          removed: []
+        }
+      ]
+    });
+    const latest = (await get(`/stories/${created.id}/versions/diff`)).body;
+    assert.deepStrictEqual([latest.from, latest.to], [2, 3], 'the diff defaults to the latest change');
+    assert.deepStrictEqual(latest.changes.map(change => change.field), ['acceptanceCriteria', 'priority']);
+    assert.deepStrictEqual(latest.changes[0].removed, ['Card is charged']);
+    const missing = await get(`/stories/${created.id}/versions/diff?from=1&to=7`);
+    assert.deepStrictEqual([missing.status, missing.body.details], [404, { missing: [7] }]);
+    for (const query of ['from=abc', 'to=0', 'from=-1', 'to=2.5', 'from=1e2']) {
+      const invalid = await get(`/stories/${created.id}/versions/diff?${query}`);
+      assert.deepStrictEqual([invalid.status, invalid.body.code], [400, 'validation_failed'], query);
+    }
+    console.log('✓ two versions are compared field by field, and bad version numbers are refused');
+
+    const restored = await call(`/stories/${created.id}/versions/1/restore`, { token, method: 'POST', body: { version: 3 } });
+    assert.strictEqual(restored.status, 200);
+    assert.deepStrictEqual(
+      [restored.body.version, restored.body.title, restored.body.content, restored.body.priority, restored.body.acceptanceCriteria],
+      [4, 'Pay', 'Pay with card', 'High', ['Card is charged']]
+    );
+    const history = (await get(`/stories/${created.id}/versions`)).body;
+    assert.deepStrictEqual(history.map(v => [v.version, v.reason, v.restoredFrom]),
+      [[1, 'create', null], [2, 'update', null], [3, 'update', null], [4, 'restore', 1]]);
+    assert.deepStrictEqual((await get(`/stories/${created.id}/versions/diff?from=1&to=4`)).body.changes, []);
+    console.log('✓ restoring saves the old snapshot as a new version and keeps the history');
+
+    const saved = await put(seeded, { title: 'User can sign in' });
+    assert.strictEqual(saved.status, 200);
+    assert.deepStrictEqual((await get('/stories/1/versions')).body.map(v => [v.version, v.reason]),
+      [[1, 'baseline'], [2, 'update']]);
+    assert.deepStrictEqual(storedSnapshots().filter(id => id.startsWith('1@')), ['1@1', '1@2']);
+    console.log('✓ the first save of a seeded story stores the version it replaced');
+  } finally {
+    await close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+runCheck(main, 'Version history');
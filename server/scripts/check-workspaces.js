@@ -0,0 +1,128 @@
+// server/scripts/check-workspaces.js
+// Workspace isolation and role enforcement against an in-process server:
+// who can read, edit, publish, run agents, manage members and subscribe
+// to which realtime channels.
+//
+// Usage: npm run check:workspaces
+const assert = require('assert');
+const { useCheckEnvironment, startServer, runCheck } = require('./harness');
+
+useCheckEnvironment();
+
+async function main() {
+  const api = await startServer();
+  const { call } = api;
+  const signUp = (username) => api.signUp(username, { name: username });
+
+  // The first account administers the default workspace; others start outside it
+  const admin = await signUp('admin');
+  const outsider = await signUp('outsider');
+  const [defaultWorkspace] = (await call('/workspaces', { token: admin.token })).body;
+  assert.strictEqual(defaultWorkspace.id, 'default');
+  assert.strictEqual(defaultWorkspace.role, 'admin');
+  assert.deepStrictEqual((await call('/workspaces', { token: outsider.token })).body, []);
+  assert.strictEqual((await call('/stories', { token: outsider.token })).body.length, 0);
+  assert.strictEqual((await call('/stories/main-story', { token: outsider.token })).status, 404,
+    'stories of other workspaces look missing');
+  console.log('✓ seeded backlog belongs to the default workspace');
+
+  const accounts = {};
+  for (const role of ['viewer', 'editor', 'product_owner']) {
+    accounts[role] = await signUp(role);
+    const added = await call('/workspaces/default/members', {
+      token: admin.token,
+      method: 'POST',
+      body: { username: role, role }
+    });
+    assert.strictEqual(added.status, 201);
+  }
+  const forbidden = await call('/workspaces/default/members', {
+    token: accounts.editor.token,
+    method: 'POST',
+    body: { username: 'outsider', role: 'admin' }
+  });
+  assert.strictEqual(forbidden.status, 403, 'only admins manage members');
+  console.log('✓ admins add members with roles');
+
+  const edit = async (account) => {
+    const story = (await call('/stories/main-story', { token: account.token })).body;
+    return call('/stories/main-story', {
+      token: account.token,
+      method: 'PUT',
+      body: { content: `${story.content} +`, version: story.version }
+    });
+  };
+  assert.strictEqual((await edit(accounts.viewer)).status, 403, 'viewers cannot edit');
+  assert.strictEqual((await edit(accounts.editor)).status, 200);
+  console.log('✓ viewers read, editors edit');
+
+  const publish = (account) => call('/stories/main-story/publish', { token: account.token, method: 'POST' });
+  assert.strictEqual((await publish(accounts.editor)).status, 403, 'editors cannot publish');
+  assert.strictEqual((await publish(accounts.product_owner)).status, 200);
+  console.log('✓ only product owners and admins publish');
+
+  const runAgent = (account, story, workspace) => call('/agents/analyze', {
+    token: account.token,
+    method: 'POST',
+    workspace,
+    body: { story }
+  });
+  const mainStory = (await call('/stories/main-story', { token: admin.token })).body;
+  assert.strictEqual((await runAgent(accounts.viewer, mainStory)).status, 403, 'viewers cannot run agents');
+  assert.strictEqual((await runAgent(outsider, mainStory)).status, 404);
+  assert.strictEqual((await runAgent(outsider, { title: 'Draft', content: 'As a user...' })).status, 400,
+    'drafts need a workspace');
+  assert.strictEqual((await runAgent(accounts.editor, mainStory)).status, 200);
+  console.log('✓ agents run for editors of the story\'s workspace');
+
+  // A second workspace stays invisible to the default workspace's members
+  const created = await call('/workspaces', { token: outsider.token, method: 'POST', body: { name: 'Team B' } });
+  assert.strictEqual(created.status, 201);
+  const teamB = created.body;
+  const teamStory = await call('/stories', {
+    token: outsider.token,
+    method: 'POST',
+    workspace: teamB.id,
+    body: { title: 'Team B story', epicId: 'epic1' }
+  });
+  assert.strictEqual(teamStory.status, 400, 'epics of another workspace cannot be referenced');
+
+  const epic = await call('/epics', { token: outsider.token, method: 'POST', workspace: teamB.id, body: { title: 'B epic' } });
+  assert.strictEqual(epic.body.workspaceId, teamB.id);
+  const adminEpics = (await call('/epics', { token: admin.token })).body;
+  assert.ok(!adminEpics.some(e => e.id === epic.body.id), 'epic lists are scoped to membership');
+  assert.strictEqual((await call(`/stories/${teamB.mainStoryId}`, { token: admin.token })).status, 404);
+  assert.strictEqual((await call(`/stories/${teamB.mainStoryId}`, { token: outsider.token })).status, 200);
+  assert.strictEqual((await call('/stories', { token: admin.token, workspace: teamB.id })).status, 404);
+  console.log('✓ workspaces are isolated from each other');
+
+  const channelAuth = (account, channel) => call('/pusher/auth', {
+    token: account.token,
+    method: 'POST',
+    body: { socket_id: '1.2', channel_name: channel }
+  });
+  assert.strictEqual((await channelAuth(admin, `presence-story-${teamB.mainStoryId}`)).status, 403);
+  assert.strictEqual((await channelAuth(outsider, `presence-story-${teamB.mainStoryId}`)).status, 200);
+  assert.strictEqual((await channelAuth(accounts.viewer, 'private-workspace-default')).status, 200);
+  assert.strictEqual((await channelAuth(outsider, 'private-workspace-default')).status, 403);
+  assert.strictEqual((await channelAuth(admin, 'private-anything-else')).status, 403);
+  console.log('✓ channel auth follows workspace membership');
+
+  const demoteLastAdmin = await call(`/workspaces/default/members/${admin.user.id}`, {
+    token: admin.token,
+    method: 'PUT',
+    body: { role: 'editor' }
+  });
+  assert.strictEqual(demoteLastAdmin.status, 409, 'a workspace keeps at least one admin');
+  const left = await call(`/workspaces/default/members/${accounts.viewer.user.id}`, {
+    token: accounts.viewer.token,
+    method: 'DELETE'
+  });
+  assert.strictEqual(left.status, 204);
+  assert.strictEqual((await call('/stories/main-story', { token: accounts.viewer.token })).status, 404);
+  console.log('✓ members leave and the last admin stays');
+
+  await api.close();
+}
+
+runCheck(main, 'Workspace');
@@ -0,0 +1,127 @@
+// server/scripts/harness.js
+// What the check scripts share: the environment for an in-process server,
+// starting it on a free port, a client for its API and throwaway accounts.
+//
+//   useCheckEnvironment();                  before anything loads ../index
+//   const api = await startServer();
+//   const token = await api.register('admin');
+//   const { status, body } = await api.call('/stories', { token });
+//   await api.close();
+//
+// runCheck(main, 'Split') ends the process with the outcome.
+
+// In-memory storage, the built-in realtime server and canned AI answers,
+// so a check needs no accounts or network
+const CHECK_ENVIRONMENT = {
+  STORAGE_DRIVER: 'memory',
+  REALTIME_DRIVER: 'ws',
+  USE_MOCK_AI: 'true'
+};
+
+// The server reads its settings when ../index is first required. New
+// accounts stay outside the default workspace unless a check says otherwise.
+function useCheckEnvironment(overrides = {}) {
+  delete process.env.DEFAULT_WORKSPACE_ROLE;
+  Object.assign(process.env, CHECK_ENVIRONMENT, overrides);
+}
+
+/**
+ * Client for `${base}/api`. Options of each call that are not undefined
+ * override `defaults`:
+ *
+ * token     - session token sent as a bearer token
+ * method    - GET unless given
+ * body      - sent as it is when a string, as JSON otherwise
+ * workspace - sent as X-Workspace-Id
+ * type      - Content-Type of the body (application/json)
+ * accept, ifMatch, headers - further request headers
+ * binary    - read the response into a Buffer
+ *
+ * Resolves with { status, headers, type, etag, fileName, body }. JSON bodies
+ * are parsed, other bodies are text and empty ones null. Redirects are
+ * returned rather than followed.
+ */
+function apiClient(base, defaults = {}) {
+  return async (path, options = {}) => {
+    const {
+      token, method = 'GET', body, workspace, type = 'application/json',
+      accept, ifMatch, headers = {}, binary = false
+    } = { ...defaults, ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined)) };
+
+    const response = await fetch(`${base}/api${path}`, {
+      method,
+      redirect: 'manual',
+      headers: {
+        'Content-Type': type,
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...(workspace && { 'X-Workspace-Id': workspace }),
+        ...(accept && { Accept: accept }),
+        ...(ifMatch && { 'If-Match': ifMatch }),
+        ...headers
+      },
+      ...(body !== undefined && { body: typeof body === 'string' ? body : JSON.stringify(body) })
+    });
+
+    const contentType = response.headers.get('Content-Type') || '';
+    const content = binary ? Buffer.from(await response.arrayBuffer()) : await response.text();
+    let parsed = content;
+    if (!binary) {
+      parsed = !content ? null : contentType.startsWith('application/json') ? JSON.parse(content) : content;
+    }
+    return {
+      status: response.status,
+      headers: response.headers,
+      type: contentType.split(';')[0],
+      etag: response.headers.get('ETag'),
+      fileName: (/filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '') || [])[1],
+      body: parsed
+    };
+  };
+}
+
+// Starts ../index on a free port, with the realtime backend attached as in
+// production. `defaults` apply to every call, e.g. { workspace: 'default' }.
+async function startServer(defaults = {}) {
+  const app = require('../index');
+  const server = app.listen(0);
+  app.realtime.attach(server);
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const call = apiClient(base, defaults);
+
+  // Signs up `username` with the password `<username>-password`; resolves
+  // with { token, expiresAt, user }
+  const signUp = async (username, profile = {}) => (await call('/auth/register', {
+    method: 'POST',
+    body: { username, password: `${username}-password`, ...profile }
+  })).body;
+
+  return {
+    app,
+    server,
+    base,
+    call,
+    signUp,
+    // The session token of a new account
+    register: async (username, profile) => (await signUp(username, profile)).token,
+    close: async () => {
+      await app.realtime.close();
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+// "<name> checks passed" and exit 0, or the error and exit 1
+function runCheck(main, name) {
+  main()
+    .then(() => {
+      console.log(`${name} checks passed`);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error(`${name} check failed:`, error);
+      process.exit(1);
+    });
+}
+
+module.exports = { useCheckEnvironment, apiClient, startServer, runCheck };
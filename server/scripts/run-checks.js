@@ -0,0 +1,37 @@
+// server/scripts/run-checks.js
+// Runs every `check:*` script of package.json one after another, each in its
+// own process since the checks load the server with different settings, and
+// fails when any of them does.
+//
+// Usage: npm test [-- <name>...]   e.g. npm test -- auth splits
+const { spawnSync } = require('child_process');
+const path = require('path');
+const { scripts } = require('../package.json');
+
+const only = process.argv.slice(2).map(name => name.replace(/^check:/, ''));
+const checks = Object.keys(scripts)
+  .filter(name => name.startsWith('check:'))
+  .filter(name => only.length === 0 || only.includes(name.slice('check:'.length)));
+
+if (checks.length === 0) {
+  console.error(`No checks named ${only.join(', ')}`);
+  process.exit(1);
+}
+
+const failed = [];
+for (const name of checks) {
+  console.log(`\n> npm run ${name}`);
+  const started = Date.now();
+  const { status } = spawnSync('npm', ['run', '--silent', name], {
+    cwd: path.join(__dirname, '..'),
+    stdio: 'inherit'
+  });
+  if (status !== 0) failed.push(name);
+  console.log(`${status === 0 ? '✓' : '✗'} ${name} (${((Date.now() - started) / 1000).toFixed(1)}s)`);
+}
+
+console.log(`\n${checks.length - failed.length} of ${checks.length} checks passed`);
+if (failed.length > 0) {
+  console.error(`Failed: ${failed.join(', ')}`);
+  process.exit(1);
+}
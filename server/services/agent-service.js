@@ -0,0 +1,423 @@
+// server/services/agent-service.js
+const { StoryAnalystAgent } = require('../agents/story-analyst');
+const { SplittingExpertAgent } = require('../agents/splitting-expert');
+const { CoachingAssistantAgent } = require('../agents/coaching-assistant');
+const { QualityReviewerAgent } = require('../agents/quality-reviewer');
+
+const INVEST_LABELS = {
+  independent: 'Independent',
+  negotiable: 'Negotiable',
+  valuable: 'Valuable',
+  estimable: 'Estimable',
+  small: 'Small',
+  testable: 'Testable'
+};
+
+class AgentService {
+  constructor(llmClient) {
+    this.analyst = new StoryAnalystAgent(llmClient);
+    this.splitter = new SplittingExpertAgent(llmClient);
+    this.coach = new CoachingAssistantAgent(llmClient);
+    this.reviewer = new QualityReviewerAgent(llmClient);
+
+    this.handlers = {
+      analyze: (input, hooks) => this.analyze(input, hooks),
+      split: (input, hooks) => this.split(input, hooks),
+      coach: (input, hooks) => this.coaching(input, hooks),
+      review: (input, hooks) => this.review(input, hooks)
+    };
+  }
+
+  has(agentType) {
+    return Object.prototype.hasOwnProperty.call(this.handlers, agentType);
+  }
+
+  // hooks are passed on to the agents: onText, onCriterion, onSplit, onTip,
+  // onDimension and signal (see stream())
+  run(agentType, input, hooks = {}) {
+    return this.handlers[agentType](input, hooks);
+  }
+
+  // The agents read the user story statement from `description`, while the
+  // editor and stored stories keep it in `content`. Fill in the fields the
+  // heuristics rely on so a partial story never crashes them.
+  normalizeInput(input = {}) {
+    const story = input.story || {};
+    const statement = story.content || story.description || '';
+
+    return {
+      ...input,
+      story: {
+        ...story,
+        title: story.title || statement.split('\n')[0] || 'Untitled Story',
+        description: statement,
+        acceptanceCriteria: Array.isArray(story.acceptanceCriteria) ? story.acceptanceCriteria : []
+      },
+      context: input.context || {}
+    };
+  }
+
+  // Stored stories keep the user story statement in `content` when it is
+  // set, otherwise in `description` (see normalizeInput).
+  statementField(story) {
+    return story.content ? 'content' : 'description';
+  }
+
+  currentSuggestionValue(story, field) {
+    return this.analyst.getCurrentValue(this.normalizeInput({ story }).story, field);
+  }
+
+  // Apply one analyst suggestion to a stored story and map the analyst's
+  // `description` field back onto the story's statement field.
+  applySuggestion(story, suggestion, overrideValue) {
+    const normalized = this.normalizeInput({ story }).story;
+    const updated = this.analyst.applySuggestionToStory(normalized, {
+      ...suggestion,
+      suggestedValue: overrideValue !== undefined ? overrideValue : suggestion.suggestedValue
+    });
+
+    return {
+      ...story,
+      title: updated.title,
+      [this.statementField(story)]: updated.description,
+      acceptanceCriteria: updated.acceptanceCriteria
+    };
+  }
+
+  async analyze(input, hooks = {}) {
+    const normalized = this.normalizeInput(input);
+    const analysis = input.analysisResult || await this.analyst.analyzeStory(normalized, hooks);
+
+    return {
+      agent: 'Story Analyst',
+      model: analysis.analysisMetadata.modelVersion,
+      tokensUsed: analysis.analysisMetadata.tokensUsed,
+      content: this.summarizeAnalysis(normalized.story, analysis),
+      metadata: {
+        suggestions: analysis.improvementSuggestions.map(s => `${s.reasoning}: ${s.suggestedValue}`),
+        criteria: this.toCriteriaMap(analysis.investScore),
+        score: analysis.overallScore,
+        analysis
+      }
+    };
+  }
+
+  // The analyst's INVEST verdicts on their own, for exports and reports
+  async scorecard(story) {
+    const analysis = await this.analyst.analyzeStory(this.normalizeInput({ story }));
+    return {
+      overallScore: analysis.overallScore,
+      readinessLevel: analysis.readinessLevel,
+      criteria: Object.entries(analysis.investScore).map(([criterion, result]) => ({
+        criterion: INVEST_LABELS[criterion] || criterion,
+        passed: !!result.score,
+        reasoning: result.reasoning || ''
+      }))
+    };
+  }
+
+  async split(input, hooks = {}) {
+    const normalized = this.normalizeInput(input);
+    const analysisResult = input.analysisResult || await this.analyst.analyzeStory(normalized, hooks);
+    const splitResult = await this.splitter.generateSplitSuggestions({ ...normalized, analysisResult }, hooks);
+
+    const primary = splitResult.suggestions.find(
+      s => s.id === splitResult.recommendedApproach.primarySuggestion
+    );
+
+    return {
+      agent: 'Splitting Expert',
+      model: 'splitting-expert-v1',
+      tokensUsed: 0,
+      content: this.summarizeSplits(splitResult, primary),
+      metadata: {
+        splits: primary ? primary.suggestedSplits : [],
+        analysis: analysisResult,
+        splitResult
+      }
+    };
+  }
+
+  async coaching(input, hooks = {}) {
+    const normalized = this.normalizeInput(input);
+    const analysisResult = input.analysisResult || await this.analyst.analyzeStory(normalized, hooks);
+    const coaching = await this.coach.generateCoaching({ ...normalized, analysisResult }, hooks);
+
+    return {
+      agent: 'Coaching Assistant',
+      model: coaching.metadata.modelVersion,
+      tokensUsed: 0,
+      content: coaching.overallGuidance,
+      metadata: {
+        tips: coaching.tips.map(tip => `${tip.title}: ${tip.practice}`),
+        analysis: analysisResult,
+        coaching
+      }
+    };
+  }
+
+  async review(input, hooks = {}) {
+    const normalized = this.normalizeInput(input);
+    const relatedStories = (normalized.context.relatedStories || []).map(
+      related => this.normalizeInput({ story: related }).story
+    );
+    const analysisResult = input.analysisResult || await this.analyst.analyzeStory(normalized, hooks);
+    const review = await this.reviewer.reviewStory({
+      ...normalized,
+      context: { ...normalized.context, relatedStories },
+      analysisResult
+    }, hooks);
+
+    return {
+      agent: 'Quality Reviewer',
+      model: review.metadata.modelVersion,
+      tokensUsed: 0,
+      content: this.summarizeReview(review),
+      metadata: {
+        criteria: this.toCriteriaMap(analysisResult.investScore),
+        score: review.scorecard.overallScore,
+        suggestions: review.recommendations,
+        analysis: analysisResult,
+        review
+      }
+    };
+  }
+
+  // Streaming variant of run(). emit(event, data) receives each part as
+  // the agents produce it:
+  //   start     - { agentType, agent }
+  //   text      - { text } a piece of the provider's answer as it arrives
+  //   criterion - one INVEST criterion result as soon as it is scored
+  //   split     - one splitting approach (split agent)
+  //   tip       - one coaching tip, highest priority first (coach agent)
+  //   dimension - one scorecard dimension (review agent)
+  //   result    - the full response envelope (same shape as run())
+  // signal aborts the work, e.g. when the client disconnects; the returned
+  // promise then rejects with an AbortError.
+  async stream(agentType, input, emit, { signal } = {}) {
+    const agentNames = {
+      analyze: 'Story Analyst',
+      split: 'Splitting Expert',
+      coach: 'Coaching Assistant',
+      review: 'Quality Reviewer'
+    };
+
+    emit('start', { agentType, agent: agentNames[agentType] });
+
+    const result = await this.run(agentType, input, {
+      signal,
+      onText: (text) => emit('text', { text }),
+      onCriterion: (criterion, outcome) => emit('criterion', {
+        criterion,
+        label: INVEST_LABELS[criterion] || criterion,
+        passed: !!outcome.score,
+        confidence: outcome.confidence,
+        reasoning: outcome.reasoning,
+        severity: outcome.severity
+      }),
+      onSplit: (suggestion) => emit('split', {
+        id: suggestion.id,
+        pattern: suggestion.pattern.name,
+        reasoning: suggestion.reasoning,
+        confidence: suggestion.confidence,
+        splits: suggestion.suggestedSplits
+      }),
+      onTip: (tip) => emit('tip', {
+        id: tip.id,
+        title: tip.title,
+        practice: tip.practice,
+        severity: tip.severity,
+        priority: tip.priority
+      }),
+      onDimension: (dimension) => emit('dimension', dimension)
+    });
+    signal?.throwIfAborted();
+
+    const response = formatAgentResponse(result);
+    emit('result', response);
+    return response;
+  }
+
+  // Run the analyst, then chain the other agents according to its
+  // shouldTriggerOtherAgents map. Downstream agents reuse the analysis so
+  // the story is only analyzed once.
+  async runPipeline(input) {
+    const startedAt = new Date();
+    const steps = [];
+
+    const analyzeStep = await this.runStep('analyze', 'Story Analyst', () => this.analyze(input), 'Analyst always runs first');
+    steps.push(analyzeStep);
+
+    if (analyzeStep.status !== 'completed') {
+      return this.buildPipelineReport(startedAt, steps, null);
+    }
+
+    const analysisResult = analyzeStep.result.metadata.analysis;
+    const downstreamInput = { ...input, analysisResult };
+    const plan = this.planPipeline(analysisResult);
+
+    const downstream = await Promise.all([
+      { agentType: 'split', agent: 'Splitting Expert', run: () => this.split(downstreamInput) },
+      { agentType: 'coach', agent: 'Coaching Assistant', run: () => this.coaching(downstreamInput) },
+      { agentType: 'review', agent: 'Quality Reviewer', run: () => this.review(downstreamInput) }
+    ].map(({ agentType, agent, run }) => plan[agentType].run
+      ? this.runStep(agentType, agent, run, plan[agentType].reason)
+      : Promise.resolve({
+        agentType,
+        agent,
+        status: 'skipped',
+        reason: plan[agentType].reason,
+        durationMs: 0
+      })
+    ));
+
+    steps.push(...downstream);
+    return this.buildPipelineReport(startedAt, steps, analysisResult);
+  }
+
+  planPipeline(analysisResult) {
+    const triggers = analysisResult.shouldTriggerOtherAgents || {};
+    const size = analysisResult.sizeAssessment.estimatedSize;
+    const tooLarge = !analysisResult.investScore.small?.score;
+
+    return {
+      split: triggers.splitter || tooLarge
+        ? { run: true, reason: triggers.splitter ? `Estimated size ${size} is too large` : 'Story failed the Small criterion' }
+        : { run: false, reason: `Estimated size ${size} does not need splitting` },
+      coach: triggers.coach
+        ? { run: true, reason: `Overall score ${analysisResult.overallScore}% is below 60%` }
+        : { run: false, reason: `Overall score ${analysisResult.overallScore}% does not need coaching` },
+      review: triggers.reviewer
+        ? { run: true, reason: 'Quality review runs for every analyzed story' }
+        : { run: false, reason: 'Analyst did not request a review' }
+    };
+  }
+
+  async runStep(agentType, agent, run, reason = null) {
+    const started = Date.now();
+
+    try {
+      const result = await run();
+      return {
+        agentType,
+        agent,
+        status: 'completed',
+        reason,
+        durationMs: Date.now() - started,
+        result
+      };
+    } catch (error) {
+      console.error(`Pipeline step ${agentType} failed:`, error);
+      return {
+        agentType,
+        agent,
+        status: 'failed',
+        reason,
+        durationMs: Date.now() - started,
+        error: error.message
+      };
+    }
+  }
+
+  buildPipelineReport(startedAt, steps, analysisResult) {
+    const completedAt = new Date();
+    const stepFor = (agentType) => steps.find(step => step.agentType === agentType);
+    const splitStep = stepFor('split');
+    const reviewStep = stepFor('review');
+
+    return {
+      id: `pipeline-${Date.now()}`,
+      startedAt,
+      completedAt,
+      totalDurationMs: completedAt - startedAt,
+      steps: steps.map(({ result, ...step }) => ({
+        ...step,
+        response: result ? formatAgentResponse(result) : null
+      })),
+      summary: analysisResult ? {
+        overallScore: analysisResult.overallScore,
+        readinessLevel: analysisResult.readinessLevel,
+        estimatedSize: analysisResult.sizeAssessment.estimatedSize,
+        qualityIssues: analysisResult.qualityIssues.length,
+        splitRecommended: splitStep?.status === 'completed' &&
+          splitStep.result.metadata.splitResult.suggestions.length > 0,
+        reviewVerdict: reviewStep?.status === 'completed'
+          ? reviewStep.result.metadata.review.verdict
+          : null
+      } : null
+    };
+  }
+
+  toCriteriaMap(investScore) {
+    return Object.entries(investScore).reduce((acc, [criterion, result]) => {
+      acc[INVEST_LABELS[criterion] || criterion] = !!result.score;
+      return acc;
+    }, {});
+  }
+
+  summarizeAnalysis(story, analysis) {
+    const issueCount = analysis.qualityIssues.length;
+    return `Analysis complete for "${story.title}". INVEST score ${analysis.overallScore}% ` +
+      `(${analysis.readinessLevel}), estimated size ${analysis.sizeAssessment.estimatedSize}. ` +
+      (issueCount > 0
+        ? `Found ${issueCount} quality issue${issueCount === 1 ? '' : 's'}: ${analysis.qualityIssues.map(i => i.issue.toLowerCase()).join(', ')}.`
+        : 'No quality issues found.');
+  }
+
+  summarizeReview(review) {
+    const { scorecard, siblingComparison } = review;
+    const verdicts = {
+      approved: 'ready for planning',
+      'needs-revision': 'needs revision before planning',
+      rejected: 'not ready - significant rework needed'
+    };
+
+    return `Quality review: grade ${scorecard.grade} (${scorecard.overallScore}%), ${verdicts[review.verdict]}. ` +
+      (siblingComparison.siblingCount > 0
+        ? `Compared against ${siblingComparison.siblingCount} sibling stor${siblingComparison.siblingCount === 1 ? 'y' : 'ies'} ` +
+          `with ${siblingComparison.deviations.length} deviation${siblingComparison.deviations.length === 1 ? '' : 's'}.`
+        : 'No sibling stories were available for comparison.');
+  }
+
+  summarizeSplits(splitResult, primary) {
+    if (!primary) {
+      return splitResult.recommendedApproach.reasoning;
+    }
+
+    const approaches = splitResult.suggestions.length;
+    return `Found ${approaches} splitting approach${approaches === 1 ? '' : 'es'} ` +
+      `(${splitResult.metadata.patternsConsidered.join(', ')}). ` +
+      `Recommended: ${primary.pattern.name} into ${primary.suggestedSplits.length} stories. ${primary.reasoning}.`;
+  }
+}
+
+// Wrap an agent result in the chat-completion style envelope the client
+// already understands (choices[0].message.content + metadata).
+function formatAgentResponse(result) {
+  return {
+    id: `msg-${Date.now()}`,
+    object: 'analysis',
+    created: Math.floor(Date.now() / 1000),
+    model: result.model,
+    choices: [{
+      index: 0,
+      message: {
+        role: 'assistant',
+        content: result.content,
+        function_call: null
+      },
+      finish_reason: 'stop'
+    }],
+    usage: {
+      prompt_tokens: 0,
+      completion_tokens: result.tokensUsed,
+      total_tokens: result.tokensUsed
+    },
+    metadata: {
+      agent: result.agent,
+      ...result.metadata
+    }
+  };
+}
+
+module.exports = { AgentService, formatAgentResponse };
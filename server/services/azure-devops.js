@@ -0,0 +1,89 @@
+// server/services/azure-devops.js
+// Azure Boards work items (Agile process) as JSON Patch documents: epics
+// become Epics, top-level stories User Stories and split children Tasks,
+// each with a parent link. Work items refer to each other by temporary
+// negative ids, so the whole backlog can go in one $batch request.
+const { walkTree, criteriaOf, sourceTag } = require('./backlog-tree');
+
+const BATCH_API_VERSION = '5.0';
+const PARENT_LINK = 'System.LinkTypes.Hierarchy-Reverse';
+const PRIORITIES = { High: 1, Medium: 2, Low: 3 };
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+const listOf = (items) => `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+
+// Descriptions are HTML. Tasks have no acceptance criteria field, so theirs
+// go into the description.
+function descriptionOf(record, { withCriteria }) {
+  const criteria = criteriaOf(record);
+  return [
+    record.content && `<p>${escapeHtml(record.content)}</p>`,
+    record.description && record.description !== record.content && `<p>${escapeHtml(record.description)}</p>`,
+    withCriteria && criteria.length > 0 && `<h3>Acceptance Criteria</h3>${listOf(criteria)}`
+  ].filter(Boolean).join('');
+}
+
+/**
+ * organizationUrl - e.g. https://dev.azure.com/contoso; parent links point
+ *                   at work items below it
+ * project         - team project the items are created in
+ * areaPath, iterationPath - optional classification for every item
+ *
+ * Returns { organizationUrl, project, workItems: [{ ref, id, type, document }] }
+ * with parents before their children. `ref` is the record id and `id` the
+ * temporary id the document assigns.
+ */
+function toAzureDevOps(tree, { organizationUrl, project, areaPath = null, iterationPath = null }) {
+  const workItems = [];
+  const ids = new Map();
+
+  const add = (record, type, parentRef) => {
+    const id = -(workItems.length + 1);
+    ids.set(record.id, id);
+
+    const field = (name, value) => ({ op: 'add', path: `/fields/${name}`, value });
+    const document = [
+      { op: 'add', path: '/id', value: id },
+      field('System.Title', record.title || ''),
+      field('System.Description', descriptionOf(record, { withCriteria: type === 'Task' })),
+      field('System.Tags', sourceTag(record))
+    ];
+    if (areaPath) document.push(field('System.AreaPath', areaPath));
+    if (iterationPath) document.push(field('System.IterationPath', iterationPath));
+    if (type !== 'Epic' && PRIORITIES[record.priority]) {
+      document.push(field('Microsoft.VSTS.Common.Priority', PRIORITIES[record.priority]));
+    }
+    if (type === 'User Story') {
+      if (record.storyPoints) document.push(field('Microsoft.VSTS.Scheduling.StoryPoints', record.storyPoints));
+      const criteria = criteriaOf(record);
+      if (criteria.length > 0) document.push(field('Microsoft.VSTS.Common.AcceptanceCriteria', listOf(criteria)));
+    }
+    if (parentRef) {
+      document.push({
+        op: 'add',
+        path: '/relations/-',
+        value: { rel: PARENT_LINK, url: `${organizationUrl}/_apis/wit/workItems/${ids.get(parentRef)}` }
+      });
+    }
+
+    workItems.push({ ref: record.id, id, type, document });
+  };
+
+  tree.epics.forEach(({ epic }) => add(epic, 'Epic', null));
+  walkTree(tree, ({ story }, { parent, epic }) => {
+    if (parent) add(story, 'Task', parent.id);
+    else add(story, 'User Story', epic?.id || null);
+  });
+
+  return { organizationUrl, project, workItems };
+}
+
+// Body for POST {organizationUrl}/_apis/wit/$batch
+const azureBatch = ({ project, workItems }) => workItems.map(({ type, document }) => ({
+  method: 'PATCH',
+  uri: `/${encodeURIComponent(project)}/_apis/wit/workitems/$${encodeURIComponent(type)}?api-version=${BATCH_API_VERSION}`,
+  headers: { 'Content-Type': 'application/json-patch+json' },
+  body: document
+}));
+
+module.exports = { toAzureDevOps, azureBatch, BATCH_API_VERSION };
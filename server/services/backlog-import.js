@@ -0,0 +1,197 @@
+// server/services/backlog-import.js
+// Rough stories from stakeholders: a spreadsheet saved as CSV, or plain text
+// with one story per line. Rows become draft stories and epics are matched
+// by title or created. A row that cannot be imported is reported with the
+// reason; the rest of the batch goes ahead.
+const { randomUUID } = require('crypto');
+const { parseCsv, CsvError } = require('../utils/csv');
+
+const BACKLOG_FORMATS = ['csv', 'text'];
+const BACKLOG_FIELDS = ['title', 'description', 'priority', 'epic'];
+const MAX_BACKLOG_ROWS = 500;
+// Every story is analysed while the request waits; larger batches stream
+const MAX_UNSTREAMED_ROWS = 50;
+
+// Header names each field is read from when no column is named for it
+const COLUMN_ALIASES = {
+  title: ['title', 'summary', 'story', 'user story', 'name'],
+  description: ['description', 'details', 'statement', 'notes'],
+  priority: ['priority', 'importance'],
+  epic: ['epic', 'epic name', 'epic title', 'feature', 'theme']
+};
+
+const PRIORITIES = {
+  low: 'Low', lowest: 'Low', minor: 'Low', trivial: 'Low', p3: 'Low', p4: 'Low',
+  medium: 'Medium', normal: 'Medium', p2: 'Medium',
+  high: 'High', highest: 'High', major: 'High', critical: 'High', urgent: 'High', blocker: 'High', p0: 'High', p1: 'High'
+};
+
+const TITLE_LENGTH = 300;
+const SHORT_TITLE_LENGTH = 120;
+const CONTENT_LENGTH = 20000;
+
+// List markers and checkboxes in front of a line of plain text
+const BULLET = /^\s*(?:(?:[-*•]|\d+[.)]|\[[ xX]?\])\s+)+/;
+
+class BacklogImportError extends Error {
+  constructor(message, status = 400, { code, details } = {}) {
+    super(message);
+    this.name = 'BacklogImportError';
+    this.status = status;
+    this.code = code;
+    this.details = details || null;
+  }
+}
+
+const normalize = (text) => (text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+function csvRows(text, columns) {
+  let rows;
+  try {
+    rows = parseCsv(text);
+  } catch (error) {
+    if (!(error instanceof CsvError)) throw error;
+    throw new BacklogImportError(error.message, 400, { code: 'invalid_csv', details: { line: error.line } });
+  }
+
+  const [header = [], ...records] = rows;
+  const normalized = header.map(normalize);
+  const indexOf = Object.fromEntries(BACKLOG_FIELDS.map(field => {
+    if (columns[field]) {
+      const index = normalized.indexOf(normalize(columns[field]));
+      if (index === -1) {
+        throw new BacklogImportError(`The file has no "${columns[field]}" column for ${field}`, 400, {
+          code: 'unknown_column',
+          details: { field, columns: header }
+        });
+      }
+      return [field, index];
+    }
+    return [field, COLUMN_ALIASES[field].map(alias => normalized.indexOf(alias)).find(index => index !== -1) ?? -1];
+  }));
+  if (indexOf.title === -1) {
+    throw new BacklogImportError('The file has no title column; name one with columns[title]', 400, {
+      code: 'unrecognized_columns',
+      details: { columns: header, aliases: COLUMN_ALIASES.title }
+    });
+  }
+
+  return records.map((cells, index) => ({
+    row: index + 2,
+    ...Object.fromEntries(BACKLOG_FIELDS.map(field => [field, indexOf[field] === -1 ? '' : (cells[indexOf[field]] || '').trim()]))
+  }));
+}
+
+function textRows(text) {
+  return text.replace(/^\uFEFF/, '').split(/\r?\n/)
+    .map((line, index) => ({ row: index + 1, title: line.replace(BULLET, '').trim(), description: '', priority: '', epic: '' }))
+    .filter(row => row.title);
+}
+
+/**
+ * The rows of a CSV file (header first; row numbers count it as row 1) or
+ * of plain text (row numbers are line numbers).
+ * columns - { title, description, priority, epic } header names that
+ *           override the aliases
+ */
+function readBacklog(text, { format = 'csv', columns = {} } = {}) {
+  const rows = format === 'text' ? textRows(text) : csvRows(text, columns);
+  if (rows.length === 0) {
+    throw new BacklogImportError('The file has no stories', 400, { code: 'empty_backlog' });
+  }
+  if (rows.length > MAX_BACKLOG_ROWS) {
+    throw new BacklogImportError(`The file has ${rows.length} stories; import at most ${MAX_BACKLOG_ROWS} at a time`, 413, {
+      code: 'too_many_rows',
+      details: { rows: rows.length, limit: MAX_BACKLOG_ROWS }
+    });
+  }
+  return rows;
+}
+
+// Long titles are usually the whole statement: keep it as the content
+function shorten(title) {
+  if (title.length <= TITLE_LENGTH) return title;
+  const cut = title.slice(0, SHORT_TITLE_LENGTH);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : SHORT_TITLE_LENGTH).trim()}…`;
+}
+
+/**
+ * rows   - from readBacklog()
+ * epics  - the workspace's epics; unknown epic names become new epics
+ *
+ * Returns { rows, epics, stories }: a report entry per row and the records
+ * to save, each story with the row it came from.
+ */
+function planBacklogImport(rows, { epics, workspaceId }) {
+  const now = new Date();
+  const epicIds = new Map(epics.map(epic => [normalize(epic.title), epic.id]));
+  const planned = { epics: [], stories: [] };
+
+  const epicFor = (name, report) => {
+    if (!name) return null;
+    const key = normalize(name);
+    if (!epicIds.has(key)) {
+      const epic = {
+        id: `epic-${randomUUID()}`,
+        workspaceId,
+        title: name.slice(0, TITLE_LENGTH),
+        description: '',
+        order: epics.length + planned.epics.length + 1,
+        createdAt: now,
+        lastModified: now,
+        version: 1
+      };
+      planned.epics.push(epic);
+      epicIds.set(key, epic.id);
+      report.warnings.push(`Epic "${epic.title}" is new and was created`);
+    }
+    return epicIds.get(key);
+  };
+
+  const report = rows.map(({ row, title, description, priority, epic }) => {
+    const entry = { row, title: shorten(title), action: 'create', recordId: null, epicId: null, warnings: [] };
+    if (!title) {
+      return { ...entry, action: 'error', message: 'The row has no title' };
+    }
+    const content = [title.length > TITLE_LENGTH && title, description].filter(Boolean).join('\n\n') || title;
+    if (content.length > CONTENT_LENGTH) {
+      return { ...entry, action: 'error', message: `The description is longer than ${CONTENT_LENGTH} characters` };
+    }
+    if (title.length > TITLE_LENGTH) entry.warnings.push('The title was shortened; the full text is the story statement');
+
+    const mapped = priority ? PRIORITIES[normalize(priority)] : 'Medium';
+    if (!mapped) entry.warnings.push(`Priority "${priority}" is not Low, Medium or High; Medium was used`);
+    entry.epicId = epicFor(epic, entry);
+
+    const story = {
+      id: `story-${randomUUID()}`,
+      workspaceId,
+      title: entry.title,
+      content,
+      parentStoryId: null,
+      epicId: entry.epicId,
+      priority: mapped || 'Medium',
+      storyPoints: 0,
+      acceptanceCriteria: [],
+      status: 'draft',
+      createdAt: now,
+      lastModified: now,
+      version: 1
+    };
+    entry.recordId = story.id;
+    planned.stories.push({ row, record: story });
+    return entry;
+  });
+
+  return { rows: report, ...planned };
+}
+
+module.exports = {
+  readBacklog,
+  planBacklogImport,
+  BacklogImportError,
+  BACKLOG_FORMATS,
+  BACKLOG_FIELDS,
+  MAX_BACKLOG_ROWS,
+  MAX_UNSTREAMED_ROWS
+};
@@ -0,0 +1,65 @@
+// server/services/backlog-tree.js
+// The epic -> story -> split child hierarchy the exporters walk. Stories
+// hang below their parent when it is part of the export, otherwise below
+// their epic, otherwise under `unassigned`.
+
+const byOrder = (a, b) => (a.order ?? Infinity) - (b.order ?? Infinity);
+
+// Exported issues are tagged with the record they came from, so importing
+// them back finds that record
+const SOURCE_TAG_PREFIX = 'story-splitter:';
+const sourceTag = (record) => `${SOURCE_TAG_PREFIX}${record.id}`;
+
+// Stored criteria are strings; agents also produce { text, ... }
+const criteriaOf = (record) => (record.acceptanceCriteria || [])
+  .map(criterion => (typeof criterion === 'string' ? criterion : criterion?.text || '').trim())
+  .filter(Boolean);
+
+/**
+ * epics, stories - records of one workspace; archived stories are left out
+ * epicId         - export only this epic (and no unassigned stories)
+ *
+ * Returns { epics: [{ epic, stories: [node] }], unassigned: [node] } where
+ * node is { story, children: [node] }.
+ */
+function backlogTree({ epics, stories }, { epicId = null } = {}) {
+  const live = stories.filter(story => story.status !== 'archived');
+  const ids = new Set(live.map(story => story.id));
+  const nodeOf = (story) => ({
+    story,
+    children: live.filter(child => child.parentStoryId === story.id).map(nodeOf)
+  });
+  const roots = live.filter(story => !story.parentStoryId || !ids.has(story.parentStoryId));
+
+  const branches = [...epics]
+    .filter(epic => !epicId || epic.id === epicId)
+    .sort(byOrder)
+    .map(epic => ({
+      epic,
+      stories: roots.filter(story => story.epicId === epic.id).map(nodeOf)
+    }));
+  const exportedEpics = new Set(branches.map(branch => branch.epic.id));
+
+  return {
+    epics: branches,
+    unassigned: epicId ? [] : roots.filter(story => !exportedEpics.has(story.epicId)).map(nodeOf)
+  };
+}
+
+// Depth-first over every story node: visit(node, { parent, root, epic, depth })
+function walkTree(tree, visit) {
+  const walk = (node, context) => {
+    visit(node, context);
+    node.children.forEach(child => walk(child, {
+      ...context,
+      parent: node.story,
+      root: context.root || node.story,
+      depth: context.depth + 1
+    }));
+  };
+  tree.epics.forEach(({ epic, stories }) =>
+    stories.forEach(node => walk(node, { parent: null, root: null, epic, depth: 0 })));
+  tree.unassigned.forEach(node => walk(node, { parent: null, root: null, epic: null, depth: 0 }));
+}
+
+module.exports = { backlogTree, walkTree, criteriaOf, sourceTag, SOURCE_TAG_PREFIX };
@@ -0,0 +1,169 @@
+// server/services/collab-service.js
+// Character-level collaborative editing backed by Yjs. The server keeps the
+// authoritative document for each story, relays updates to other editors
+// over Pusher and projects the merged text back onto the stored story.
+const Y = require('yjs');
+
+const CONTENT = 'content';
+const CRITERIA = 'acceptanceCriteria';
+
+// Pusher rejects messages over 10KB; larger updates (pastes) are announced
+// instead and clients pull them with their state vector.
+const MAX_RELAY_LENGTH = 8000;
+
+const toBase64 = (update) => Buffer.from(update).toString('base64');
+const fromBase64 = (encoded) => new Uint8Array(Buffer.from(encoded, 'base64'));
+
+// Build a document from a story's current text. Only the server seeds
+// documents, so every client starts from the same item ids.
+function seedDoc(story) {
+  const doc = new Y.Doc();
+  doc.transact(() => {
+    doc.getText(CONTENT).insert(0, story.content ?? story.description ?? '');
+    doc.getArray(CRITERIA).insert(0, (story.acceptanceCriteria || []).map(criterion => {
+      const text = new Y.Text();
+      text.insert(0, typeof criterion === 'string' ? criterion : JSON.stringify(criterion));
+      return text;
+    }));
+  });
+  return doc;
+}
+
+function readDoc(doc) {
+  return {
+    content: doc.getText(CONTENT).toString(),
+    acceptanceCriteria: doc.getArray(CRITERIA).toArray()
+      .map(text => text.toString())
+      .filter(criterion => criterion.trim().length > 0)
+  };
+}
+
+class CollaborationService {
+  /**
+   * collection - repository collection holding encoded document state
+   * onChange(storyId, { content, acceptanceCriteria }, { user, contributors })
+   *   - called with the merged text once edits settle; user typed last and
+   *   contributors lists everyone who edited since the previous flush
+   * broadcast(storyId, event, data) - relays updates to other editors
+   */
+  constructor({ collection, onChange, broadcast, flushDelay = 1000 }) {
+    this.collection = collection;
+    this.onChange = onChange;
+    this.broadcast = broadcast;
+    this.flushDelay = flushDelay;
+    // Documents are only kept in memory while edits wait to be flushed
+    this.docs = new Map();
+    this.pending = new Map();
+    this.contributors = new Map();
+  }
+
+  getDoc(story) {
+    if (this.docs.has(story.id)) return this.docs.get(story.id);
+
+    const stored = this.collection.get(story.id);
+    let doc;
+    if (stored) {
+      doc = new Y.Doc();
+      Y.applyUpdate(doc, fromBase64(stored.state));
+    } else {
+      doc = seedDoc(story);
+      this.persist(story.id, doc);
+    }
+
+    this.docs.set(story.id, doc);
+    return doc;
+  }
+
+  // Everything the client is missing given its state vector (or the whole
+  // document when it has none yet).
+  getState(story, stateVector) {
+    const doc = this.getDoc(story);
+    const state = {
+      storyId: story.id,
+      update: toBase64(Y.encodeStateAsUpdate(doc, stateVector ? fromBase64(stateVector) : undefined)),
+      stateVector: toBase64(Y.encodeStateVector(doc)),
+      ...readDoc(doc)
+    };
+    this.release(story.id);
+    return state;
+  }
+
+  applyUpdate(story, update, { clientId, user } = {}) {
+    const doc = this.getDoc(story);
+    Y.applyUpdate(doc, fromBase64(update), clientId);
+
+    if (update.length > MAX_RELAY_LENGTH) {
+      this.broadcast(story.id, 'collab-sync', { storyId: story.id, clientId, user });
+    } else {
+      this.broadcast(story.id, 'collab-update', { storyId: story.id, update, clientId, user });
+    }
+    this.scheduleFlush(story.id, user);
+
+    return readDoc(doc);
+  }
+
+  // Cursors are not part of the document; they are only relayed
+  relayCursor(storyId, cursor) {
+    this.broadcast(storyId, 'collab-cursor', { storyId, ...cursor, timestamp: Date.now() });
+  }
+
+  // Text was replaced outside the editor (restore, applied suggestion,
+  // unsplit...). Drop the document so the next editor session reseeds.
+  reset(storyId) {
+    const doc = this.docs.get(storyId);
+    if (doc) doc.destroy();
+    this.docs.delete(storyId);
+    this.collection.delete(storyId);
+    clearTimeout(this.pending.get(storyId));
+    this.pending.delete(storyId);
+    this.contributors.delete(storyId);
+    this.broadcast(storyId, 'collab-reset', { storyId });
+  }
+
+  // Unload a document nobody is typing into; the next request reads the
+  // stored state again
+  release(storyId) {
+    if (this.pending.has(storyId)) return;
+    const doc = this.docs.get(storyId);
+    if (doc) doc.destroy();
+    this.docs.delete(storyId);
+  }
+
+  persist(storyId, doc) {
+    this.collection.save({
+      id: storyId,
+      storyId,
+      state: toBase64(Y.encodeStateAsUpdate(doc)),
+      updatedAt: new Date()
+    });
+  }
+
+  // Typing produces an update per keystroke; only store the document and
+  // save a story version once it has been quiet for flushDelay. Until then
+  // the document lives in memory, and everyone who typed is remembered.
+  scheduleFlush(storyId, user) {
+    if (user) {
+      if (!this.contributors.has(storyId)) this.contributors.set(storyId, new Map());
+      this.contributors.get(storyId).set(user.id, user);
+    }
+
+    clearTimeout(this.pending.get(storyId));
+    this.pending.set(storyId, setTimeout(() => {
+      this.pending.delete(storyId);
+      const contributors = [...(this.contributors.get(storyId)?.values() || [])];
+      this.contributors.delete(storyId);
+      const doc = this.docs.get(storyId);
+      if (!doc) return;
+      this.persist(storyId, doc);
+      const text = readDoc(doc);
+      this.release(storyId);
+      this.onChange(storyId, text, { user, contributors });
+    }, this.flushDelay));
+  }
+}
+
+module.exports = {
+  CollaborationService,
+  seedDoc,
+  readDoc
+};
@@ -0,0 +1,99 @@
+// server/services/concurrency.js
+// Optimistic concurrency helpers for version-checked updates. Clients send
+// the version they edited either as `version` in the body or as an
+// If-Match header carrying the ETag from a previous response.
+const { sendError } = require('../http/errors');
+
+// Bookkeeping fields that change on every save and never conflict
+const IGNORED_FIELDS = ['id', 'version', 'user', 'createdAt', 'lastModified', 'editHistory'];
+
+const etagFor = (record) => `"${record.version || 1}"`;
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Returns the expected version as a number, or null when none was sent
+function expectedVersion(req) {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch) {
+    const version = parseInt(ifMatch.replace(/^W\//, '').replace(/"/g, ''), 10);
+    return Number.isInteger(version) ? version : null;
+  }
+
+  const version = parseInt(req.body?.version, 10);
+  return Number.isInteger(version) ? version : null;
+}
+
+/**
+ * Field-level description of a stale update.
+ *
+ * base     - the record at the version the client edited, when known
+ * current  - the record as stored now
+ * proposed - the changes the client tried to save
+ *
+ * A field conflicts when both sides changed it to different values. When
+ * the base version is unknown every proposed change that differs from the
+ * server copy is reported as a conflict.
+ */
+function describeConflict({ base, current, proposed }) {
+  const changedOnServer = (field) => base ? !same(base[field], current[field]) : true;
+
+  const fields = new Set(Object.keys(proposed));
+  if (base) {
+    Object.keys({ ...base, ...current })
+      .filter(field => changedOnServer(field))
+      .forEach(field => fields.add(field));
+  }
+
+  return [...fields]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .map(field => {
+      const proposedChange = Object.prototype.hasOwnProperty.call(proposed, field);
+      const serverChange = changedOnServer(field);
+
+      return {
+        field,
+        base: base ? base[field] ?? null : undefined,
+        current: current[field] ?? null,
+        proposed: proposedChange ? proposed[field] : undefined,
+        changedOnServer: serverChange,
+        conflicting: proposedChange && serverChange && !same(proposed[field], current[field])
+      };
+    });
+}
+
+// Shared 428/409 responses. loadBase(version) returns the record as it was
+// at that version, if history is kept. Returns true when a response was sent.
+function rejectStaleUpdate(req, res, { current, proposed, entity, loadBase = () => null }) {
+  const expected = expectedVersion(req);
+
+  if (expected === null) {
+    sendError(res, 428, `Send the ${entity} version you edited as "version" in the body or an If-Match header`, {
+      code: 'version_required',
+      details: { currentVersion: current.version }
+    });
+    return true;
+  }
+
+  if (expected !== current.version) {
+    res.set('ETag', etagFor(current));
+    sendError(res, 409, `${entity[0].toUpperCase()}${entity.slice(1)} has been modified since version ${expected}`, {
+      code: 'version_conflict',
+      details: {
+        expectedVersion: expected,
+        currentVersion: current.version,
+        current,
+        fields: describeConflict({ base: loadBase(expected), current, proposed })
+      }
+    });
+    return true;
+  }
+
+  return false;
+}
+
+module.exports = {
+  etagFor,
+  expectedVersion,
+  describeConflict,
+  rejectStaleUpdate
+};
@@ -0,0 +1,103 @@
+// server/services/gherkin.js
+// Acceptance criteria as a Gherkin .feature file. Criteria written as
+// Given/When/Then (on one line or several, in any case) become scenarios
+// with normalised steps; free-text criteria become a scenario asserting
+// the criterion, with "If X, Y" read as When X / Then Y.
+const { criteriaOf, sourceTag } = require('./backlog-tree');
+
+const KEYWORDS = ['Given', 'When', 'Then', 'And', 'But'];
+const KEYWORD = new RegExp(`^(${KEYWORDS.join('|')})\\b\\s*`, 'i');
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+// "Payment is confirmed" -> "payment is confirmed", but keep "API", "I"
+const continueSentence = (text) => (/^[A-Z](?:[a-z\s]|$)/.test(text) && !/^I\b/.test(text)
+  ? text.charAt(0).toLowerCase() + text.slice(1)
+  : text);
+const clean = (text) => text.replace(/\s+/g, ' ').replace(/[\s.,;:]+$/, '').trim();
+
+// Given/When/Then start a step anywhere; And/But only after a line break,
+// a comma or a full stop, so "a user and a cart" stays one step
+function splitSteps(criterion) {
+  return criterion
+    .replace(/\s*\b(given|when|then)\b\s+/gi, '\n$1 ')
+    .replace(/(?:[,;]\s*|\.\s+)\b(and|but)\b\s+/gi, '\n$1 ')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+}
+
+// "When X, Y" without Then is a conditional sentence, handled as free text
+const isStructured = (criterion) => /^\s*(given|then)\b/i.test(criterion) ||
+  (/^\s*when\b/i.test(criterion) && /\bthen\b/i.test(criterion)) ||
+  (/\bgiven\b/i.test(criterion) && /\bthen\b/i.test(criterion));
+
+/**
+ * One criterion as { name, steps: [{ keyword, text }] }. Repeated keywords
+ * become And, and steps are trimmed of trailing punctuation.
+ */
+function criterionToScenario(criterion) {
+  const text = criterion.trim();
+  if (!isStructured(text)) {
+    const conditional = /^(?:if|when(?:ever)?)\s+(.+?),\s*(?:then\s+)?(.+)$/is.exec(text);
+    if (conditional) {
+      return {
+        name: capitalize(clean(text)),
+        steps: [
+          { keyword: 'When', text: clean(conditional[1]) },
+          { keyword: 'Then', text: continueSentence(clean(conditional[2])) }
+        ]
+      };
+    }
+    return { name: capitalize(clean(text)), steps: [{ keyword: 'Then', text: continueSentence(clean(text)) }] };
+  }
+
+  const steps = [];
+  let previous = null;
+  splitSteps(text).forEach(line => {
+    const match = KEYWORD.exec(line);
+    const stepText = clean(match ? line.slice(match[0].length) : line);
+    if (!stepText) return;
+
+    let keyword = match ? capitalize(match[1].toLowerCase()) : 'And';
+    if (!previous && (keyword === 'And' || keyword === 'But')) keyword = 'Given';
+    else if (keyword === previous) keyword = 'And';
+    if (keyword !== 'And' && keyword !== 'But') previous = keyword;
+    steps.push({ keyword, text: stepText });
+  });
+
+  const outcome = steps.find(step => step.keyword === 'Then');
+  return { name: capitalize(outcome ? outcome.text : steps[0].text), steps };
+}
+
+/**
+ * The story as a Feature: tagged with its record and priority, described by
+ * its statement, one scenario per acceptance criterion.
+ */
+function toFeature(story) {
+  const tags = [`@${sourceTag(story)}`];
+  if (story.priority) tags.push(`@priority-${story.priority.toLowerCase()}`);
+
+  const statement = (story.content || story.description || '').trim();
+  const lines = [
+    tags.join(' '),
+    `Feature: ${clean(story.title || 'Untitled story')}`,
+    ...statement.split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(line => `  ${line}`)
+  ];
+
+  const criteria = criteriaOf(story);
+  if (criteria.length === 0) {
+    lines.push('', '  # No acceptance criteria yet');
+  }
+
+  const names = new Map();
+  criteria.map(criterionToScenario).forEach(({ name, steps }) => {
+    const seen = (names.get(name) || 0) + 1;
+    names.set(name, seen);
+    lines.push('', `  Scenario: ${seen > 1 ? `${name} (${seen})` : name}`);
+    steps.forEach(step => lines.push(`    ${step.keyword} ${step.text}`));
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { toFeature, criterionToScenario };
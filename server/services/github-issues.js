@@ -0,0 +1,79 @@
+// server/services/github-issues.js
+// GitHub issues for the backlog: one per epic, story and split child,
+// labelled with its level and priority. A parent lists its children as a
+// task list, so GitHub tracks them; children are created first and the
+// list then points at their issue numbers.
+const { walkTree, criteriaOf, sourceTag } = require('./backlog-tree');
+
+const LEVEL_LABELS = { epic: 'epic', story: 'user story', child: 'split' };
+
+/**
+ * Markdown body of an issue. `numbers` maps record ids to the issue numbers
+ * already created; children without one are listed by title.
+ */
+function gitHubIssueBody({ ref, content, description, storyPoints, criteria, children }, numbers = new Map()) {
+  const sections = [
+    content,
+    description !== content ? description : null,
+    storyPoints ? `**Story points:** ${storyPoints}` : null,
+    criteria.length > 0 ? ['### Acceptance criteria', ...criteria.map(criterion => `- ${criterion}`)].join('\n') : null,
+    children.length > 0
+      ? ['### Split into', ...children.map(child => `- [ ] ${numbers.has(child.ref) ? `#${numbers.get(child.ref)}` : child.title}`)].join('\n')
+      : null,
+    `<!-- ${sourceTag({ id: ref })} -->`
+  ];
+  return sections.filter(Boolean).join('\n\n');
+}
+
+/**
+ * labels - added to every issue, e.g. the team or release
+ *
+ * Returns { issues: [{ ref, level, title, labels, children, body, ... }] }
+ * with children before their parents. `body` lists children by title;
+ * render it again with gitHubIssueBody() once their numbers are known.
+ */
+function toGitHubIssues(tree, { labels = [] } = {}) {
+  const items = new Map();
+  const itemOf = (record, level) => {
+    const item = {
+      ref: record.id,
+      level,
+      title: record.title || '',
+      labels: [
+        LEVEL_LABELS[level],
+        ...(level !== 'epic' && record.priority ? [`priority: ${record.priority.toLowerCase()}`] : []),
+        ...labels
+      ],
+      content: record.content || '',
+      description: record.description || '',
+      storyPoints: level === 'epic' ? null : record.storyPoints || null,
+      criteria: criteriaOf(record),
+      children: []
+    };
+    items.set(record.id, item);
+    return item;
+  };
+
+  const order = [];
+  const depths = new Map();
+  tree.epics.forEach(({ epic }) => {
+    order.push(itemOf(epic, 'epic'));
+    depths.set(epic.id, 0);
+  });
+  walkTree(tree, ({ story }, { parent, epic }) => {
+    const item = itemOf(story, parent ? 'child' : 'story');
+    const parentItem = items.get(parent ? parent.id : epic?.id);
+    if (parentItem) parentItem.children.push({ ref: item.ref, title: item.title });
+    depths.set(item.ref, parentItem ? depths.get(parentItem.ref) + 1 : 0);
+    order.push(item);
+  });
+
+  // Deepest first, so every child exists before the parent that lists it
+  const issues = [...order]
+    .sort((a, b) => depths.get(b.ref) - depths.get(a.ref))
+    .map(item => ({ ...item, body: gitHubIssueBody(item) }));
+
+  return { issues };
+}
+
+module.exports = { toGitHubIssues, gitHubIssueBody };
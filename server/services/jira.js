@@ -0,0 +1,466 @@
+// server/services/jira.js
+// Jira CSV and REST payloads out, Jira CSV exports in.
+//
+// Epics become Epic issues and stories become Stories with an Epic Link.
+// Split children become Sub-tasks of the top-level story they descend from,
+// since Jira sub-tasks cannot nest, or with childIssues=links Stories of
+// their own linked to their parent. Acceptance criteria go into their own
+// column and a section of the description.
+const { randomUUID } = require('crypto');
+const { parseCsv, toCsv, CsvError } = require('../utils/csv');
+const { walkTree, criteriaOf, sourceTag, SOURCE_TAG_PREFIX } = require('./backlog-tree');
+
+const JIRA_CHILD_MODES = ['subtasks', 'links'];
+const JIRA_DUPLICATE_MODES = ['skip', 'update'];
+
+const LINK_TYPE = 'Relates';
+const CRITERIA_HEADING = 'h3. Acceptance Criteria';
+
+class JiraError extends Error {
+  constructor(message, status = 400, { code, details } = {}) {
+    super(message);
+    this.name = 'JiraError';
+    this.status = status;
+    this.code = code;
+    this.details = details || null;
+  }
+}
+
+// Jira wiki markup: the story statement, its description, then the criteria
+function descriptionOf(record) {
+  const criteria = criteriaOf(record);
+  return [
+    record.content,
+    record.description !== record.content ? record.description : null,
+    criteria.length > 0 ? [CRITERIA_HEADING, ...criteria.map(criterion => `* ${criterion}`)].join('\n') : null
+  ].filter(Boolean).join('\n\n');
+}
+
+const ISSUE_TYPE_ORDER = ['Epic', 'Story', 'Sub-task'];
+
+// The issues to create, epics first and sub-tasks last. `ref` is the
+// record id; parent, epic and linkedTo refer to other issues by it.
+function jiraIssues(tree, { childIssues = 'subtasks' } = {}) {
+  const issues = tree.epics.map(({ epic }) => ({ ref: epic.id, type: 'Epic', record: epic, epic: null, parent: null, linkedTo: null }));
+
+  walkTree(tree, ({ story }, { parent, root, epic }) => {
+    if (parent && childIssues === 'subtasks') {
+      issues.push({ ref: story.id, type: 'Sub-task', record: story, epic: null, parent: root.id, linkedTo: null });
+    } else {
+      issues.push({ ref: story.id, type: 'Story', record: story, epic, parent: null, linkedTo: parent?.id || null });
+    }
+  });
+
+  return ISSUE_TYPE_ORDER.flatMap(type => issues.filter(issue => issue.type === type));
+}
+
+// For Jira's CSV importer (System > External system import > CSV). Issue Id
+// and Parent Id only link rows within the file.
+function toJiraCsv(tree, options = {}) {
+  const issues = jiraIssues(tree, options);
+  const issueIds = new Map(issues.map((issue, index) => [issue.ref, index + 1]));
+  const linked = issues.some(issue => issue.linkedTo);
+
+  const header = [
+    'Issue Id', 'Parent Id', 'Issue Type', 'Summary', 'Description', 'Priority', 'Story Points',
+    'Epic Name', 'Epic Link', 'Acceptance Criteria', 'Labels',
+    ...(linked ? [`Inward issue link (${LINK_TYPE})`] : [])
+  ];
+  const rows = issues.map(({ ref, type, record, epic, parent, linkedTo }) => {
+    const isEpic = type === 'Epic';
+    return [
+      issueIds.get(ref),
+      parent ? issueIds.get(parent) : '',
+      type,
+      record.title || '',
+      descriptionOf(record),
+      isEpic ? '' : record.priority || '',
+      isEpic ? '' : record.storyPoints || '',
+      isEpic ? record.title || '' : '',
+      epic ? epic.title || '' : '',
+      criteriaOf(record).join('\n'),
+      sourceTag(record),
+      ...(linked ? [linkedTo ? issueIds.get(linkedTo) : ''] : [])
+    ];
+  });
+
+  return toCsv([header, ...rows]);
+}
+
+/**
+ * Bodies for POST /rest/api/2/issue/bulk, one batch per issue type, plus
+ * the links to create once every issue exists. Issues refer to each other
+ * by record id: `refs` lines up with `issueUpdates`, and each parent or epic
+ * key has to be replaced by the key Jira returned for that record.
+ *
+ * storyPointsField - custom field holding story points on the instance
+ * epicLinkField    - set for company-managed projects that still link
+ *                    stories to epics through Epic Link instead of parent
+ * epicNameField    - set where epics need an Epic Name
+ */
+function toJiraRest(tree, {
+  projectKey = 'STORY',
+  storyPointsField = 'customfield_10016',
+  epicLinkField = null,
+  epicNameField = null,
+  ...options
+} = {}) {
+  const issues = jiraIssues(tree, options);
+
+  const fieldsOf = ({ type, record, epic, parent }) => {
+    const fields = {
+      project: { key: projectKey },
+      issuetype: { name: type },
+      summary: record.title || '',
+      description: descriptionOf(record),
+      labels: [sourceTag(record)]
+    };
+    if (type === 'Epic') {
+      if (epicNameField) fields[epicNameField] = record.title || '';
+    } else {
+      if (record.priority) fields.priority = { name: record.priority };
+      if (record.storyPoints) fields[storyPointsField] = record.storyPoints;
+    }
+    if (parent) {
+      fields.parent = { key: parent };
+    } else if (epic && epicLinkField) {
+      fields[epicLinkField] = epic.id;
+    } else if (epic) {
+      fields.parent = { key: epic.id };
+    }
+    return fields;
+  };
+
+  return {
+    projectKey,
+    batches: ISSUE_TYPE_ORDER
+      .map(type => issues.filter(issue => issue.type === type))
+      .filter(batch => batch.length > 0)
+      .map(batch => ({
+        issueType: batch[0].type,
+        refs: batch.map(issue => issue.ref),
+        issueUpdates: batch.map(issue => ({ fields: fieldsOf(issue) }))
+      })),
+    issueLinks: issues
+      .filter(issue => issue.linkedTo)
+      .map(issue => ({
+        type: { name: LINK_TYPE },
+        inwardIssue: { key: issue.ref },
+        outwardIssue: { key: issue.linkedTo }
+      }))
+  };
+}
+
+// Jira's own exports name custom fields "Custom field (Story Points)" and
+// repeat columns such as Labels; the first alias present wins
+const COLUMN_ALIASES = {
+  key: ['issue key', 'key'],
+  issueId: ['issue id'],
+  type: ['issue type'],
+  summary: ['summary'],
+  description: ['description'],
+  priority: ['priority'],
+  storyPoints: ['story points', 'story point estimate'],
+  epicLink: ['epic link'],
+  epicName: ['epic name'],
+  parent: ['parent id', 'parent'],
+  acceptanceCriteria: ['acceptance criteria'],
+  labels: ['labels']
+};
+
+const normalizeHeader = (header) => header.trim().toLowerCase()
+  .replace(/^custom field \((.*)\)$/, '$1')
+  .replace(/\s+/g, ' ');
+
+const PRIORITY_FROM_JIRA = { highest: 'High', high: 'High', medium: 'Medium', low: 'Low', lowest: 'Low' };
+
+const kindOf = (issueType) => {
+  if (/^epic$/i.test(issueType)) return 'epic';
+  if (/^sub-?task$/i.test(issueType)) return 'subtask';
+  return 'story';
+};
+
+const BULLET = /^\s*(?:[*#-]+|\d+[.)])\s+/;
+const CRITERIA_SECTION = /^\s*(?:h[1-6]\.\s*|#+\s*)?\*?acceptance criteria:?\*?:?\s*$/i;
+
+// Splits a description into the story statement, the rest and the bullets
+// under an "Acceptance Criteria" heading
+function readDescription(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const heading = lines.findIndex(line => CRITERIA_SECTION.test(line));
+  const section = heading === -1 ? [] : lines.slice(heading + 1);
+  const criteria = section.filter(line => BULLET.test(line)).map(line => line.replace(BULLET, '').trim());
+  const body = [
+    ...(heading === -1 ? lines : lines.slice(0, heading)),
+    ...section.filter(line => !BULLET.test(line))
+  ].join('\n').trim();
+
+  const [first, ...rest] = body.split(/\n\s*\n/);
+  const isStatement = /^as an?\b/i.test(first || '');
+  return {
+    content: isStatement ? first.trim() : '',
+    description: (isStatement ? rest.join('\n\n') : body).trim(),
+    criteria
+  };
+}
+
+// Issues of a Jira CSV export; `row` counts the header as row 1
+function parseJiraCsv(text) {
+  let rows;
+  try {
+    rows = parseCsv(text);
+  } catch (error) {
+    if (!(error instanceof CsvError)) throw error;
+    throw new JiraError(error.message, 400, { code: 'invalid_csv', details: { line: error.line } });
+  }
+
+  const [header = [], ...records] = rows;
+  const normalized = header.map(normalizeHeader);
+  const columns = Object.fromEntries(Object.entries(COLUMN_ALIASES).map(([field, aliases]) => {
+    const alias = aliases.find(name => normalized.includes(name));
+    return [field, normalized.flatMap((name, index) => (name === alias ? [index] : []))];
+  }));
+  if (columns.summary.length === 0) {
+    throw new JiraError('The file has no Summary column; export the issues from Jira as CSV (all fields)', 400, {
+      code: 'unrecognized_columns',
+      details: { columns: header }
+    });
+  }
+
+  return records.map((cells, index) => {
+    const value = (field) => (columns[field].length > 0 ? cells[columns[field][0]] || '' : '').trim();
+    const labels = columns.labels.flatMap(column => (cells[column] || '').split(/\s+/)).filter(Boolean);
+    const source = labels.find(label => label.startsWith(SOURCE_TAG_PREFIX));
+    const { content, description, criteria } = readDescription(value('description'));
+    const listed = value('acceptanceCriteria').split('\n').map(line => line.replace(BULLET, '').trim()).filter(Boolean);
+    const points = parseFloat(value('storyPoints'));
+
+    return {
+      row: index + 2,
+      key: value('key') || null,
+      issueId: value('issueId') || null,
+      kind: kindOf(value('type')),
+      title: value('summary'),
+      content,
+      description,
+      acceptanceCriteria: listed.length > 0 ? listed : criteria,
+      priority: PRIORITY_FROM_JIRA[value('priority').toLowerCase()] || null,
+      storyPoints: Number.isFinite(points) ? Math.max(0, Math.round(points)) : null,
+      epicLink: value('epicLink') || null,
+      epicName: value('epicName') || null,
+      parent: value('parent') || null,
+      sourceId: source ? source.slice(SOURCE_TAG_PREFIX.length) : null
+    };
+  });
+}
+
+const normalizeTitle = (title) => (title || '').trim().toLowerCase().replace(/\s+/g, ' ');
+const defined = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null && value !== undefined));
+
+/**
+ * Decides for each issue whether it creates a record, updates the one it
+ * duplicates or is skipped. Nothing is saved here.
+ *
+ * stories, epics - the workspace's records, for duplicates and references
+ * duplicates     - 'skip' leaves matching records alone, 'update'
+ *                  overwrites them with the Jira fields
+ *
+ * A record matches when it was imported from the same Jira key, exported
+ * as the issue (its label), or has the same title at the same place in the
+ * hierarchy. Returns { summary, rows, epics, stories } where epics and
+ * stories are [{ record, previous }] in the order to save them.
+ */
+function planJiraImport(issues, { stories, epics, workspaceId, duplicates = 'skip' }) {
+  const now = new Date();
+  const rows = [];
+  const planned = { epic: [], story: [] };
+  // Jira key or issue id -> { kind, id } of the record the issue became
+  const refs = new Map();
+  const epicNames = new Map();
+  const seen = new Map();
+  const storyEpics = new Map(stories.map(story => [story.id, story.epicId || null]));
+
+  const remember = (issue, kind, id) => {
+    [issue.key, issue.issueId].filter(Boolean).forEach(ref => refs.set(ref, { kind, id }));
+    if (kind === 'epic') {
+      [issue.epicName, issue.title].filter(Boolean).forEach(name => epicNames.set(normalizeTitle(name), id));
+    }
+  };
+
+  const resolve = (ref) => refs.get(ref)
+    || [['story', stories], ['epic', epics]]
+      .map(([kind, records]) => ({ kind, record: records.find(record => record.externalKeys?.jira === ref) }))
+      .filter(({ record }) => record)
+      .map(({ kind, record }) => ({ kind, id: record.id }))[0]
+    || null;
+
+  const resolveEpic = (link) => {
+    const target = resolve(link);
+    if (target) return target.kind === 'epic' ? target.id : null;
+    return epicNames.get(normalizeTitle(link))
+      || epics.find(epic => normalizeTitle(epic.title) === normalizeTitle(link))?.id
+      || null;
+  };
+
+  const isBelow = (storyId, ancestorId) => {
+    for (let current = storyId, steps = 0; current && steps < stories.length + 1; steps++) {
+      if (current === ancestorId) return true;
+      current = planned.story.find(({ record }) => record.id === current)?.record.parentStoryId
+        ?? stories.find(story => story.id === current)?.parentStoryId;
+    }
+    return false;
+  };
+
+  const storyFields = (issue, row) => {
+    const fields = {
+      title: issue.title,
+      content: issue.content,
+      description: issue.description,
+      acceptanceCriteria: issue.acceptanceCriteria,
+      priority: issue.priority,
+      storyPoints: issue.storyPoints,
+      epicId: null,
+      parentStoryId: null
+    };
+
+    if (issue.parent) {
+      const target = resolve(issue.parent);
+      if (!target) {
+        row.warnings.push(`Parent ${issue.parent} is neither in the file nor in the workspace; imported without it`);
+      } else if (target.kind === 'epic') {
+        fields.epicId = target.id;
+      } else {
+        fields.parentStoryId = target.id;
+        fields.epicId = storyEpics.get(target.id) || null;
+      }
+    }
+    if (issue.epicLink) {
+      const epicId = resolveEpic(issue.epicLink);
+      if (epicId) fields.epicId = epicId;
+      else row.warnings.push(`Epic ${issue.epicLink} is neither in the file nor in the workspace; imported without it`);
+    }
+    return fields;
+  };
+
+  const epicFields = (issue) => ({ title: issue.title, description: [issue.content, issue.description].filter(Boolean).join('\n\n') });
+
+  const findExisting = (kind, issue, fields) => {
+    const records = kind === 'epic' ? epics : stories;
+    const byKey = issue.key && records.find(record => record.externalKeys?.jira === issue.key);
+    if (byKey) return { record: byKey, reason: 'jira_key' };
+    const exported = issue.sourceId && records.find(record => record.id === issue.sourceId);
+    if (exported) return { record: exported, reason: 'exported_record' };
+    const sameTitle = records.find(record => normalizeTitle(record.title) === normalizeTitle(issue.title) &&
+      (kind === 'epic' || (record.parentStoryId || null) === fields.parentStoryId));
+    return sameTitle ? { record: sameTitle, reason: 'title' } : null;
+  };
+
+  const planIssue = (issue, kind) => {
+    const row = { row: issue.row, key: issue.key, type: kind, title: issue.title, action: 'create', recordId: null, warnings: [] };
+    rows.push(row);
+    if (!issue.title) {
+      Object.assign(row, { action: 'error', message: 'Summary is empty' });
+      return;
+    }
+
+    const fields = kind === 'epic' ? epicFields(issue) : storyFields(issue, row);
+    const fileKeys = [
+      issue.key && `key:${issue.key}`,
+      `title:${kind}:${fields.parentStoryId || ''}:${normalizeTitle(issue.title)}`
+    ].filter(Boolean);
+    const earlier = fileKeys.map(fileKey => seen.get(fileKey)).find(Boolean);
+    if (earlier) {
+      Object.assign(row, { action: 'skip', recordId: earlier.recordId, duplicateOf: { row: earlier.row, reason: 'in_file' } });
+      if (earlier.recordId) remember(issue, kind, earlier.recordId);
+      return;
+    }
+    fileKeys.forEach(fileKey => seen.set(fileKey, row));
+
+    const existing = findExisting(kind, issue, fields);
+    if (existing) {
+      row.duplicateOf = { id: existing.record.id, reason: existing.reason };
+      row.recordId = existing.record.id;
+      remember(issue, kind, existing.record.id);
+      if (duplicates !== 'update') {
+        row.action = 'skip';
+        return;
+      }
+    }
+
+    if (existing && fields.parentStoryId && isBelow(fields.parentStoryId, existing.record.id)) {
+      row.warnings.push(`Parent ${issue.parent} is below this story; its parent was left unchanged`);
+      fields.parentStoryId = existing.record.parentStoryId || null;
+    }
+
+    const externalKeys = { ...existing?.record.externalKeys, ...(issue.key && { jira: issue.key }) };
+    const record = existing
+      ? {
+        ...existing.record,
+        ...defined(fields),
+        externalKeys,
+        version: (existing.record.version || 0) + 1,
+        lastModified: now
+      }
+      : {
+        id: `${kind}-${randomUUID()}`,
+        ...(kind === 'story' && { priority: 'Medium', storyPoints: 0, status: 'draft' }),
+        ...defined(fields),
+        workspaceId,
+        externalKeys,
+        createdAt: now,
+        lastModified: now,
+        version: 1
+      };
+    if (kind === 'story') {
+      record.parentStoryId = fields.parentStoryId;
+      record.epicId = fields.epicId;
+      storyEpics.set(record.id, record.epicId);
+    }
+
+    row.action = existing ? 'update' : 'create';
+    row.recordId = record.id;
+    remember(issue, kind, record.id);
+    planned[kind].push({ record, previous: existing?.record || null });
+  };
+
+  issues.filter(issue => issue.kind === 'epic').forEach(issue => planIssue(issue, 'epic'));
+
+  // Parents in the file go before their children
+  const storyIssues = issues.filter(issue => issue.kind !== 'epic');
+  const inFile = new Map(storyIssues.flatMap(issue =>
+    [issue.key, issue.issueId].filter(Boolean).map(ref => [ref, issue])));
+  const pending = [...storyIssues];
+  while (pending.length > 0) {
+    const ready = pending.findIndex(issue => {
+      const parent = issue.parent && inFile.get(issue.parent);
+      return !parent || parent === issue || !pending.includes(parent);
+    });
+    const [next] = pending.splice(Math.max(ready, 0), 1);
+    planIssue(next, 'story');
+  }
+
+  rows.sort((a, b) => a.row - b.row);
+  const count = (action) => rows.filter(row => row.action === action).length;
+  return {
+    summary: {
+      rows: rows.length,
+      created: count('create'),
+      updated: count('update'),
+      skipped: count('skip'),
+      errors: count('error')
+    },
+    rows,
+    epics: planned.epic,
+    stories: planned.story
+  };
+}
+
+module.exports = {
+  toJiraCsv,
+  toJiraRest,
+  parseJiraCsv,
+  planJiraImport,
+  JiraError,
+  JIRA_CHILD_MODES,
+  JIRA_DUPLICATE_MODES
+};
@@ -0,0 +1,106 @@
+// server/services/markdown-export.js
+// Stories and epics as Markdown documents: the statement, details,
+// acceptance criteria as a checklist, the Story Analyst's INVEST scorecard
+// and the tree of split children.
+const { walkTree, criteriaOf, sourceTag } = require('./backlog-tree');
+
+const READINESS = { ready: 'ready', 'needs-work': 'needs work', 'not-ready': 'not ready' };
+
+const heading = (level, text) => `${'#'.repeat(Math.min(level, 6))} ${text}`;
+const cell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+const table = (header, rows) => [
+  `| ${header.map(cell).join(' | ')} |`,
+  `|${header.map(() => '---').join('|')}|`,
+  ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+].join('\n');
+// Multi-line criteria stay inside their list item, line breaks kept
+const checklistItem = (criterion) => `- [ ] ${criterion.split(/\r?\n/).map(line => line.trim()).join('  \n  ')}`;
+const points = (story) => (story.storyPoints ? ` · ${story.storyPoints} pts` : '');
+
+function scorecardSection(scorecard, level) {
+  return [
+    heading(level, 'INVEST scorecard'),
+    `**${scorecard.overallScore}%** · ${READINESS[scorecard.readinessLevel] || scorecard.readinessLevel}`,
+    table(['Criterion', 'Result', 'Notes'], scorecard.criteria.map(({ criterion, passed, reasoning }) =>
+      [criterion, passed ? '✅ Pass' : '❌ Fail', reasoning]))
+  ].join('\n\n');
+}
+
+function splitTree(children, indent = '') {
+  return children.flatMap(({ story, children: grandchildren }) => [
+    `${indent}- ${story.title || 'Untitled story'}${points(story)}`,
+    ...splitTree(grandchildren, `${indent}  `)
+  ]);
+}
+
+/**
+ * node       - { story, children } from backlogTree()
+ * epic       - the story's epic, if any
+ * scorecards - Map of story id to AgentService#scorecard() results;
+ *              stories without one get no scorecard section
+ * level      - heading level of the title, for nesting in an epic
+ */
+function storyMarkdown({ story, children = [] }, { epic = null, scorecards = new Map(), level = 1 } = {}) {
+  const details = [
+    epic && `**Epic:** ${epic.title}`,
+    story.priority && `**Priority:** ${story.priority}`,
+    story.storyPoints && `**Story points:** ${story.storyPoints}`,
+    story.status && `**Status:** ${story.status}`
+  ].filter(Boolean);
+  const criteria = criteriaOf(story);
+  const scorecard = scorecards.get(story.id);
+
+  const sections = [
+    heading(level, story.title || 'Untitled story'),
+    story.content && story.content.trim(),
+    story.description && story.description !== story.content && story.description.trim(),
+    details.length > 0 && details.join(' · '),
+    [
+      heading(level + 1, 'Acceptance criteria'),
+      criteria.length > 0 ? criteria.map(checklistItem).join('\n') : '_None yet._'
+    ].join('\n\n'),
+    scorecard && scorecardSection(scorecard, level + 1),
+    children.length > 0 && [heading(level + 1, 'Split into'), splitTree(children).join('\n')].join('\n\n'),
+    `<!-- ${sourceTag(story)} -->`
+  ];
+  return `${sections.filter(Boolean).join('\n\n')}\n`;
+}
+
+/**
+ * branch - { epic, stories: [node] }, one entry of backlogTree().epics
+ *
+ * The epic's description and a summary table, then every top-level story
+ * with its split tree.
+ */
+function epicMarkdown({ epic, stories }, { scorecards = new Map() } = {}) {
+  let childCount = 0;
+  let totalPoints = 0;
+  walkTree({ epics: [{ epic, stories }], unassigned: [] }, ({ story }, { parent }) => {
+    if (parent) childCount++;
+    else totalPoints += story.storyPoints || 0;
+  });
+
+  const summary = [
+    `${stories.length} ${stories.length === 1 ? 'story' : 'stories'}`,
+    `${childCount} split ${childCount === 1 ? 'child' : 'children'}`,
+    `${totalPoints} story points`
+  ].join(' · ');
+  const overview = stories.length > 0 && table(['Story', 'Priority', 'Points', 'INVEST'], stories.map(({ story }) => [
+    story.title || 'Untitled story',
+    story.priority || '',
+    story.storyPoints || '',
+    scorecards.has(story.id) ? `${scorecards.get(story.id).overallScore}%` : ''
+  ]));
+
+  const sections = [
+    heading(1, epic.title || 'Untitled epic'),
+    epic.description && epic.description.trim(),
+    summary,
+    overview,
+    ...stories.map(node => storyMarkdown(node, { scorecards, level: 2 }).trim()),
+    `<!-- ${sourceTag(epic)} -->`
+  ];
+  return `${sections.filter(Boolean).join('\n\n')}\n`;
+}
+
+module.exports = { storyMarkdown, epicMarkdown };
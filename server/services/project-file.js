@@ -0,0 +1,337 @@
+// server/services/project-file.js
+// The project file: a whole workspace in one JSON document, to back it up
+// or move it to another workspace or server. Files name their
+// `schemaVersion`; older ones are migrated on import, the way storage
+// migrations upgrade the data store.
+//
+//   1 - what the editor used to save: { currentStory, publishedStory,
+//       stories, epics, insights, timestamp }
+//   2 - format name, workspace metadata, stories, epics, agent results
+//       (analyses and split suggestions) and version history
+const PROJECT_FORMAT = 'story-splitter-project';
+
+const PROJECT_IMPORT_MODES = ['merge', 'replace'];
+const PROJECT_CONFLICT_MODES = ['skip', 'overwrite'];
+
+// A difference in any of these makes an imported record an update
+const COMPARED_FIELDS = {
+  epic: ['title', 'description', 'order'],
+  story: ['title', 'content', 'description', 'acceptanceCriteria', 'priority', 'effort', 'storyPoints',
+    'epicId', 'parentStoryId', 'status', 'order']
+};
+
+class ProjectFileError extends Error {
+  constructor(message, status = 400, { code, details } = {}) {
+    super(message);
+    this.name = 'ProjectFileError';
+    this.status = status;
+    this.code = code;
+    this.details = details || null;
+  }
+}
+
+const migrations = [
+  {
+    version: 2,
+    description: 'Name the format and add workspace metadata, agent results and version history',
+    up(file, notes) {
+      const stories = (Array.isArray(file.stories) ? file.stories : []).map(story => ({
+        ...story,
+        parentStoryId: story.parentStoryId ?? null,
+        epicId: story.epicId ?? null,
+        acceptanceCriteria: typeof story.acceptanceCriteria === 'string'
+          ? story.acceptanceCriteria.split('\n').map(criterion => criterion.trim()).filter(Boolean)
+          : Array.isArray(story.acceptanceCriteria) ? story.acceptanceCriteria : [],
+        version: Number.isInteger(story.version) && story.version >= 1 ? story.version : 1,
+        status: story.status || 'draft'
+      }));
+
+      // The editor text was the main story's content
+      let mainStoryId = null;
+      if (typeof file.currentStory === 'string' && file.currentStory.trim()) {
+        mainStoryId = 'main-story';
+        const main = stories.find(story => story.id === mainStoryId);
+        if (main) {
+          main.content = file.currentStory;
+        } else {
+          stories.unshift({
+            id: mainStoryId,
+            title: 'Main Story',
+            content: file.currentStory,
+            parentStoryId: null,
+            epicId: null,
+            acceptanceCriteria: [],
+            version: 1,
+            status: 'draft'
+          });
+        }
+      }
+      if (file.publishedStory) {
+        notes.push('The published copy of the editor text is not imported; publish the main story again');
+      }
+
+      return {
+        format: PROJECT_FORMAT,
+        schemaVersion: 2,
+        exportedAt: file.timestamp || null,
+        workspace: { id: null, name: null, mainStoryId },
+        epics: (Array.isArray(file.epics) ? file.epics : []).map(epic => ({
+          ...epic,
+          version: Number.isInteger(epic.version) && epic.version >= 1 ? epic.version : 1
+        })),
+        stories,
+        analyses: [],
+        splitResults: [],
+        versions: [],
+        ...(Array.isArray(file.insights) && { insights: file.insights })
+      };
+    }
+  }
+];
+
+const PROJECT_SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+// The version a parsed file is at: files without schemaVersion are the
+// editor's old export if they look like one
+function versionOf(file) {
+  if (!file || typeof file !== 'object' || Array.isArray(file)) return null;
+  if (file.format === PROJECT_FORMAT) return Number.isInteger(file.schemaVersion) ? file.schemaVersion : null;
+  if (file.schemaVersion === undefined && (Array.isArray(file.stories) || Array.isArray(file.epics) ||
+    typeof file.currentStory === 'string')) return 1;
+  return null;
+}
+
+/**
+ * Brings a parsed file up to PROJECT_SCHEMA_VERSION.
+ * Returns { file, fromVersion, notes }; notes say what did not carry over.
+ */
+function migrateProjectFile(input) {
+  const fromVersion = versionOf(input);
+  if (fromVersion === null) {
+    throw new ProjectFileError('This is not a Story Splitter project file', 400, { code: 'unrecognized_file' });
+  }
+  if (fromVersion > PROJECT_SCHEMA_VERSION) {
+    throw new ProjectFileError(`The file is schema version ${fromVersion}; this server reads up to ${PROJECT_SCHEMA_VERSION}`, 422, {
+      code: 'unsupported_version',
+      details: { schemaVersion: fromVersion, supported: PROJECT_SCHEMA_VERSION }
+    });
+  }
+
+  const notes = [];
+  const file = migrations
+    .filter(migration => migration.version > fromVersion)
+    .reduce((migrated, migration) => migration.up(migrated, notes), input);
+  return { file, fromVersion, notes };
+}
+
+const withoutWorkspace = ({ workspaceId, ...record }) => record;
+
+// The current format for one workspace. Records leave their workspace id
+// behind; importing sets the target's.
+function exportProject({ workspace, epics, stories, analyses, splitResults, versions, insights }) {
+  return {
+    format: PROJECT_FORMAT,
+    schemaVersion: PROJECT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    workspace: { id: workspace.id, name: workspace.name, mainStoryId: workspace.mainStoryId },
+    epics: epics.map(withoutWorkspace),
+    stories: stories.map(withoutWorkspace),
+    analyses,
+    splitResults,
+    versions: versions.map(({ id, storyId, version, author, reason, restoredFrom, createdAt, story }) => ({
+      storyId, version, author, reason, restoredFrom, createdAt, story: withoutWorkspace(story)
+    })),
+    ...(insights && { insights })
+  };
+}
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Planned story saves whose new parent closes a loop (a under b, b under a),
+// possibly through stories the file leaves alone, become conflicts and are
+// dropped. Children of a new story that is dropped lose their parent.
+function refuseParentCycles(planned, localStories) {
+  let remaining = planned;
+  while (true) {
+    const parents = new Map([...localStories.values()].map(story => [story.id, story.parentStoryId || null]));
+    remaining.forEach(({ decision }) => parents.set(decision.record.id, decision.record.parentStoryId || null));
+    const cycleOf = (id) => {
+      const path = [id];
+      for (let at = parents.get(id); at && path.length <= parents.size; at = parents.get(at)) {
+        if (at === id) return path;
+        path.push(at);
+      }
+      return null;
+    };
+
+    const looped = remaining
+      .filter(({ decision }) => (decision.record.parentStoryId || null) !== (decision.previous?.parentStoryId || null))
+      .map(entry => ({ entry, cycle: cycleOf(entry.decision.record.id) }))
+      .filter(({ cycle }) => cycle);
+    if (looped.length === 0) return remaining;
+
+    looped.forEach(({ entry: { item, decision }, cycle }) => {
+      item.action = 'conflict';
+      item.conflict = { ...item.conflict, parentCycle: cycle };
+      item.warnings.push(`parentStoryId ${decision.record.parentStoryId} would make a parent cycle (${[...cycle, cycle[0]].join(' -> ')}); the story was not imported`);
+    });
+    const dropped = looped.map(({ entry }) => entry);
+    const notCreated = new Set(dropped.filter(({ decision }) => !decision.previous).map(({ decision }) => decision.record.id));
+    remaining = remaining.filter(entry => !dropped.includes(entry));
+    remaining.forEach(({ item, decision }) => {
+      if (!notCreated.has(decision.record.parentStoryId)) return;
+      item.warnings.push(`parentStoryId ${decision.record.parentStoryId} was not imported and was cleared`);
+      decision.record.parentStoryId = null;
+    });
+  }
+}
+
+/**
+ * file      - a migrated, validated project file
+ * workspace - the target workspace; its main story receives the file's
+ * epics, stories - the target workspace's records
+ * taken(type, id) - whether a record of another workspace has the id;
+ *                   those records are created under a new id
+ * mode      - merge: add and update; replace: also delete what the file
+ *             does not have (except the main story)
+ * conflicts - records changed here since the file was exported (a higher
+ *             version) are skipped, or overwritten with `overwrite`.
+ *             Replacing always overwrites. Stories whose parent would
+ *             make a cycle are always skipped as conflicts.
+ *
+ * Returns { summary, items, epics, stories, removed, analyses,
+ * splitResults, versions } where epics and stories are [{ record,
+ * previous }] to save and removed the records to delete.
+ */
+function planProjectImport(file, { workspace, epics, stories, taken = () => false, mode = 'merge', conflicts = 'skip' }) {
+  const now = new Date();
+  const local = { epic: new Map(epics.map(epic => [epic.id, epic])), story: new Map(stories.map(story => [story.id, story])) };
+  const ids = { epic: new Map(), story: new Map() };
+  const items = [];
+
+  // Ids in the target: the file's main story is this workspace's, and ids
+  // another workspace uses get a suffix
+  const assign = (type, record) => {
+    const item = { type, id: record.id, recordId: null, title: record.title || '', action: null, changes: [], warnings: [] };
+    items.push(item);
+    if (ids[type].has(record.id)) {
+      item.action = 'skip';
+      item.warnings.push('The file has another record with this id; only the first is imported');
+      return null;
+    }
+    let target = type === 'story' && record.id === file.workspace?.mainStoryId ? workspace.mainStoryId : record.id;
+    for (let n = 2; !local[type].has(target) && taken(type, target); n++) target = `${record.id}-${n}`;
+    ids[type].set(record.id, target);
+    item.recordId = target;
+    return item;
+  };
+  const fileEpics = file.epics.map(epic => ({ epic, item: assign('epic', epic) })).filter(({ item }) => item);
+  const fileStories = file.stories.map(story => ({ story, item: assign('story', story) })).filter(({ item }) => item);
+
+  const kept = new Set([workspace.mainStoryId]);
+  const resolve = (type, id, field, item) => {
+    if (!id) return null;
+    if (ids[type].has(id)) return ids[type].get(id);
+    if (local[type].has(id) && (mode === 'merge' || kept.has(id))) return id;
+    item.warnings.push(`${field} ${id} is not in the file or the workspace and was cleared`);
+    return null;
+  };
+
+  const plan = { epics: [], stories: [], removed: { epics: [], stories: [] }, analyses: [], splitResults: [], versions: [] };
+  const decide = (type, incoming, item) => {
+    const previous = local[type].get(item.recordId) || null;
+    if (!previous) {
+      item.action = 'create';
+      return { record: { ...incoming, createdAt: incoming.createdAt || now, version: incoming.version || 1 }, previous };
+    }
+
+    item.changes = COMPARED_FIELDS[type].filter(field => !same(incoming[field], previous[field]));
+    if (item.changes.length === 0) {
+      item.action = 'unchanged';
+      return null;
+    }
+    if ((incoming.version || 1) < (previous.version || 1)) {
+      item.conflict = { fileVersion: incoming.version || 1, currentVersion: previous.version || 1 };
+      if (mode === 'merge' && conflicts === 'skip') {
+        item.action = 'conflict';
+        return null;
+      }
+    }
+    item.action = 'update';
+    return {
+      record: { ...incoming, createdAt: previous.createdAt, version: (previous.version || 1) + 1, lastModified: now },
+      previous
+    };
+  };
+
+  fileEpics.forEach(({ epic, item }) => {
+    const decision = decide('epic', { ...epic, id: item.recordId, workspaceId: workspace.id }, item);
+    if (decision) plan.epics.push(decision);
+  });
+  const plannedStories = fileStories.map(({ story, item }) => {
+    const incoming = {
+      ...story,
+      id: item.recordId,
+      workspaceId: workspace.id,
+      epicId: resolve('epic', story.epicId, 'epicId', item),
+      parentStoryId: resolve('story', story.parentStoryId, 'parentStoryId', item)
+    };
+    if (incoming.parentStoryId === incoming.id) incoming.parentStoryId = null;
+    return { story, item, decision: decide('story', incoming, item) };
+  }).filter(({ decision }) => decision);
+
+  refuseParentCycles(plannedStories, local.story).forEach(({ story, item, decision }) => {
+    plan.stories.push(decision);
+
+    // History and agent results come along with new stories; existing
+    // ones keep their own
+    if (decision.previous) return;
+    const fromFile = (record) => record.storyId === story.id;
+    plan.versions.push(...(file.versions || [])
+      .filter(snapshot => fromFile(snapshot) && snapshot.version < decision.record.version)
+      .map(snapshot => ({
+        ...snapshot,
+        storyId: item.recordId,
+        story: { ...snapshot.story, id: item.recordId, workspaceId: workspace.id }
+      })));
+    (file.analyses || []).filter(fromFile).forEach(analysis =>
+      plan.analyses.push({ ...analysis, id: item.recordId, storyId: item.recordId }));
+    (file.splitResults || []).filter(fromFile).forEach(splitResult =>
+      plan.splitResults.push({ ...splitResult, id: item.recordId, storyId: item.recordId }));
+  });
+
+  if (mode === 'replace') {
+    const imported = (type) => new Set([...ids[type].values()]);
+    const removed = (type, records) => records.filter(record => !imported(type).has(record.id) && !kept.has(record.id));
+    plan.removed = { epics: removed('epic', epics), stories: removed('story', stories) };
+    [...plan.removed.epics.map(epic => ['epic', epic]), ...plan.removed.stories.map(story => ['story', story])]
+      .forEach(([type, record]) => items.push({
+        type, id: record.id, recordId: record.id, title: record.title || '', action: 'delete', changes: [], warnings: []
+      }));
+  }
+
+  const count = (action) => items.filter(item => item.action === action).length;
+  return {
+    summary: {
+      created: count('create'),
+      updated: count('update'),
+      unchanged: count('unchanged'),
+      conflicts: items.filter(item => item.conflict).length,
+      skipped: count('conflict') + count('skip'),
+      deleted: count('delete')
+    },
+    items,
+    ...plan
+  };
+}
+
+module.exports = {
+  migrateProjectFile,
+  exportProject,
+  planProjectImport,
+  ProjectFileError,
+  PROJECT_FORMAT,
+  PROJECT_SCHEMA_VERSION,
+  PROJECT_IMPORT_MODES,
+  PROJECT_CONFLICT_MODES
+};
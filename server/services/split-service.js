@@ -0,0 +1,318 @@
+// server/services/split-service.js
+// Turns Splitting Expert suggestions into stored child stories, and back.
+
+const EDITABLE_SPLIT_FIELDS = [
+  'title', 'description', 'content', 'acceptanceCriteria', 'estimatedSize',
+  'storyPoints', 'effort', 'priority', 'epicId'
+];
+
+const EFFORT_BY_SIZE = {
+  XS: 'Small',
+  S: 'Small',
+  M: 'Medium',
+  L: 'Large',
+  XL: 'Large',
+  XXL: 'Large'
+};
+
+const SPLIT_SUFFIX = ' (SPLIT)';
+
+class SplitError extends Error {
+  constructor(message, status = 400, details = null, code = null) {
+    super(message);
+    this.name = 'SplitError';
+    this.status = status;
+    this.details = details;
+    this.code = code;
+  }
+}
+
+// Keep only what we need from a split result to accept it later; the
+// preview copies of the original story are dropped.
+function toStoredSplitResult(story, splitResult) {
+  return {
+    id: story.id,
+    storyId: story.id,
+    storyVersion: story.version,
+    generatedAt: new Date(),
+    recommendedApproach: splitResult.recommendedApproach,
+    suggestions: splitResult.suggestions.map(suggestion => ({
+      id: suggestion.id,
+      pattern: suggestion.pattern,
+      confidence: suggestion.confidence,
+      reasoning: suggestion.reasoning,
+      suggestedSplits: suggestion.suggestedSplits,
+      implementationOrder: suggestion.implementationOrder,
+      valueDeliveryStrategy: suggestion.valueDeliveryStrategy,
+      riskMitigation: suggestion.riskMitigation,
+      storyBoardImpact: suggestion.preview?.storyBoardImpact || [],
+      userState: suggestion.userState
+    }))
+  };
+}
+
+// Legacy clients post the split drafts directly instead of a suggestion id
+function suggestionFromDrafts(parentStory, drafts) {
+  const suggestedSplits = drafts.map((draft, index) => ({
+    id: draft.id || `split-${Date.now()}-${index}`,
+    ...draft
+  }));
+
+  return {
+    id: `manual-${Date.now()}`,
+    pattern: { type: 'manual', name: 'Manual split' },
+    suggestedSplits,
+    implementationOrder: suggestedSplits.map(draft => draft.id),
+    storyBoardImpact: [{
+      type: 'modify',
+      storyId: parentStory.id,
+      changes: { status: 'split', title: `${parentStory.title}${SPLIT_SUFFIX}` }
+    }]
+  };
+}
+
+function pickEdits(edits = {}) {
+  return EDITABLE_SPLIT_FIELDS.reduce((acc, field) => {
+    if (edits[field] !== undefined) acc[field] = edits[field];
+    return acc;
+  }, {});
+}
+
+const criterionKey = (criterion) =>
+  (typeof criterion === 'string' ? criterion : JSON.stringify(criterion)).trim().toLowerCase();
+
+/**
+ * Build the parent update and child stories for a split suggestion.
+ *
+ * splitIds - optional subset of draft ids to accept (defaults to all)
+ * edits    - optional { [draftId]: { title, description, ... } } overrides
+ *
+ * Returns { parentStory, childStories }; nothing is persisted here.
+ */
+function acceptSplitSuggestion({ parentStory, suggestion, storyVersion, splitIds, edits = {}, user }) {
+  if (parentStory.status === 'split') {
+    throw new SplitError('Story has already been split', 409);
+  }
+  // Drafts made from an older text would drop the edits made since
+  if (storyVersion != null && storyVersion !== parentStory.version) {
+    throw new SplitError('Story has changed since these splits were suggested. Run the Splitting Expert again.', 409, {
+      suggestedForVersion: storyVersion,
+      currentVersion: parentStory.version
+    }, 'suggestion_outdated');
+  }
+
+  const draftsById = new Map(suggestion.suggestedSplits.map(draft => [draft.id, draft]));
+  const selectedIds = splitIds && splitIds.length > 0 ? splitIds : suggestion.suggestedSplits.map(d => d.id);
+
+  const unknownIds = selectedIds.filter(id => !draftsById.has(id));
+  if (unknownIds.length > 0) {
+    throw new SplitError('Unknown split ids for this suggestion', 400, { unknownIds });
+  }
+
+  // Follow the splitter's implementation order, then any drafts it left out
+  const order = [
+    ...(suggestion.implementationOrder || []),
+    ...suggestion.suggestedSplits.map(d => d.id)
+  ].filter((id, index, all) => all.indexOf(id) === index);
+  const orderedIds = order.filter(id => selectedIds.includes(id));
+
+  const impact = suggestion.storyBoardImpact || [];
+  const parentImpact = impact.find(change => change.type === 'modify') || { changes: { status: 'split' } };
+  const now = new Date();
+  const baseId = Date.now();
+
+  const childStories = orderedIds.map((draftId, index) => {
+    const draft = draftsById.get(draftId);
+    const placement = impact.find(change => change.type === 'add' && change.storyId === draftId);
+    const edited = pickEdits(edits[draftId]);
+    const estimatedSize = edited.estimatedSize || draft.estimatedSize;
+
+    return {
+      id: `story-${baseId}-${index}`,
+      title: draft.title,
+      description: draft.description || '',
+      content: draft.description || '',
+      parentStoryId: parentStory.id,
+      workspaceId: parentStory.workspaceId,
+      epicId: parentStory.epicId, // Inherit epic from parent initially
+      // Splitter drafts use a numeric priority for ordering; manual drafts
+      // may carry a board priority of their own
+      priority: typeof draft.priority === 'string' ? draft.priority : (parentStory.priority || 'Medium'),
+      effort: draft.effort || EFFORT_BY_SIZE[estimatedSize] || 'Medium',
+      storyPoints: draft.storyPoints || 0,
+      acceptanceCriteria: draft.acceptanceCriteria || [],
+      estimatedSize,
+      rationale: draft.rationale || null,
+      implementationOrder: index + 1,
+      splitDraftId: draft.id,
+      splitSuggestionId: suggestion.id,
+      splitPattern: suggestion.pattern?.type || null,
+      boardPosition: placement?.position || null,
+      ...edited,
+      status: 'draft',
+      version: 1,
+      createdAt: now,
+      lastModified: now,
+      createdFrom: 'ai-split', // Track that this came from AI
+      createdBy: user
+    };
+  });
+
+  const baseTitle = parentStory.title.endsWith(SPLIT_SUFFIX)
+    ? parentStory.title
+    : `${parentStory.title}${SPLIT_SUFFIX}`;
+
+  const updatedParent = {
+    ...parentStory,
+    ...parentImpact.changes,
+    title: parentImpact.changes.title ? baseTitle : parentStory.title,
+    hasSplits: true,
+    // Everything needed to undo the split later
+    splitState: {
+      suggestionId: suggestion.id,
+      pattern: suggestion.pattern?.type || null,
+      childIds: childStories.map(child => child.id),
+      previousStatus: parentStory.status,
+      previousTitle: parentStory.title,
+      previousVersion: parentStory.version,
+      acceptedAt: now,
+      acceptedBy: user
+    },
+    version: (parentStory.version || 0) + 1,
+    lastModified: now
+  };
+
+  return { parentStory: updatedParent, childStories };
+}
+
+// Reasons a split can no longer be undone automatically
+function findUnsplitConflicts(parentStory, children) {
+  const conflicts = [];
+
+  children.forEach(child => {
+    if (child.status === 'published') {
+      conflicts.push({
+        storyId: child.id,
+        title: child.title,
+        reason: 'published',
+        message: `"${child.title}" has been published`
+      });
+    }
+    if ((child.epicId || null) !== (parentStory.epicId || null)) {
+      conflicts.push({
+        storyId: child.id,
+        title: child.title,
+        reason: 'moved-epic',
+        message: `"${child.title}" has been moved to epic ${child.epicId || '(none)'}`,
+        epicId: child.epicId || null
+      });
+    }
+  });
+
+  return conflicts;
+}
+
+/**
+ * Reverse an accepted split.
+ *
+ * children   - stored stories whose parentStoryId is the parent
+ * suggestion - the stored split suggestion, used to tell which acceptance
+ *              criteria were added to the children after the split
+ * mode       - 'archive' (default) keeps the children with status
+ *              'archived'; 'delete' removes them
+ *
+ * Returns { parentStory, archivedStories, deletedIds, mergedCriteria }.
+ */
+function unsplitStory({ parentStory, children, suggestion, mode = 'archive', user }) {
+  if (!parentStory.hasSplits && parentStory.status !== 'split') {
+    throw new SplitError('Story has not been split', 409);
+  }
+  if (!['archive', 'delete'].includes(mode)) {
+    throw new SplitError('mode must be "archive" or "delete"', 400);
+  }
+
+  const splitState = parentStory.splitState || {};
+  // Only AI-created children are ours to remove; hand-made sub-stories stay
+  const splitChildren = children.filter(child =>
+    child.createdFrom === 'ai-split' &&
+    child.status !== 'archived' &&
+    (!splitState.childIds || splitState.childIds.includes(child.id))
+  );
+
+  const conflicts = findUnsplitConflicts(parentStory, splitChildren);
+  if (conflicts.length > 0) {
+    throw new SplitError('Split cannot be undone', 409, { conflicts });
+  }
+
+  const draftCriteria = new Map((suggestion?.suggestedSplits || []).map(draft => [
+    draft.id,
+    new Set((draft.acceptanceCriteria || []).map(criterionKey))
+  ]));
+  const known = new Set((parentStory.acceptanceCriteria || []).map(criterionKey));
+  const mergedCriteria = [];
+
+  splitChildren.forEach(child => {
+    const original = draftCriteria.get(child.splitDraftId) || new Set();
+    (child.acceptanceCriteria || []).forEach(criterion => {
+      const key = criterionKey(criterion);
+      if (original.has(key) || known.has(key)) return;
+      known.add(key);
+      mergedCriteria.push(criterion);
+    });
+  });
+
+  const now = new Date();
+
+  const restoredParent = {
+    ...parentStory,
+    // Only drop our suffix so a title edited after the split survives
+    title: parentStory.title.endsWith(SPLIT_SUFFIX)
+      ? parentStory.title.slice(0, -SPLIT_SUFFIX.length)
+      : parentStory.title,
+    status: splitState.previousStatus || 'draft',
+    acceptanceCriteria: [...(parentStory.acceptanceCriteria || []), ...mergedCriteria],
+    hasSplits: children.some(child => !splitChildren.includes(child) && child.status !== 'archived'),
+    splitState: null,
+    // Versions only move forward so clients holding the split copy notice
+    // the change; restoredVersion records which version we went back to.
+    version: (parentStory.version || 0) + 1,
+    lastModified: now,
+    editHistory: [...(parentStory.editHistory || []), {
+      type: 'unsplit',
+      suggestionId: splitState.suggestionId || null,
+      restoredVersion: splitState.previousVersion || null,
+      removedStoryIds: splitChildren.map(child => child.id),
+      mergedCriteria,
+      mode,
+      user,
+      timestamp: now,
+      version: (parentStory.version || 0) + 1
+    }]
+  };
+
+  const archivedStories = mode === 'archive'
+    ? splitChildren.map(child => ({
+      ...child,
+      status: 'archived',
+      archivedAt: now,
+      archivedReason: 'unsplit',
+      version: (child.version || 0) + 1,
+      lastModified: now
+    }))
+    : [];
+
+  return {
+    parentStory: restoredParent,
+    archivedStories,
+    deletedIds: mode === 'delete' ? splitChildren.map(child => child.id) : [],
+    mergedCriteria
+  };
+}
+
+module.exports = {
+  acceptSplitSuggestion,
+  unsplitStory,
+  suggestionFromDrafts,
+  toStoredSplitResult,
+  SplitError
+};
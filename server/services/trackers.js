@@ -0,0 +1,154 @@
+// server/services/trackers.js
+// Export targets besides Jira: the payloads for a backlog, and sending
+// them to the tracker configured on the server.
+//   github       - GITHUB_REPOSITORY (owner/repo), GITHUB_TOKEN and
+//                  GITHUB_API_URL (default https://api.github.com)
+//   azure-devops - AZURE_DEVOPS_ORG_URL, AZURE_DEVOPS_PROJECT and
+//                  AZURE_DEVOPS_TOKEN (a personal access token)
+// Where issues are sent is only ever read from the environment. Run
+// `npm run trackers:mock` to publish to a local stand-in.
+const { toGitHubIssues, gitHubIssueBody } = require('./github-issues');
+const { toAzureDevOps, azureBatch, BATCH_API_VERSION } = require('./azure-devops');
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+class TrackerError extends Error {
+  constructor(message, status = 502, { code, details } = {}) {
+    super(message);
+    this.name = 'TrackerError';
+    this.status = status;
+    this.code = code;
+    this.details = details || null;
+  }
+}
+
+// POSTs JSON; a failure ends the publish and reports what was created
+// before it, since trackers cannot undo that for us
+async function post(url, { headers, body }, created) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw new TrackerError(`Could not reach ${new URL(url).host}: ${error.message}`, 502, {
+      code: 'tracker_unreachable',
+      details: { created }
+    });
+  }
+
+  const text = await response.text();
+  if (!response.ok) {
+    throw new TrackerError(`The tracker answered ${response.status}`, 502, {
+      code: 'tracker_rejected',
+      details: { status: response.status, response: text.slice(0, 500), created }
+    });
+  }
+  return text ? JSON.parse(text) : null;
+}
+
+async function publishGitHub({ issues }, { apiUrl, repository, token }) {
+  const numbers = new Map();
+  const created = [];
+  for (const issue of issues) {
+    const saved = await post(`${apiUrl}/repos/${repository}/issues`, {
+      headers: {
+        Accept: 'application/vnd.github+json',
+        Authorization: `Bearer ${token}`,
+        'X-GitHub-Api-Version': '2022-11-28'
+      },
+      body: { title: issue.title, body: gitHubIssueBody(issue, numbers), labels: issue.labels }
+    }, created);
+    numbers.set(issue.ref, saved.number);
+    created.push({ ref: issue.ref, id: saved.number, url: saved.html_url });
+  }
+  return { created, failed: [] };
+}
+
+// The batch endpoint answers 200 and reports each work item separately
+async function publishAzureDevOps(payload, { organizationUrl, token }) {
+  const results = await post(`${organizationUrl}/_apis/wit/$batch?api-version=${BATCH_API_VERSION}`, {
+    headers: { Authorization: `Basic ${Buffer.from(`:${token}`).toString('base64')}` },
+    body: azureBatch(payload)
+  }, []);
+
+  const created = [];
+  const failed = [];
+  (results?.value || []).forEach((result, index) => {
+    const { ref } = payload.workItems[index];
+    let body = result.body;
+    try {
+      if (typeof body === 'string') body = JSON.parse(body);
+    } catch (error) {
+      body = null;
+    }
+    if (result.code >= 400) {
+      failed.push({ ref, status: result.code, message: body?.value?.Message || body?.message || null });
+    } else {
+      created.push({ ref, id: body?.id ?? null, url: body?.url || null });
+    }
+  });
+  return { created, failed };
+}
+
+const TRACKERS = {
+  github: {
+    name: 'GitHub Issues',
+    settings: ['GITHUB_REPOSITORY', 'GITHUB_TOKEN'],
+    config: () => ({
+      apiUrl: (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, ''),
+      repository: process.env.GITHUB_REPOSITORY,
+      token: process.env.GITHUB_TOKEN
+    }),
+    isConfigured: (config) => !!(config.repository && config.token),
+    build: (tree, { labels }) => toGitHubIssues(tree, { labels }),
+    publish: publishGitHub
+  },
+  'azure-devops': {
+    name: 'Azure DevOps',
+    settings: ['AZURE_DEVOPS_ORG_URL', 'AZURE_DEVOPS_PROJECT', 'AZURE_DEVOPS_TOKEN'],
+    config: () => ({
+      organizationUrl: (process.env.AZURE_DEVOPS_ORG_URL || '').replace(/\/+$/, ''),
+      project: process.env.AZURE_DEVOPS_PROJECT,
+      token: process.env.AZURE_DEVOPS_TOKEN
+    }),
+    isConfigured: (config) => !!(config.organizationUrl && config.project && config.token),
+    build: (tree, { organizationUrl, project, areaPath, iterationPath }, config) => toAzureDevOps(tree, {
+      organizationUrl: organizationUrl || config.organizationUrl || 'https://dev.azure.com/your-organization',
+      project: project || config.project || 'Story Splitter',
+      areaPath,
+      iterationPath
+    }),
+    publish: publishAzureDevOps
+  }
+};
+
+const TRACKER_TARGETS = Object.keys(TRACKERS);
+
+// What GET /api/export/:target returns
+function buildExport(target, tree, options = {}) {
+  const tracker = TRACKERS[target];
+  return tracker.build(tree, options, tracker.config());
+}
+
+// Builds the export against the configured tracker and sends it
+async function publishExport(target, tree, options = {}) {
+  const tracker = TRACKERS[target];
+  const config = tracker.config();
+  if (!tracker.isConfigured(config)) {
+    throw new TrackerError(`${tracker.name} is not configured on this server`, 503, {
+      code: 'tracker_not_configured',
+      details: { settings: tracker.settings }
+    });
+  }
+
+  // Only the server's own settings decide where items go
+  const { organizationUrl, project, ...rest } = options;
+  const payload = tracker.build(tree, rest, config);
+  return { target, ...(await tracker.publish(payload, config)) };
+}
+
+module.exports = { buildExport, publishExport, TrackerError, TRACKER_TARGETS };
@@ -0,0 +1,266 @@
+// server/services/trash.js
+// Deleting a story or epic moves it, and whatever the chosen mode takes
+// with it, into one trash entry. Restoring the entry puts the records back
+// and undoes the reparenting or unassigning the delete did, so nothing is
+// lost until an admin empties the entry.
+const { v4: uuidv4 } = require('uuid');
+
+// What happens to a story's children and an epic's stories
+const STORY_DELETE_MODES = ['refuse', 'cascade', 'reparent'];
+const EPIC_DELETE_MODES = ['refuse', 'cascade', 'unassign'];
+
+class TrashError extends Error {
+  constructor(message, status = 400, { code, details } = {}) {
+    super(message);
+    this.name = 'TrashError';
+    this.status = status;
+    this.code = code;
+    this.details = details || null;
+  }
+}
+
+const itemOf = (type) => (record) => ({ type, id: record.id, title: record.title || '' });
+
+class Trash {
+  /**
+   * stories, epics, entries - repository collections
+   * saveStory(story, meta)  - versioned save used when a delete or restore
+   *                           moves surviving stories
+   * isProtected(story)      - reason a story may not be deleted, or null
+   */
+  constructor({ stories, epics, entries, saveStory, isProtected = () => null }) {
+    this.stories = stories;
+    this.epics = epics;
+    this.entries = entries;
+    this.saveStory = saveStory;
+    this.isProtected = isProtected;
+  }
+
+  // All stories below storyId, archived ones included
+  descendantsOf(storyId) {
+    const found = [];
+    const queue = [storyId];
+    while (queue.length > 0) {
+      const parentId = queue.shift();
+      this.stories.list(story => story.parentStoryId === parentId).forEach(child => {
+        if (found.some(story => story.id === child.id)) return;
+        found.push(child);
+        queue.push(child.id);
+      });
+    }
+    return found;
+  }
+
+  deleteStory(story, { mode = 'refuse', user }) {
+    const children = this.stories.list(child => child.parentStoryId === story.id);
+    if (mode === 'refuse' && children.length > 0) {
+      throw new TrashError(`Story has ${children.length} sub-stories; delete them too or move them up`, 409, {
+        code: 'has_children',
+        details: { children: children.map(itemOf('story')), modes: STORY_DELETE_MODES }
+      });
+    }
+
+    const removed = mode === 'cascade' ? [story, ...this.descendantsOf(story.id)] : [story];
+    this.refuseProtected(removed);
+
+    const reparented = mode === 'reparent'
+      ? children.map(child => this.move(child, { parentStoryId: story.parentStoryId ?? null }, user, 'reparent'))
+      : [];
+
+    return this.trash({ type: 'story', record: story, mode, user, stories: removed, reparented });
+  }
+
+  deleteEpic(epic, { mode = 'refuse', user }) {
+    const assigned = this.stories.list(story => story.epicId === epic.id);
+    if (mode === 'refuse' && assigned.length > 0) {
+      throw new TrashError(`Epic has ${assigned.length} stories; delete them too or unassign them`, 409, {
+        code: 'has_stories',
+        details: { stories: assigned.map(itemOf('story')), modes: EPIC_DELETE_MODES }
+      });
+    }
+
+    let removed = [];
+    if (mode === 'cascade') {
+      removed = assigned.flatMap(story => [story, ...this.descendantsOf(story.id)])
+        .filter((story, index, all) => all.findIndex(other => other.id === story.id) === index);
+      this.refuseProtected(removed);
+    }
+
+    const unassigned = mode === 'unassign'
+      ? assigned.map(story => this.move(story, { epicId: null }, user, 'unassign'))
+      : [];
+
+    return this.trash({ type: 'epic', record: epic, mode, user, stories: removed, epics: [epic], unassigned });
+  }
+
+  // Children removed by undoing a split, with any sub-stories of their own,
+  // in one entry named after the parent
+  discardSplit(parent, children, { user }) {
+    const removed = children
+      .flatMap(child => [child, ...this.descendantsOf(child.id)])
+      .filter((story, index, all) => all.findIndex(other => other.id === story.id) === index);
+    this.refuseProtected(removed);
+
+    return this.trash({ type: 'split', record: parent, mode: 'unsplit', user, stories: removed });
+  }
+
+  // Records a replacing import did not bring back, in one entry for the
+  // workspace. Remaining stories that point at them are moved off first.
+  discard(workspace, { stories = [], epics = [], user }) {
+    const storyIds = new Set(stories.map(story => story.id));
+    const epicIds = new Set(epics.map(epic => epic.id));
+    const moved = this.stories
+      .list(story => story.workspaceId === workspace.id && !storyIds.has(story.id))
+      .flatMap(story => [['parentStoryId', storyIds], ['epicId', epicIds]]
+        .filter(([field, removed]) => removed.has(story[field]))
+        .map(([field]) => this.move(this.stories.get(story.id), { [field]: null }, user, 'import')));
+
+    return this.trash({
+      type: 'workspace',
+      record: { id: workspace.id, workspaceId: workspace.id, title: workspace.name },
+      mode: 'replace',
+      user,
+      stories,
+      epics,
+      unassigned: moved
+    });
+  }
+
+  refuseProtected(stories) {
+    const blocked = stories
+      .map(story => ({ story, reason: this.isProtected(story) }))
+      .filter(({ reason }) => reason);
+    if (blocked.length > 0) {
+      throw new TrashError(blocked[0].reason, 409, {
+        code: 'protected_story',
+        details: { stories: blocked.map(({ story }) => itemOf('story')(story)) }
+      });
+    }
+  }
+
+  // Saves a surviving story with new references; returns how to undo it
+  move(story, changes, user, reason) {
+    const [field] = Object.keys(changes);
+    this.saveStory({
+      ...story,
+      ...changes,
+      version: (story.version || 0) + 1,
+      lastModified: new Date()
+    }, { previous: story, user, reason });
+    return { id: story.id, field, from: story[field] ?? null, to: changes[field] };
+  }
+
+  trash({ type, record, mode, user, stories = [], epics = [], reparented = [], unassigned = [] }) {
+    const entry = this.entries.save({
+      id: `trash-${uuidv4()}`,
+      workspaceId: record.workspaceId,
+      type,
+      recordId: record.id,
+      title: record.title || '',
+      mode,
+      deletedAt: new Date(),
+      deletedBy: user || null,
+      stories,
+      epics,
+      moved: [...reparented, ...unassigned]
+    });
+
+    stories.forEach(story => this.stories.delete(story.id));
+    epics.forEach(epic => this.epics.delete(epic.id));
+    return summarize(entry);
+  }
+
+  list(workspaceIds) {
+    return this.entries.list(entry => workspaceIds.includes(entry.workspaceId))
+      .sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt)))
+      .map(summarize);
+  }
+
+  // References to records that no longer exist are cleared rather than
+  // restored dangling. `pending` are ids about to be restored alongside.
+  detachDangling(story, pending = new Set()) {
+    const exists = (collection, id) => pending.has(id) || collection.has(id);
+    const detached = [];
+    const result = { ...story };
+    if (story.parentStoryId && !exists(this.stories, story.parentStoryId)) {
+      detached.push({ id: story.id, field: 'parentStoryId', from: story.parentStoryId });
+      result.parentStoryId = null;
+    }
+    if (story.epicId && !exists(this.epics, story.epicId)) {
+      detached.push({ id: story.id, field: 'epicId', from: story.epicId });
+      result.epicId = null;
+    }
+    return { story: result, detached };
+  }
+
+  restore(entryId, { user }) {
+    const entry = this.entries.get(entryId);
+    const taken = [
+      ...entry.stories.filter(story => this.stories.has(story.id)),
+      ...entry.epics.filter(epic => this.epics.has(epic.id))
+    ].map(record => record.id);
+    if (taken.length > 0) {
+      throw new TrashError('Records with these ids exist again; restoring would overwrite them', 409, {
+        code: 'restore_conflict',
+        details: { ids: taken }
+      });
+    }
+
+    entry.epics.forEach(epic => this.epics.save(epic));
+
+    const pending = new Set(entry.stories.map(story => story.id));
+    const detached = [];
+    const restoredStories = entry.stories.map(stored => {
+      const { story, detached: cleared } = this.detachDangling(stored, pending);
+      detached.push(...cleared);
+      if (cleared.length === 0) return this.stories.save(story);
+      return this.saveStory({
+        ...story,
+        version: (story.version || 0) + 1,
+        lastModified: new Date()
+      }, { user, reason: 'restore' });
+    });
+
+    // Undo moves only where nobody has moved the story since
+    const skipped = [];
+    const movedBack = entry.moved.flatMap(move => {
+      const current = this.stories.get(move.id);
+      if (!current || (current[move.field] ?? null) !== move.to) {
+        skipped.push(move);
+        return [];
+      }
+      const saved = this.saveStory({
+        ...current,
+        [move.field]: move.from,
+        version: (current.version || 0) + 1,
+        lastModified: new Date()
+      }, { previous: current, user, reason: 'restore' });
+      return [saved];
+    });
+
+    this.entries.delete(entryId);
+    return {
+      entry: summarize(entry),
+      stories: [...restoredStories, ...movedBack],
+      epics: entry.epics,
+      detached,
+      skipped
+    };
+  }
+
+  purge(entryId) {
+    const entry = this.entries.get(entryId);
+    this.entries.delete(entryId);
+    return entry;
+  }
+}
+
+// Entries keep full records; listings and API responses show what they hold
+function summarize({ stories, epics, ...entry }) {
+  return {
+    ...entry,
+    items: [...epics.map(itemOf('epic')), ...stories.map(itemOf('story'))]
+  };
+}
+
+module.exports = { Trash, TrashError, STORY_DELETE_MODES, EPIC_DELETE_MODES };
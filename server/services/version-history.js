@@ -0,0 +1,132 @@
+// server/services/version-history.js
+// Immutable per-version snapshots of stories, with field-level diffs.
+
+// Fields compared by diff(); `content` falls back to the legacy
+// `description` statement field.
+const DIFF_FIELDS = ['title', 'content', 'acceptanceCriteria', 'priority', 'epicId'];
+
+// Bookkeeping that changes on every save and would only add noise
+const UNSNAPSHOTTED_FIELDS = ['editHistory'];
+
+const snapshotId = (storyId, version) => `${storyId}@${version}`;
+
+const fieldValue = (story, field) => {
+  if (field === 'content') return story.content ?? story.description ?? '';
+  if (field === 'acceptanceCriteria') return story.acceptanceCriteria || [];
+  return story[field] ?? null;
+};
+
+class StoryVersionHistory {
+  constructor(collection) {
+    this.versions = collection;
+  }
+
+  // Store the story as it is at its current version. Snapshots are never
+  // overwritten: saving again without a version bump is a no-op.
+  record(story, meta = {}) {
+    const id = snapshotId(story.id, story.version || 1);
+    if (this.versions.has(id)) return this.versions.get(id);
+    return this.versions.save(this.snapshot(story, meta));
+  }
+
+  // The snapshot record() would store, without storing it
+  // Collaborative edits list everyone who typed in `contributors`; the
+  // author is whoever typed last
+  snapshot(story, { user, contributors, reason = 'update', restoredFrom } = {}) {
+    const version = story.version || 1;
+    const snapshot = { ...story };
+    UNSNAPSHOTTED_FIELDS.forEach(field => delete snapshot[field]);
+
+    return {
+      id: snapshotId(story.id, version),
+      storyId: story.id,
+      version,
+      author: user || null,
+      ...(contributors && { contributors }),
+      reason,
+      restoredFrom: restoredFrom ?? null,
+      createdAt: new Date(),
+      story: snapshot
+    };
+  }
+
+  // Snapshots brought in with an imported story keep their author, reason
+  // and date; one already stored under the same version wins
+  import(snapshot) {
+    const id = snapshotId(snapshot.storyId, snapshot.version);
+    if (this.versions.has(id)) return this.versions.get(id);
+    return this.versions.save({
+      id,
+      storyId: snapshot.storyId,
+      version: snapshot.version,
+      author: snapshot.author || null,
+      ...(snapshot.contributors && { contributors: snapshot.contributors }),
+      reason: snapshot.reason || 'import',
+      restoredFrom: snapshot.restoredFrom ?? null,
+      createdAt: snapshot.createdAt || new Date(),
+      story: snapshot.story
+    });
+  }
+
+  list(storyId) {
+    return this.versions
+      .list(snapshot => snapshot.storyId === storyId)
+      .sort((a, b) => a.version - b.version);
+  }
+
+  get(storyId, version) {
+    return this.versions.get(snapshotId(storyId, version));
+  }
+
+  // Reads for a stored story. Stories not saved since history was added
+  // have no snapshot of their current version yet; it is listed as a
+  // baseline without being stored, since only writes create snapshots.
+  history(story) {
+    const snapshots = this.list(story.id);
+    const version = story.version || 1;
+    return snapshots.some(snapshot => snapshot.version === version)
+      ? snapshots
+      : [...snapshots, this.snapshot(story, { reason: 'baseline' })].sort((a, b) => a.version - b.version);
+  }
+
+  at(story, version) {
+    return this.get(story.id, version) ||
+      (version === (story.version || 1) ? this.snapshot(story, { reason: 'baseline' }) : undefined);
+  }
+
+  forget(storyId) {
+    this.list(storyId).forEach(snapshot => this.versions.delete(snapshot.id));
+  }
+
+  diff(from, to) {
+    const changes = DIFF_FIELDS
+      .map(field => {
+        const before = fieldValue(from.story, field);
+        const after = fieldValue(to.story, field);
+        if (JSON.stringify(before) === JSON.stringify(after)) return null;
+
+        const change = { field, from: before, to: after };
+        if (field === 'acceptanceCriteria') {
+          const key = (criterion) => JSON.stringify(criterion);
+          const beforeKeys = new Set(before.map(key));
+          const afterKeys = new Set(after.map(key));
+          change.added = after.filter(criterion => !beforeKeys.has(key(criterion)));
+          change.removed = before.filter(criterion => !afterKeys.has(key(criterion)));
+        }
+        return change;
+      })
+      .filter(Boolean);
+
+    return {
+      storyId: to.storyId,
+      from: from.version,
+      to: to.version,
+      changes
+    };
+  }
+}
+
+module.exports = {
+  StoryVersionHistory,
+  DIFF_FIELDS
+};
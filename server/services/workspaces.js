@@ -0,0 +1,147 @@
+// server/services/workspaces.js
+// Workspaces own stories and epics. Users see and change a workspace's
+// backlog according to their role in it; roles are ordered, so each one
+// can do everything the roles before it can.
+const { v4: uuidv4 } = require('uuid');
+
+const ROLES = ['viewer', 'editor', 'product_owner', 'admin'];
+
+// Least role needed for each action
+const PERMISSIONS = {
+  read: 'viewer',
+  edit: 'editor',
+  'run-agents': 'editor',
+  publish: 'product_owner',
+  manage: 'admin'
+};
+
+const DEFAULT_WORKSPACE_ID = 'default';
+
+const isRole = (role) => ROLES.includes(role);
+
+const can = (role, permission) =>
+  isRole(role) && ROLES.indexOf(role) >= ROLES.indexOf(PERMISSIONS[permission]);
+
+const membershipId = (workspaceId, userId) => `${workspaceId}:${userId}`;
+
+class WorkspaceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WorkspaceError';
+    this.status = status;
+  }
+}
+
+class WorkspaceDirectory {
+  constructor({ workspaces, memberships }) {
+    this.workspaces = workspaces;
+    this.memberships = memberships;
+  }
+
+  get(id) {
+    return this.workspaces.get(id);
+  }
+
+  roleOf(workspaceId, userId) {
+    return this.memberships.get(membershipId(workspaceId, userId))?.role || null;
+  }
+
+  // Workspaces the user belongs to, each with the user's role
+  listFor(userId) {
+    return this.memberships.list(membership => membership.userId === userId)
+      .map(membership => ({ ...this.workspaces.get(membership.workspaceId), role: membership.role }))
+      .filter(workspace => workspace.id)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  idsFor(userId) {
+    return this.memberships.list(membership => membership.userId === userId)
+      .map(membership => membership.workspaceId);
+  }
+
+  members(workspaceId) {
+    return this.memberships.list(membership => membership.workspaceId === workspaceId);
+  }
+
+  // The creator becomes the admin. `mainStoryId` names the story the editor
+  // opens on; the caller creates it.
+  create({ name, user }) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) throw new WorkspaceError('Workspace name is required');
+
+    const id = `ws-${uuidv4()}`;
+    const workspace = this.workspaces.save({
+      id,
+      name: trimmed,
+      mainStoryId: `${id}-main`,
+      createdBy: user.id,
+      createdAt: new Date()
+    });
+    this.setRole(workspace.id, user.id, 'admin', user);
+    return workspace;
+  }
+
+  rename(workspaceId, name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) throw new WorkspaceError('Workspace name is required');
+    return this.workspaces.save({ ...this.workspaces.get(workspaceId), name: trimmed, lastModified: new Date() });
+  }
+
+  setRole(workspaceId, userId, role, addedBy) {
+    if (!isRole(role)) {
+      throw new WorkspaceError(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+    if (this.roleOf(workspaceId, userId) === 'admin' && role !== 'admin') {
+      this.ensureAnotherAdmin(workspaceId, userId);
+    }
+
+    const id = membershipId(workspaceId, userId);
+    const existing = this.memberships.get(id);
+    return this.memberships.save({
+      id,
+      workspaceId,
+      userId,
+      role,
+      addedBy: existing?.addedBy || addedBy?.id || null,
+      addedAt: existing?.addedAt || new Date(),
+      lastModified: new Date()
+    });
+  }
+
+  removeMember(workspaceId, userId) {
+    if (this.roleOf(workspaceId, userId) === 'admin') {
+      this.ensureAnotherAdmin(workspaceId, userId);
+    }
+    return this.memberships.delete(membershipId(workspaceId, userId));
+  }
+
+  // A workspace must never be left without anyone who can manage it
+  ensureAnotherAdmin(workspaceId, userId) {
+    const admins = this.members(workspaceId).filter(member => member.role === 'admin');
+    if (admins.every(admin => admin.userId === userId)) {
+      throw new WorkspaceError('A workspace needs at least one admin', 409);
+    }
+  }
+
+  // Accounts that belong nowhere yet: the first one administers the default
+  // workspace, later ones join it with `defaultRole` when that is configured
+  onboard(user, defaultRole) {
+    if (!this.workspaces.has(DEFAULT_WORKSPACE_ID) || this.idsFor(user.id).length > 0) return;
+
+    const hasAdmin = this.members(DEFAULT_WORKSPACE_ID).some(member => member.role === 'admin');
+    if (!hasAdmin) {
+      this.setRole(DEFAULT_WORKSPACE_ID, user.id, 'admin');
+    } else if (isRole(defaultRole)) {
+      this.setRole(DEFAULT_WORKSPACE_ID, user.id, defaultRole);
+    }
+  }
+}
+
+module.exports = {
+  WorkspaceDirectory,
+  WorkspaceError,
+  ROLES,
+  PERMISSIONS,
+  DEFAULT_WORKSPACE_ID,
+  can
+};
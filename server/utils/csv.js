@@ -0,0 +1,73 @@
+// server/utils/csv.js
+// RFC 4180 CSV: fields may be quoted, and quoted fields may hold the
+// delimiter, line breaks and doubled quotes (""). Spreadsheet exports often
+// start with a byte order mark, which is dropped.
+
+class CsvError extends Error {
+  constructor(message, line) {
+    super(message);
+    this.name = 'CsvError';
+    this.line = line;
+  }
+}
+
+// Rows as arrays of strings; blank lines are skipped
+function parseCsv(text, { delimiter = ',' } = {}) {
+  const source = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let quoteLine = 1;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+      quoteLine = line;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+      line++;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) throw new CsvError(`Quoted field opened on line ${quoteLine} is never closed`, quoteLine);
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+const NEEDS_QUOTES = /[",\r\n]|^\s|\s$/;
+
+function toCsv(rows, { delimiter = ',' } = {}) {
+  const format = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return NEEDS_QUOTES.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map(row => row.map(format).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsv, CsvError };
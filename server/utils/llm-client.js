@@ -1,11 +1,109 @@
 // server/utils/llm-client.js
+const http = require('http');
+const https = require('https');
+
+const DEFAULTS = {
+  claude: {
+    baseURL: 'https://api.anthropic.com',
+    model: 'claude-3-5-sonnet-20241022',
+    apiVersion: '2023-06-01'
+  },
+  openai: {
+    baseURL: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini'
+  },
+  // Every attempt, retry and backoff fits in the budget, which stays under
+  // the 30 s function limit in vercel.json
+  timeout: 10000,
+  maxRetries: 1,
+  retryDelay: 500,
+  budget: 25000
+};
+
+// Base class for every provider failure so callers can tell an LLM problem
+// apart from a bug in their own code.
+class LLMError extends Error {
+  constructor(message, { provider, status = null, retryable = false, body = null } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+    this.body = body;
+  }
+}
+
+class LLMConfigurationError extends LLMError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'LLMConfigurationError';
+  }
+}
+
+class LLMAuthenticationError extends LLMError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'LLMAuthenticationError';
+  }
+}
+
+class LLMRateLimitError extends LLMError {
+  constructor(message, details) {
+    super(message, { ...details, retryable: true });
+    this.name = 'LLMRateLimitError';
+    this.retryAfter = details.retryAfter || null;
+  }
+}
+
+class LLMTimeoutError extends LLMError {
+  constructor(message, details) {
+    super(message, { ...details, retryable: true });
+    this.name = 'LLMTimeoutError';
+  }
+}
+
+class LLMResponseError extends LLMError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'LLMResponseError';
+  }
+}
+
+const parseInteger = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
 class LLMClient {
-  constructor() {
+  constructor(options = {}) {
+    this.claude = {
+      apiKey: process.env.CLAUDE_API_KEY,
+      baseURL: process.env.CLAUDE_BASE_URL || DEFAULTS.claude.baseURL,
+      model: process.env.CLAUDE_MODEL || DEFAULTS.claude.model,
+      apiVersion: DEFAULTS.claude.apiVersion,
+      ...options.claude
+    };
+    this.openai = {
+      apiKey: process.env.OPENAI_API_KEY,
+      baseURL: process.env.OPENAI_BASE_URL || DEFAULTS.openai.baseURL,
+      model: process.env.OPENAI_MODEL || DEFAULTS.openai.model,
+      ...options.openai
+    };
+    this.timeout = options.timeout ?? parseInteger(process.env.LLM_TIMEOUT_MS, DEFAULTS.timeout);
+    this.maxRetries = options.maxRetries ?? parseInteger(process.env.LLM_MAX_RETRIES, DEFAULTS.maxRetries);
+    this.retryDelay = options.retryDelay ?? DEFAULTS.retryDelay;
+    this.budget = options.budget ?? parseInteger(process.env.LLM_BUDGET_MS, DEFAULTS.budget);
+
     // Check for API keys
-    this.hasClaudeKey = !!process.env.CLAUDE_API_KEY;
-    this.hasOpenAIKey = !!process.env.OPENAI_API_KEY;
-    
-    if (this.hasClaudeKey) {
+    this.hasClaudeKey = !!this.claude.apiKey;
+    this.hasOpenAIKey = !!this.openai.apiKey;
+
+    if (options.provider) {
+      this.preferredProvider = options.provider;
+    } else if (process.env.USE_MOCK_AI === 'true') {
+      console.log('Mock AI mode enabled, using mock responses');
+      this.preferredProvider = 'mock';
+    } else if (this.hasClaudeKey) {
       console.log('Claude API key detected');
       this.preferredProvider = 'claude';
     } else if (this.hasOpenAIKey) {
@@ -17,99 +115,351 @@ class LLMClient {
     }
   }
 
+  // True when analyze() goes to Claude or OpenAI rather than the mock
+  hasProvider() {
+    return this.preferredProvider === 'claude' || this.preferredProvider === 'openai';
+  }
+
+  modelName() {
+    return this.hasProvider() ? this[this.preferredProvider].model : 'mock';
+  }
+
+  // Errors are thrown as LLMError subclasses; there is no silent fallback to
+  // the mock so callers can decide how to degrade.
+  // options.signal aborts the request and any retry; the AbortError is
+  // thrown as is. options.onText(delta) receives the answer as the provider
+  // streams it; the full text is still returned.
   async analyze(options) {
-    const { prompt, temperature = 0.1, maxTokens = 2000 } = options;
-
-    try {
-      switch (this.preferredProvider) {
-        case 'claude':
-          return await this.callClaude(prompt, temperature, maxTokens);
-        case 'openai':
-          return await this.callOpenAI(prompt, temperature, maxTokens);
-        default:
-          return await this.mockResponse(prompt);
+    const { prompt, temperature = 0.1, maxTokens = 2000, signal, onText } = options;
+
+    switch (this.preferredProvider) {
+      case 'claude':
+        return await this.callClaude(prompt, temperature, maxTokens, signal, onText);
+      case 'openai':
+        return await this.callOpenAI(prompt, temperature, maxTokens, signal, onText);
+      case 'mock':
+        return await this.mockResponse(prompt);
+      default:
+        throw new LLMConfigurationError(`Unknown LLM provider: ${this.preferredProvider}`, {
+          provider: this.preferredProvider
+        });
+    }
+  }
+
+  async callClaude(prompt, temperature, maxTokens, signal, onText) {
+    if (!this.claude.apiKey) {
+      throw new LLMConfigurationError('CLAUDE_API_KEY is not configured', { provider: 'claude' });
+    }
+
+    const body = await this.requestWithRetry('claude', `${this.claude.baseURL}/v1/messages`, {
+      'x-api-key': this.claude.apiKey,
+      'anthropic-version': this.claude.apiVersion
+    }, {
+      model: this.claude.model,
+      max_tokens: maxTokens,
+      temperature,
+      stream: true,
+      messages: [{ role: 'user', content: prompt }]
+    }, signal, (event) => {
+      if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        onText?.(event.delta.text);
       }
-    } catch (error) {
-      console.error('LLM API error:', error);
-      // Fallback to mock on error
-      return await this.mockResponse(prompt);
+    });
+
+    // An error part way through the stream arrives as an event
+    const failure = Array.isArray(body) && body.find(event => event.type === 'error');
+    if (failure) {
+      throw new LLMResponseError(`claude stream error: ${failure.error?.message || 'unknown error'}`, {
+        provider: 'claude',
+        body: failure,
+        retryable: failure.error?.type === 'overloaded_error'
+      });
+    }
+
+    const text = Array.isArray(body)
+      ? body.filter(event => event.type === 'content_block_delta' && event.delta?.type === 'text_delta')
+        .map(event => event.delta.text).join('')
+      : Array.isArray(body.content)
+        ? body.content.filter(block => block.type === 'text').map(block => block.text).join('')
+        : null;
+
+    if (!text) {
+      throw new LLMResponseError('Claude response did not contain any text content', {
+        provider: 'claude',
+        body
+      });
     }
+
+    return text;
   }
 
-  async callClaude(prompt, temperature, maxTokens) {
-    // This would use the Anthropic SDK in production
-    // For now, return mock response
-    console.log('Claude API call would happen here');
-    return this.mockResponse(prompt);
+  async callOpenAI(prompt, temperature, maxTokens, signal, onText) {
+    if (!this.openai.apiKey) {
+      throw new LLMConfigurationError('OPENAI_API_KEY is not configured', { provider: 'openai' });
+    }
+
+    const body = await this.requestWithRetry('openai', `${this.openai.baseURL}/chat/completions`, {
+      Authorization: `Bearer ${this.openai.apiKey}`
+    }, {
+      model: this.openai.model,
+      max_tokens: maxTokens,
+      temperature,
+      stream: true,
+      messages: [{ role: 'user', content: prompt }]
+    }, signal, (event) => {
+      const delta = event.choices?.[0]?.delta?.content;
+      if (delta) onText?.(delta);
+    });
+
+    const text = Array.isArray(body)
+      ? body.map(event => event.choices?.[0]?.delta?.content || '').join('')
+      : body.choices?.[0]?.message?.content;
+
+    if (!text) {
+      throw new LLMResponseError('OpenAI response did not contain a message', {
+        provider: 'openai',
+        body
+      });
+    }
+
+    return text;
   }
 
-  async callOpenAI(prompt, temperature, maxTokens) {
-    // This would use the OpenAI SDK in production
-    // For now, return mock response
-    console.log('OpenAI API call would happen here');
-    return this.mockResponse(prompt);
+  // Attempts share one budget: the last attempt gets whatever time is left
+  // and a retry that could not start before the deadline is not made.
+  // Streamed events cannot be taken back, so a stream that fails after its
+  // first event is not retried either.
+  async requestWithRetry(provider, url, headers, payload, signal, onEvent) {
+    const deadline = Date.now() + this.budget;
+    let attempt = 0;
+    let streamed = false;
+
+    while (true) {
+      try {
+        const timeout = Math.max(1, Math.min(this.timeout, deadline - Date.now()));
+        return await this.postJSON(provider, url, headers, payload, timeout, signal, (event) => {
+          streamed = true;
+          onEvent?.(event);
+        });
+      } catch (error) {
+        if (signal?.aborted || streamed) {
+          throw error;
+        }
+
+        const delay = error.retryAfter
+          ? error.retryAfter * 1000
+          : this.retryDelay * Math.pow(2, attempt);
+
+        if (!error.retryable || attempt >= this.maxRetries || Date.now() + delay >= deadline) {
+          throw error;
+        }
+
+        attempt++;
+        console.warn(`${provider} request failed (${error.message}), retry ${attempt}/${this.maxRetries} in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
   }
 
-  async mockResponse(prompt) {
-    // Enhanced mock that analyzes the prompt
-    await new Promise(resolve => setTimeout(resolve, 500)); // Simulate API delay
+  // A text/event-stream answer (payload.stream) is passed to onEvent one
+  // parsed event at a time and resolves with the list of events; any other
+  // answer resolves with its JSON body.
+  postJSON(provider, url, headers, payload, timeout = this.timeout, signal, onEvent) {
+    const target = new URL(url);
+    const transport = target.protocol === 'http:' ? http : https;
+    const data = JSON.stringify(payload);
 
-    // Extract story content from prompt
-    const storyMatch = prompt.match(/Story.*?:.*?"(.*?)"/s);
-    const storyContent = storyMatch ? storyMatch[1] : '';
-
-    // Analyze based on content
-    const hasUserRole = storyContent.toLowerCase().includes('as a');
-    const hasValue = storyContent.toLowerCase().includes('so that');
-    const wordCount = storyContent.split(' ').length;
-
-    return JSON.stringify({
-      investScore: {
-        independent: {
-          score: !storyContent.includes('after') && !storyContent.includes('depends'),
-          confidence: 0.8,
-          reasoning: 'Analyzed for dependency indicators',
-          suggestions: []
-        },
-        negotiable: {
-          score: !storyContent.includes('must use'),
-          confidence: 0.7,
-          reasoning: 'Checked for implementation constraints',
-          suggestions: []
+    return new Promise((resolve, reject) => {
+      const req = transport.request(target, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(data),
+          ...headers
         },
-        valuable: {
-          score: hasUserRole && hasValue,
-          confidence: 0.9,
-          reasoning: hasValue ? 'Clear value statement found' : 'Missing value statement',
-          suggestions: hasValue ? [] : ['Add "so that" clause to explain value']
-        },
-        estimable: {
-          score: wordCount > 10 && wordCount < 100,
-          confidence: 0.7,
-          reasoning: 'Story has appropriate level of detail',
-          suggestions: wordCount < 10 ? ['Add more detail'] : []
-        },
-        small: {
-          score: wordCount < 50,
-          confidence: 0.6,
-          reasoning: 'Story size assessment',
-          suggestions: wordCount > 50 ? ['Consider splitting this story'] : []
-        },
-        testable: {
-          score: storyContent.includes('can'),
-          confidence: 0.8,
-          reasoning: 'Story describes testable behavior',
-          suggestions: ['Add specific acceptance criteria']
+        signal
+      }, (res) => {
+        let raw = '';
+        res.setEncoding('utf8');
+        res.on('error', fail);
+
+        const ok = res.statusCode >= 200 && res.statusCode < 300;
+        if (ok && (res.headers['content-type'] || '').startsWith('text/event-stream')) {
+          const events = [];
+          const read = (frame) => {
+            const data = frame.split(/\r?\n/)
+              .filter(line => line.startsWith('data:'))
+              .map(line => line.slice(5).trim())
+              .join('\n');
+            if (!data || data === '[DONE]') return;
+            try {
+              const event = JSON.parse(data);
+              events.push(event);
+              onEvent?.(event);
+            } catch (parseError) {
+              req.destroy(new LLMResponseError(`${provider} sent an event that is not JSON`, {
+                provider,
+                status: res.statusCode,
+                body: data
+              }));
+            }
+          };
+          res.on('data', chunk => {
+            raw += chunk;
+            const frames = raw.split(/\r?\n\r?\n/);
+            raw = frames.pop();
+            frames.forEach(read);
+          });
+          res.on('end', () => {
+            clearTimeout(timer);
+            read(raw);
+            resolve(events);
+          });
+          return;
         }
-      },
-      sizeAssessment: {
-        estimatedSize: wordCount < 20 ? 'S' : wordCount < 40 ? 'M' : 'L',
-        confidence: 0.7
-      },
-      qualityIssues: [],
-      overallScore: hasUserRole && hasValue ? 75 : 50
+
+        res.on('data', chunk => { raw += chunk; });
+        res.on('end', () => {
+          clearTimeout(timer);
+          let body = null;
+          try {
+            body = raw ? JSON.parse(raw) : null;
+          } catch (parseError) {
+            body = raw;
+          }
+
+          if (ok) {
+            if (!body || typeof body !== 'object') {
+              return reject(new LLMResponseError(`${provider} returned a non-JSON response`, {
+                provider,
+                status: res.statusCode,
+                body
+              }));
+            }
+            return resolve(body);
+          }
+
+          reject(this.errorFromResponse(provider, res, body));
+        });
+      });
+
+      // Covers the whole exchange, not just idle time, so a slow trickle of
+      // bytes cannot outlast the budget
+      const timer = setTimeout(() => {
+        req.destroy(new LLMTimeoutError(`${provider} request timed out after ${timeout}ms`, { provider }));
+      }, timeout);
+
+      const fail = (error) => {
+        clearTimeout(timer);
+        if (error instanceof LLMError || error.name === 'AbortError') {
+          return reject(error);
+        }
+        reject(new LLMError(`${provider} request failed: ${error.message}`, {
+          provider,
+          retryable: true
+        }));
+      };
+
+      req.on('error', fail);
+
+      req.write(data);
+      req.end();
     });
   }
+
+  errorFromResponse(provider, res, body) {
+    const status = res.statusCode;
+    const detail = body?.error?.message || (typeof body === 'string' ? body : res.statusMessage);
+    const message = `${provider} API error ${status}: ${detail}`;
+
+    if (status === 401 || status === 403) {
+      return new LLMAuthenticationError(message, { provider, status, body });
+    }
+    if (status === 429) {
+      return new LLMRateLimitError(message, {
+        provider,
+        status,
+        body,
+        retryAfter: parseInteger(res.headers['retry-after'], null)
+      });
+    }
+    // 5xx and Anthropic's 529 "overloaded" are worth retrying
+    return new LLMResponseError(message, { provider, status, body, retryable: status >= 500 });
+  }
+
+  async mockResponse(prompt) {
+    await new Promise(resolve => setTimeout(resolve, 500)); // Simulate API delay
+    return buildMockAnalysis(prompt);
+  }
+}
+
+// Enhanced mock that analyzes the prompt. Shared with the offline stub
+// server so both return the same shape.
+function buildMockAnalysis(prompt) {
+  // Extract story content from prompt
+  const storyMatch = prompt.match(/Story.*?:.*?"(.*?)"/s);
+  const storyContent = storyMatch ? storyMatch[1] : '';
+
+  // Analyze based on content
+  const hasUserRole = storyContent.toLowerCase().includes('as a');
+  const hasValue = storyContent.toLowerCase().includes('so that');
+  const wordCount = storyContent.split(' ').length;
+
+  return JSON.stringify({
+    investScore: {
+      independent: {
+        score: !storyContent.includes('after') && !storyContent.includes('depends'),
+        confidence: 0.8,
+        reasoning: 'Analyzed for dependency indicators',
+        suggestions: []
+      },
+      negotiable: {
+        score: !storyContent.includes('must use'),
+        confidence: 0.7,
+        reasoning: 'Checked for implementation constraints',
+        suggestions: []
+      },
+      valuable: {
+        score: hasUserRole && hasValue,
+        confidence: 0.9,
+        reasoning: hasValue ? 'Clear value statement found' : 'Missing value statement',
+        suggestions: hasValue ? [] : ['Add "so that" clause to explain value']
+      },
+      estimable: {
+        score: wordCount > 10 && wordCount < 100,
+        confidence: 0.7,
+        reasoning: 'Story has appropriate level of detail',
+        suggestions: wordCount < 10 ? ['Add more detail'] : []
+      },
+      small: {
+        score: wordCount < 50,
+        confidence: 0.6,
+        reasoning: 'Story size assessment',
+        suggestions: wordCount > 50 ? ['Consider splitting this story'] : []
+      },
+      testable: {
+        score: storyContent.includes('can'),
+        confidence: 0.8,
+        reasoning: 'Story describes testable behavior',
+        suggestions: ['Add specific acceptance criteria']
+      }
+    },
+    sizeAssessment: {
+      estimatedSize: wordCount < 20 ? 'S' : wordCount < 40 ? 'M' : 'L',
+      confidence: 0.7
+    },
+    qualityIssues: [],
+    overallScore: hasUserRole && hasValue ? 75 : 50
+  });
 }
 
-module.exports = { LLMClient };
+module.exports = {
+  LLMClient,
+  LLMError,
+  LLMConfigurationError,
+  LLMAuthenticationError,
+  LLMRateLimitError,
+  LLMTimeoutError,
+  LLMResponseError,
+  buildMockAnalysis
+};
@@ -0,0 +1,195 @@
+// server/utils/llm-stub-server.js
+// Offline stand-in for the Anthropic messages API and the OpenAI chat
+// completions API. Point CLAUDE_BASE_URL at http://localhost:<port> and
+// OPENAI_BASE_URL at http://localhost:<port>/v1 to exercise LLMClient
+// without network access or API keys. Requests with `stream: true` get the
+// answer as Server-Sent Events, like the real APIs.
+const http = require('http');
+const { buildMockAnalysis } = require('./llm-client');
+
+const lastUserMessage = (payload) => {
+  const messages = Array.isArray(payload.messages) ? payload.messages : [];
+  const last = messages[messages.length - 1];
+  if (!last) return '';
+  return typeof last.content === 'string'
+    ? last.content
+    : (last.content || []).map(part => part.text || '').join('');
+};
+
+function claudeBody(payload, text) {
+  return {
+    id: `msg_stub_${Date.now()}`,
+    type: 'message',
+    role: 'assistant',
+    model: payload.model,
+    content: [{ type: 'text', text }],
+    stop_reason: 'end_turn',
+    usage: { input_tokens: 0, output_tokens: text.length }
+  };
+}
+
+function openAIBody(payload, text) {
+  return {
+    id: `chatcmpl-stub-${Date.now()}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: payload.model,
+    choices: [{
+      index: 0,
+      message: { role: 'assistant', content: text },
+      finish_reason: 'stop'
+    }],
+    usage: { prompt_tokens: 0, completion_tokens: text.length, total_tokens: text.length }
+  };
+}
+
+// The text in pieces of a few words, as the providers stream it
+const textChunks = (text) => text.match(/\S*\s*/g).filter(Boolean)
+  .reduce((chunks, word, index) => {
+    if (index % 4 === 0) chunks.push('');
+    chunks[chunks.length - 1] += word;
+    return chunks;
+  }, []);
+
+// Server-Sent Events for a streamed answer (payload.stream)
+function claudeEvents(payload, text) {
+  const message = { ...claudeBody(payload, ''), content: [], stop_reason: null };
+  return [
+    { type: 'message_start', message },
+    { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+    ...textChunks(text).map(chunk => ({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: chunk } })),
+    { type: 'content_block_stop', index: 0 },
+    { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: text.length } },
+    { type: 'message_stop' }
+  ].map(event => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+function openAIEvents(payload, text) {
+  const chunk = (delta, finishReason = null) => ({
+    id: `chatcmpl-stub-${Date.now()}`,
+    object: 'chat.completion.chunk',
+    created: Math.floor(Date.now() / 1000),
+    model: payload.model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }]
+  });
+  return [
+    chunk({ role: 'assistant', content: '' }),
+    ...textChunks(text).map(content => chunk({ content })),
+    chunk({}, 'stop')
+  ].map(event => `data: ${JSON.stringify(event)}\n\n`).concat('data: [DONE]\n\n');
+}
+
+/**
+ * Create a stub LLM server.
+ *
+ * options.respond(prompt, { provider, payload }) - returns the assistant text
+ *   (defaults to the shared mock INVEST analysis)
+ * options.apiKey - when set, requests with any other key get a 401
+ *
+ * Queue one-off failures with stub.failNext({ status, body, headers, delay })
+ * and inspect stub.requests to assert what the client sent.
+ */
+function createLLMStubServer(options = {}) {
+  const respond = options.respond || ((prompt) => buildMockAnalysis(prompt));
+  const requests = [];
+  const failures = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      const send = (status, body, headers = {}) => {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(body));
+      };
+
+      let payload;
+      try {
+        payload = JSON.parse(raw || '{}');
+      } catch (error) {
+        return send(400, { error: { type: 'invalid_request_error', message: 'Body is not valid JSON' } });
+      }
+
+      const provider = req.url === '/v1/messages' ? 'claude'
+        : req.url === '/v1/chat/completions' ? 'openai'
+        : null;
+
+      requests.push({ provider, path: req.url, headers: req.headers, payload });
+
+      if (req.method !== 'POST' || !provider) {
+        return send(404, { error: { type: 'not_found_error', message: `No stub route for ${req.method} ${req.url}` } });
+      }
+
+      if (options.apiKey) {
+        const key = provider === 'claude'
+          ? req.headers['x-api-key']
+          : (req.headers.authorization || '').replace(/^Bearer /, '');
+        if (key !== options.apiKey) {
+          return send(401, { error: { type: 'authentication_error', message: 'Invalid API key' } });
+        }
+      }
+
+      const failure = failures.shift();
+      if (failure) {
+        if (failure.delay) {
+          await new Promise(resolve => setTimeout(resolve, failure.delay));
+        }
+        if (failure.status) {
+          return send(failure.status, failure.body || {
+            error: { type: 'api_error', message: `Stubbed failure ${failure.status}` }
+          }, failure.headers);
+        }
+      }
+
+      try {
+        const text = await respond(lastUserMessage(payload), { provider, payload });
+        if (payload.stream) {
+          res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+          const events = provider === 'claude' ? claudeEvents(payload, text) : openAIEvents(payload, text);
+          events.forEach(event => res.write(event));
+          return res.end();
+        }
+        send(200, provider === 'claude' ? claudeBody(payload, text) : openAIBody(payload, text));
+      } catch (error) {
+        send(500, { error: { type: 'api_error', message: error.message } });
+      }
+    });
+  });
+
+  return {
+    server,
+    requests,
+    failNext(failure) {
+      failures.push(failure);
+      return this;
+    },
+    listen(port = 0) {
+      return new Promise(resolve => {
+        server.listen(port, '127.0.0.1', () => {
+          const { port: boundPort } = server.address();
+          resolve({
+            port: boundPort,
+            claudeBaseURL: `http://127.0.0.1:${boundPort}`,
+            openaiBaseURL: `http://127.0.0.1:${boundPort}/v1`
+          });
+        });
+      });
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { createLLMStubServer };
+
+// Run standalone: `npm run llm:stub`
+if (require.main === module) {
+  const stub = createLLMStubServer();
+  stub.listen(parseInt(process.env.LLM_STUB_PORT, 10) || 4010).then(({ claudeBaseURL, openaiBaseURL }) => {
+    console.log('LLM stub server listening');
+    console.log(`  CLAUDE_BASE_URL=${claudeBaseURL}`);
+    console.log(`  OPENAI_BASE_URL=${openaiBaseURL}`);
+  });
+}
@@ -0,0 +1,184 @@
+// server/utils/oidc-mock-server.js
+// Offline OpenID Connect provider for local development and checks. Set
+// OIDC_ISSUER to the URL it prints, with OIDC_CLIENT_ID/OIDC_CLIENT_SECRET
+// matching its client, to sign in without a real identity provider.
+//
+// /authorize shows a user picker; passing login_hint=<username> skips it
+// and approves immediately, which is what scripts use.
+const http = require('http');
+const crypto = require('crypto');
+const { signJwt } = require('../auth/jwt');
+
+const DEFAULT_USERS = [
+  { sub: 'mock-alice', preferred_username: 'alice', name: 'Alice Example', email: 'alice@example.test' },
+  { sub: 'mock-bob', preferred_username: 'bob', name: 'Bob Example', email: 'bob@example.test' }
+];
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Create a mock identity provider.
+ *
+ * options.clientId / options.clientSecret - the one registered client
+ * options.users - people who can sign in (sub, preferred_username, name, email)
+ * options.tokenTtlSeconds - id_token lifetime
+ */
+function createOidcMockServer(options = {}) {
+  const clientId = options.clientId || 'story-splitter';
+  const clientSecret = options.clientSecret || 'story-splitter-secret';
+  const users = options.users || DEFAULT_USERS;
+  const tokenTtlSeconds = options.tokenTtlSeconds || 300;
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+  const accessTokens = new Map();
+  let issuer = null;
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  function authorize(url, res) {
+    const params = url.searchParams;
+    if (params.get('client_id') !== clientId) {
+      return send(res, 400, { error: 'unauthorized_client' });
+    }
+    if (params.get('response_type') !== 'code' || !params.get('redirect_uri')) {
+      return send(res, 400, { error: 'invalid_request' });
+    }
+
+    const user = users.find(candidate => candidate.preferred_username === params.get('login_hint'));
+    if (!user) {
+      const hidden = [...params.entries()]
+        .filter(([key]) => key !== 'login_hint')
+        .map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+        .join('');
+      const choices = users
+        .map(candidate => `<button name="login_hint" value="${escapeHtml(candidate.preferred_username)}">${escapeHtml(candidate.name)}</button>`)
+        .join(' ');
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      return res.end(`<!doctype html><title>Mock sign-in</title><h1>Mock identity provider</h1><form method="get" action="/authorize">${hidden}<p>Sign in as:</p>${choices}</form>`);
+    }
+
+    const code = crypto.randomBytes(16).toString('base64url');
+    codes.set(code, {
+      user,
+      redirectUri: params.get('redirect_uri'),
+      nonce: params.get('nonce'),
+      expiresAt: Date.now() + 60000
+    });
+
+    const redirect = new URL(params.get('redirect_uri'));
+    redirect.searchParams.set('code', code);
+    if (params.get('state')) redirect.searchParams.set('state', params.get('state'));
+    res.writeHead(302, { Location: redirect.toString() });
+    res.end();
+  }
+
+  function token(body, req, res) {
+    const params = new URLSearchParams(body);
+    const basic = /^Basic (.+)$/.exec(req.headers.authorization || '');
+    const [id, secret] = basic
+      ? Buffer.from(basic[1], 'base64').toString().split(':')
+      : [params.get('client_id'), params.get('client_secret')];
+
+    if (id !== clientId || secret !== clientSecret) {
+      return send(res, 401, { error: 'invalid_client' });
+    }
+
+    const grant = codes.get(params.get('code'));
+    codes.delete(params.get('code'));
+    if (params.get('grant_type') !== 'authorization_code' || !grant || grant.expiresAt < Date.now() ||
+        grant.redirectUri !== params.get('redirect_uri')) {
+      return send(res, 400, { error: 'invalid_grant' });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const accessToken = crypto.randomBytes(24).toString('base64url');
+    accessTokens.set(accessToken, grant.user);
+
+    send(res, 200, {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: tokenTtlSeconds,
+      id_token: signJwt({
+        iss: issuer,
+        aud: clientId,
+        iat: now,
+        exp: now + tokenTtlSeconds,
+        ...(grant.nonce && { nonce: grant.nonce }),
+        ...grant.user
+      }, privateKey, { kid })
+    });
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, issuer);
+
+      if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+        return send(res, 200, {
+          issuer,
+          authorization_endpoint: `${issuer}/authorize`,
+          token_endpoint: `${issuer}/token`,
+          userinfo_endpoint: `${issuer}/userinfo`,
+          jwks_uri: `${issuer}/jwks`,
+          response_types_supported: ['code'],
+          subject_types_supported: ['public'],
+          id_token_signing_alg_values_supported: ['RS256'],
+          scopes_supported: ['openid', 'profile', 'email'],
+          token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic']
+        });
+      }
+      if (req.method === 'GET' && url.pathname === '/jwks') {
+        return send(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+      }
+      if (req.method === 'GET' && url.pathname === '/authorize') {
+        return authorize(url, res);
+      }
+      if (req.method === 'POST' && url.pathname === '/token') {
+        return token(body, req, res);
+      }
+      if (req.method === 'GET' && url.pathname === '/userinfo') {
+        const user = accessTokens.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+        return user ? send(res, 200, user) : send(res, 401, { error: 'invalid_token' });
+      }
+      send(res, 404, { error: `No mock route for ${req.method} ${url.pathname}` });
+    });
+  });
+
+  return {
+    server,
+    clientId,
+    clientSecret,
+    listen(port = 0) {
+      return new Promise(resolve => {
+        server.listen(port, '127.0.0.1', () => {
+          issuer = `http://127.0.0.1:${server.address().port}`;
+          resolve({ issuer, clientId, clientSecret });
+        });
+      });
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { createOidcMockServer };
+
+// Run standalone: `npm run oidc:mock`
+if (require.main === module) {
+  const provider = createOidcMockServer();
+  provider.listen(parseInt(process.env.OIDC_MOCK_PORT, 10) || 4020).then(({ issuer, clientId, clientSecret }) => {
+    console.log('Mock OIDC provider listening');
+    console.log(`  OIDC_ISSUER=${issuer}`);
+    console.log(`  OIDC_CLIENT_ID=${clientId}`);
+    console.log(`  OIDC_CLIENT_SECRET=${clientSecret}`);
+  });
+}
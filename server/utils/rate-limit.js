@@ -0,0 +1,53 @@
+// server/utils/rate-limit.js
+// Fixed-window request limits, kept in memory per server instance. Used on
+// the endpoints that fan out to everyone on a story channel so one client
+// cannot flood the others.
+const { sendError } = require('../http/errors');
+
+class RateLimiter {
+  constructor({ limit, windowMs }) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.windows = new Map();
+  }
+
+  // Counts one request for `key`; retryAfterMs is set once over the limit
+  hit(key, now = Date.now()) {
+    let window = this.windows.get(key);
+    if (!window || now - window.start >= this.windowMs) {
+      this.prune(now);
+      window = { start: now, count: 0 };
+      this.windows.set(key, window);
+    }
+
+    window.count++;
+    return window.count <= this.limit
+      ? { allowed: true }
+      : { allowed: false, retryAfterMs: window.start + this.windowMs - now };
+  }
+
+  prune(now) {
+    this.windows.forEach((window, key) => {
+      if (now - window.start >= this.windowMs) this.windows.delete(key);
+    });
+  }
+}
+
+// Express middleware answering 429 with Retry-After. `key(req)` decides
+// what is counted together; by default each signed-in user separately.
+function rateLimit({ name, limit, windowMs, key = (req) => req.user.id }) {
+  const limiter = new RateLimiter({ limit, windowMs });
+
+  return (req, res, next) => {
+    const { allowed, retryAfterMs } = limiter.hit(key(req));
+    if (allowed) return next();
+
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    sendError(res, 429, `Too many ${name} requests, slow down`, {
+      code: 'rate_limited',
+      details: { limit, windowMs, retryAfterMs }
+    });
+  };
+}
+
+module.exports = { RateLimiter, rateLimit };
@@ -0,0 +1,117 @@
+// server/utils/redis-stub-server.js
+// Offline stand-in for the Upstash Redis REST API (also behind Vercel KV),
+// with the commands the redis storage driver uses. Point REDIS_REST_URL at
+// http://localhost:<port> to run the driver without an account.
+const http = require('http');
+
+const COMMANDS = {
+  GET: (db, [key]) => db.strings.get(key) ?? null,
+  SET: (db, [key, value]) => {
+    db.strings.set(key, String(value));
+    return 'OK';
+  },
+  INCR: (db, [key]) => {
+    const value = Number(db.strings.get(key) || 0) + 1;
+    db.strings.set(key, String(value));
+    return value;
+  },
+  SADD: (db, [key, ...members]) => {
+    const set = db.sets.get(key) || new Set();
+    const before = set.size;
+    members.forEach(member => set.add(member));
+    db.sets.set(key, set);
+    return set.size - before;
+  },
+  SMEMBERS: (db, [key]) => [...(db.sets.get(key) || [])],
+  HSET: (db, [key, ...pairs]) => {
+    const hash = db.hashes.get(key) || new Map();
+    let added = 0;
+    for (let index = 0; index < pairs.length; index += 2) {
+      if (!hash.has(pairs[index])) added++;
+      hash.set(pairs[index], String(pairs[index + 1]));
+    }
+    db.hashes.set(key, hash);
+    return added;
+  },
+  HDEL: (db, [key, ...fields]) => fields.filter(field => db.hashes.get(key)?.delete(field)).length,
+  HGETALL: (db, [key]) => [...(db.hashes.get(key) || new Map())].flat(),
+  DEL: (db, keys) => keys.filter(key =>
+    [db.strings, db.sets, db.hashes].some(store => store.delete(key))).length
+};
+
+/**
+ * Create a stub Upstash REST server.
+ *
+ * options.token - requests with any other bearer token get a 401
+ *
+ * Queue one-off failures with stub.failNext({ status }) and inspect
+ * stub.requests ({ path, commands }) to assert what the driver sent.
+ */
+function createRedisStubServer(options = {}) {
+  const db = { strings: new Map(), sets: new Map(), hashes: new Map() };
+  const requests = [];
+  const failures = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const send = (status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+
+      if (options.token && req.headers.authorization !== `Bearer ${options.token}`) {
+        return send(401, { error: 'Unauthorized' });
+      }
+      if (req.method !== 'POST' || !['/pipeline', '/multi-exec'].includes(req.url)) {
+        return send(404, { error: `No stub route for ${req.method} ${req.url}` });
+      }
+
+      let commands;
+      try {
+        commands = JSON.parse(raw);
+      } catch (error) {
+        return send(400, { error: 'Body is not valid JSON' });
+      }
+      requests.push({ path: req.url, commands });
+
+      const failure = failures.shift();
+      if (failure) {
+        return send(failure.status || 500, { error: failure.error || `Stubbed failure ${failure.status || 500}` });
+      }
+
+      const unknown = commands.find(([name]) => !COMMANDS[String(name).toUpperCase()]);
+      if (req.url === '/multi-exec' && unknown) {
+        return send(400, { error: `ERR unknown command '${unknown[0]}'` });
+      }
+      send(200, commands.map(([name, ...args]) => {
+        const command = COMMANDS[String(name).toUpperCase()];
+        return command ? { result: command(db, args) } : { error: `ERR unknown command '${name}'` };
+      }));
+    });
+  });
+
+  return {
+    server,
+    requests,
+    failNext(failure = {}) {
+      failures.push(failure);
+      return this;
+    },
+    listen(port = 0) {
+      return new Promise(resolve => {
+        server.listen(port, '127.0.0.1', () => {
+          const { port: boundPort } = server.address();
+          resolve({ port: boundPort, url: `http://127.0.0.1:${boundPort}` });
+        });
+      });
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { createRedisStubServer };
@@ -0,0 +1,187 @@
+// server/utils/tracker-mock-server.js
+// Offline stand-in for the two issue tracker APIs the exporters publish
+// to: GitHub's create-issue endpoint and Azure DevOps' work item $batch
+// endpoint. Point GITHUB_API_URL and AZURE_DEVOPS_ORG_URL at it to try
+// publishing without an account.
+const http = require('http');
+
+/**
+ * Create a mock tracker server.
+ *
+ * options.token - the GitHub token and Azure DevOps PAT it accepts
+ *
+ * Queue one-off failures with mock.failNext({ status, body }), and inspect
+ * mock.requests, mock.issues and mock.workItems to see what was sent.
+ */
+function createTrackerMockServer(options = {}) {
+  const token = options.token || 'tracker-mock-token';
+  const requests = [];
+  const failures = [];
+  const issues = [];
+  const workItems = [];
+  let baseUrl = '';
+
+  const createIssue = (repository, payload) => {
+    const issue = {
+      number: issues.length + 1,
+      html_url: `${baseUrl}/${repository}/issues/${issues.length + 1}`,
+      repository,
+      title: payload.title,
+      body: payload.body || '',
+      labels: (payload.labels || []).map(name => ({ name })),
+      state: 'open'
+    };
+    issues.push(issue);
+    return issue;
+  };
+
+  // Temporary negative ids, in documents and in relation urls, become the
+  // ids assigned earlier in the same batch
+  const runBatch = (orgPath, operations) => {
+    const assigned = new Map();
+    return operations.map(({ method, uri, body }) => {
+      const match = /^\/([^/]+)\/_apis\/wit\/workitems\/\$([^?]+)/.exec(uri || '');
+      if (method !== 'PATCH' || !match || !Array.isArray(body)) {
+        return { code: 400, body: JSON.stringify({ value: { Message: `Unsupported operation ${method} ${uri}` } }) };
+      }
+
+      const id = workItems.length + 1;
+      const fields = {};
+      const relations = [];
+      body.forEach(({ path, value }) => {
+        if (path === '/id') {
+          assigned.set(value, id);
+        } else if (path.startsWith('/fields/')) {
+          fields[path.slice('/fields/'.length)] = value;
+        } else if (path === '/relations/-') {
+          const url = value.url.replace(/\/(-\d+)$/, (whole, temp) => `/${assigned.get(Number(temp)) ?? temp}`);
+          relations.push({ ...value, url });
+        }
+      });
+      if (!fields['System.Title']) {
+        return { code: 400, body: JSON.stringify({ value: { Message: 'System.Title is required' } }) };
+      }
+
+      const workItem = {
+        id,
+        rev: 1,
+        fields: {
+          'System.TeamProject': decodeURIComponent(match[1]),
+          'System.WorkItemType': decodeURIComponent(match[2]),
+          ...fields
+        },
+        relations,
+        url: `${baseUrl}${orgPath}/_apis/wit/workItems/${id}`
+      };
+      workItems.push(workItem);
+      return { code: 200, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(workItem) };
+    });
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const send = (status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+
+      let payload;
+      try {
+        payload = JSON.parse(raw || 'null');
+      } catch (error) {
+        return send(400, { message: 'Body is not valid JSON' });
+      }
+
+      const path = req.url.split('?')[0];
+      const github = /^\/repos\/([^/]+\/[^/]+)\/issues$/.exec(path);
+      const azure = /^(\/[^/]+)\/_apis\/wit\/\$batch$/.exec(path);
+      const target = github ? 'github' : azure ? 'azure-devops' : null;
+      requests.push({ target, method: req.method, path: req.url, headers: req.headers, payload });
+
+      if (!target) {
+        return send(404, { message: `No mock route for ${req.method} ${req.url}` });
+      }
+
+      const authorization = req.headers.authorization || '';
+      const expected = github
+        ? `Bearer ${token}`
+        : `Basic ${Buffer.from(`:${token}`).toString('base64')}`;
+      if (authorization !== expected) {
+        return send(401, { message: 'Bad credentials' });
+      }
+
+      const failure = failures.shift();
+      if (failure) {
+        return send(failure.status || 500, failure.body || { message: `Mocked failure ${failure.status || 500}` });
+      }
+
+      if (github && req.method === 'GET') {
+        return send(200, issues.filter(issue => issue.repository === github[1]));
+      }
+      if (req.method !== 'POST') {
+        return send(405, { message: `${req.method} is not supported here` });
+      }
+
+      if (github) {
+        if (!payload?.title) {
+          return send(422, { message: 'Validation Failed', errors: [{ field: 'title', code: 'missing_field' }] });
+        }
+        return send(201, createIssue(github[1], payload));
+      }
+
+      if (!Array.isArray(payload)) {
+        return send(400, { message: 'The batch body must be an array of operations' });
+      }
+      const value = runBatch(azure[1], payload);
+      send(200, { count: value.length, value });
+    });
+  });
+
+  return {
+    server,
+    token,
+    requests,
+    issues,
+    workItems,
+    failNext(failure) {
+      failures.push(failure);
+      return this;
+    },
+    listen(port = 0) {
+      return new Promise(resolve => {
+        server.listen(port, '127.0.0.1', () => {
+          const { port: boundPort } = server.address();
+          baseUrl = `http://127.0.0.1:${boundPort}`;
+          resolve({
+            port: boundPort,
+            url: baseUrl,
+            gitHubApiUrl: baseUrl,
+            azureOrganizationUrl: `${baseUrl}/mock-organization`
+          });
+        });
+      });
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { createTrackerMockServer };
+
+// Run standalone: `npm run trackers:mock`
+if (require.main === module) {
+  const mock = createTrackerMockServer({ token: process.env.TRACKER_MOCK_TOKEN });
+  mock.listen(parseInt(process.env.TRACKER_MOCK_PORT, 10) || 4012).then(({ gitHubApiUrl, azureOrganizationUrl }) => {
+    console.log('Tracker mock server listening');
+    console.log(`  GITHUB_API_URL=${gitHubApiUrl}`);
+    console.log('  GITHUB_REPOSITORY=mock/backlog');
+    console.log(`  GITHUB_TOKEN=${mock.token}`);
+    console.log(`  AZURE_DEVOPS_ORG_URL=${azureOrganizationUrl}`);
+    console.log('  AZURE_DEVOPS_PROJECT=Story Splitter');
+    console.log(`  AZURE_DEVOPS_TOKEN=${mock.token}`);
+  });
+}